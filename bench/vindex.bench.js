@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Exact scan vs. IVF index on a synthetic corpus.
+//   node bench/vindex.bench.js [chunks=100000] [dim=256] [queries=20]
+// Runs against a throwaway KB in a temp directory.
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const [N = 100_000, DIM = 256, QUERIES = 20] = process.argv.slice(2).map(Number);
+const TOP_K = 10;
+const TOPICS = 1000;
+const SPACE = { dim: DIM, provider: 'bench', model: 'synthetic' };
+
+const dir = mkdtempSync(join(tmpdir(), 'kb-bench-'));
+process.env.KB_DATA_DIR = dir;
+const { getDb, closeDb } = await import('../src/db.js');
+const { buildIndex, searchVectors } = await import('../src/vindex.js');
+const { serializeEmbedding } = await import('../src/embed.js');
+
+let seed = 7;
+function rand() {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 4294967296;
+}
+function gaussian() {
+  return Math.sqrt(-2 * Math.log(rand() + 1e-12)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Embeddings of real text cluster by topic; mimic that
+const topics = Array.from({ length: TOPICS }, () => Array.from({ length: DIM }, gaussian));
+function sample() {
+  const t = topics[Math.floor(rand() * TOPICS)];
+  return t.map(v => v + gaussian() * 0.6);
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const out = fn();
+  return [out, Number(process.hrtime.bigint() - start) / 1e6];
+}
+
+try {
+  const db = getDb();
+  console.log(`Generating ${N} chunks (${DIM}d)…`);
+  const insertSource = db.prepare('INSERT INTO sources (id, title, source_type, created_at) VALUES (?, ?, ?, ?)');
+  const insertChunk = db.prepare(`
+    INSERT INTO chunks (id, source_id, chunk_index, content, embedding, embedding_dim, embedding_provider, embedding_model, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'bench', 'synthetic', ?)
+  `);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (let i = 0; i < N; i++) {
+      const sourceId = `s${Math.floor(i / 50)}`;
+      if (i % 50 === 0) insertSource.run(sourceId, `Source ${sourceId}`, 'article', now);
+      insertChunk.run(`c${i}`, sourceId, i % 50, `synthetic chunk ${i}`, serializeEmbedding(sample()), DIM, now);
+    }
+  })();
+
+  const queries = Array.from({ length: QUERIES }, sample);
+
+  let exactMs = 0;
+  const truth = queries.map(q => {
+    const [rows, ms] = time(() => searchVectors(db, q, SPACE, TOP_K, { exact: true }));
+    exactMs += ms;
+    return new Set(rows.map(r => r.id));
+  });
+
+  const [[built], buildMs] = time(() => buildIndex(db, { onProgress: msg => console.log(`  ${msg}`) }));
+
+  let indexedMs = 0, hits = 0;
+  queries.forEach((q, i) => {
+    const [rows, ms] = time(() => searchVectors(db, q, SPACE, TOP_K));
+    indexedMs += ms;
+    hits += rows.filter(r => truth[i].has(r.id)).length;
+  });
+
+  console.log(`\nIndex: ${built.nlist} lists, ${built.quantization}, built in ${(buildMs / 1000).toFixed(1)}s`);
+  console.log(`Exact scan:  ${(exactMs / QUERIES).toFixed(1)} ms/query`);
+  console.log(`IVF index:   ${(indexedMs / QUERIES).toFixed(1)} ms/query  (${(exactMs / indexedMs).toFixed(1)}× faster)`);
+  console.log(`Recall@${TOP_K}:   ${(hits / (QUERIES * TOP_K)).toFixed(3)}`);
+} finally {
+  closeDb();
+  rmSync(dir, { recursive: true, force: true });
+}
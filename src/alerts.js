@@ -0,0 +1,198 @@
+import { readFileSync } from 'fs';
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { parseCsv } from './import.js';
+import { authorOf } from './levels.js';
+
+/**
+ * Price alerts on stored analysis levels. `kb alerts check` reads current
+ * prices from a price source, compares each symbol's price with the last
+ * one seen (price_snapshots) and records a price_alert_events row for every
+ * level crossed in between, in either direction. Events are unique per
+ * symbol, level, direction and day, so running the check from cron as often
+ * as you like reports each cross once a day.
+ */
+
+/**
+ * Read prices from CSV or JSON text. Accepted shapes:
+ *   CSV   symbol,price[,time] with or without a header (symbol/ticker,
+ *         price/last/close, time/timestamp columns)
+ *   JSON  { "NVDA": 181.2 }, { "NVDA": { "price": 181.2, "time": ... } }
+ *         or [{ "symbol": "NVDA", "price": 181.2, "time": ... }]
+ * `field` is a dotted path to the prices inside a larger JSON document.
+ * Returns [{ symbol, price, time }] (time null when not given or not a
+ * readable date; the price still counts).
+ */
+export function parsePrices(text, { field } = {}) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (/^[[{]/.test(trimmed)) {
+    let data = JSON.parse(trimmed);
+    for (const key of field ? field.split('.') : []) data = data?.[key];
+    return pricesFromJson(data);
+  }
+  return pricesFromCsv(trimmed);
+}
+
+function price(symbol, value, time) {
+  const p = typeof value === 'string' ? parseFloat(value.replace(/[$,]/g, '')) : value;
+  if (!symbol || typeof p !== 'number' || !Number.isFinite(p)) return null;
+  const date = time ? new Date(time) : null;
+  return {
+    symbol: String(symbol).trim().toUpperCase().replace(/^\$/, ''),
+    price: p,
+    time: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+  };
+}
+
+function pricesFromJson(data) {
+  if (Array.isArray(data)) {
+    return data.map(r => price(r.symbol ?? r.ticker, r.price ?? r.last ?? r.close, r.time ?? r.timestamp)).filter(Boolean);
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data)
+      .map(([symbol, v]) => (v && typeof v === 'object'
+        ? price(symbol, v.price ?? v.last ?? v.close, v.time ?? v.timestamp)
+        : price(symbol, v)))
+      .filter(Boolean);
+  }
+  throw new Error('Price JSON must be an object or an array');
+}
+
+function pricesFromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  let cols = { symbol: 0, price: 1, time: 2 };
+  let body = rows;
+  if (isNaN(parseFloat(rows[0][1]))) {
+    const find = (...names) => header.findIndex(h => names.includes(h));
+    cols = { symbol: find('symbol', 'ticker'), price: find('price', 'last', 'close'), time: find('time', 'timestamp', 'date') };
+    if (cols.symbol === -1 || cols.price === -1) throw new Error('Price CSV needs symbol and price columns');
+    body = rows.slice(1);
+  }
+  return body.map(r => price(r[cols.symbol], r[cols.price], cols.time === -1 ? null : r[cols.time]?.trim())).filter(Boolean);
+}
+
+/**
+ * Price sources by type. Each takes its settings (config alerts.source)
+ * and resolves to [{ symbol, price, time }].
+ */
+export const PRICE_SOURCES = {
+  file: async ({ path, field }) => {
+    if (!path) throw new Error('Price source "file" needs a path');
+    return parsePrices(readFileSync(path, 'utf-8'), { field });
+  },
+  http: async ({ url, headers = {}, field, timeoutMs = 15_000 }) => {
+    if (!url) throw new Error('Price source "http" needs a url');
+    const res = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`Price source ${url}: HTTP ${res.status}`);
+    return parsePrices(await res.text(), { field });
+  },
+};
+
+/**
+ * Settings for the configured price source, or for `location` (a file path
+ * or http(s) URL) when given.
+ */
+export function priceSourceSettings(location, config = loadConfig()) {
+  const settings = { ...config.alerts.source };
+  if (location) {
+    if (/^https?:\/\//i.test(location)) Object.assign(settings, { type: 'http', url: location });
+    else Object.assign(settings, { type: 'file', path: location });
+  }
+  if (!settings.type) throw new Error('No price source: pass --prices <file|url> or set alerts.source');
+  if (!PRICE_SOURCES[settings.type]) {
+    throw new Error(`Unknown price source "${settings.type}" (expected ${Object.keys(PRICE_SOURCES).join('|')})`);
+  }
+  return settings;
+}
+
+export async function fetchPrices(settings) {
+  return PRICE_SOURCES[settings.type](settings);
+}
+
+function formatValue(v) {
+  return String(Math.round(v * 1e4) / 1e4);
+}
+
+/**
+ * Evaluate prices against stored levels and record crosses.
+ * A symbol seen for the first time only sets its baseline. Levels stored
+ * more than alerts.maxAgeDays ago are ignored.
+ * Returns { events: [{ symbol, level_type, level_value, price, previous,
+ * direction, trigger_day, message, authors, recorded }], baseline: [symbol] }
+ * where `recorded` is false for events already recorded that day.
+ */
+export function checkAlerts(prices, { now = new Date(), maxAgeDays = loadConfig().alerts.maxAgeDays } = {}, db = getDb()) {
+  const cutoff = maxAgeDays ? new Date(now.getTime() - maxAgeDays * 86_400_000).toISOString() : '';
+  const levelsOf = db.prepare(`
+    SELECT l.id, l.level_type, l.level_value, s.source_type, s.metadata, s.url
+    FROM analysis_levels l
+    JOIN analyses a ON a.id = l.analysis_id
+    JOIN sources s ON s.id = a.source_id
+    WHERE l.symbol = ? AND l.created_at >= ?
+    ORDER BY l.id
+  `);
+  const insertEvent = db.prepare(`
+    INSERT OR IGNORE INTO price_alert_events
+      (analysis_level_id, symbol, level_type, level_value, price, direction, trigger_day, message, triggered_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const snapshot = db.prepare('SELECT price, observed_at FROM price_snapshots WHERE symbol = ?');
+  const saveSnapshot = db.prepare(`
+    INSERT INTO price_snapshots (symbol, price, observed_at) VALUES (?, ?, ?)
+    ON CONFLICT(symbol) DO UPDATE SET price = excluded.price, observed_at = excluded.observed_at
+  `);
+
+  const events = [];
+  const baseline = [];
+  db.transaction(() => {
+    for (const { symbol, price: current, time } of prices) {
+      const observedAt = time || now.toISOString();
+      const previous = snapshot.get(symbol);
+      // Out-of-order quotes neither trigger nor move the baseline back
+      if (previous && observedAt < previous.observed_at) continue;
+      saveSnapshot.run(symbol, current, observedAt);
+      if (!previous) { baseline.push(symbol); continue; }
+
+      // One alert per distinct level, naming everyone who called it
+      const levels = new Map();
+      for (const row of levelsOf.all(symbol, cutoff)) {
+        const key = `${row.level_type}|${row.level_value}`;
+        const level = levels.get(key) || { id: row.id, level_type: row.level_type, level_value: row.level_value, authors: [] };
+        const author = authorOf({ ...row, metadata: JSON.parse(row.metadata || '{}') });
+        if (!level.authors.includes(author)) level.authors.push(author);
+        levels.set(key, level);
+      }
+
+      for (const level of levels.values()) {
+        const v = level.level_value;
+        const direction = previous.price < v && current >= v ? 'up' : previous.price > v && current <= v ? 'down' : null;
+        if (!direction) continue;
+        const day = observedAt.slice(0, 10);
+        const message = `${symbol} crossed ${direction === 'up' ? 'above' : 'below'} ${level.level_type} ${formatValue(v)} `
+          + `(${formatValue(current)}, was ${formatValue(previous.price)}) — called by ${level.authors.join(', ')}`;
+        const { changes } = insertEvent.run(level.id, symbol, level.level_type, v, current, direction, day, message, observedAt);
+        events.push({
+          symbol, level_type: level.level_type, level_value: v, price: current, previous: previous.price,
+          direction, trigger_day: day, message, authors: level.authors, recorded: changes > 0,
+        });
+      }
+    }
+  })();
+  return { events, baseline };
+}
+
+/**
+ * Recorded alert events, newest first.
+ */
+export function listAlertEvents({ since, symbol, limit = 100 } = {}, db = getDb()) {
+  const conds = [];
+  const params = [];
+  if (since) { conds.push('triggered_at >= ?'); params.push(since); }
+  if (symbol) { conds.push('symbol = ?'); params.push(symbol.toUpperCase().replace(/^\$/, '')); }
+  return db.prepare(`
+    SELECT * FROM price_alert_events ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+    ORDER BY triggered_at DESC, id DESC LIMIT ?
+  `).all(...params, limit);
+}
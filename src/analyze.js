@@ -0,0 +1,360 @@
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { chatComplete, estimateTokens } from './llm.js';
+import { validateSchema } from './schema.js';
+import { LEVEL_TYPES, extractLevels, storeLevels } from './levels.js';
+
+/**
+ * Named LLM analyses of a source (key takeaways, claims, sentiment, action
+ * items, price levels), stored one row per source and type in `analyses`.
+ *
+ * Each type declares its instructions, a JSON schema the model's reply must
+ * satisfy, and a Markdown rendering. Bump a type's `version` whenever its
+ * prompt or schema changes: stored results with another prompt_version are
+ * then redone by the next `kb analyze`, current ones are left alone.
+ *
+ * Optionally a type has an offline `extract(source, config)` (run with the
+ * `regex` backend, recorded as model 'regex' and prompt_version
+ * `extractVersion`) and a `store(db, analysisId, output)` hook that writes
+ * derived rows in the same transaction as the analysis.
+ */
+
+const CONFIDENCE = { type: 'number', minimum: 0, maximum: 1 };
+
+export const ANALYSIS_TYPES = {
+  takeaways: {
+    title: 'Key takeaways',
+    version: 'v1',
+    instructions: 'List the 3-7 most important takeaways a reader should remember, most important first. '
+      + 'Each point is one sentence; add a short detail only where it helps.',
+    schema: {
+      type: 'object',
+      required: ['takeaways', 'confidence'],
+      properties: {
+        takeaways: {
+          type: 'array', minItems: 1, maxItems: 10,
+          items: {
+            type: 'object',
+            required: ['point'],
+            properties: { point: { type: 'string', minLength: 1 }, detail: { type: ['string', 'null'] } },
+          },
+        },
+        confidence: CONFIDENCE,
+      },
+    },
+    markdown: out => out.takeaways.map(t => `- **${t.point}**${t.detail ? ` — ${t.detail}` : ''}`).join('\n'),
+  },
+
+  claims: {
+    title: 'Claims',
+    version: 'v1',
+    instructions: 'Extract the substantive claims the document makes. Classify each as a fact (checkable), '
+      + 'prediction (about the future) or opinion, and quote the supporting passage verbatim where there is one.',
+    schema: {
+      type: 'object',
+      required: ['claims', 'confidence'],
+      properties: {
+        claims: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['claim', 'kind'],
+            properties: {
+              claim: { type: 'string', minLength: 1 },
+              kind: { enum: ['fact', 'prediction', 'opinion'] },
+              quote: { type: ['string', 'null'] },
+            },
+          },
+        },
+        confidence: CONFIDENCE,
+      },
+    },
+    markdown: out => out.claims.length === 0
+      ? '_No claims._'
+      : out.claims.map(c => `- [${c.kind}] ${c.claim}${c.quote ? `\n  > ${c.quote}` : ''}`).join('\n'),
+  },
+
+  sentiment: {
+    title: 'Sentiment',
+    version: 'v1',
+    instructions: 'Judge the overall sentiment of the document and its stance towards the main subjects it discusses '
+      + '(companies, products, assets, people). Score from -1 (very negative) to 1 (very positive).',
+    schema: {
+      type: 'object',
+      required: ['overall', 'score', 'rationale', 'confidence'],
+      properties: {
+        overall: { enum: ['positive', 'negative', 'neutral', 'mixed'] },
+        score: { type: 'number', minimum: -1, maximum: 1 },
+        rationale: { type: 'string', minLength: 1 },
+        subjects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['subject', 'sentiment'],
+            properties: {
+              subject: { type: 'string', minLength: 1 },
+              sentiment: { enum: ['positive', 'negative', 'neutral', 'mixed'] },
+            },
+          },
+        },
+        confidence: CONFIDENCE,
+      },
+    },
+    markdown: out => [
+      `**Overall:** ${out.overall} (${out.score >= 0 ? '+' : ''}${out.score.toFixed(2)})`,
+      '',
+      out.rationale,
+      ...(out.subjects?.length ? ['', ...out.subjects.map(s => `- ${s.subject}: ${s.sentiment}`)] : []),
+    ].join('\n'),
+  },
+
+  action_items: {
+    title: 'Action items',
+    version: 'v1',
+    instructions: 'List concrete actions the document asks for or implies for its reader, with owner and due date '
+      + 'when stated (null otherwise). Return an empty list when there are none.',
+    schema: {
+      type: 'object',
+      required: ['items', 'confidence'],
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['action'],
+            properties: {
+              action: { type: 'string', minLength: 1 },
+              owner: { type: ['string', 'null'] },
+              due: { type: ['string', 'null'] },
+              priority: { enum: ['low', 'medium', 'high', null] },
+            },
+          },
+        },
+        confidence: CONFIDENCE,
+      },
+    },
+    markdown: out => out.items.length === 0
+      ? '_No action items._'
+      : out.items.map(i => {
+        const meta = [i.owner, i.due && `due ${i.due}`, i.priority && `${i.priority} priority`].filter(Boolean);
+        return `- [ ] ${i.action}${meta.length ? ` (${meta.join(', ')})` : ''}`;
+      }).join('\n'),
+  },
+
+  levels: {
+    title: 'Price levels',
+    version: 'v1',
+    instructions: 'Extract every explicit price level the author gives for a traded symbol: support, resistance, '
+      + 'price targets and stops. Use the ticker as symbol (e.g. NVDA, BTC, SPX), the level as a plain number, '
+      + 'the time horizon if stated (intraday, swing, short-term, long-term, ...) and a short note with the context. '
+      + 'Do not infer levels the text does not state. Return an empty list when there are none.',
+    schema: {
+      type: 'object',
+      required: ['levels', 'confidence'],
+      properties: {
+        levels: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['symbol', 'level_type', 'value'],
+            properties: {
+              symbol: { type: 'string', minLength: 1 },
+              level_type: { enum: LEVEL_TYPES },
+              value: { type: 'number', minimum: 0 },
+              horizon: { type: ['string', 'null'] },
+              notes: { type: ['string', 'null'] },
+            },
+          },
+        },
+        confidence: CONFIDENCE,
+      },
+    },
+    markdown: out => out.levels.length === 0
+      ? '_No price levels._'
+      : out.levels.map(l => `- ${l.symbol} ${l.level_type} ${l.value}${l.horizon ? ` (${l.horizon})` : ''}`).join('\n'),
+    extractVersion: 'regex-v1',
+    extract: (source, config) => ({ levels: extractLevels(source.raw_content, { symbols: config.levels.symbols }) }),
+    store: storeLevels,
+  },
+};
+
+export const ANALYSIS_BACKENDS = ['llm', 'regex'];
+
+export function analysisType(name) {
+  const def = ANALYSIS_TYPES[name];
+  if (!def) throw new Error(`Unknown analysis type "${name}" (expected ${Object.keys(ANALYSIS_TYPES).join('|')})`);
+  return def;
+}
+
+/**
+ * The JSON object in a model reply, tolerating code fences and chatter
+ * around it. Throws when there is none.
+ */
+export function parseJsonReply(content) {
+  const text = content.replace(/^```(?:json)?\s*|\s*```$/g, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('Reply contains no JSON object');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+function documentText(source, inputTokens) {
+  let content = source.raw_content;
+  if (estimateTokens(content) > inputTokens) {
+    content = content.slice(0, inputTokens * 4).replace(/\s+\S*$/, '') + '\n[… truncated]';
+  }
+  const header = [`Title: ${source.title || '(untitled)'}`, source.url && `URL: ${source.url}`].filter(Boolean).join('\n');
+  return `${header}\n\n${content}`;
+}
+
+/**
+ * Run one analysis type over a source; returns { output, model, promptVersion }.
+ * A reply that is not valid JSON for the type's schema is sent back once
+ * with the problems listed before giving up.
+ */
+export async function runAnalysis(source, typeName, { backend = 'llm', ...options } = {}) {
+  const def = analysisType(typeName);
+  const config = loadConfig();
+  if (backend === 'regex') {
+    if (!def.extract) throw new Error(`Analysis type "${typeName}" has no regex backend`);
+    return { output: def.extract(source, config), model: 'regex', promptVersion: def.extractVersion };
+  }
+
+  const settings = { ...config.analyze };
+  for (const [k, v] of Object.entries(options)) {
+    if (v !== undefined && v !== null) settings[k] = v;
+  }
+  const llmOptions = {
+    baseUrl: settings.baseUrl, model: settings.model, temperature: settings.temperature, maxTokens: settings.maxTokens,
+  };
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You analyze documents from a personal knowledge base. ${def.instructions}\n`
+        + 'Reply with a single JSON object matching this JSON Schema and nothing else. '
+        + 'confidence is how sure you are of the analysis as a whole, from 0 to 1.\n'
+        + JSON.stringify(def.schema),
+    },
+    { role: 'user', content: documentText(source, settings.inputTokens) },
+  ];
+
+  let problems;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const reply = await chatComplete(messages, llmOptions);
+    let output;
+    try {
+      output = parseJsonReply(reply.content);
+      problems = validateSchema(output, def.schema);
+    } catch (err) {
+      problems = [err.message];
+    }
+    if (problems.length === 0) return { output, model: reply.model, promptVersion: def.version };
+    messages.push(
+      { role: 'assistant', content: reply.content },
+      { role: 'user', content: `That reply is invalid:\n${problems.slice(0, 10).join('\n')}\nReply again with only the corrected JSON object.` },
+    );
+  }
+  throw new Error(`Invalid ${typeName} output: ${problems.slice(0, 3).join('; ')}`);
+}
+
+function currentVersion(typeName, backend) {
+  return backend === 'regex' ? ANALYSIS_TYPES[typeName].extractVersion : ANALYSIS_TYPES[typeName].version;
+}
+
+export function saveAnalysis(sourceId, typeName, { output, model, promptVersion, createdAt }, db = getDb()) {
+  const def = analysisType(typeName);
+  return db.transaction(() => {
+    db.prepare(`
+      INSERT INTO analyses (source_id, analysis_type, model, prompt_version, output_markdown, output_json, confidence, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(source_id, analysis_type) DO UPDATE SET
+        model = excluded.model, prompt_version = excluded.prompt_version, output_markdown = excluded.output_markdown,
+        output_json = excluded.output_json, confidence = excluded.confidence, created_at = excluded.created_at
+    `).run(
+      sourceId, typeName, model, promptVersion || def.version, def.markdown(output), JSON.stringify(output),
+      typeof output.confidence === 'number' ? output.confidence : null, createdAt || new Date().toISOString(),
+    );
+    const { id } = db.prepare('SELECT id FROM analyses WHERE source_id = ? AND analysis_type = ?').get(sourceId, typeName);
+    def.store?.(db, id, output);
+    return id;
+  })();
+}
+
+/**
+ * Analyze sources with the given types. Results already produced by the
+ * backend's current prompt version are kept unless `force`.
+ * onResult(source, type, { status: ok|current|empty|failed, previous, output, message }).
+ * Returns counts per status.
+ */
+export async function analyzeSources(sourceIds, types, { force = false, model, backend = 'llm', onResult = () => {} } = {}) {
+  if (!ANALYSIS_BACKENDS.includes(backend)) throw new Error(`Unknown analysis backend "${backend}" (expected ${ANALYSIS_BACKENDS.join('|')})`);
+  for (const type of types) {
+    const def = analysisType(type);
+    if (backend === 'regex' && !def.extract) throw new Error(`Analysis type "${type}" has no regex backend`);
+  }
+  const db = getDb();
+  const counts = {};
+  for (const id of sourceIds) {
+    const source = db.prepare('SELECT id, url, title, raw_content FROM sources WHERE id = ?').get(id);
+    if (!source) continue;
+    for (const type of types) {
+      const existing = db.prepare('SELECT prompt_version FROM analyses WHERE source_id = ? AND analysis_type = ?').get(id, type);
+      let result;
+      if (!source.raw_content?.trim()) {
+        result = { status: 'empty', message: 'Source has no text' };
+      } else if (existing && existing.prompt_version === currentVersion(type, backend) && !force) {
+        result = { status: 'current', message: 'Up to date (use --force)' };
+      } else {
+        try {
+          const analysis = await runAnalysis(source, type, { model, backend });
+          saveAnalysis(id, type, analysis, db);
+          result = {
+            status: 'ok', previous: existing?.prompt_version || null, model: analysis.model,
+            confidence: analysis.output.confidence, output: analysis.output,
+          };
+        } catch (err) {
+          result = { status: 'failed', message: err.message.split('\n')[0] };
+        }
+      }
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      onResult(source, type, result);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Stored analyses of a source, output_json parsed; `outdated` marks results
+ * from an older prompt version.
+ */
+export function listAnalyses(sourceId, { type } = {}, db = getDb()) {
+  const rows = db.prepare(`
+    SELECT * FROM analyses WHERE source_id = ? ${type ? 'AND analysis_type = ?' : ''} ORDER BY analysis_type
+  `).all(...(type ? [sourceId, type] : [sourceId]));
+  return rows.map(r => ({
+    ...r,
+    output: JSON.parse(r.output_json || 'null'),
+    outdated: ANALYSIS_TYPES[r.analysis_type]
+      ? ![ANALYSIS_TYPES[r.analysis_type].version, ANALYSIS_TYPES[r.analysis_type].extractVersion].includes(r.prompt_version)
+      : false,
+  }));
+}
+
+/**
+ * Registered types with how many sources have a current or outdated result.
+ */
+export function analysisTypeStats(db = getDb()) {
+  const rows = db.prepare('SELECT analysis_type, prompt_version, COUNT(*) AS n FROM analyses GROUP BY analysis_type, prompt_version').all();
+  return Object.entries(ANALYSIS_TYPES).map(([name, def]) => {
+    const mine = rows.filter(r => r.analysis_type === name);
+    const isCurrent = r => r.prompt_version === def.version || r.prompt_version === def.extractVersion;
+    return {
+      name,
+      title: def.title,
+      version: def.version,
+      current: mine.filter(r => isCurrent(r)).reduce((sum, r) => sum + r.n, 0),
+      outdated: mine.filter(r => !isCurrent(r)).reduce((sum, r) => sum + r.n, 0),
+    };
+  });
+}
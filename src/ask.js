@@ -0,0 +1,149 @@
+import { randomUUID } from 'crypto';
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { query } from './retrieve.js';
+import { chatComplete, estimateTokens } from './llm.js';
+
+/**
+ * Grounded question answering: retrieve with query(), pack the best excerpts
+ * into a numbered context within a token budget, and ask the configured chat
+ * model to answer from that context only, citing excerpts as [n].
+ */
+
+// The model replies with exactly this when the context does not answer the question
+export const NO_MATERIAL = 'NO_RELEVANT_MATERIAL';
+
+export const DEFAULT_SYSTEM_PROMPT = `You answer questions using only the numbered excerpts from the user's knowledge base.
+- Cite every claim with the excerpt number in square brackets, e.g. [1] or [2][3].
+- Do not use outside knowledge. If the excerpts only partly answer the question, say what is missing.
+- If none of the excerpts is relevant to the question, reply with exactly ${NO_MATERIAL} and nothing else.
+- Be concise.`;
+
+// Don't bother squeezing in a truncated excerpt smaller than this
+const MIN_EXCERPT_TOKENS = 50;
+
+/**
+ * Number retrieved results and fit them into `budget` tokens. The last
+ * excerpt that fits only partly is truncated. Returns { context, citations }
+ * where citations[i] describes excerpt [i + 1].
+ */
+export function buildContext(results, budget) {
+  const blocks = [];
+  const citations = [];
+  let used = 0;
+
+  for (const r of results) {
+    const n = citations.length + 1;
+    const header = `[${n}] ${r.title || '(untitled)'}${r.heading ? ` › ${r.heading}` : ''}${r.url ? ` — ${r.url}` : ''}\n`;
+    const remaining = budget - used - estimateTokens(header);
+    if (remaining < MIN_EXCERPT_TOKENS) break;
+
+    let text = r.excerpt;
+    if (estimateTokens(text) > remaining) text = text.slice(0, remaining * 4).replace(/\s+\S*$/, '') + ' …';
+
+    blocks.push(header + text);
+    used += estimateTokens(header) + estimateTokens(text);
+    citations.push({
+      n,
+      source_id: r.source_id,
+      chunk_id: r.chunk_id,
+      chunk_index: r.chunk_index,
+      heading: r.heading ?? null,
+      title: r.title,
+      url: r.url,
+    });
+  }
+
+  return { context: blocks.join('\n\n'), citations, tokens: used };
+}
+
+/**
+ * Excerpt numbers cited in an answer, in order of first appearance.
+ * Handles [1], [1][2] and [1, 2].
+ */
+export function citedNumbers(answer) {
+  const seen = [];
+  for (const m of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of m[1].split(',').map(x => parseInt(x, 10))) {
+      if (!seen.includes(n)) seen.push(n);
+    }
+  }
+  return seen;
+}
+
+/**
+ * Answer a question from the knowledge base.
+ * options: { topK, mode, filters, contextTokens, model, systemPrompt, save }
+ * (defaults from config `ask`). Returns { status: 'answered' | 'no_material',
+ * answer, citations (those the answer cites), model, id (when saved) }.
+ */
+export async function ask(question, options = {}) {
+  const settings = { ...loadConfig().ask };
+  for (const [k, v] of Object.entries(options)) {
+    if (v !== undefined && v !== null) settings[k] = v;
+  }
+  const { topK, mode, filters = {}, contextTokens, model, systemPrompt, save } = settings;
+
+  const results = await query(question, { topK, mode, filters });
+  let outcome;
+  if (results.length === 0) {
+    outcome = { status: 'no_material', answer: 'The knowledge base has no material on this question.', citations: [], model: null };
+  } else {
+    const { context, citations } = buildContext(results, contextTokens);
+    const reply = await chatComplete([
+      { role: 'system', content: systemPrompt || DEFAULT_SYSTEM_PROMPT },
+      { role: 'user', content: `Excerpts:\n\n${context}\n\nQuestion: ${question}` },
+    ], { model });
+
+    if (reply.content.includes(NO_MATERIAL)) {
+      outcome = { status: 'no_material', answer: 'The knowledge base has no relevant material on this question.', citations: [], model: reply.model };
+    } else {
+      // An answer without markers still came from these excerpts: list them all
+      const cited = citedNumbers(reply.content);
+      outcome = {
+        status: 'answered',
+        answer: reply.content,
+        citations: cited.length ? citations.filter(c => cited.includes(c.n)) : citations,
+        model: reply.model,
+      };
+    }
+  }
+
+  if (save) outcome.id = saveAnswer(question, outcome, filters);
+  return outcome;
+}
+
+export function saveAnswer(question, { status, answer, citations, model }, filters = {}, db = getDb()) {
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO answers (id, question, answer, status, model, citations, filters, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, question, answer, status, model, JSON.stringify(citations), JSON.stringify(filters), new Date().toISOString());
+  return id;
+}
+
+export function listAnswers({ limit = 20 } = {}, db = getDb()) {
+  return db.prepare(`
+    SELECT id, question, status, model, created_at FROM answers ORDER BY created_at DESC LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * A saved answer by ID or unique ID prefix, with citations parsed. A prefix
+ * shared by several answers throws (code EAMBIGUOUS), as findSource does.
+ */
+export function getAnswer(idOrPrefix, db = getDb()) {
+  let row = db.prepare('SELECT * FROM answers WHERE id = ?').get(idOrPrefix);
+  if (!row) {
+    const matches = db.prepare(`SELECT * FROM answers WHERE id LIKE ? ESCAPE '\\' LIMIT 2`)
+      .all(idOrPrefix.replace(/[\\%_]/g, '\\$&') + '%');
+    if (matches.length > 1) {
+      const err = new Error(`ID prefix "${idOrPrefix}" matches more than one answer; use more characters`);
+      err.code = 'EAMBIGUOUS';
+      throw err;
+    }
+    row = matches[0];
+  }
+  if (!row) return undefined;
+  return { ...row, citations: JSON.parse(row.citations || '[]'), filters: JSON.parse(row.filters || '{}') };
+}
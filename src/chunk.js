@@ -1,39 +1,347 @@
-const CHUNK_SIZE = 800;
-const OVERLAP = 200;
-const MIN_CHUNK = 100;
+import { loadConfig } from './config.js';
+import { estimateTokens } from './llm.js';
+
+/**
+ * Structure-aware chunking. Text is parsed into blocks (paragraphs, lists,
+ * code fences, tables) under their heading path, then packed into chunks of
+ * up to chunking.maxTokens without crossing a section. Blocks too big for
+ * one chunk are split at item, line, sentence or word boundaries, and a
+ * chunk continuing a section starts with the last whole sentences (up to
+ * chunking.overlapTokens) of the one before.
+ *
+ * A chunk is { content, heading, start, end } where heading is the
+ * breadcrumb of the section it comes from ("Guide › Install › Linux") or
+ * null, and start/end are character offsets of its own text (overlap
+ * excluded) in the chunked text (or null where it can't be found). Chunkers are
+ * picked per source type (chunking.byType, default chunking.default):
+ *   markdown    #-headings, fenced code, lists and tables
+ *   paragraph   blank-line paragraphs; headings are left as text
+ *   transcript  "[hh:mm:ss] text" lines grouped into windows of
+ *               chunking.windowSeconds, headed by their time range
+ *               (paragraph chunking when the text has no timestamps)
+ */
+
+export const HEADING_SEPARATOR = ' › ';
+
+const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const LIST_ITEM_RE = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const TABLE_RE = /^\s*\|/;
 const SENTENCE_RE = /(?<=[.!?])\s+/;
+const TIMESTAMP_RE = /^\[(\d{1,2}:)?(\d{1,2}):(\d{2})\]\s*/;
+// A transcript window heading (see chunkTranscript)
+const TIME_RANGE_RE = /^\d{2}:\d{2}:\d{2}–\d{2}:\d{2}:\d{2}$/;
+// Words a Markdown view adds to the text it renders (see chunkText)
+const MARKUP_WORD_RE = /^(?:#{1,6}|[-*+]|\d+[.)]|(?:```|~~~)\S*|\|)$/;
 
-export function chunkText(text) {
-  if (!text || text.length < MIN_CHUNK) return text ? [text] : [];
+// ---------- Parsing ----------
 
-  // Split into sentences
-  const sentences = text.split(SENTENCE_RE).filter(s => s.trim().length > 0);
-  if (sentences.length === 0) return [text];
+/**
+ * Split text into blocks: [{ kind: paragraph|list|code|table, text, heading, start }]
+ * where start is the offset of the block's first line.
+ */
+export function parseBlocks(text, { headings = true } = {}) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+  const blocks = [];
+  const path = [];
+  let current = null;
 
-  const chunks = [];
-  let current = '';
-  let overlapBuffer = '';
+  const heading = () => (path.length ? path.filter(Boolean).join(HEADING_SEPARATOR) : null);
+  const flush = () => {
+    if (current && current.lines.some(l => l.trim())) {
+      blocks.push({ kind: current.kind, text: current.lines.join('\n').trim(), heading: current.heading, start: current.start });
+    }
+    current = null;
+  };
+  const start = (kind, i) => {
+    flush();
+    current = { kind, lines: [], heading: heading(), start: offsets[i] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (headings && FENCE_RE.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      start('code', i);
+      current.lines.push(line);
+      for (i++; i < lines.length; i++) {
+        current.lines.push(lines[i]);
+        if (lines[i].trim().startsWith(fence)) break;
+      }
+      flush();
+      continue;
+    }
+
+    const h = headings && line.match(HEADING_RE);
+    if (h) {
+      flush();
+      const level = h[1].length;
+      path.length = Math.min(path.length, level - 1);
+      while (path.length < level - 1) path.push(null);
+      path.push(h[2].trim());
+      continue;
+    }
+
+    if (!line.trim()) {
+      // A blank line ends a paragraph; lists and tables may continue after one
+      if (current?.kind === 'paragraph') flush();
+      else if (current && !(LIST_ITEM_RE.test(lines[i + 1] || '') && current.kind === 'list')) flush();
+      continue;
+    }
 
-  for (const sentence of sentences) {
-    if (current.length + sentence.length > CHUNK_SIZE && current.length >= MIN_CHUNK) {
-      chunks.push(current.trim());
-      // Build overlap from end of current chunk
-      overlapBuffer = current.slice(-OVERLAP);
-      current = overlapBuffer + sentence;
-    } else {
-      current += (current ? ' ' : '') + sentence;
+    const kind = LIST_ITEM_RE.test(line) ? 'list'
+      : TABLE_RE.test(line) ? 'table'
+        : current?.kind === 'list' && /^\s+/.test(line) ? 'list'
+          : 'paragraph';
+    if (!current || current.kind !== kind) start(kind, i);
+    current.lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// ---------- Splitting oversized blocks ----------
+
+function splitWords(text, maxTokens) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const parts = [];
+  let current = [];
+  for (const w of words) {
+    if (current.length && estimateTokens([...current, w].join(' ')) > maxTokens) {
+      parts.push(current.join(' '));
+      current = [];
     }
+    current.push(w);
   }
+  if (current.length) parts.push(current.join(' '));
+  return parts;
+}
+
+// Units a block can be broken into without cutting a sentence, list item or line
+function blockUnits(block) {
+  if (block.kind === 'list') return block.text.split(/\n(?=\s*(?:[-*+]|\d+[.)])\s+)/);
+  if (block.kind === 'code' || block.kind === 'table') return block.text.split('\n');
+  return block.text.split(SENTENCE_RE).filter(s => s.trim());
+}
 
-  // Handle last chunk
-  if (current.trim().length > 0) {
-    if (current.trim().length < MIN_CHUNK && chunks.length > 0) {
-      // Append tiny remainder to last chunk
-      chunks[chunks.length - 1] += ' ' + current.trim();
-    } else {
-      chunks.push(current.trim());
+function unitJoiner(kind) {
+  return kind === 'paragraph' ? ' ' : '\n';
+}
+
+/**
+ * Pieces of a block, each within maxTokens.
+ */
+function splitBlock(block, maxTokens) {
+  if (estimateTokens(block.text) <= maxTokens) return [block.text];
+  const join = unitJoiner(block.kind);
+  const pieces = [];
+  let current = '';
+  for (const unit of blockUnits(block)) {
+    const units = estimateTokens(unit) > maxTokens ? splitWords(unit, maxTokens) : [unit];
+    for (const u of units) {
+      if (current && estimateTokens(current + join + u) > maxTokens) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? current + join + u : u;
     }
   }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// The last whole sentences (list items) of a chunk's final piece, within `tokens`
+function overlapTail(text, kind, tokens) {
+  if (tokens <= 0 || kind === 'code' || kind === 'table') return '';
+  const units = blockUnits({ kind, text }).filter(u => u.trim());
+  const join = unitJoiner(kind);
+  const tail = [];
+  for (let i = units.length - 1; i >= 0; i--) {
+    if (estimateTokens([units[i], ...tail].join(join)) > tokens) break;
+    tail.unshift(units[i]);
+  }
+  if (tail.length > 0 && tail.length < units.length) return tail.join(join);
+  if (kind === 'list') return '';
+  // One long sentence: its last words instead
+  const words = text.split(/\s+/);
+  return words.slice(-Math.max(1, Math.floor(tokens * 4 / 6))).join(' ');
+}
+
+// ---------- Offsets ----------
+
+/**
+ * Find where a piece of chunk text sits in the original text, word by word
+ * from `from` on (pieces re-join words with single spaces), passing over
+ * words matching `skip`. Returns { start, end } or null when a word is
+ * missing.
+ */
+export function locate(text, piece, from = 0, skip = null) {
+  const words = piece.split(/\s+/).filter(w => w && !skip?.test(w));
+  if (!words.length) return null;
+  let start = -1;
+  let pos = from;
+  for (const word of words) {
+    const at = text.indexOf(word, pos);
+    if (at === -1) return null;
+    if (start === -1) start = at;
+    pos = at + word.length;
+  }
+  return { start, end: pos };
+}
+
+// Hands out spans of successive pieces, never moving backwards
+function locator(text, skip) {
+  let cursor = 0;
+  return (piece, from = 0) => {
+    if (text === undefined) return null;
+    const span = locate(text, piece, Math.max(cursor, from), skip);
+    if (span) cursor = span.end;
+    return span;
+  };
+}
+
+// ---------- Packing ----------
 
+/**
+ * Pack blocks into chunks of at most maxTokens, never mixing sections.
+ * With the original `text`, chunks get start/end offsets into it; `fromView`
+ * says the blocks were parsed from a Markdown view of it, not from it.
+ */
+export function packBlocks(blocks, { maxTokens, overlapTokens, minTokens }, text, { fromView = false } = {}) {
+  const chunks = [];
+  const find = locator(text, fromView ? MARKUP_WORD_RE : null);
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const content = current.parts.join('\n\n').trim();
+    const last = chunks[chunks.length - 1];
+    // A small tail of a section goes with the chunk before it
+    if (estimateTokens(content) < minTokens && last && last.heading === current.heading && current.continued) {
+      last.content += `\n\n${content.slice(current.overlap.length).trim()}`;
+      if (last.end !== null) last.end = current.end ?? last.end;
+    } else if (content) {
+      chunks.push({ content, heading: current.heading, start: current.start ?? null, end: current.end ?? null });
+    }
+    current = null;
+  };
+
+  for (const block of blocks) {
+    if (current && current.heading !== block.heading) flush();
+    // Room for the overlap a continuing chunk starts with
+    for (const piece of splitBlock(block, Math.max(maxTokens - overlapTokens, Math.ceil(maxTokens / 2)))) {
+      if (current && estimateTokens([...current.parts, piece].join('\n\n')) > maxTokens) {
+        const overlap = block.kind === 'code' || block.kind === 'table' ? '' : overlapTail(current.parts.at(-1), current.kind, overlapTokens);
+        flush();
+        current = { heading: block.heading, parts: overlap ? [overlap] : [], overlap, continued: true };
+      }
+      current ||= { heading: block.heading, parts: [], overlap: '', continued: false };
+      current.parts.push(piece);
+      current.kind = block.kind;
+      const span = find(piece, fromView ? 0 : block.start);
+      if (span) {
+        current.start ??= span.start;
+        current.end = span.end;
+      }
+    }
+  }
+  flush();
   return chunks;
 }
+
+// ---------- Chunkers ----------
+
+/**
+ * hh:mm:ss for a transcript line stamp or window heading.
+ */
+export function formatTimestamp(seconds) {
+  seconds = Math.floor(seconds);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function chunkTranscript(text, settings) {
+  const lines = text.split('\n').map(line => {
+    const m = line.match(TIMESTAMP_RE);
+    if (!m) return { time: null, text: line.trim() };
+    const time = parseInt(m[1] || '0', 10) * 3600 + parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+    return { time, text: line.slice(m[0].length).trim() };
+  }).filter(l => l.text);
+  if (!lines.some(l => l.time !== null)) return CHUNKERS.paragraph(text, settings);
+
+  const windows = [];
+  let current = null;
+  let lastTime = 0;
+  for (const line of lines) {
+    const time = line.time ?? lastTime;
+    lastTime = time;
+    const full = current && (time - current.start >= settings.windowSeconds
+      || estimateTokens([...current.texts, line.text].join(' ')) > settings.maxTokens);
+    if (!current || full) {
+      current = { start: time, end: time, texts: [] };
+      windows.push(current);
+    }
+    current.end = time;
+    current.texts.push(line.text);
+  }
+  const find = locator(text);
+  return windows.flatMap(w => splitWords(w.texts.join(' '), settings.maxTokens).map(content => {
+    const span = find(content);
+    return {
+      content,
+      heading: `${formatTimestamp(w.start)}–${formatTimestamp(w.end)}`,
+      start: span?.start ?? null,
+      end: span?.end ?? null,
+    };
+  }));
+}
+
+// Each takes the text to split, the settings and, when that text is a view,
+// the original text the offsets should point into
+export const CHUNKERS = {
+  markdown: (text, settings, original) => packBlocks(parseBlocks(text), settings, original ?? text, { fromView: original !== undefined }),
+  paragraph: (text, settings, original) => packBlocks(parseBlocks(text, { headings: false }), settings, original ?? text, { fromView: original !== undefined }),
+  transcript: chunkTranscript,
+};
+
+/**
+ * The chunking settings (config `chunking`) and chunker name for a source type.
+ */
+export function chunkerFor(sourceType, config = loadConfig()) {
+  const settings = config.chunking;
+  const name = settings.byType?.[sourceType] || settings.default;
+  if (!CHUNKERS[name]) throw new Error(`Unknown chunker "${name}" (expected ${Object.keys(CHUNKERS).join('|')})`);
+  return { name, settings };
+}
+
+/**
+ * Chunk text for a source type. Returns [{ content, heading, start, end }];
+ * text too short to split is one chunk. A `view` of the text (the Markdown
+ * rendering of an HTML page, see extract.js) is split instead when given,
+ * with offsets still pointing into `text`.
+ */
+export function chunkText(text, { sourceType, config, view } = {}) {
+  if (!text || !text.trim()) return [];
+  const { name, settings } = chunkerFor(sourceType, config);
+  const chunks = view ? CHUNKERS[name](view, settings, text) : CHUNKERS[name](text, settings);
+  if (chunks.length > 0) return chunks;
+  const start = text.length - text.trimStart().length;
+  return [{ content: text.trim(), heading: null, start, end: text.trimEnd().length }];
+}
+
+/**
+ * What gets embedded for a chunk: its heading breadcrumb, then its text.
+ * Transcript time ranges are left out; they carry no meaning to match on.
+ */
+export function embeddingText({ content, heading }) {
+  return heading && !TIME_RANGE_RE.test(heading) ? `${heading}\n\n${content}` : content;
+}
@@ -1,16 +1,283 @@
 #!/usr/bin/env node
 
+import { parseArgs } from 'util';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, createWriteStream } from 'fs';
+import { once } from 'events';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { getDb, closeDb } from './db.js';
-import { ingest } from './ingest.js';
-import { query } from './retrieve.js';
+import { ingest, ingestNote, updateNote } from './ingest.js';
+import { runImport, IMPORT_FORMATS } from './import.js';
+import { addFeed, listFeeds, findFeed, removeFeed, syncFeeds } from './feeds.js';
+import { refreshSources, staleSourceIds, sourceVersions } from './refresh.js';
+import { diffLines, diffStats, formatDiff } from './diff.js';
+import { ask, listAnswers, getAnswer } from './ask.js';
+import { summarizeSources, SUMMARY_BACKENDS, SUMMARY_CHUNK } from './summarize.js';
+import { ANALYSIS_TYPES, ANALYSIS_BACKENDS, analyzeSources, listAnalyses, analysisTypeStats } from './analyze.js';
+import { LEVEL_TYPES, levelsForSymbol, compareLevels, levelSymbols } from './levels.js';
+import { priceSourceSettings, fetchPrices, checkAlerts, listAlertEvents } from './alerts.js';
+import { REPORT_TYPES, REPORT_BACKENDS, createReport, listReports, getReport } from './report.js';
+import { startServer } from './server.js';
+import { query, SEARCH_MODES } from './retrieve.js';
+import { buildIndex, indexStatus, QUANTIZATIONS } from './vindex.js';
+import { acquireLock } from './lock.js';
+import { reembed, embeddingSpaces } from './reembed.js';
+import { FILTER_OPTIONS, FILTER_USAGE, filtersFromArgs, hasFilters, parseLabel, parseDate } from './filters.js';
+import { findSource, listSources, matchSourceIds, getSourceDetails, deleteSource, chunkWindow } from './sources.js';
+import { addLabels, removeLabels, labelsBySource, labelCounts, formatLabel } from './labels.js';
+import { cacheStats, cacheClear } from './embedcache.js';
+import { USAGE_GROUPS, usageReport, exportUsage } from './usage.js';
+import { serveMcp } from './mcp.js';
+import { EXPORT_FORMATS, exportJsonl, exportMarkdown, importDump } from './dump.js';
+import { loadConfig, getConfigValue, setConfigValue, parseConfigValue } from './config.js';
 
 const [,, cmd, ...args] = process.argv;
 
 const USAGE = `Usage:
-  kb ingest <url>       Ingest a URL into the knowledge base
-  kb list               List all ingested sources
+  kb ingest <url|path>  Ingest a URL or a local file (.pdf .md .txt .html .docx .epub)
+      --label <k=v>       Label the source; repeatable
+  kb ingest -           Ingest text from stdin as a note
+  kb import <file>      Ingest every link in a URL list (one per line), browser
+                        bookmarks HTML, Pocket/Instapaper CSV or OPML export;
+                        folders and tags become folder=/tag= labels
+      --format <f>        urls | bookmarks | csv | opml (default: detected)
+      --concurrency <n>   Links fetched in parallel (default: 4)
+      --label <k=v>       Extra label for every imported source; repeatable
+      --report <path>     Per-item JSONL report (default: one per input file
+                          under the data dir); re-running resumes from it
+      --restart           Ignore previous progress and start over
+  kb export             Export the knowledge base (accepts the query filters)
+      --format <f>        jsonl (default): sources with labels and analyses,
+                          one per line | markdown: an Obsidian vault, one note
+                          per source with YAML front matter
+      --out <path>        File (jsonl; default stdout) or folder (markdown)
+      --chunks            jsonl: include chunks and their vectors
+  kb import-dump <file> Restore a jsonl export; sources already here (same
+                        content, URL or ID) get its labels and missing
+                        analyses, new ones keep their IDs and dates and are
+                        embedded unless the export has their vectors
+  kb feed add <url>     Subscribe to an RSS, Atom or JSON feed
+      --skip-existing     Only ingest entries published after subscribing
+  kb feed ls            List feeds with entry counts and last sync
+  kb feed rm <id|url>   Unsubscribe (ingested sources are kept)
+  kb feed sync [<id|url>...]
+                        Ingest new entries of every (or the given) feed,
+                        labeled feed=<title>; cron-safe: skips quietly when
+                        another ingest holds the lock, exits 1 if a feed fails
+      --concurrency <n>   Entries fetched in parallel (default: 4)
+      --quiet             Only print new entries and errors
+  kb note "<text>"      Save a note (reads stdin when no text is given)
+      --title <t>         Title (default: first line of the note)
+      --label <k=v>       Label the note; repeatable
+  kb note edit <id> ["<text>"]
+                        Replace a note's text (from the argument, stdin, or
+                        $EDITOR) and re-embed it; --title renames it
+  kb list               List ingested sources (accepts the query filters)
+  kb show <id>          Show a source's details, labels, summary and full text
+      --chunk <n>         Print chunk n instead of the text (as cited by
+                          kb ask), with --context <k> chunks either side
+      --no-content        Leave out the full text
   kb delete <id>        Delete a source (and its chunks)
-  kb query <question>   Search the knowledge base`;
+  kb query <question>   Search the knowledge base
+      --mode <m>          vector | keyword | hybrid (default: hybrid)
+      --expand <k>        Show k neighbouring chunks either side of each hit
+      --per-source <n>    Show up to n passages per source (default: 1)
+      --min-score <x>     Drop passages scoring below x (cosine for vector,
+                          -BM25 for keyword, RRF for hybrid)
+      --mmr <lambda>      Rerank for diversity (maximal marginal relevance),
+                          0..1; lower favours variety, e.g. 0.7
+${FILTER_USAGE}
+  kb summarize <id>...  Summarize sources (config summary.backend: extractive
+                        offline, or llm via the llm endpoint)
+  kb summarize --all    Summarize every source without a summary (accepts the filters)
+      --force             Replace existing summaries
+      --backend <b>       extractive | llm for this run
+  kb refresh <id>       Re-extract a source; if its content changed, keep the
+                        old version and re-chunk/re-embed the new one
+  kb refresh --all      Refresh every source with a URL (accepts the filters)
+      --older-than <age>  Only those not refreshed (or ingested) within e.g. 30d
+  kb history <id>       List a source's versions and diff the latest change
+      --version <n>       Diff version n against the one before it
+      --context <n>       Unchanged lines around each change (default: 3)
+  kb ask <question>     Answer from the knowledge base with numbered citations
+                        (accepts --mode and the query filters)
+      --top <n>           Excerpts to retrieve (default: config ask.topK)
+      --budget <tokens>   Context token budget (default: config ask.contextTokens)
+      --model <m>         Chat model (default: config ask.model or llm.model)
+      --save              Keep the answer (always, with ask.save = true)
+  kb answers            List saved answers
+  kb answers show <id>  Show a saved answer with its sources
+  kb analyze <id>... --type <t>
+                        Run an LLM analysis: takeaways, claims, sentiment,
+                        action_items, levels (support/resistance/target/stop
+                        per symbol), or all; repeatable or comma-separated.
+                        Results from an older prompt version are redone
+  kb analyze <filters> --type <t>
+                        Analyze every matching source (--all for every
+                        source; filter source types with --source-type)
+      --force             Redo current results too
+      --model <m>         Chat model (default: config analyze.model or llm.model)
+      --backend <b>       llm (default) | regex (offline; levels only)
+  kb analyses           List analysis types with result counts
+  kb analyses <id>      Show a source's analyses (--type <t>, --json)
+  kb levels             List symbols with extracted price levels
+  kb levels <SYMBOL>    Current levels by author side by side, flagging
+                        authors who disagree, then each level's source
+      --since <date>      Only calls made (published) since
+      --type <t>          support | resistance | target | stop; repeatable
+  kb alerts check       Compare current prices with stored levels and record
+                        each level crossed (either direction) since the last
+                        check; one alert per level, direction and day, so
+                        it is safe to run from cron
+      --prices <src>      CSV/JSON file or http(s) JSON URL (default: config
+                          alerts.source)
+      --json              Print new alerts as JSON lines
+      --quiet             Only print new alerts
+  kb alerts ls          List recorded alerts (--since <date>, --symbol <s>)
+  kb report daily|weekly
+                        Digest of the sources ingested in the last day/week:
+                        highlights, topics, summaries by type, labels;
+                        printed as Markdown and saved
+      --window <a..b>     Report on this window instead (e.g. 2026-10-01..2026-10-07)
+      --backend <b>       template (offline, default) | llm
+      --model <m>         Chat model for the llm backend
+      --out <file>        Write the Markdown to a file
+      --no-save           Do not keep the report
+  kb report ls          List saved reports (--type daily|weekly)
+  kb report show <id>   Print a saved report (id or latest; --json for its data)
+  kb serve              Serve the JSON API (/api) and a search/ingest web page
+      --port <n>          Port (default: config server.port, 4177)
+      --host <h>          Interface (default: 127.0.0.1; others need a token in
+                          $KB_API_TOKEN, sent as Authorization: Bearer <token>)
+  kb mcp                Run a Model Context Protocol server on stdin/stdout
+                        for agents: tools search, get_source, list_sources,
+                        ingest (http(s) URL or note) and label; schemas in
+                        src/mcp.js and via tools/list
+  kb label add <id> <k=v>...   Add labels to a source
+  kb label rm <id> <k[=v]>...  Remove labels (bare key: every value)
+  kb label add|rm <filters> <k=v>...
+                        Bulk (un)label every source matching the query
+                        filters above, e.g. kb label add --site x.com via=x
+  kb label ls [<id>]    Labels of a source, or all labels with counts
+  kb reembed            Re-embed chunks not yet in the target provider/model
+      --provider <p>      Target provider (default: first in embedding.order)
+      --model <m>         Target model (default: the provider's configured model)
+      --source <id>       Only this source
+      --batch <n>         Chunks per batch (default: 50); safe to interrupt
+  kb index status       Show vector index coverage per embedding dimension
+  kb index rebuild      Rebuild the ANN vector index from stored chunks
+      --quantization <q>  none | float16 | int8 (default: config index.quantization)
+      --lists <n>         Number of IVF lists (default: sqrt(chunks))
+  kb cache stats        Show embedding cache size and hit counts
+  kb cache clear        Empty the embedding cache
+      --provider <p>      Only entries from this provider
+      --model <m>         Only entries from this model
+  kb usage              Embedding tokens sent to providers (cache hits are
+                        free) with their cost at the manifest's
+                        billing.metering.embedding_tokens rate per token
+                        (only google and openai are billed; hash and local
+                        are free)
+      --since <date>      Only usage since (--until <date> to end earlier)
+      --by <g>            provider (default) | day | source | operation
+      --json              Print the totals as JSON
+      --export            Print a metering document for the ClawPanel host
+                          (per-record ids to deduplicate on); --out <file>
+  kb config             Show this knowledge base's settings
+  kb config get <key>   Show one setting (dotted key, e.g. embedding.order)
+  kb config set <key> <value>
+                        Change a setting (JSON values accepted)
+  kb config unset <key> Remove a setting
+
+Embedding providers: google, openai, local (OpenAI-compatible server,
+e.g. Ollama), hash (offline). Choose per knowledge base, e.g.:
+  kb config set embedding.order '["local","hash"]'
+  kb config set embedding.providers.local.model nomic-embed-text`;
+
+async function readStdin() {
+  const parts = [];
+  for await (const chunk of process.stdin) parts.push(chunk);
+  return Buffer.concat(parts).toString('utf-8');
+}
+
+function editInEditor(text) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir = mkdtempSync(join(tmpdir(), 'kb-note-'));
+  const file = join(dir, 'note.md');
+  try {
+    writeFileSync(file, text);
+    const res = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    if (res.status !== 0) throw new Error(`Editor exited with status ${res.status}`);
+    return readFileSync(file, 'utf-8');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function printIngestResult(result) {
+  if (result.status === 'ok') {
+    console.log(`\n✅ Ingested: "${result.title}"`);
+    console.log(`   ID:     ${result.sourceId}`);
+    console.log(`   Type:   ${result.sourceType}`);
+    console.log(`   Chunks: ${result.chunks}`);
+    console.log(`   Embed:  ${result.provider}`);
+  } else if (result.status === 'duplicate_url' || result.status === 'duplicate_content') {
+    console.log(`\n⚠️  Duplicate: ${result.message}`);
+    if (result.status === 'duplicate_url') console.log(`   Run \`kb refresh ${result.sourceId.slice(0, 8)}\` to fetch it again.`);
+  } else {
+    console.error(`\n❌ Failed: ${result.message}`);
+    process.exit(1);
+  }
+}
+
+// Authors shown side by side in `kb levels`; the rest are only listed below
+const MAX_LEVEL_COLUMNS = 5;
+
+function printLevels(rows) {
+  const sources = new Set(rows.map(r => r.source_id));
+  console.log(`📈 ${rows[0].symbol} — ${rows.length} level(s) from ${sources.size} source(s)\n`);
+
+  // Most recent authors first
+  const authors = [...new Set(rows.map(r => r.author))].slice(0, MAX_LEVEL_COLUMNS);
+  const groups = compareLevels(rows);
+  const cells = groups.map(g => authors.map(a => (g.authors.get(a) || []).map(v => String(v)).join('/') || '—'));
+  const widths = authors.map((a, i) => Math.max(a.length, ...cells.map(row => row[i].length)));
+  const pad = (text, i) => text.padEnd(widths[i]);
+
+  console.log(`  ${''.padEnd(12)}${authors.map(pad).join('  ')}`.trimEnd());
+  groups.forEach((g, row) => {
+    console.log(`  ${g.level_type.padEnd(12)}${cells[row].map(pad).join('  ')}${g.conflict ? '  ⚠️  authors disagree' : ''}`.trimEnd());
+  });
+  const hidden = new Set(rows.map(r => r.author)).size - authors.length;
+  if (hidden > 0) console.log(`  (+${hidden} more author(s) below)`);
+
+  console.log('');
+  for (const r of rows) {
+    console.log(`  ${r.level_type.padEnd(11)} ${String(r.level_value).padEnd(10)} ${(r.horizon || '—').padEnd(12)} ${r.date.slice(0, 10)}  ${r.author}`);
+    console.log(`  ${''.padEnd(11)} [${r.source_id.slice(0, 8)}] ${r.title || r.url}${r.model === 'regex' ? ' (regex)' : ''}`);
+  }
+}
+
+function printAnswer({ status, answer, citations }) {
+  console.log(status === 'no_material' ? `🤷 ${answer}` : `💬 ${answer}`);
+  if (citations.length === 0) return;
+  console.log('\nSources:');
+  for (const c of citations) {
+    console.log(`  [${c.n}] ${c.title || '(untitled)'}`);
+    const where = c.chunk_index === SUMMARY_CHUNK ? 'summary' : `chunk ${c.chunk_index}${c.heading ? ` (§ ${c.heading})` : ''}`;
+    console.log(`      ${c.url || '(no url)'} · source ${c.source_id.slice(0, 8)} · ${where}`);
+  }
+}
+
+// One chunk of a chunkWindow, the hit marked with ▶
+function printChunk(c, hit, indent = '') {
+  const where = [`chunk ${c.chunk_index}`];
+  if (c.heading) where.push(`§ ${c.heading}`);
+  if (c.char_start !== null) where.push(`chars ${c.char_start}–${c.char_end}`);
+  console.log(`${indent}${hit ? '▶' : '─'} ${where.join(' · ')}`);
+  for (const line of c.text.split('\n')) console.log(`${indent}  ${line}`.trimEnd());
+  console.log();
+}
 
 async function main() {
   if (!cmd || cmd === 'help' || cmd === '--help') {
@@ -20,67 +287,408 @@ async function main() {
 
   switch (cmd) {
     case 'ingest': {
-      const url = args.join(' ');
-      if (!url) { console.error('Error: URL required.\n' + USAGE); process.exit(1); }
+      const { values, positionals } = parseArgs({
+        args,
+        options: { label: { type: 'string', multiple: true } },
+        allowPositionals: true,
+      });
+      const url = positionals.join(' ');
+      if (!url) { console.error('Error: URL or file path required.\n' + USAGE); process.exit(1); }
+      const labels = (values.label || []).map(parseLabel);
+      if (url === '-') {
+        console.log('Ingesting note from stdin');
+        printIngestResult(await ingestNote(await readStdin(), { labels }));
+        break;
+      }
       console.log(`Ingesting: ${url}`);
-      const result = await ingest(url);
-      if (result.status === 'ok') {
-        console.log(`\n✅ Ingested: "${result.title}"`);
-        console.log(`   ID:     ${result.sourceId}`);
-        console.log(`   Type:   ${result.sourceType}`);
-        console.log(`   Chunks: ${result.chunks}`);
-        console.log(`   Embed:  ${result.provider}`);
-      } else if (result.status === 'duplicate_url' || result.status === 'duplicate_content') {
-        console.log(`\n⚠️  Duplicate: ${result.message}`);
+      printIngestResult(await ingest(url, { labels }));
+      break;
+    }
+
+    case 'import': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          format: { type: 'string' },
+          concurrency: { type: 'string' },
+          label: { type: 'string', multiple: true },
+          report: { type: 'string' },
+          restart: { type: 'boolean', default: false },
+        },
+        allowPositionals: true,
+      });
+      const file = positionals[0];
+      if (!file) { console.error('Error: Import file required.\n' + USAGE); process.exit(1); }
+      if (values.format && !IMPORT_FORMATS.includes(values.format)) {
+        console.error(`Error: --format must be one of ${IMPORT_FORMATS.join(', ')}`);
+        process.exit(1);
+      }
+      const text = file === '-' ? await readStdin() : readFileSync(file, 'utf-8');
+      const live = process.stdout.isTTY;
+      const result = await runImport(text, {
+        format: values.format,
+        fileName: file,
+        labels: (values.label || []).map(parseLabel),
+        concurrency: values.concurrency ? parseInt(values.concurrency, 10) : undefined,
+        reportPath: values.report,
+        restart: values.restart,
+        onProgress: ({ done, total, counts, entry }) => {
+          const tally = `ok ${counts.ok} · duplicate ${counts.duplicate} · invalid ${counts.invalid} · failed ${counts.failed}`;
+          if (live) process.stdout.write(`\r  [${done}/${total}] ${tally}`);
+          else console.log(`  [${done}/${total}] ${entry.result.padEnd(9)} ${entry.url}`);
+        },
+      });
+      if (live) process.stdout.write('\n');
+
+      const { counts } = result;
+      console.log(`\n📥 Imported ${result.total} link(s) from ${result.format}` +
+        (result.skipped ? ` (${result.skipped} already done in a previous run)` : ''));
+      console.log(`   ok ${counts.ok} · duplicate ${counts.duplicate} · invalid ${counts.invalid} · failed ${counts.failed}`);
+      console.log(`   Report: ${result.reportPath}`);
+      if (counts.failed > 0) console.log('   Run the same import again to retry failed links.');
+      break;
+    }
+
+    case 'export': {
+      const { values } = parseArgs({
+        args,
+        options: {
+          format: { type: 'string', default: 'jsonl' },
+          out: { type: 'string' },
+          chunks: { type: 'boolean', default: false },
+          ...FILTER_OPTIONS,
+        },
+      });
+      if (!EXPORT_FORMATS.includes(values.format)) { console.error(`Error: --format must be one of ${EXPORT_FORMATS.join(', ')}`); process.exit(1); }
+      const filters = filtersFromArgs(values);
+      if (values.format === 'markdown') {
+        if (!values.out) { console.error('Error: --out <dir> required for the markdown format'); process.exit(1); }
+        const count = exportMarkdown(values.out, { filters });
+        console.log(`📤 Exported ${count} source(s) to ${values.out}`);
+      } else if (values.out) {
+        const stream = createWriteStream(values.out);
+        const count = await exportJsonl(stream, { filters, chunks: values.chunks });
+        stream.end();
+        await once(stream, 'finish');
+        console.log(`📤 Exported ${count} source(s) to ${values.out}${values.chunks ? ' (with chunks and vectors)' : ''}`);
+      } else {
+        await exportJsonl(process.stdout, { filters, chunks: values.chunks });
+      }
+      break;
+    }
+
+    case 'import-dump': {
+      const file = args[0];
+      if (!file) { console.error('Error: Export file required (from kb export --format jsonl).\n' + USAGE); process.exit(1); }
+      const icons = { added: '✅', merged: '🔀', failed: '❌' };
+      const counts = await importDump(file, {
+        onResult: (record, status, message) => {
+          console.log(`${icons[status]} ${status.padEnd(6)} ${record.title || record.url || record.id}${message ? ` — ${message}` : ''}`);
+        },
+      });
+      console.log(`\n📥 ${counts.added} added · ${counts.merged} merged · ${counts.failed} failed`
+        + ` · ${counts.embedded} embedded · ${counts.analyses} analyses restored`
+        + (counts.analyses_skipped ? ` (${counts.analyses_skipped} of unknown types skipped)` : ''));
+      if (counts.failed > 0) process.exit(1);
+      break;
+    }
+
+    case 'feed': {
+      const sub = args[0];
+      const { values, positionals } = parseArgs({
+        args: args.slice(1),
+        options: {
+          'skip-existing': { type: 'boolean', default: false },
+          concurrency: { type: 'string' },
+          quiet: { type: 'boolean', default: false },
+        },
+        allowPositionals: true,
+      });
+
+      if (sub === 'add') {
+        const url = positionals[0];
+        if (!url) { console.error('Error: Feed URL required.\n' + USAGE); process.exit(1); }
+        const result = await addFeed(url, { skipExisting: values['skip-existing'] });
+        if (result.status === 'exists') {
+          console.log(`⚠️  Already subscribed: "${result.feed.title}" (${result.feed.id})`);
+          break;
+        }
+        console.log(`📡 Subscribed: "${result.feed.title}" (${result.feed.format})`);
+        console.log(`   ID:      ${result.feed.id}`);
+        console.log(values['skip-existing']
+          ? `   ${result.entries} current entr${result.entries === 1 ? 'y' : 'ies'} skipped; run \`kb feed sync\` for new ones`
+          : `   ${result.entries} entr${result.entries === 1 ? 'y' : 'ies'}; run \`kb feed sync\` to ingest them`);
+      } else if (sub === 'ls') {
+        const feeds = listFeeds();
+        if (feeds.length === 0) { console.log('No feeds. Add one with `kb feed add <url>`.'); break; }
+        console.log(`${feeds.length} feed(s):\n`);
+        for (const f of feeds) {
+          console.log(`  ${f.id.slice(0, 8)}  ${f.title || '(untitled)'}  [${f.format || '?'}]`);
+          console.log(`           ${f.url}`);
+          console.log(`           ${f.source_count} source(s) from ${f.entry_count} entries · last sync ${f.last_checked_at || 'never'}`);
+          if (f.last_error) console.log(`           ❌ ${f.last_error}`);
+          console.log();
+        }
+      } else if (sub === 'rm') {
+        const feed = findFeed(positionals[0]);
+        if (!feed) { console.error(`Feed not found: ${positionals[0] || ''}`); process.exit(1); }
+        removeFeed(feed.id);
+        console.log(`🗑️  Unsubscribed: "${feed.title}" (${feed.id})`);
+      } else if (sub === 'sync') {
+        const feedIds = positionals.map(p => {
+          const feed = findFeed(p);
+          if (!feed) { console.error(`Feed not found: ${p}`); process.exit(1); }
+          return feed.id;
+        });
+        const quiet = values.quiet;
+        let result;
+        try {
+          result = await syncFeeds({
+            feedIds,
+            concurrency: values.concurrency ? parseInt(values.concurrency, 10) : undefined,
+            onFeed: ({ feed, status, newEntries, error }) => {
+              if (status === 'error') console.error(`❌ ${feed.title}: ${error.message}`);
+              else if (!quiet || newEntries > 0) console.log(`📡 ${feed.title}: ${newEntries} new`);
+            },
+            onEntry: ({ entry, result }) => {
+              if (quiet && result.kind !== 'ok' && result.kind !== 'failed') return;
+              const line = `   ${result.kind.padEnd(9)} ${entry.title || entry.url}`;
+              if (result.kind === 'failed') console.error(`${line} (${result.message})`);
+              else console.log(line);
+            },
+          });
+        } catch (err) {
+          if (err.code !== 'ELOCKED') throw err;
+          console.error('Another ingestion is running; skipping this sync.');
+          break;
+        }
+        const { counts } = result;
+        if (!quiet || counts.ok + counts.failed + result.errors > 0) {
+          console.log(`\n✅ Synced ${result.feeds} feed(s): ok ${counts.ok} · duplicate ${counts.duplicate} · invalid ${counts.invalid} · failed ${counts.failed}`);
+        }
+        if (result.errors > 0) process.exitCode = 1;
       } else {
-        console.error(`\n❌ Failed: ${result.message}`);
+        console.error('Usage: kb feed add <url> | ls | rm <id|url> | sync [<id|url>...]');
         process.exit(1);
       }
       break;
     }
 
+    case 'note': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: { title: { type: 'string' }, label: { type: 'string', multiple: true } },
+        allowPositionals: true,
+      });
+
+      if (positionals[0] === 'edit') {
+        const id = positionals[1];
+        if (!id) { console.error('Error: Note ID required.\n' + USAGE); process.exit(1); }
+        const source = findSource(id);
+        if (!source) { console.error(`Source not found: ${id}`); process.exit(1); }
+        if (source.source_type !== 'note') {
+          console.error(`Only notes can be edited; "${source.title}" is a ${source.source_type}.`);
+          process.exit(1);
+        }
+
+        let text = positionals.slice(2).join(' ') || undefined;
+        if (text === undefined && !process.stdin.isTTY) text = (await readStdin()) || undefined;
+        if (text === undefined && !values.title) {
+          const { raw_content } = getDb().prepare('SELECT raw_content FROM sources WHERE id = ?').get(source.id);
+          text = editInEditor(raw_content);
+          if (text.trim() === raw_content.trim()) { console.log('No changes.'); break; }
+        }
+
+        const result = await updateNote(source.id, { text, title: values.title });
+        if (result.status !== 'ok') {
+          console.error(`\n❌ Failed: ${result.message}`);
+          process.exit(1);
+        }
+        console.log(`\n✏️  Updated: "${result.title}" (${result.sourceId})`);
+        console.log(`   Chunks: ${result.chunks}`);
+        if (result.provider) console.log(`   Embed:  ${result.provider}`);
+        break;
+      }
+
+      let text = positionals.join(' ');
+      if (!text && !process.stdin.isTTY) text = await readStdin();
+      if (!text.trim()) { console.error('Error: Note text required (as an argument or on stdin).\n' + USAGE); process.exit(1); }
+      const labels = (values.label || []).map(parseLabel);
+      printIngestResult(await ingestNote(text, { title: values.title, labels }));
+      break;
+    }
+
     case 'list': {
+      const { values } = parseArgs({ args, options: FILTER_OPTIONS });
+      const filters = filtersFromArgs(values);
       const db = getDb();
-      const sources = db.prepare(`
-        SELECT s.id, s.url, s.title, s.source_type, s.created_at,
-               (SELECT COUNT(*) FROM chunks c WHERE c.source_id = s.id) as chunk_count
-        FROM sources s
-        ORDER BY s.created_at DESC
-      `).all();
+      const sources = listSources(filters);
       if (sources.length === 0) {
-        console.log('No sources ingested yet.');
+        console.log(hasFilters(filters) ? 'No matching sources.' : 'No sources ingested yet.');
       } else {
+        const spaces = embeddingSpaces(db);
+        if (spaces.length > 1) {
+          console.log('⚠️  Mixed embedding models — vectors from different models are never compared:');
+          for (const sp of spaces) {
+            console.log(`     ${sp.provider}/${sp.model} (${sp.dim}d): ${sp.chunks} chunks in ${sp.sources} source(s)`);
+          }
+          console.log('   Run `kb reembed` to move everything to one model.\n');
+        }
         console.log(`${sources.length} source(s):\n`);
         for (const s of sources) {
           console.log(`  ${s.id.slice(0, 8)}  [${s.source_type}]  ${s.title || '(untitled)'}`);
           console.log(`           ${s.url || '(no url)'}`);
+          if (s.summary) console.log(`           ${s.summary.length > 160 ? s.summary.slice(0, 159) + '…' : s.summary}`);
           console.log(`           ${s.chunk_count} chunks · ${s.created_at}`);
+          if (s.labels.length > 0) console.log(`           🏷️  ${s.labels.map(formatLabel).join(', ')}`);
           console.log();
         }
       }
       break;
     }
 
+    case 'show': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          chunk: { type: 'string' },
+          context: { type: 'string', default: '0' },
+          'no-content': { type: 'boolean', default: false },
+        },
+        allowPositionals: true,
+      });
+      const id = positionals[0];
+      if (!id) { console.error('Error: Source ID required.\n' + USAGE); process.exit(1); }
+      const found = findSource(id);
+      if (!found) { console.error(`Source not found: ${id}`); process.exit(1); }
+      const s = getSourceDetails(found.id);
+      console.log(`${s.title || '(untitled)'}\n`);
+
+      if (values.chunk !== undefined) {
+        const n = parseInt(values.chunk, 10);
+        const context = parseInt(values.context, 10);
+        if (!Number.isInteger(n) || n < 0 || !Number.isInteger(context) || context < 0) {
+          console.error('Error: --chunk and --context take a number >= 0.');
+          process.exit(1);
+        }
+        const chunks = chunkWindow(s.id, n, context);
+        if (!chunks.some(c => c.chunk_index === n)) {
+          console.error(`No chunk ${n} (this source has chunks 0-${s.chunks.count - 1}).`);
+          process.exit(1);
+        }
+        for (const c of chunks) printChunk(c, c.chunk_index === n);
+        break;
+      }
+
+      console.log(`  ID:       ${s.id}`);
+      console.log(`  Type:     ${s.source_type}`);
+      console.log(`  URL:      ${s.url || '(no url)'}`);
+      console.log(`  Added:    ${s.created_at}`);
+      if (s.updated_at && s.updated_at !== s.created_at) console.log(`  Changed:  ${s.updated_at}`);
+      if (s.refreshed_at) console.log(`  Checked:  ${s.refreshed_at}`);
+      console.log(`  Chunks:   ${s.chunks.count}${s.chunks.provider ? ` (${s.chunks.provider}/${s.chunks.model}, ${s.chunks.dim}d)` : ''}`);
+      console.log(`  Length:   ${(s.raw_content || '').length} chars`);
+      if (s.labels.length > 0) console.log(`  Labels:   ${s.labels.map(formatLabel).join(', ')}`);
+      for (const [key, value] of Object.entries(s.metadata)) {
+        console.log(`  ${(key + ':').padEnd(9)} ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+      }
+      console.log(`\nSummary:\n  ${s.summary || '(none — run `kb summarize ' + s.id.slice(0, 8) + '`)'}`);
+      if (!values['no-content']) console.log(`\nContent:\n\n${s.raw_content || '(none)'}`);
+      break;
+    }
+
+    case 'summarize': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          all: { type: 'boolean', default: false },
+          force: { type: 'boolean', default: false },
+          backend: { type: 'string' },
+          ...FILTER_OPTIONS,
+        },
+        allowPositionals: true,
+      });
+      if (values.backend && !SUMMARY_BACKENDS.includes(values.backend)) {
+        console.error(`Error: --backend must be one of ${SUMMARY_BACKENDS.join(', ')}`);
+        process.exit(1);
+      }
+      let ids;
+      if (positionals.length > 0) {
+        ids = positionals.map(p => {
+          const source = findSource(p);
+          if (!source) { console.error(`Source not found: ${p}`); process.exit(1); }
+          return source.id;
+        });
+      } else if (values.all) {
+        ids = matchSourceIds(filtersFromArgs(values));
+      } else {
+        console.error('Error: Source ID or --all required.\n' + USAGE);
+        process.exit(1);
+      }
+
+      // Explicit IDs are re-summarized; --all only fills in missing ones
+      const force = values.force || positionals.length > 0;
+      const counts = await summarizeSources(ids, {
+        force,
+        backend: values.backend,
+        onResult: (source, result) => {
+          if (result.status === 'skipped') return;
+          if (result.status === 'ok') {
+            console.log(`  📝 ${source.title} (${result.backend})`);
+            console.log(`     ${result.summary.length > 200 ? result.summary.slice(0, 199) + '…' : result.summary}`);
+          } else {
+            console.log(`  ${result.status === 'failed' ? '❌' : '  '} ${source.title}: ${result.message}`);
+          }
+        },
+      });
+      console.log(`\n✅ ${Object.entries(counts).map(([k, n]) => `${k} ${n}`).join(' · ') || 'nothing to do'}`);
+      if (counts.failed) process.exitCode = 1;
+      break;
+    }
+
     case 'delete': {
       const id = args[0];
       if (!id) { console.error('Error: Source ID required.\n' + USAGE); process.exit(1); }
-      const db = getDb();
-      // Support partial ID match
-      const source = db.prepare('SELECT id, title FROM sources WHERE id = ? OR id LIKE ?').get(id, id + '%');
+      const source = findSource(id);
       if (!source) {
         console.error(`Source not found: ${id}`);
         process.exit(1);
       }
-      db.prepare('DELETE FROM sources WHERE id = ?').run(source.id);
+      deleteSource(source.id);
       console.log(`🗑️  Deleted: "${source.title}" (${source.id})`);
       break;
     }
 
     case 'query': {
-      const question = args.join(' ');
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          mode: { type: 'string', short: 'm', default: 'hybrid' },
+          expand: { type: 'string', default: '0' },
+          'per-source': { type: 'string', default: '1' },
+          'min-score': { type: 'string' },
+          mmr: { type: 'string' },
+          ...FILTER_OPTIONS,
+        },
+        allowPositionals: true,
+      });
+      const filters = filtersFromArgs(values);
+      const expand = parseInt(values.expand, 10);
+      if (!Number.isInteger(expand) || expand < 0) { console.error('Error: --expand takes a number >= 0.'); process.exit(1); }
+      const perSource = parseInt(values['per-source'], 10);
+      if (!Number.isInteger(perSource) || perSource < 1) { console.error('Error: --per-source takes a number >= 1.'); process.exit(1); }
+      const minScore = values['min-score'] === undefined ? null : Number(values['min-score']);
+      if (Number.isNaN(minScore)) { console.error('Error: --min-score takes a number.'); process.exit(1); }
+      const mmr = values.mmr === undefined ? null : Number(values.mmr);
+      if (mmr !== null && !(mmr >= 0 && mmr <= 1)) { console.error('Error: --mmr takes a lambda between 0 and 1.'); process.exit(1); }
+      const question = positionals.join(' ');
       if (!question) { console.error('Error: Question required.\n' + USAGE); process.exit(1); }
-      console.log(`Searching: "${question}"\n`);
-      const results = await query(question);
+      if (!SEARCH_MODES.includes(values.mode)) {
+        console.error(`Error: --mode must be one of ${SEARCH_MODES.join(', ')}.`);
+        process.exit(1);
+      }
+      console.log(`Searching (${values.mode}): "${question}"\n`);
+      const results = await query(question, { mode: values.mode, filters, expand, perSource, minScore, mmr });
       if (results.length === 0) {
         console.log('No results found.');
       } else {
@@ -88,13 +696,612 @@ async function main() {
           const r = results[i];
           console.log(`${i + 1}. [${r.score.toFixed(3)}] ${r.title || '(untitled)'}`);
           console.log(`   ${r.url || '(no url)'}`);
-          console.log(`   ${r.excerpt.slice(0, 200)}${r.excerpt.length > 200 ? '…' : ''}`);
+          for (const p of r.passages || [r]) {
+            // Passages after the best one carry their own score
+            const score = p === r.passages?.[0] || !r.passages ? '' : `[${p.score.toFixed(3)}] `;
+            if (p.heading || score) console.log(`   ${score}${p.heading ? `§ ${p.heading}` : `chunk ${p.chunk_index}`}`);
+            if (p.context?.length) {
+              console.log();
+              for (const c of p.context) printChunk(c, c.chunk_index === p.chunk_index, '   ');
+              console.log(`   (kb show ${r.source_id.slice(0, 8)} --chunk ${p.chunk_index} --context ${expand})`);
+            } else {
+              const excerpt = p.excerpt.replace(/\s+/g, ' ');
+              console.log(`   ${excerpt.slice(0, 200)}${excerpt.length > 200 ? '…' : ''}`);
+            }
+          }
           console.log();
         }
       }
       break;
     }
 
+    case 'ask': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          mode: { type: 'string', short: 'm' },
+          top: { type: 'string' },
+          budget: { type: 'string' },
+          model: { type: 'string' },
+          save: { type: 'boolean' },
+          ...FILTER_OPTIONS,
+        },
+        allowPositionals: true,
+      });
+      const question = positionals.join(' ');
+      if (!question) { console.error('Error: Question required.\n' + USAGE); process.exit(1); }
+      const result = await ask(question, {
+        mode: values.mode,
+        topK: values.top ? parseInt(values.top, 10) : undefined,
+        contextTokens: values.budget ? parseInt(values.budget, 10) : undefined,
+        model: values.model,
+        save: values.save,
+        filters: filtersFromArgs(values),
+      });
+      printAnswer(result);
+      if (result.id) console.log(`\n💾 Saved as ${result.id.slice(0, 8)} (kb answers show ${result.id.slice(0, 8)})`);
+      break;
+    }
+
+    case 'answers': {
+      const [action, id] = args;
+      if (!action || action === 'ls') {
+        const answers = listAnswers();
+        if (answers.length === 0) { console.log('No saved answers. Use `kb ask --save`.'); break; }
+        for (const a of answers) {
+          console.log(`  ${a.id.slice(0, 8)}  ${a.created_at.slice(0, 10)}  ${a.question}${a.status === 'no_material' ? '  (no material)' : ''}`);
+        }
+      } else if (action === 'show' && id) {
+        const answer = getAnswer(id);
+        if (!answer) { console.error(`Answer not found: ${id}`); process.exit(1); }
+        console.log(`❓ ${answer.question}`);
+        console.log(`   ${answer.created_at}${answer.model ? ` · ${answer.model}` : ''}\n`);
+        printAnswer(answer);
+      } else {
+        console.error('Usage: kb answers [ls] | kb answers show <id>');
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'analyze': {
+      // --type names the analysis here, so the source-type filter is --source-type
+      const { values, positionals } = parseArgs({
+        args,
+        options: {
+          ...FILTER_OPTIONS,
+          type: { type: 'string', multiple: true },
+          'source-type': FILTER_OPTIONS.type,
+          all: { type: 'boolean', default: false },
+          force: { type: 'boolean', default: false },
+          model: { type: 'string' },
+          backend: { type: 'string', default: 'llm' },
+        },
+        allowPositionals: true,
+      });
+      if (!ANALYSIS_BACKENDS.includes(values.backend)) {
+        console.error(`Error: --backend must be one of ${ANALYSIS_BACKENDS.join(', ')}`);
+        process.exit(1);
+      }
+      const types = (values.type || []).flatMap(t => t.split(','));
+      if (types.length === 0) {
+        console.error(`Error: --type required (${Object.keys(ANALYSIS_TYPES).join(', ')}, or all)`);
+        process.exit(1);
+      }
+      if (types.includes('all')) {
+        const all = Object.keys(ANALYSIS_TYPES).filter(t => values.backend !== 'regex' || ANALYSIS_TYPES[t].extract);
+        types.splice(0, types.length, ...all);
+      }
+      const unknown = types.filter(t => !ANALYSIS_TYPES[t]);
+      if (unknown.length > 0) {
+        console.error(`Unknown analysis type: ${unknown.join(', ')} (expected ${Object.keys(ANALYSIS_TYPES).join(', ')})`);
+        process.exit(1);
+      }
+      const llmOnly = values.backend === 'regex' ? types.filter(t => !ANALYSIS_TYPES[t].extract) : [];
+      if (llmOnly.length > 0) {
+        console.error(`No regex backend for: ${llmOnly.join(', ')}`);
+        process.exit(1);
+      }
+
+      const filters = filtersFromArgs({ ...values, type: values['source-type'] });
+      let ids;
+      if (positionals.length > 0) {
+        ids = positionals.map(p => {
+          const source = findSource(p);
+          if (!source) { console.error(`Source not found: ${p}`); process.exit(1); }
+          return source.id;
+        });
+      } else if (values.all || hasFilters(filters)) {
+        ids = matchSourceIds(filters);
+      } else {
+        console.error('Error: Source ID, filters or --all required.\n' + USAGE);
+        process.exit(1);
+      }
+      if (ids.length === 0) { console.log('No matching sources.'); break; }
+
+      console.log(`Analyzing ${ids.length} source(s): ${types.join(', ')}...`);
+      const counts = await analyzeSources(ids, types, {
+        force: values.force,
+        model: values.model,
+        backend: values.backend,
+        onResult: (source, type, result) => {
+          const label = `${source.title || source.url} · ${type}`;
+          if (result.status === 'ok') {
+            const why = result.previous ? ` (was ${result.previous})` : '';
+            const confidence = typeof result.confidence === 'number' ? `, confidence ${result.confidence.toFixed(2)}` : '';
+            const found = type === 'levels' ? `, ${result.output.levels.length} level(s)` : '';
+            console.log(`  🔍 ${label}${why} — ${result.model}${confidence}${found}`);
+          } else {
+            console.log(`  ${result.status === 'failed' ? '❌' : '  '} ${label}: ${result.message}`);
+          }
+        },
+      });
+      console.log(`\n✅ ${Object.entries(counts).map(([k, n]) => `${k} ${n}`).join(' · ')}`);
+      if (counts.failed) process.exitCode = 1;
+      break;
+    }
+
+    case 'analyses': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: { type: { type: 'string' }, json: { type: 'boolean', default: false } },
+        allowPositionals: true,
+      });
+      const id = positionals[0];
+      if (!id) {
+        console.log('Analysis types:\n');
+        for (const t of analysisTypeStats()) {
+          const outdated = t.outdated ? `, ${t.outdated} outdated` : '';
+          console.log(`  ${t.name.padEnd(14)} ${t.title} (${t.version}) — ${t.current} source(s)${outdated}`);
+        }
+        break;
+      }
+      const source = findSource(id);
+      if (!source) { console.error(`Source not found: ${id}`); process.exit(1); }
+      const analyses = listAnalyses(source.id, { type: values.type });
+      if (values.json) { console.log(JSON.stringify(analyses.map(a => ({ ...a, output_json: undefined })), null, 2)); break; }
+      if (analyses.length === 0) {
+        console.log(`No analyses for "${source.title}". Run \`kb analyze ${source.id.slice(0, 8)} --type <type>\`.`);
+        break;
+      }
+      console.log(`${source.title}\n`);
+      for (const a of analyses) {
+        const title = ANALYSIS_TYPES[a.analysis_type]?.title || a.analysis_type;
+        const meta = [a.model, a.prompt_version, a.confidence !== null && `confidence ${a.confidence.toFixed(2)}`, a.created_at.slice(0, 10)];
+        console.log(`## ${title}`);
+        console.log(`   ${meta.filter(Boolean).join(' · ')}${a.outdated ? '  (outdated: re-run kb analyze)' : ''}\n`);
+        console.log(`${a.output_markdown}\n`);
+      }
+      break;
+    }
+
+    case 'levels': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: { since: { type: 'string' }, type: { type: 'string', multiple: true } },
+        allowPositionals: true,
+      });
+      const symbol = positionals[0];
+      if (!symbol) {
+        const symbols = levelSymbols();
+        if (symbols.length === 0) { console.log('No levels yet. Run `kb analyze <filters> --type levels` (--backend regex works offline).'); break; }
+        for (const s of symbols) {
+          console.log(`  ${s.symbol.padEnd(10)} ${s.levels} level(s) from ${s.sources} source(s) · latest ${s.latest.slice(0, 10)}`);
+        }
+        break;
+      }
+      const types = values.type?.flatMap(t => t.split(','));
+      const badType = types?.find(t => !LEVEL_TYPES.includes(t));
+      if (badType) { console.error(`Error: --type must be one of ${LEVEL_TYPES.join(', ')}`); process.exit(1); }
+
+      const rows = levelsForSymbol(symbol, { since: values.since ? parseDate(values.since) : undefined, types });
+      if (rows.length === 0) { console.log(`No levels for ${symbol.toUpperCase()}.`); break; }
+      printLevels(rows);
+      break;
+    }
+
+    case 'alerts': {
+      const [action, ...rest] = args;
+      if (action === 'check') {
+        const { values } = parseArgs({
+          args: rest,
+          options: { prices: { type: 'string' }, json: { type: 'boolean', default: false }, quiet: { type: 'boolean', default: false } },
+        });
+        let prices;
+        try {
+          prices = await fetchPrices(priceSourceSettings(values.prices));
+        } catch (err) {
+          console.error(`❌ ${err.message}`);
+          process.exit(1);
+        }
+        const { events, baseline } = checkAlerts(prices);
+        const fresh = events.filter(e => e.recorded);
+        if (values.json) {
+          for (const e of fresh) console.log(JSON.stringify(e));
+          break;
+        }
+        for (const e of fresh) console.log(`🔔 ${e.message}`);
+        if (!values.quiet) {
+          const repeats = events.length - fresh.length;
+          if (baseline.length > 0) console.log(`   First price for ${baseline.join(', ')}: crosses are detected from the next check`);
+          console.log(`✅ ${prices.length} price(s) checked · ${fresh.length} new alert(s)${repeats ? ` · ${repeats} already recorded today` : ''}`);
+        }
+      } else if (action === 'ls') {
+        const { values } = parseArgs({
+          args: rest,
+          options: { since: { type: 'string' }, symbol: { type: 'string' }, limit: { type: 'string' } },
+        });
+        const events = listAlertEvents({
+          since: values.since ? parseDate(values.since) : undefined,
+          symbol: values.symbol,
+          limit: values.limit ? parseInt(values.limit, 10) : undefined,
+        });
+        if (events.length === 0) { console.log('No alerts.'); break; }
+        for (const e of events) {
+          console.log(`  ${e.triggered_at.slice(0, 16).replace('T', ' ')}  ${e.direction === 'up' ? '↑' : '↓'} ${e.message}`);
+        }
+      } else {
+        console.error('Usage: kb alerts check [--prices <file|url>] [--json] [--quiet] | kb alerts ls [--since <date>] [--symbol <s>]');
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'report': {
+      const [action, ...rest] = args;
+      if (REPORT_TYPES[action]) {
+        const { values } = parseArgs({
+          args: rest,
+          options: {
+            window: { type: 'string' },
+            backend: { type: 'string' },
+            model: { type: 'string' },
+            out: { type: 'string' },
+            'no-save': { type: 'boolean', default: false },
+          },
+        });
+        if (values.backend && !REPORT_BACKENDS.includes(values.backend)) {
+          console.error(`Error: --backend must be one of ${REPORT_BACKENDS.join(', ')}`);
+          process.exit(1);
+        }
+        const report = await createReport(action, {
+          window: values.window,
+          backend: values.backend,
+          model: values.model,
+          save: !values['no-save'],
+          log: msg => console.error(msg),
+        });
+        if (values.out) {
+          writeFileSync(values.out, report.markdown);
+          console.log(`📄 Wrote ${values.out}`);
+        } else {
+          console.log(report.markdown);
+        }
+        if (report.id !== null) console.error(`✅ Saved report ${report.id} (${report.backend}${report.model ? `, ${report.model}` : ''})`);
+      } else if (action === 'ls') {
+        const { values } = parseArgs({ args: rest, options: { type: { type: 'string' } } });
+        const reports = listReports({ type: values.type });
+        if (reports.length === 0) { console.log('No reports. Create one with `kb report daily` or `kb report weekly`.'); break; }
+        for (const r of reports) {
+          const backend = r.model ? r.model : r.prompt_version?.split('-')[0];
+          console.log(`  ${String(r.id).padStart(4)}  ${r.report_type.padEnd(7)} ${r.window_start.slice(0, 10)} – ${r.window_end.slice(0, 10)}  ${r.source_count} source(s) · ${backend}`);
+        }
+      } else if (action === 'show' && rest[0]) {
+        const { values, positionals } = parseArgs({ args: rest, options: { json: { type: 'boolean', default: false } }, allowPositionals: true });
+        const report = getReport(positionals[0]);
+        if (!report) { console.error(`Report not found: ${positionals[0]}`); process.exit(1); }
+        console.log(values.json ? JSON.stringify(report.data, null, 2) : report.output_markdown);
+      } else {
+        console.error(`Usage: kb report ${Object.keys(REPORT_TYPES).join('|')} [--window start..end] | kb report ls | kb report show <id|latest>`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'serve': {
+      const { values } = parseArgs({ args, options: { port: { type: 'string' }, host: { type: 'string' } } });
+      const port = values.port === undefined ? undefined : parseInt(values.port, 10);
+      if (port !== undefined && !(port >= 0 && port < 65536)) { console.error('Error: --port must be 0-65535'); process.exit(1); }
+      let started;
+      try {
+        started = await startServer({ port, host: values.host });
+      } catch (err) {
+        console.error(`❌ ${err.code === 'EADDRINUSE' ? `Port ${port ?? 'from config'} is in use` : err.message}`);
+        process.exit(1);
+      }
+      const { server, url, settings } = started;
+      console.log(`🌐 Serving ${url} (API under /api, ${settings.token ? 'bearer token required' : 'no token'})`);
+      await new Promise(resolve => {
+        const stop = () => server.close(resolve);
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+      });
+      break;
+    }
+
+    case 'mcp': {
+      // stdout carries the protocol; anything else a module prints goes to stderr
+      console.log = console.error;
+      await serveMcp();
+      break;
+    }
+
+    case 'refresh': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: { all: { type: 'boolean', default: false }, 'older-than': { type: 'string' }, ...FILTER_OPTIONS },
+        allowPositionals: true,
+      });
+      let ids;
+      if (positionals.length > 0) {
+        ids = positionals.map(p => {
+          const source = findSource(p);
+          if (!source) { console.error(`Source not found: ${p}`); process.exit(1); }
+          return source.id;
+        });
+      } else if (values.all) {
+        const olderThan = values['older-than'] ? parseDate(values['older-than']) : undefined;
+        ids = staleSourceIds({ olderThan, filters: filtersFromArgs(values) });
+      } else {
+        console.error('Error: Source ID or --all required.\n' + USAGE);
+        process.exit(1);
+      }
+      if (ids.length === 0) { console.log('Nothing to refresh.'); break; }
+
+      console.log(`Refreshing ${ids.length} source(s)...`);
+      const icons = { updated: '🔄', unchanged: '  ', invalid: '⚠️ ', duplicate_content: '⚠️ ', skipped: '  ', failed: '❌' };
+      const counts = await refreshSources(ids, {
+        onResult: (source, result) => {
+          const detail = result.status === 'updated' ? ` (${result.chunks} chunks)` : result.message ? ` — ${result.message}` : '';
+          console.log(`  ${icons[result.status]} ${result.status.padEnd(9)} ${source.title || source.url}${detail}`);
+        },
+      });
+      console.log(`\n✅ ${Object.entries(counts).map(([k, n]) => `${k} ${n}`).join(' · ')}`);
+      if (counts.failed) process.exitCode = 1;
+      break;
+    }
+
+    case 'history': {
+      const { values, positionals } = parseArgs({
+        args,
+        options: { version: { type: 'string' }, context: { type: 'string' } },
+        allowPositionals: true,
+      });
+      const id = positionals[0];
+      if (!id) { console.error('Error: Source ID required.\n' + USAGE); process.exit(1); }
+      const source = findSource(id);
+      if (!source) { console.error(`Source not found: ${id}`); process.exit(1); }
+
+      const versions = sourceVersions(source.id);
+      console.log(`${source.title} (${source.id})\n`);
+      for (let i = 0; i < versions.length; i++) {
+        const v = versions[i];
+        const stats = i > 0 ? diffStats(diffLines(versions[i - 1].raw_content || '', v.raw_content || '')) : null;
+        const change = stats ? `  +${stats.added} -${stats.removed} lines` : '';
+        const size = `${(v.raw_content || '').length} chars`;
+        console.log(`  v${v.version}${v.current ? ' (current)' : ''}  ${v.created_at}  ${size}${change}`);
+      }
+
+      if (versions.length < 2) { console.log('\nNo earlier versions.'); break; }
+      const n = values.version ? parseInt(values.version, 10) : versions[versions.length - 1].version;
+      const idx = versions.findIndex(v => v.version === n);
+      if (idx < 1) {
+        console.error(`\nError: --version must be between 2 and ${versions[versions.length - 1].version}`);
+        process.exit(1);
+      }
+      const ops = diffLines(versions[idx - 1].raw_content || '', versions[idx].raw_content || '');
+      console.log(`\n--- v${versions[idx - 1].version}\n+++ v${n}`);
+      if (versions[idx - 1].title !== versions[idx].title) {
+        console.log(`title: "${versions[idx - 1].title}" → "${versions[idx].title}"`);
+      }
+      console.log(formatDiff(ops, { context: values.context ? parseInt(values.context, 10) : 3 }) || '(content identical)');
+      break;
+    }
+
+    case 'label': {
+      const [action, ...rest] = args;
+      if (action === 'add' || action === 'rm') {
+        const { values, positionals } = parseArgs({ args: rest, options: FILTER_OPTIONS, allowPositionals: true });
+        const filters = filtersFromArgs(values);
+        let ids, target;
+        if (hasFilters(filters)) {
+          ids = matchSourceIds(filters);
+          target = `${ids.length} matching source(s)`;
+        } else {
+          const id = positionals.shift();
+          if (!id) { console.error('Error: Source ID or filters required.\n' + USAGE); process.exit(1); }
+          const source = findSource(id);
+          if (!source) { console.error(`Source not found: ${id}`); process.exit(1); }
+          ids = [source.id];
+          target = `"${source.title}" (${source.id.slice(0, 8)})`;
+        }
+        const labels = positionals.map(parseLabel);
+        if (labels.length === 0) { console.error('Error: At least one label (key=value) required.'); process.exit(1); }
+        if (action === 'add') {
+          const added = addLabels(ids, labels);
+          console.log(`🏷️  Added ${added} label(s) to ${target}`);
+        } else {
+          const removed = removeLabels(ids, labels);
+          console.log(`🗑️  Removed ${removed} label(s) from ${target}`);
+        }
+      } else if (action === 'ls') {
+        if (rest[0]) {
+          const source = findSource(rest[0]);
+          if (!source) { console.error(`Source not found: ${rest[0]}`); process.exit(1); }
+          const labels = labelsBySource([source.id]).get(source.id) || [];
+          console.log(`${source.title || '(untitled)'} (${source.id})`);
+          console.log(labels.length ? labels.map(l => `  ${formatLabel(l)}`).join('\n') : '  (no labels)');
+        } else {
+          const counts = labelCounts();
+          if (counts.length === 0) console.log('No labels yet.');
+          for (const c of counts) console.log(`  ${formatLabel(c)}  (${c.sources})`);
+        }
+      } else {
+        console.error('Error: Usage: kb label [add | rm | ls]\n' + USAGE);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'reembed': {
+      const { values } = parseArgs({
+        args,
+        options: {
+          provider: { type: 'string' },
+          model: { type: 'string' },
+          source: { type: 'string' },
+          batch: { type: 'string' },
+        },
+      });
+      let sourceId;
+      if (values.source) {
+        const source = findSource(values.source);
+        if (!source) { console.error(`Source not found: ${values.source}`); process.exit(1); }
+        sourceId = source.id;
+      }
+      const result = await reembed({
+        provider: values.provider,
+        model: values.model,
+        sourceId,
+        batchSize: values.batch ? parseInt(values.batch, 10) : undefined,
+        onProgress: ({ done, total }) => console.log(`  ${done}/${total} chunks`),
+      });
+      console.log(`\n✅ Re-embedded ${result.reembedded} chunk(s) with ${result.provider}/${result.model}`);
+      break;
+    }
+
+    case 'index': {
+      const [action, ...rest] = args;
+      const db = getDb();
+      if (action === 'rebuild') {
+        const { values } = parseArgs({
+          args: rest,
+          options: { quantization: { type: 'string' }, lists: { type: 'string' } },
+        });
+        if (values.quantization && !QUANTIZATIONS.includes(values.quantization)) {
+          console.error(`Error: --quantization must be one of ${QUANTIZATIONS.join(', ')}.`);
+          process.exit(1);
+        }
+        const release = acquireLock();
+        try {
+          const built = buildIndex(db, {
+            quantization: values.quantization,
+            lists: values.lists ? parseInt(values.lists, 10) : undefined,
+            onProgress: msg => console.log(`  ${msg}`),
+          });
+          if (built.length === 0) console.log('No embedded chunks to index.');
+          for (const b of built) {
+            console.log(`✅ ${b.dim}d: ${b.chunks} chunks in ${b.nlist} lists (${b.quantization}) · ${(b.ms / 1000).toFixed(1)}s`);
+          }
+        } finally {
+          release();
+        }
+      } else if (!action || action === 'status') {
+        const rows = indexStatus(db);
+        if (rows.length === 0) console.log('No embedded chunks yet.');
+        for (const r of rows) {
+          if (!r.nlist) {
+            console.log(`  ${r.dim}d  ${r.chunks} chunks · no index (exact scan)`);
+          } else {
+            const stale = r.indexed < r.chunks ? `  ⚠️  ${r.chunks - r.indexed} unindexed, run: kb index rebuild` : '';
+            console.log(`  ${r.dim}d  ${r.indexed}/${r.chunks} chunks · ${r.nlist} lists · ${r.quantization} · built ${r.built_at}${stale}`);
+          }
+        }
+      } else {
+        console.error('Error: Usage: kb index [status | rebuild]');
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'cache': {
+      const [action, ...rest] = args;
+      if (!action || action === 'stats') {
+        const st = cacheStats();
+        const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+        console.log(`Embedding cache: ${st.entries} entries · ${mb(st.bytes)} MB · ${st.hits} hits`);
+        console.log(`Limits: ${st.limits.maxEntries} entries / ${st.limits.maxMB} MB${st.limits.enabled ? '' : ' (disabled)'}`);
+        if (st.entries > 0) console.log(`Oldest entry: ${st.oldest} · last used: ${st.last_used}`);
+        for (const m of st.byModel) {
+          console.log(`  ${m.provider}/${m.model} (${m.dim}d): ${m.entries} entries · ${mb(m.bytes)} MB · ${m.hits} hits`);
+        }
+      } else if (action === 'clear') {
+        const { values } = parseArgs({
+          args: rest,
+          options: { provider: { type: 'string' }, model: { type: 'string' } },
+        });
+        const removed = cacheClear(values);
+        console.log(`🗑️  Removed ${removed} cached embedding(s)`);
+      } else {
+        console.error('Error: Usage: kb cache [stats | clear [--provider p] [--model m]]');
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'usage': {
+      const { values } = parseArgs({
+        args,
+        options: {
+          since: { type: 'string' },
+          until: { type: 'string' },
+          by: { type: 'string', default: 'provider' },
+          json: { type: 'boolean', default: false },
+          export: { type: 'boolean', default: false },
+          out: { type: 'string' },
+        },
+      });
+      if (!USAGE_GROUPS.includes(values.by)) { console.error(`Error: --by must be one of ${USAGE_GROUPS.join(', ')}`); process.exit(1); }
+      const window = {
+        since: values.since ? parseDate(values.since) : undefined,
+        until: values.until ? parseDate(values.until, { endOfDay: true }) : undefined,
+      };
+      if (values.export) {
+        const doc = JSON.stringify(exportUsage(window), null, 2);
+        if (values.out) {
+          writeFileSync(values.out, doc + '\n');
+          console.log(`📄 Wrote ${values.out}`);
+        } else {
+          console.log(doc);
+        }
+        break;
+      }
+      const { groups, total, rate } = usageReport({ ...window, by: values.by });
+      if (values.json) { console.log(JSON.stringify({ groups, total, rate }, null, 2)); break; }
+      if (groups.length === 0) { console.log('No embedding usage recorded.'); break; }
+      const money = n => `${rate.currency === 'USD' ? '$' : `${rate.currency} `}${n.toFixed(n < 0.01 ? 6 : 4)}`;
+      const label = g => (values.by === 'source' ? (g.key ? `${g.key.slice(0, 8)} ${g.title ?? '(deleted)'}` : '(no source: queries)') : g.key);
+      const width = Math.min(48, Math.max(...groups.map(g => label(g).length)));
+      for (const g of groups) {
+        const estimated = g.estimated_tokens ? ` (${g.estimated_tokens === g.tokens ? 'estimated' : `${g.estimated_tokens} estimated`})` : '';
+        const name = label(g);
+        console.log(`  ${(name.length > width ? name.slice(0, width - 1) + '…' : name).padEnd(width)}  ${String(g.tokens).padStart(9)} tokens${estimated} · ${g.texts} text(s) · ${money(g.cost)}`);
+      }
+      console.log(`\nTotal: ${total.tokens} tokens in ${total.calls} call(s) · ${money(total.cost)} at ${money(rate.rate)} per token`);
+      break;
+    }
+
+    case 'config': {
+      const [action, key, ...rest] = args;
+      if (!action) {
+        console.log(JSON.stringify(loadConfig(), null, 2));
+      } else if (action === 'get' && key) {
+        const value = getConfigValue(key);
+        console.log(value === undefined ? '(not set)' : JSON.stringify(value, null, 2));
+      } else if (action === 'set' && key && rest.length > 0) {
+        const value = parseConfigValue(rest.join(' '));
+        setConfigValue(key, value);
+        console.log(`✅ ${key} = ${JSON.stringify(value)}`);
+      } else if (action === 'unset' && key) {
+        setConfigValue(key, undefined);
+        console.log(`🗑️  Unset: ${key}`);
+      } else {
+        console.error('Error: Usage: kb config [get <key> | set <key> <value> | unset <key>]');
+        process.exit(1);
+      }
+      break;
+    }
+
     default:
       console.error(`Unknown command: ${cmd}\n${USAGE}`);
       process.exit(1);
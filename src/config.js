@@ -0,0 +1,158 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getDataDir } from './db.js';
+
+// Per-knowledge-base settings live next to kb.db, so every KB_DATA_DIR
+// carries its own provider choices.
+const DEFAULTS = {
+  embedding: {
+    order: ['google', 'openai'],
+    providers: {},
+    cache: {
+      enabled: true,
+      maxEntries: 50_000,
+      maxMB: 256,
+    },
+  },
+  index: {
+    quantization: 'int8', // none | float16 | int8
+    lists: null,          // IVF lists; default sqrt(chunks)
+    nprobe: null,         // lists scanned per query; default max(8, lists / 10)
+  },
+  // How sources are split before embedding (see chunk.js); sizes in tokens
+  chunking: {
+    default: 'paragraph', // markdown | paragraph | transcript
+    byType: { markdown: 'markdown', html: 'markdown', article: 'paragraph', note: 'markdown', video: 'transcript' },
+    maxTokens: 200,
+    overlapTokens: 40,    // whole sentences repeated when a section continues
+    minTokens: 25,        // smaller section tails join the chunk before
+    windowSeconds: 120,   // transcript: time covered by one chunk
+  },
+  // Chat-completion endpoint (OpenAI-compatible; point baseUrl at a local
+  // server such as Ollama to stay offline)
+  llm: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    temperature: 0.2,
+    maxTokens: 800,
+    timeoutMs: 120_000,
+  },
+  summary: {
+    backend: 'extractive', // extractive (offline) | llm
+    onIngest: true,        // summarize new and refreshed sources
+    sentences: 3,
+    maxChars: 600,
+    minChars: 1000,        // shorter sources are left without a summary
+    model: null,           // llm backend: null = llm.model
+    prompt: null,          // llm backend: null = built-in prompt
+    inputTokens: 3000,     // llm backend: document tokens sent
+  },
+  ask: {
+    topK: 8,
+    mode: 'hybrid',
+    contextTokens: 3000,  // budget for retrieved excerpts in the prompt
+    systemPrompt: null,   // null = built-in grounded-answer prompt
+    model: null,          // null = llm.model
+    save: false,          // keep every answer (kb answers)
+  },
+  // kb analyze; null settings fall back to `llm`
+  analyze: {
+    baseUrl: null,
+    model: null,
+    temperature: 0,
+    maxTokens: 1500,
+    inputTokens: 6000,    // document tokens sent; longer sources are truncated
+  },
+  levels: {
+    symbols: [],          // bare tickers the regex backend looks for besides $cashtags
+  },
+  alerts: {
+    // Where kb alerts check gets prices: { type: 'file', path } (CSV or JSON)
+    // or { type: 'http', url, headers, field } (JSON; field = dotted path to the prices)
+    source: { type: null },
+    maxAgeDays: 90,       // ignore levels stored longer ago than this (null = all)
+  },
+  report: {
+    backend: 'template',  // template (offline, deterministic) | llm
+    model: null,          // llm backend: null = llm.model
+    prompt: null,         // llm backend: null = built-in prompt
+    inputTokens: 6000,    // llm backend: budget for the source list
+    topics: 8,            // most topics listed
+  },
+  // kb serve
+  server: {
+    host: '127.0.0.1',
+    port: 4177,
+    token: null,            // bearer token for /api; null = read tokenEnv
+    tokenEnv: 'KB_API_TOKEN',
+    corsOrigins: [],        // origins allowed to call the API from a browser ("*" = any)
+  },
+};
+
+function configPath() {
+  return join(getDataDir(), 'config.json');
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function merge(base, override) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(override || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? merge(base[k], v) : v;
+  }
+  return out;
+}
+
+function readUserConfig() {
+  const cp = configPath();
+  if (!existsSync(cp)) return {};
+  try {
+    return JSON.parse(readFileSync(cp, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid config file ${cp}: ${err.message}`);
+  }
+}
+
+/**
+ * Load the effective config: built-in defaults overlaid with config.json.
+ */
+export function loadConfig() {
+  return merge(DEFAULTS, readUserConfig());
+}
+
+/**
+ * Read a dotted key (e.g. "embedding.order") from the effective config.
+ */
+export function getConfigValue(key, config = loadConfig()) {
+  return key.split('.').reduce((obj, part) => (isPlainObject(obj) ? obj[part] : undefined), config);
+}
+
+/**
+ * Set (or, with value === undefined, remove) a dotted key in config.json.
+ */
+export function setConfigValue(key, value) {
+  const config = readUserConfig();
+  const parts = key.split('.');
+  const last = parts.pop();
+  let obj = config;
+  for (const part of parts) {
+    if (!isPlainObject(obj[part])) obj[part] = {};
+    obj = obj[part];
+  }
+  if (value === undefined) delete obj[last];
+  else obj[last] = value;
+
+  mkdirSync(getDataDir(), { recursive: true });
+  writeFileSync(configPath(), JSON.stringify(config, null, 2) + '\n');
+  return config;
+}
+
+/**
+ * Parse a CLI-provided value: JSON when it parses, plain string otherwise.
+ */
+export function parseConfigValue(raw) {
+  try { return JSON.parse(raw); } catch { return raw; }
+}
@@ -17,11 +17,50 @@ export function getDb() {
   _db.pragma('journal_mode = WAL');
   _db.pragma('foreign_keys = ON');
   _db.pragma('busy_timeout = 30000');
+  registerFunctions(_db);
   migrate(_db);
   return _db;
 }
 
+// SQL helpers used by source filters
+function registerFunctions(db) {
+  db.function('url_host', { deterministic: true }, url => {
+    if (!url) return null;
+    try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return null; }
+  });
+  db.function('iso_date', { deterministic: true }, value => {
+    if (value === null || value === undefined || value === '') return null;
+    const t = Date.parse(value);
+    return Number.isNaN(t) ? null : new Date(t).toISOString();
+  });
+}
+
+// seq is the chunk's rowid (INTEGER PRIMARY KEY, so VACUUM keeps it) and
+// the key chunks_fts rows point at
+const CHUNK_COLUMNS = `
+      seq INTEGER PRIMARY KEY,
+      id TEXT NOT NULL UNIQUE,
+      source_id TEXT REFERENCES sources(id) ON DELETE CASCADE,
+      chunk_index INTEGER,
+      content TEXT,
+      embedding BLOB,
+      embedding_dim INTEGER,
+      embedding_provider TEXT,
+      embedding_model TEXT,
+      created_at TEXT,
+      heading TEXT,
+      char_start INTEGER,
+      char_end INTEGER`;
+
 function migrate(db) {
+  const rekeyed = rekeyChunks(db);
+  const hadFts = !rekeyed && db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'chunks_fts'"
+  ).get();
+  const hadCacheTotals = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'embedding_cache_totals'"
+  ).get();
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS sources (
       id TEXT PRIMARY KEY,
@@ -37,21 +76,143 @@ function migrate(db) {
       updated_at TEXT
     );
 
-    CREATE TABLE IF NOT EXISTS chunks (
-      id TEXT PRIMARY KEY,
-      source_id TEXT REFERENCES sources(id) ON DELETE CASCADE,
-      chunk_index INTEGER,
-      content TEXT,
-      embedding BLOB,
-      embedding_dim INTEGER,
-      embedding_provider TEXT,
-      embedding_model TEXT,
-      created_at TEXT
+    CREATE TABLE IF NOT EXISTS chunks (${CHUNK_COLUMNS}
     );
 
     CREATE INDEX IF NOT EXISTS idx_chunks_source_id ON chunks(source_id);
     CREATE INDEX IF NOT EXISTS idx_sources_source_type ON sources(source_type);
 
+    -- Full-text index over chunk content (external content, kept in sync by triggers)
+    CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+      content,
+      content = 'chunks',
+      content_rowid = 'seq',
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_ai AFTER INSERT ON chunks BEGIN
+      INSERT INTO chunks_fts(rowid, content) VALUES (new.seq, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_ad AFTER DELETE ON chunks BEGIN
+      INSERT INTO chunks_fts(chunks_fts, rowid, content) VALUES ('delete', old.seq, old.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_au AFTER UPDATE OF content ON chunks BEGIN
+      INSERT INTO chunks_fts(chunks_fts, rowid, content) VALUES ('delete', old.seq, old.content);
+      INSERT INTO chunks_fts(rowid, content) VALUES (new.seq, new.content);
+    END;
+
+    -- IVF vector index: one row per embedding dimension, postings per chunk
+    CREATE TABLE IF NOT EXISTS vector_indexes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      embedding_dim INTEGER NOT NULL UNIQUE,
+      nlist INTEGER NOT NULL,
+      quantization TEXT NOT NULL, -- none | float16 | int8
+      centroids BLOB NOT NULL,    -- nlist × dim float32
+      built_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS vector_postings (
+      index_id INTEGER NOT NULL REFERENCES vector_indexes(id) ON DELETE CASCADE,
+      list_no INTEGER NOT NULL,
+      chunk_id TEXT NOT NULL REFERENCES chunks(id) ON DELETE CASCADE,
+      vector BLOB NOT NULL,
+      PRIMARY KEY (index_id, list_no, chunk_id)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX IF NOT EXISTS idx_vector_postings_chunk ON vector_postings(chunk_id);
+
+    -- Embeddings keyed by sha256(text) + provider + model, shared across runs
+    CREATE TABLE IF NOT EXISTS embedding_cache (
+      text_hash TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dim INTEGER NOT NULL,
+      embedding BLOB NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT,
+      last_used_at TEXT,
+      PRIMARY KEY (text_hash, provider, model)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX IF NOT EXISTS idx_embedding_cache_lru ON embedding_cache(last_used_at);
+
+    -- Running entry count and size of embedding_cache (one row), kept by
+    -- triggers so eviction checks need no table scan
+    CREATE TABLE IF NOT EXISTS embedding_cache_totals (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      entries INTEGER NOT NULL,
+      bytes INTEGER NOT NULL
+    );
+
+    CREATE TRIGGER IF NOT EXISTS embedding_cache_totals_ai AFTER INSERT ON embedding_cache BEGIN
+      UPDATE embedding_cache_totals SET entries = entries + 1, bytes = bytes + length(new.embedding);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS embedding_cache_totals_ad AFTER DELETE ON embedding_cache BEGIN
+      UPDATE embedding_cache_totals SET entries = entries - 1, bytes = bytes - length(old.embedding);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS embedding_cache_totals_au AFTER UPDATE OF embedding ON embedding_cache BEGIN
+      UPDATE embedding_cache_totals SET bytes = bytes - length(old.embedding) + length(new.embedding);
+    END;
+
+    -- Earlier contents of a source, archived whenever a refresh or note edit changes it
+    CREATE TABLE IF NOT EXISTS source_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id TEXT NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      title TEXT,
+      raw_content TEXT,
+      content_hash TEXT,
+      metadata TEXT,
+      created_at TEXT,
+      replaced_at TEXT,
+      UNIQUE(source_id, version)
+    );
+
+    -- Saved answers from kb ask, with the citations they were grounded on
+    CREATE TABLE IF NOT EXISTS answers (
+      id TEXT PRIMARY KEY,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      status TEXT NOT NULL,     -- answered | no_material
+      model TEXT,
+      citations TEXT,           -- JSON array
+      filters TEXT,             -- JSON object
+      created_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_answers_created ON answers(created_at);
+
+    -- Feed subscriptions and the entries already seen in each (kb feed)
+    CREATE TABLE IF NOT EXISTS feeds (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL UNIQUE,
+      title TEXT,
+      site_url TEXT,
+      format TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      last_checked_at TEXT,
+      last_error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS feed_entries (
+      feed_id TEXT NOT NULL REFERENCES feeds(id) ON DELETE CASCADE,
+      guid TEXT NOT NULL,
+      url TEXT,
+      title TEXT,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      source_id TEXT REFERENCES sources(id) ON DELETE SET NULL,
+      message TEXT,
+      seen_at TEXT,
+      PRIMARY KEY (feed_id, guid)
+    ) WITHOUT ROWID;
+
     CREATE TABLE IF NOT EXISTS source_labels (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       source_id TEXT NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
@@ -122,7 +283,89 @@ function migrate(db) {
     );
 
     CREATE INDEX IF NOT EXISTS idx_price_alert_symbol ON price_alert_events(symbol);
+
+    -- Last price seen per symbol by kb alerts check, to detect crosses
+    CREATE TABLE IF NOT EXISTS price_snapshots (
+      symbol TEXT PRIMARY KEY,
+      price REAL NOT NULL,
+      observed_at TEXT NOT NULL
+    );
+
+    -- Embedding calls that reached a provider (cache hits are free), for
+    -- kb usage and billing. source_id is kept after the source is deleted.
+    CREATE TABLE IF NOT EXISTS embedding_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      source_id TEXT,
+      texts INTEGER NOT NULL,
+      chars INTEGER NOT NULL,
+      input_tokens INTEGER NOT NULL,
+      estimated INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_embedding_usage_created ON embedding_usage(created_at);
   `);
+
+  // Databases created before the FTS index existed (or re-keyed above) need
+  // a one-time backfill
+  if (!hadFts) {
+    db.exec(`INSERT INTO chunks_fts(chunks_fts) VALUES ('rebuild')`);
+  }
+
+  // Count what the cache held before the totals row existed
+  if (!hadCacheTotals) {
+    db.exec(`
+      INSERT INTO embedding_cache_totals (id, entries, bytes)
+      SELECT 1, COUNT(*), COALESCE(SUM(length(embedding)), 0) FROM embedding_cache
+    `);
+  }
+
+  // When the source was last re-extracted (kb refresh), changed or not
+  addColumn(db, 'sources', 'refreshed_at', 'TEXT');
+  // Section breadcrumb of a chunk ("Guide › Install"), see chunk.js
+  addColumn(db, 'chunks', 'heading', 'TEXT');
+  // Where the chunk's own text sits in sources.raw_content (null for summaries)
+  addColumn(db, 'chunks', 'char_start', 'INTEGER');
+  addColumn(db, 'chunks', 'char_end', 'INTEGER');
+}
+
+/**
+ * Chunks used to be keyed by id alone, with chunks_fts on their implicit
+ * rowid, which VACUUM may renumber. Rebuild such a table with a seq key
+ * (keeping the old rowids) and drop the FTS index so it is recreated on seq.
+ * Returns whether anything was rebuilt.
+ */
+function rekeyChunks(db) {
+  const columns = db.prepare('PRAGMA table_info(chunks)').all().map(c => c.name);
+  if (columns.length === 0 || columns.includes('seq')) return false;
+  const names = columns.join(', ');
+  // The rebuilt table must not cascade into vector_postings when the old one is dropped
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(`
+        DROP TABLE IF EXISTS chunks_fts;
+        CREATE TABLE chunks_new (${CHUNK_COLUMNS}
+        );
+        INSERT INTO chunks_new (seq, ${names}) SELECT rowid, ${names} FROM chunks;
+        DROP TABLE chunks;
+        ALTER TABLE chunks_new RENAME TO chunks;
+      `);
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return true;
+}
+
+function addColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
 }
 
 export function closeDb() {
@@ -2,8 +2,22 @@ const TWITTER_RE = /^https?:\/\/(www\.)?(twitter\.com|x\.com)\/.+\/status\/\d+/i
 const YOUTUBE_RE = /^https?:\/\/(www\.)?(youtube\.com\/watch\?|youtu\.be\/|youtube\.com\/shorts\/)/i;
 const PDF_RE     = /\.pdf(\?.*)?$/i;
 
+// Local files (file:// URLs) by extension
+const FILE_TYPES = {
+  pdf: 'pdf',
+  md: 'markdown', markdown: 'markdown',
+  txt: 'text', text: 'text',
+  html: 'html', htm: 'html', xhtml: 'html',
+  docx: 'docx',
+  epub: 'epub',
+};
+
 export function detectSourceType(url) {
   if (!url) return 'text';
+  if (/^file:\/\//i.test(url)) {
+    const ext = url.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase();
+    return FILE_TYPES[ext] || 'other';
+  }
   if (TWITTER_RE.test(url))  return 'tweet';
   if (YOUTUBE_RE.test(url))  return 'video';
   if (PDF_RE.test(url))      return 'pdf';
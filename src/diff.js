@@ -0,0 +1,94 @@
+/**
+ * Line-based text diff for `kb history`: longest common subsequence over the
+ * lines left after trimming the common prefix and suffix, printed as unified
+ * hunks.
+ */
+
+// Above this many cells the LCS table is skipped and the changed middle is
+// shown as one removal plus one addition.
+const MAX_CELLS = 25_000_000;
+
+/**
+ * Diff two texts. Returns [{ op: ' ' | '-' | '+', line }].
+ */
+export function diffLines(a, b) {
+  const x = a.split('\n');
+  const y = b.split('\n');
+
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length, endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+
+  const ops = x.slice(0, start).map(line => ({ op: ' ', line }));
+  const mx = x.slice(start, endX);
+  const my = y.slice(start, endY);
+
+  if (mx.length * my.length > MAX_CELLS) {
+    ops.push(...mx.map(line => ({ op: '-', line })), ...my.map(line => ({ op: '+', line })));
+  } else {
+    // lcs[i][j] = LCS length of mx[i..] and my[j..], flattened
+    const cols = my.length + 1;
+    const lcs = new Uint32Array((mx.length + 1) * cols);
+    for (let i = mx.length - 1; i >= 0; i--) {
+      for (let j = my.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = mx[i] === my[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < mx.length && j < my.length) {
+      if (mx[i] === my[j]) { ops.push({ op: ' ', line: mx[i] }); i++; j++; }
+      else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) ops.push({ op: '-', line: mx[i++] });
+      else ops.push({ op: '+', line: my[j++] });
+    }
+    while (i < mx.length) ops.push({ op: '-', line: mx[i++] });
+    while (j < my.length) ops.push({ op: '+', line: my[j++] });
+  }
+
+  ops.push(...x.slice(endX).map(line => ({ op: ' ', line })));
+  return ops;
+}
+
+export function diffStats(ops) {
+  return {
+    added: ops.filter(o => o.op === '+').length,
+    removed: ops.filter(o => o.op === '-').length,
+  };
+}
+
+/**
+ * Render ops as unified diff hunks with `context` unchanged lines around
+ * each change.
+ */
+export function formatDiff(ops, { context = 3 } = {}) {
+  const changed = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= 2 * context + 1) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  const out = [];
+  for (const { start, end } of hunks) {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    // Line numbers in the old and new text at the start of the hunk
+    let oldLine = 1, newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].op !== '+') oldLine++;
+      if (ops[k].op !== '-') newLine++;
+    }
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(o => o.op !== '+').length;
+    const newCount = slice.filter(o => o.op !== '-').length;
+    out.push(`@@ -${oldLine},${oldCount} +${newLine},${newCount} @@`);
+    for (const o of slice) out.push(`${o.op}${o.line}`);
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,322 @@
+import { randomUUID } from 'crypto';
+import { createReadStream, mkdirSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { once } from 'events';
+import { createInterface } from 'readline';
+import { getDb } from './db.js';
+import { buildSourceFilter } from './filters.js';
+import { labelsBySource, addLabels } from './labels.js';
+import { ANALYSIS_TYPES, saveAnalysis } from './analyze.js';
+import { prepareChunks, insertChunks } from './ingest.js';
+import { deserializeEmbedding } from './embed.js';
+import { indexChunks } from './vindex.js';
+import { acquireLock, refreshLock } from './lock.js';
+
+/**
+ * Whole-KB export and import.
+ *
+ * JSONL dump: a header line { kind: 'kb-dump', version, exported_at,
+ * chunks } then one { kind: 'source', ... } line per source with its
+ * labels, analyses and, with `chunks`, its chunks and their vectors
+ * (base64 float32). `kb import-dump` reads it back.
+ *
+ * Markdown: an Obsidian-style folder, one note per source with YAML front
+ * matter (id, url, type, dates, labels as labels and tags, metadata).
+ */
+
+export const DUMP_VERSION = 1;
+
+export const EXPORT_FORMATS = ['jsonl', 'markdown'];
+
+function sourceIds(db, filters) {
+  const filter = buildSourceFilter(filters);
+  return db.prepare(`SELECT s.id FROM sources s WHERE 1 = 1 ${filter.sql} ORDER BY s.created_at, s.id`)
+    .all(filter.params)
+    .map(r => r.id);
+}
+
+function analysesOf(db, sourceId) {
+  return db.prepare(`
+    SELECT analysis_type, model, prompt_version, output_markdown, output_json, confidence, created_at
+    FROM analyses WHERE source_id = ? ORDER BY analysis_type
+  `).all(sourceId);
+}
+
+/**
+ * The dump as records (header first), one source at a time.
+ */
+export function* dumpRecords({ filters = {}, chunks = false } = {}, db = getDb()) {
+  yield { kind: 'kb-dump', version: DUMP_VERSION, exported_at: new Date().toISOString(), chunks };
+  const chunksOf = db.prepare(`
+    SELECT chunk_index, content, heading, char_start, char_end, embedding, embedding_dim, embedding_provider, embedding_model
+    FROM chunks WHERE source_id = ? ORDER BY chunk_index
+  `);
+  const sourceRow = db.prepare(`
+    SELECT id, url, title, source_type, summary, raw_content, content_hash, metadata, created_at, updated_at, refreshed_at
+    FROM sources WHERE id = ?
+  `);
+  // Rows are read one at a time so large KBs never sit in memory at once
+  for (const id of sourceIds(db, filters)) {
+    const s = sourceRow.get(id);
+    const record = {
+      kind: 'source',
+      ...s,
+      metadata: JSON.parse(s.metadata || '{}'),
+      labels: (labelsBySource([s.id], db).get(s.id) || []).map(({ key, value }) => ({ key, value })),
+      analyses: analysesOf(db, s.id).map(({ output_json, ...a }) => ({ ...a, output: JSON.parse(output_json || 'null') })),
+    };
+    if (chunks) {
+      record.chunks = chunksOf.all(s.id).map(c => ({
+        chunk_index: c.chunk_index,
+        content: c.content,
+        heading: c.heading,
+        char_start: c.char_start,
+        char_end: c.char_end,
+        embedding: c.embedding ? c.embedding.toString('base64') : null,
+        dim: c.embedding_dim,
+        provider: c.embedding_provider,
+        model: c.embedding_model,
+      }));
+    }
+    yield record;
+  }
+}
+
+/**
+ * Write the JSONL dump to a writable stream. Returns the number of sources.
+ */
+export async function exportJsonl(stream, options = {}, db = getDb()) {
+  let count = 0;
+  for (const record of dumpRecords(options, db)) {
+    if (!stream.write(JSON.stringify(record) + '\n')) await once(stream, 'drain');
+    if (record.kind === 'source') count++;
+  }
+  return count;
+}
+
+// ---------- Markdown vault ----------
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function yamlKey(key) {
+  return /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * YAML for front matter: nested maps and lists, strings double-quoted.
+ */
+export function toYaml(value, indent = '') {
+  const lines = [];
+  for (const [key, v] of Object.entries(value)) {
+    if (Array.isArray(v)) {
+      if (v.length === 0) { lines.push(`${indent}${yamlKey(key)}: []`); continue; }
+      lines.push(`${indent}${yamlKey(key)}:`);
+      for (const item of v) {
+        lines.push(item && typeof item === 'object'
+          ? `${indent}  - ${JSON.stringify(item)}`
+          : `${indent}  - ${yamlScalar(item)}`);
+      }
+    } else if (v && typeof v === 'object') {
+      if (Object.keys(v).length === 0) { lines.push(`${indent}${yamlKey(key)}: {}`); continue; }
+      lines.push(`${indent}${yamlKey(key)}:`, toYaml(v, `${indent}  `));
+    } else {
+      lines.push(`${indent}${yamlKey(key)}: ${yamlScalar(v)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Obsidian tags allow letters, digits, _ - and / (for nesting)
+function labelTag({ key, value }) {
+  const clean = s => s.replace(/[^\p{L}\p{N}_\-/]+/gu, '-').replace(/^-+|-+$/g, '');
+  return value === undefined || value === null ? clean(key) : `${clean(key)}/${clean(value)}`;
+}
+
+function noteFileName(title, used) {
+  const base = (title || 'Untitled').replace(/[\\/:*?"<>|#^[\]]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80) || 'Untitled';
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+  used.add(name.toLowerCase());
+  return `${name}.md`;
+}
+
+export function sourceToMarkdown(record) {
+  const front = {
+    id: record.id,
+    title: record.title,
+    url: record.url,
+    type: record.source_type,
+    created: record.created_at,
+    updated: record.updated_at,
+    labels: record.labels.map(l => `${l.key}=${l.value}`),
+    tags: record.labels.map(labelTag).filter(Boolean),
+    metadata: record.metadata,
+  };
+  const body = [`# ${record.title || 'Untitled'}`, ''];
+  if (record.summary) body.push(`> ${record.summary.replace(/\n/g, '\n> ')}`, '');
+  for (const a of record.analyses) {
+    body.push(`## ${ANALYSIS_TYPES[a.analysis_type]?.title || a.analysis_type}`, '', a.output_markdown || '', '');
+  }
+  if (record.analyses.length > 0) body.push('## Content', '');
+  body.push(record.raw_content || '');
+  return `---\n${toYaml(front)}\n---\n\n${body.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Write one note per source into `dir` (created if missing). Returns the
+ * number of notes written.
+ */
+export function exportMarkdown(dir, { filters = {} } = {}, db = getDb()) {
+  mkdirSync(dir, { recursive: true });
+  const used = new Set();
+  let count = 0;
+  for (const record of dumpRecords({ filters }, db)) {
+    if (record.kind !== 'source') continue;
+    writeFileSync(join(dir, noteFileName(record.title, used)), sourceToMarkdown(record));
+    count++;
+  }
+  return count;
+}
+
+// ---------- Import ----------
+
+async function* readRecords(path) {
+  if (!existsSync(path)) throw new Error(`File not found: ${path}`);
+  const lines = createInterface({ input: createReadStream(path, 'utf-8'), crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of lines) {
+    n++;
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${n} of ${path} is not valid JSON`);
+    }
+  }
+}
+
+function findExisting(db, record) {
+  if (record.content_hash) {
+    const byHash = db.prepare('SELECT id FROM sources WHERE content_hash = ?').get(record.content_hash);
+    if (byHash) return byHash;
+  }
+  if (record.url) {
+    const byUrl = db.prepare('SELECT id FROM sources WHERE url = ?').get(record.url);
+    if (byUrl) return byUrl;
+  }
+  return db.prepare('SELECT id FROM sources WHERE id = ?').get(record.id);
+}
+
+// Labels and analyses the existing source does not have yet
+function mergeInto(db, sourceId, record, counts) {
+  addLabels([sourceId], record.labels || [], db);
+  const has = db.prepare('SELECT 1 FROM analyses WHERE source_id = ? AND analysis_type = ?');
+  for (const a of record.analyses || []) {
+    if (has.get(sourceId, a.analysis_type)) continue;
+    if (!ANALYSIS_TYPES[a.analysis_type] || !a.output) { counts.analyses_skipped++; continue; }
+    saveAnalysis(sourceId, a.analysis_type, {
+      output: a.output, model: a.model, promptVersion: a.prompt_version, createdAt: a.created_at,
+    }, db);
+    counts.analyses++;
+  }
+}
+
+function storedChunks(record) {
+  const chunks = record.chunks || [];
+  if (chunks.length === 0 || chunks.some(c => !c.embedding)) return null;
+  const spaces = new Set(chunks.map(c => `${c.provider}/${c.model}/${c.dim}`));
+  // Chunks from different embedding spaces are not searchable together
+  return spaces.size === 1 ? chunks : null;
+}
+
+async function insertSource(db, record, counts) {
+  const now = new Date().toISOString();
+  const content = record.raw_content || '';
+  const vectors = storedChunks(record);
+  let prepared = null;
+  if (!vectors && content.length > 0) {
+    prepared = await prepareChunks(content, () => {}, {
+      title: record.title, sourceType: record.source_type, operation: 'import', sourceId: record.id, summary: record.summary ?? null,
+    });
+    counts.embedded++;
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO sources (id, url, title, source_type, summary, raw_content, content_hash, metadata, tags, created_at, updated_at, refreshed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, '[]', ?, ?, ?)
+    `).run(
+      record.id, record.url ?? null, record.title ?? null, record.source_type, record.summary ?? null, content,
+      record.content_hash ?? null, JSON.stringify(record.metadata || {}),
+      record.created_at || now, record.updated_at || record.created_at || now, record.refreshed_at ?? null,
+    );
+    if (vectors) {
+      const insert = db.prepare(`
+        INSERT INTO chunks (id, source_id, chunk_index, content, heading, char_start, char_end, embedding, embedding_dim, embedding_provider, embedding_model, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const stored = vectors.map(c => {
+        const blob = Buffer.from(c.embedding, 'base64');
+        const id = randomUUID();
+        insert.run(id, record.id, c.chunk_index, c.content, c.heading ?? null, c.char_start ?? null, c.char_end ?? null, blob, c.dim, c.provider, c.model, record.created_at || now);
+        return { id, embedding: deserializeEmbedding(blob), dim: c.dim };
+      });
+      indexChunks(db, stored);
+    } else if (prepared) {
+      insertChunks(db, record.id, prepared, record.created_at || now);
+    }
+    mergeInto(db, record.id, record, counts);
+  })();
+}
+
+/**
+ * Restore a JSONL dump into this KB. Sources whose content hash, URL or ID
+ * is already here are merged (labels and missing analyses added); new ones
+ * are inserted with their IDs and dates, using the dump's vectors when it
+ * has them and embedding otherwise.
+ * onResult(record, status, message) with status added | merged | failed.
+ * Returns counts { added, merged, failed, embedded, analyses, analyses_skipped }.
+ */
+export async function importDump(path, { onResult = () => {} } = {}) {
+  const release = acquireLock();
+  try {
+    const db = getDb();
+    const counts = { added: 0, merged: 0, failed: 0, embedded: 0, analyses: 0, analyses_skipped: 0 };
+    let header = null;
+    for await (const record of readRecords(path)) {
+      if (!header) {
+        if (record.kind !== 'kb-dump') throw new Error(`${path} is not a kb export (run kb export --format jsonl)`);
+        if (record.version > DUMP_VERSION) throw new Error(`${path} is dump version ${record.version}; this kb reads up to ${DUMP_VERSION}`);
+        header = record;
+        continue;
+      }
+      if (record.kind !== 'source') continue;
+
+      let status, message;
+      try {
+        const existing = findExisting(db, record);
+        if (existing) {
+          db.transaction(() => mergeInto(db, existing.id, record, counts))();
+          status = 'merged';
+        } else {
+          await insertSource(db, record, counts);
+          status = 'added';
+        }
+      } catch (err) {
+        status = 'failed';
+        message = err.message.split('\n')[0];
+      }
+      counts[status]++;
+      refreshLock();
+      onResult(record, status, message);
+    }
+    if (!header) throw new Error(`${path} is empty`);
+    return counts;
+  } finally {
+    release();
+  }
+}
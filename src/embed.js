@@ -1,8 +1,14 @@
-const MAX_INPUT = 8000;
+import { loadConfig } from './config.js';
+import { getProvider, modelFor } from './providers.js';
+import { textHash, cacheGet, cachePut } from './embedcache.js';
+import { estimateTokens } from './llm.js';
+import { recordUsage } from './usage.js';
+
 const BATCH_SIZE = 10;
 const BATCH_DELAY = 200;
 
 // ---------- LRU Cache ----------
+// In-process layer in front of the on-disk cache (see embedcache.js).
 
 class LRUCache {
   constructor(max = 1000) {
@@ -28,169 +34,139 @@ class LRUCache {
 
 const cache = new LRUCache(1000);
 
-// ---------- Retry with backoff ----------
-
-async function retry(fn, attempts = 3, delays = [1000, 2000, 4000]) {
-  for (let i = 0; i < attempts; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (i === attempts - 1) throw err;
-      await new Promise(r => setTimeout(r, delays[i]));
-    }
-  }
-}
+// ---------- Provider selection ----------
 
-// ---------- Gemini ----------
-
-async function embedGemini(texts) {
-  const key = process.env.GEMINI_API_KEY;
-  if (!key) throw new Error('GEMINI_API_KEY not set');
-
-  const requests = texts.map(t => ({
-    model: 'models/text-embedding-004',
-    content: { parts: [{ text: t.slice(0, MAX_INPUT) }] },
+/**
+ * Providers to try, in order, with their per-KB options. KB_EMBED_PROVIDERS
+ * (comma-separated) overrides the embedding.order config key.
+ */
+export function resolveProviders(config = loadConfig()) {
+  let order = process.env.KB_EMBED_PROVIDERS || config.embedding.order;
+  if (typeof order === 'string') order = order.split(',');
+  const names = order.map(n => String(n).trim()).filter(Boolean);
+  if (names.length === 0) throw new Error('No embedding providers configured (embedding.order is empty)');
+  return names.map(name => ({
+    provider: getProvider(name),
+    options: config.embedding.providers?.[name] || {},
   }));
-
-  const res = await retry(async () => {
-    const r = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:batchEmbedContents?key=${key}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ requests }),
-        signal: AbortSignal.timeout(30_000),
-      }
-    );
-    if (!r.ok) {
-      const body = await r.text().catch(() => '');
-      throw new Error(`Gemini API ${r.status}: ${body.slice(0, 200)}`);
-    }
-    return r.json();
-  });
-
-  return {
-    embeddings: res.embeddings.map(e => e.values),
-    dim: res.embeddings[0].values.length,
-    provider: 'google',
-    model: 'text-embedding-004',
-  };
 }
 
-// ---------- OpenAI ----------
-
-async function embedOpenAI(texts) {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) throw new Error('OPENAI_API_KEY not set');
-
-  const res = await retry(async () => {
-    const r = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${key}`,
-      },
-      body: JSON.stringify({
-        model: 'text-embedding-3-small',
-        input: texts.map(t => t.slice(0, MAX_INPUT)),
-      }),
-      signal: AbortSignal.timeout(30_000),
-    });
-    if (!r.ok) {
-      const body = await r.text().catch(() => '');
-      throw new Error(`OpenAI API ${r.status}: ${body.slice(0, 200)}`);
-    }
-    return r.json();
-  });
-
-  const sorted = res.data.sort((a, b) => a.index - b.index);
-  return {
-    embeddings: sorted.map(d => d.embedding),
-    dim: sorted[0].embedding.length,
-    provider: 'openai',
-    model: 'text-embedding-3-small',
-  };
+/**
+ * A single provider with its configured options, optionally forcing a model.
+ */
+export function pinnedProvider(name, model, config = loadConfig()) {
+  const options = { ...(config.embedding.providers?.[name] || {}) };
+  if (model) options.model = model;
+  return { provider: getProvider(name), options };
 }
 
-// ---------- Public API ----------
+async function embedWith(provider, options, texts, { operation, sourceId }) {
+  const model = modelFor(provider, options);
+  const hashes = texts.map(textHash);
+  const keyOf = i => `${provider.name}/${model}\0${hashes[i]}`;
 
-/**
- * Embed an array of text strings.
- * Returns { embeddings: number[][], dim, provider, model }
- */
-export async function embedTexts(texts) {
-  // Check cache first
+  // Check the in-memory cache, then the on-disk cache
   const results = new Array(texts.length);
-  const uncached = [];
-  const uncachedIdx = [];
-
+  const missing = [];
   for (let i = 0; i < texts.length; i++) {
-    const cached = cache.get(texts[i]);
-    if (cached) {
-      results[i] = cached;
+    const cached = cache.get(keyOf(i));
+    if (cached) results[i] = cached;
+    else missing.push(i);
+  }
+
+  const stored = cacheGet([...new Set(missing.map(i => hashes[i]))], provider.name, model);
+  const uncachedIdx = [];
+  for (const i of missing) {
+    const entry = stored.get(hashes[i]);
+    if (entry) {
+      results[i] = entry;
+      cache.set(keyOf(i), entry);
     } else {
-      uncached.push(texts[i]);
       uncachedIdx.push(i);
     }
   }
 
-  if (uncached.length === 0) {
-    return {
-      embeddings: results.map(r => r.embedding),
-      dim: results[0].dim,
-      provider: results[0].provider,
-      model: results[0].model,
-    };
-  }
-
-  // Process in batches
-  let provider, model, dim;
-  for (let b = 0; b < uncached.length; b += BATCH_SIZE) {
-    const batch = uncached.slice(b, b + BATCH_SIZE);
-    const batchIdxs = uncachedIdx.slice(b, b + BATCH_SIZE);
-
-    let result;
-    try {
-      result = await embedGemini(batch);
-    } catch (geminiErr) {
-      try {
-        result = await embedOpenAI(batch);
-      } catch (openaiErr) {
-        throw new Error(
-          `Embedding failed.\n  Gemini: ${geminiErr.message}\n  OpenAI: ${openaiErr.message}`
-        );
+  // Usage per source of the texts sent to the provider; a batch's reported
+  // token count is shared out by length
+  const usage = new Map();
+  const sourceOf = i => (Array.isArray(sourceId) ? sourceId[i] : sourceId) ?? null;
+
+  // Calls that succeeded are metered even when a later batch fails
+  try {
+    // Process in batches
+    for (let b = 0; b < uncachedIdx.length; b += BATCH_SIZE) {
+      const batchIdxs = uncachedIdx.slice(b, b + BATCH_SIZE);
+      const batch = batchIdxs.map(i => texts[i]);
+
+      const result = await provider.embed(batch, options);
+
+      const fresh = [];
+      for (let j = 0; j < batch.length; j++) {
+        const i = batchIdxs[j];
+        const entry = { embedding: result.embeddings[j], dim: result.dim };
+        results[i] = entry;
+        cache.set(keyOf(i), entry);
+        fresh.push({ hash: hashes[i], ...entry });
+      }
+      cachePut(fresh, provider.name, model);
+
+      const reported = Number.isFinite(result.tokens) ? result.tokens : null;
+      const batchChars = batch.reduce((sum, t) => sum + t.length, 0);
+      for (let j = 0; j < batch.length; j++) {
+        const key = sourceOf(batchIdxs[j]);
+        const entry = usage.get(key) || { texts: 0, chars: 0, tokens: 0, estimated: false };
+        entry.texts++;
+        entry.chars += batch[j].length;
+        entry.tokens += reported === null ? estimateTokens(batch[j]) : reported * (batchChars ? batch[j].length / batchChars : 1 / batch.length);
+        entry.estimated ||= reported === null;
+        usage.set(key, entry);
       }
-    }
-
-    provider = result.provider;
-    model = result.model;
-    dim = result.dim;
-
-    for (let j = 0; j < batch.length; j++) {
-      const entry = { embedding: result.embeddings[j], dim, provider, model };
-      results[batchIdxs[j]] = entry;
-      cache.set(batch[j], entry);
-    }
 
-    // Delay between batches
-    if (b + BATCH_SIZE < uncached.length) {
-      await new Promise(r => setTimeout(r, BATCH_DELAY));
+      // Delay between batches
+      if (b + BATCH_SIZE < uncachedIdx.length) {
+        await new Promise(r => setTimeout(r, BATCH_DELAY));
+      }
     }
+  } finally {
+    recordUsage([...usage].map(([source, u]) => ({
+      provider: provider.name, model, operation, sourceId: source, ...u, tokens: Math.round(u.tokens),
+    })));
   }
 
   return {
     embeddings: results.map(r => r.embedding),
-    dim,
-    provider,
+    dim: results[0]?.dim ?? 0,
+    provider: provider.name,
     model,
   };
 }
 
+/**
+ * Embed an array of text strings with the first configured provider that
+ * succeeds (or only with `provider`/`model`, when given). All vectors of one
+ * call come from the same provider and model. Texts sent to the provider are
+ * metered as `operation` (ingest, query, ...) for `sourceId`, a source ID or
+ * an array with one per text (see usage.js).
+ * Returns { embeddings: number[][], dim, provider, model }
+ */
+export async function embedTexts(texts, { provider, model, operation = 'other', sourceId = null } = {}) {
+  const candidates = provider ? [pinnedProvider(provider, model)] : resolveProviders();
+  const errors = [];
+  for (const { provider, options } of candidates) {
+    try {
+      return await embedWith(provider, options, texts, { operation, sourceId });
+    } catch (err) {
+      errors.push(`${provider.name}: ${err.message}`);
+    }
+  }
+  throw new Error(`Embedding failed.\n  ${errors.join('\n  ')}`);
+}
+
 /**
  * Embed a single query string.
  */
 export async function embedQuery(text) {
-  const result = await embedTexts([text]);
+  const result = await embedTexts([text], { operation: 'query' });
   return {
     embedding: result.embeddings[0],
     dim: result.dim,
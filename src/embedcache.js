@@ -0,0 +1,123 @@
+import { createHash } from 'crypto';
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+
+/**
+ * On-disk embedding cache in the `embedding_cache` table, keyed by
+ * (sha256 of text, provider, model). Entries are evicted least-recently-used
+ * first once the configured entry count or size is exceeded; the running
+ * totals live in embedding_cache_totals (kept by triggers, see db.js).
+ */
+
+export function textHash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function cacheConfig() {
+  return loadConfig().embedding.cache;
+}
+
+function toArray(buf) {
+  const f32 = new Float32Array(new Uint8Array(buf).buffer);
+  return Array.from(f32);
+}
+
+/**
+ * Look up cached vectors. Returns a Map of text hash → { embedding, dim }.
+ */
+export function cacheGet(hashes, provider, model, db = getDb()) {
+  const found = new Map();
+  if (hashes.length === 0 || !cacheConfig().enabled) return found;
+
+  const rows = db.prepare(`
+    SELECT text_hash, dim, embedding FROM embedding_cache
+    WHERE provider = ? AND model = ? AND text_hash IN (SELECT value FROM json_each(?))
+  `).all(provider, model, JSON.stringify(hashes));
+  if (rows.length === 0) return found;
+
+  const now = new Date().toISOString();
+  const touch = db.prepare(`
+    UPDATE embedding_cache SET hits = hits + 1, last_used_at = ?
+    WHERE text_hash = ? AND provider = ? AND model = ?
+  `);
+  db.transaction(() => {
+    for (const row of rows) {
+      found.set(row.text_hash, { embedding: toArray(row.embedding), dim: row.dim });
+      touch.run(now, row.text_hash, provider, model);
+    }
+  })();
+  return found;
+}
+
+/**
+ * Store vectors. entries: [{ hash, embedding, dim }]
+ */
+export function cachePut(entries, provider, model, db = getDb()) {
+  const config = cacheConfig();
+  if (entries.length === 0 || !config.enabled) return;
+
+  const now = new Date().toISOString();
+  // An upsert, not INSERT OR REPLACE: REPLACE deletes without firing the
+  // delete trigger that keeps the totals
+  const insert = db.prepare(`
+    INSERT INTO embedding_cache
+      (text_hash, provider, model, dim, embedding, hits, created_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+    ON CONFLICT (text_hash, provider, model) DO UPDATE SET
+      dim = excluded.dim, embedding = excluded.embedding, hits = 0,
+      created_at = excluded.created_at, last_used_at = excluded.last_used_at
+  `);
+  db.transaction(() => {
+    for (const e of entries) {
+      insert.run(e.hash, provider, model, e.dim, Buffer.from(new Float32Array(e.embedding).buffer), now, now);
+    }
+  })();
+  evict(db, config);
+}
+
+function evict(db, { maxEntries, maxMB }) {
+  const { entries, bytes } = db.prepare('SELECT entries, bytes FROM embedding_cache_totals').get();
+
+  let excess = 0;
+  if (maxEntries && entries > maxEntries) excess = entries - maxEntries;
+  const maxBytes = maxMB ? maxMB * 1024 * 1024 : 0;
+  if (maxBytes && bytes > maxBytes) {
+    const avg = bytes / entries;
+    excess = Math.max(excess, Math.ceil((bytes - maxBytes) / avg));
+  }
+  if (excess === 0) return 0;
+
+  return db.prepare(`
+    DELETE FROM embedding_cache WHERE (text_hash, provider, model) IN (
+      SELECT text_hash, provider, model FROM embedding_cache ORDER BY last_used_at LIMIT ?
+    )
+  `).run(excess).changes;
+}
+
+export function cacheStats(db = getDb()) {
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS entries, COALESCE(SUM(length(embedding)), 0) AS bytes,
+           COALESCE(SUM(hits), 0) AS hits, MIN(created_at) AS oldest, MAX(last_used_at) AS last_used
+    FROM embedding_cache
+  `).get();
+  const byModel = db.prepare(`
+    SELECT provider, model, dim, COUNT(*) AS entries, SUM(length(embedding)) AS bytes, SUM(hits) AS hits
+    FROM embedding_cache
+    GROUP BY provider, model, dim
+    ORDER BY entries DESC
+  `).all();
+  return { ...totals, byModel, limits: cacheConfig() };
+}
+
+/**
+ * Remove cached vectors, optionally only for one provider and/or model.
+ */
+export function cacheClear({ provider, model } = {}, db = getDb()) {
+  const where = [];
+  const params = [];
+  if (provider) { where.push('provider = ?'); params.push(provider); }
+  if (model) { where.push('model = ?'); params.push(model); }
+  return db.prepare(`
+    DELETE FROM embedding_cache ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+  `).run(...params).changes;
+}
@@ -2,9 +2,12 @@ import { Readability } from '@mozilla/readability';
 import { parseHTML } from 'linkedom';
 import { execSync } from 'child_process';
 import { createRequire } from 'module';
-import { existsSync, readFileSync } from 'fs';
+import { existsSync, readFileSync, statSync } from 'fs';
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, basename, extname, dirname, posix } from 'path';
+import { fileURLToPath } from 'url';
+import { readZip } from './zip.js';
+import { formatTimestamp } from './chunk.js';
 
 const require = createRequire(import.meta.url);
 
@@ -41,6 +44,13 @@ async function fetchTranscriptFromApi(videoId) {
   const data = await res.json();
   const segments = data.transcript;
   if (Array.isArray(segments)) {
+    // Timed segments become "[hh:mm:ss] text" lines, as from a VTT file
+    if (segments.some(seg => Number.isFinite(seg?.start ?? seg?.offset))) {
+      return segments
+        .filter(seg => seg?.text)
+        .map(seg => `[${formatTimestamp(seg.start ?? seg.offset ?? 0)}] ${seg.text.trim()}`)
+        .join('\n');
+    }
     return segments.map(seg => (typeof seg === 'string' ? seg : seg.text || '')).filter(Boolean).join(' ').trim();
   }
   if (typeof data.transcript === 'string') {
@@ -79,6 +89,32 @@ async function fetchWithRetry(url, opts = {}, retries = 1) {
   }
 }
 
+/**
+ * WebVTT captions to "[hh:mm:ss] text" lines, one per caption line at its
+ * cue's start. Styling tags go, and lines repeated by rolling auto-captions
+ * are kept once. Text without cues is returned as is.
+ */
+export function cleanVtt(vtt) {
+  if (!vtt.includes('-->')) return vtt.trim();
+  const lines = [];
+  const recent = [];
+  for (const cue of vtt.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const cueLines = cue.split('\n');
+    const timing = cueLines.findIndex(l => l.includes('-->'));
+    const m = timing === -1 ? null : cueLines[timing].match(/^\s*(?:(\d+):)?(\d{2}):(\d{2})[.,]\d{3}/);
+    if (!m) continue;
+    const start = parseInt(m[1] || '0', 10) * 3600 + parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+    for (const raw of cueLines.slice(timing + 1)) {
+      const text = stripHtml(raw);
+      if (!text || recent.includes(text)) continue;
+      recent.push(text);
+      if (recent.length > 3) recent.shift();
+      lines.push(`[${formatTimestamp(start)}] ${text}`);
+    }
+  }
+  return lines.join('\n');
+}
+
 function stripHtml(html) {
   return html
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
@@ -237,19 +273,8 @@ async function extractYouTube(url) {
       }
     }
 
-    // Clean VTT format
-    if (transcript) {
-      transcript = transcript
-        .replace(/WEBVTT[\s\S]*?\n\n/, '')
-        .replace(/\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}.*\n/g, '')
-        .replace(/<[^>]+>/g, '')
-        .replace(/\n{2,}/g, '\n')
-        .trim();
-      // Remove duplicate consecutive lines (VTT often repeats)
-      const lines = transcript.split('\n');
-      const deduped = lines.filter((l, i) => i === 0 || l !== lines[i - 1]);
-      transcript = deduped.join('\n');
-    }
+    // Clean VTT format, keeping cue start times for the transcript chunker
+    if (transcript) transcript = cleanVtt(transcript);
 
     if (transcript && transcript.length > 50) {
       metadata.has_transcript = true;
@@ -360,7 +385,7 @@ async function extractArticle(url) {
     if (article?.textContent && article.textContent.trim().length > 100) {
       return {
         title: article.title || '',
-        content: article.textContent.trim(),
+        ...articleText(article),
       };
     }
   } catch { /* fall through to raw fetch */ }
@@ -382,9 +407,186 @@ async function extractArticle(url) {
   throw new Error('Failed to extract article content');
 }
 
+/**
+ * Readability output as Markdown-style text: headings, list items, code
+ * blocks and table rows kept on their own lines so the chunkers can follow
+ * the article's sections and paragraphs.
+ */
+export function htmlToMarkdown(html) {
+  const { document } = parseHTML(`<html><body>${html}</body></html>`);
+  const blocks = [];
+  const inline = node => (node.textContent || '').replace(/\s+/g, ' ').trim();
+
+  const walk = node => {
+    for (const el of node.children || []) {
+      const tag = el.tagName.toLowerCase();
+      if (/^h[1-6]$/.test(tag)) {
+        const text = inline(el);
+        if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === 'pre') {
+        blocks.push('```\n' + (el.textContent || '').replace(/\n+$/, '') + '\n```');
+      } else if (tag === 'ul' || tag === 'ol') {
+        const items = [...el.children].filter(li => li.tagName.toLowerCase() === 'li').map(inline).filter(Boolean);
+        if (items.length) blocks.push(items.map((item, i) => (tag === 'ol' ? `${i + 1}. ` : '- ') + item).join('\n'));
+      } else if (tag === 'table') {
+        const rows = [...el.querySelectorAll('tr')]
+          .map(tr => [...tr.children].map(inline))
+          .filter(cells => cells.some(Boolean));
+        if (rows.length) blocks.push(rows.map(cells => `| ${cells.join(' | ')} |`).join('\n'));
+      } else if (tag === 'p' || tag === 'blockquote' || tag === 'figcaption') {
+        const text = inline(el);
+        if (text) blocks.push(text);
+      } else if (el.children?.length) {
+        walk(el);
+      } else {
+        const text = inline(el);
+        if (text) blocks.push(text);
+      }
+    }
+  };
+  walk(document.body);
+  return blocks.join('\n\n');
+}
+
+// The stored content stays Readability's plain text (content hashes and
+// refresh compare it); the Markdown rendering is only chunked (see chunkText)
+function articleText(article) {
+  return { content: article.textContent.trim(), markdown: htmlToMarkdown(article.content || '') || undefined };
+}
+
+// ---------- Local files ----------
+
+export function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function htmlToText(html) {
+  const { document } = parseHTML(html);
+  const article = new Readability(document).parse();
+  if (article?.textContent && article.textContent.trim().length > 100) {
+    return { title: article.title || '', ...articleText(article) };
+  }
+  const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
+  return { title: titleMatch ? titleMatch[1].trim() : '', content: stripHtml(html) };
+}
+
+function extractMarkdown(text, fallbackTitle) {
+  let body = text.replace(/^\uFEFF/, '');
+  let title;
+  // YAML front matter: keep the title, drop the block
+  const fm = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (fm) {
+    title = fm[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1];
+    body = body.slice(fm[0].length);
+  }
+  title = title || body.match(/^#\s+(.+)$/m)?.[1]?.trim() || fallbackTitle;
+  return { title, content: body.trim() };
+}
+
+function extractDocx(buffer, fallbackTitle) {
+  const zip = readZip(buffer);
+  const doc = zip.get('word/document.xml');
+  if (!doc) throw new Error('Not a DOCX file (word/document.xml missing)');
+  const xml = doc().toString('utf-8');
+  const paragraphs = [];
+  for (const [p] of xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    let text = '';
+    for (const [tag, t] of p.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>/g)) {
+      text += t !== undefined ? t : tag === '<w:tab/>' ? '\t' : '\n';
+    }
+    paragraphs.push(decodeXmlEntities(text));
+  }
+  const core = zip.get('docProps/core.xml')?.().toString('utf-8') || '';
+  const title = decodeXmlEntities(core.match(/<dc:title>([^<]*)<\/dc:title>/)?.[1] || '').trim();
+  return {
+    title: title || fallbackTitle,
+    content: paragraphs.join('\n\n').replace(/\n{3,}/g, '\n\n').trim(),
+  };
+}
+
+function extractEpub(buffer, fallbackTitle) {
+  const zip = readZip(buffer);
+  const container = zip.get('META-INF/container.xml')?.().toString('utf-8');
+  const opfPath = container?.match(/full-path="([^"]+)"/)?.[1];
+  if (!opfPath || !zip.has(opfPath)) throw new Error('Not an EPUB file (no package document)');
+  const opf = zip.get(opfPath)().toString('utf-8');
+  const base = posix.dirname(opfPath);
+
+  const manifest = new Map();
+  for (const [tag] of opf.matchAll(/<item\s[^>]*>/g)) {
+    const id = tag.match(/\bid="([^"]+)"/)?.[1];
+    const href = tag.match(/\bhref="([^"]+)"/)?.[1];
+    if (id && href) manifest.set(id, posix.normalize(posix.join(base, decodeURIComponent(href))));
+  }
+
+  const sections = [];
+  for (const [, idref] of opf.matchAll(/<itemref\s[^>]*idref="([^"]+)"/g)) {
+    const entry = zip.get(manifest.get(idref));
+    if (!entry) continue;
+    const { document } = parseHTML(entry().toString('utf-8'));
+    const text = (document.body?.textContent || '').replace(/[ \t]+/g, ' ').replace(/\n\s*\n\s*/g, '\n\n').trim();
+    if (text) sections.push(text);
+  }
+
+  const title = decodeXmlEntities(opf.match(/<dc:title[^>]*>([^<]*)<\/dc:title>/)?.[1] || '').trim();
+  const author = decodeXmlEntities(opf.match(/<dc:creator[^>]*>([^<]*)<\/dc:creator>/)?.[1] || '').trim();
+  return {
+    title: title || fallbackTitle,
+    content: sections.join('\n\n'),
+    metadata: author ? { author } : {},
+  };
+}
+
+async function extractFile(url, sourceType) {
+  const path = fileURLToPath(url);
+  if (!existsSync(path)) throw new Error(`File not found: ${path}`);
+  const stat = statSync(path);
+  if (!stat.isFile()) throw new Error(`Not a file: ${path}`);
+  const fallbackTitle = basename(path, extname(path));
+  const metadata = {
+    file_path: path,
+    file_name: basename(path),
+    file_dir: dirname(path),
+    file_size: stat.size,
+    file_mtime: stat.mtime.toISOString(),
+  };
+
+  let result;
+  switch (sourceType) {
+    case 'pdf': {
+      const pdfParse = require('pdf-parse');
+      const data = await pdfParse(readFileSync(path));
+      result = { title: data.info?.Title || fallbackTitle, content: data.text || '' };
+      break;
+    }
+    case 'markdown': result = extractMarkdown(readFileSync(path, 'utf-8'), fallbackTitle); break;
+    case 'text':     result = { title: fallbackTitle, content: readFileSync(path, 'utf-8').replace(/^\uFEFF/, '').trim() }; break;
+    case 'html': {
+      const { title, ...text } = htmlToText(readFileSync(path, 'utf-8'));
+      result = { title: title || fallbackTitle, ...text };
+      break;
+    }
+    case 'docx':     result = extractDocx(readFileSync(path), fallbackTitle); break;
+    case 'epub':     result = extractEpub(readFileSync(path), fallbackTitle); break;
+    default:
+      throw new Error(`Unsupported file type: ${basename(path)} (supported: .pdf .md .txt .html .docx .epub)`);
+  }
+  return { ...result, metadata: { ...(result.metadata || {}), ...metadata } };
+}
+
 // ---------- Main ----------
 
 export async function extractContent(url, sourceType) {
+  if (/^file:\/\//i.test(url)) {
+    return { metadata: {}, ...(await extractFile(url, sourceType)) };
+  }
   let result;
   switch (sourceType) {
     case 'tweet':   result = await extractTweet(url); break;
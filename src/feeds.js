@@ -0,0 +1,339 @@
+import { randomUUID } from 'crypto';
+import { getDb } from './db.js';
+import { decodeXmlEntities } from './extract.js';
+import { ingestMany } from './ingest.js';
+import { resultKind } from './import.js';
+
+/**
+ * Feed subscriptions. `kb feed sync` fetches every feed with a conditional
+ * GET (ETag / Last-Modified), pushes entries it has not seen through the
+ * normal ingest pipeline with a `feed=<title>` label, and records each entry
+ * GUID in feed_entries so it is never ingested twice.
+ *
+ * Feed state (validators, entry results) is only written after the entries
+ * have been ingested, so a sync that is interrupted or finds another ingest
+ * holding the lock leaves nothing half-recorded: the next run sees the same
+ * new entries again.
+ */
+
+// Entries that keep failing are given up on after this many syncs
+const MAX_ATTEMPTS = 3;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; kb-feed/1.0)';
+
+// ---------- Parsing ----------
+
+function stripCdata(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+function tagText(xml, name) {
+  const m = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+  if (!m) return undefined;
+  const inner = stripCdata(m[1]).replace(/<[^>]+>/g, '');
+  return decodeXmlEntities(inner).trim() || undefined;
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return m ? decodeXmlEntities(m[2] ?? m[3]) : undefined;
+}
+
+function blocks(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'gi'))].map(m => m[1]);
+}
+
+function toIso(date) {
+  if (!date) return undefined;
+  const t = Date.parse(date);
+  return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+function absolute(link, base) {
+  if (!link) return undefined;
+  try { return new URL(link, base).href; } catch { return undefined; }
+}
+
+function atomLink(xml) {
+  const links = [...xml.matchAll(/<link\b[^>]*>/gi)].map(m => m[0]);
+  const alternate = links.find(l => (attr(l, 'rel') || 'alternate') === 'alternate');
+  return attr(alternate || links[0] || '', 'href');
+}
+
+function parseRss(xml, base) {
+  const head = xml.split(/<item\b/i)[0];
+  return {
+    format: 'rss',
+    title: tagText(head, 'title'),
+    siteUrl: absolute(tagText(head, 'link'), base),
+    entries: blocks(xml, 'item').map(item => {
+      const url = absolute(tagText(item, 'link'), base);
+      return {
+        guid: tagText(item, 'guid') || url || tagText(item, 'title'),
+        url,
+        title: tagText(item, 'title'),
+        published: toIso(tagText(item, 'pubDate') || tagText(item, 'dc:date')),
+      };
+    }),
+  };
+}
+
+function parseAtom(xml, base) {
+  const head = xml.split(/<entry\b/i)[0];
+  return {
+    format: 'atom',
+    title: tagText(head, 'title'),
+    siteUrl: absolute(atomLink(head), base),
+    entries: blocks(xml, 'entry').map(entry => {
+      const url = absolute(atomLink(entry), base);
+      return {
+        guid: tagText(entry, 'id') || url,
+        url,
+        title: tagText(entry, 'title'),
+        published: toIso(tagText(entry, 'published') || tagText(entry, 'updated')),
+      };
+    }),
+  };
+}
+
+function parseJsonFeed(data, base) {
+  return {
+    format: 'json',
+    title: data.title,
+    siteUrl: absolute(data.home_page_url, base),
+    entries: (data.items || []).map(item => {
+      const url = absolute(item.url || item.external_url, base);
+      return {
+        guid: String(item.id ?? url),
+        url,
+        title: item.title,
+        published: toIso(item.date_published || item.date_modified),
+      };
+    }),
+  };
+}
+
+/**
+ * Parse an RSS 2.0 (or 1.0), Atom or JSON Feed document.
+ * Returns { format, title, siteUrl, entries: [{ guid, url, title, published }] }.
+ * Relative links are resolved against baseUrl.
+ */
+export function parseFeed(body, baseUrl) {
+  const text = body.replace(/^\uFEFF/, '').trim();
+  let feed;
+  if (text.startsWith('{')) {
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('Invalid JSON feed'); }
+    if (!Array.isArray(data.items)) throw new Error('Not a JSON Feed (no items array)');
+    feed = parseJsonFeed(data, baseUrl);
+  } else if (/<feed\b/i.test(text)) {
+    feed = parseAtom(text, baseUrl);
+  } else if (/<rss\b|<rdf:RDF\b|<channel\b/i.test(text)) {
+    feed = parseRss(text, baseUrl);
+  } else {
+    throw new Error('Not an RSS, Atom or JSON feed');
+  }
+  feed.entries = feed.entries.filter(e => e.guid);
+  return feed;
+}
+
+/**
+ * Conditional GET. Returns { notModified: true } on 304, otherwise
+ * { feed, etag, lastModified }.
+ */
+export async function fetchFeed(url, { etag, lastModified } = {}) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/json, application/xml;q=0.9, */*;q=0.8',
+  };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(30_000) });
+  if (res.status === 304) return { notModified: true };
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return {
+    feed: parseFeed(await res.text(), res.url || url),
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+  };
+}
+
+// ---------- Subscriptions ----------
+
+export function listFeeds(db = getDb()) {
+  return db.prepare(`
+    SELECT f.*,
+      (SELECT COUNT(*) FROM feed_entries e WHERE e.feed_id = f.id) AS entry_count,
+      (SELECT COUNT(*) FROM feed_entries e WHERE e.feed_id = f.id AND e.source_id IS NOT NULL) AS source_count
+    FROM feeds f
+    ORDER BY f.title COLLATE NOCASE, f.url
+  `).all();
+}
+
+/**
+ * Find a feed by ID, URL or unique ID prefix. A prefix shared by several
+ * feeds throws (code EAMBIGUOUS), as findSource does.
+ */
+export function findFeed(idOrUrl, db = getDb()) {
+  if (!idOrUrl) return undefined;
+  const exact = db.prepare('SELECT * FROM feeds WHERE id = ? OR url = ?').get(idOrUrl, idOrUrl);
+  if (exact) return exact;
+  const matches = db.prepare(`SELECT * FROM feeds WHERE id LIKE ? ESCAPE '\\' LIMIT 2`)
+    .all(idOrUrl.replace(/[\\%_]/g, '\\$&') + '%');
+  if (matches.length > 1) {
+    const err = new Error(`ID prefix "${idOrUrl}" matches more than one feed; use more characters or the URL`);
+    err.code = 'EAMBIGUOUS';
+    throw err;
+  }
+  return matches[0];
+}
+
+/**
+ * Subscribe to a feed. The feed is fetched once to check it parses and to
+ * take its title. With skipExisting, entries currently in the feed are
+ * marked as seen so only later ones are ingested.
+ */
+export async function addFeed(url, { skipExisting = false } = {}, db = getDb()) {
+  const existing = db.prepare('SELECT * FROM feeds WHERE url = ?').get(url);
+  if (existing) return { status: 'exists', feed: existing };
+
+  const { feed, etag, lastModified } = await fetchFeed(url);
+  const id = randomUUID();
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO feeds (id, url, title, site_url, format, etag, last_modified, last_checked_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, url, feed.title || new URL(url).hostname, feed.siteUrl || null, feed.format,
+      skipExisting ? etag : null, skipExisting ? lastModified : null, skipExisting ? now : null, now
+    );
+    if (skipExisting) {
+      const insert = db.prepare(`
+        INSERT OR IGNORE INTO feed_entries (feed_id, guid, url, title, status, seen_at)
+        VALUES (?, ?, ?, ?, 'skipped', ?)
+      `);
+      for (const e of feed.entries) insert.run(id, e.guid, e.url || null, e.title || null, now);
+    }
+  })();
+
+  return { status: 'ok', feed: db.prepare('SELECT * FROM feeds WHERE id = ?').get(id), entries: feed.entries.length };
+}
+
+/**
+ * Unsubscribe. Sources already ingested from the feed are kept.
+ */
+export function removeFeed(id, db = getDb()) {
+  return db.prepare('DELETE FROM feeds WHERE id = ?').run(id).changes > 0;
+}
+
+// ---------- Sync ----------
+
+/**
+ * Sync feeds (all, or the given IDs). Callbacks:
+ *   onFeed({ feed, status: 'new'|'unchanged'|'error', newEntries, error })
+ *   onEntry({ feed, entry, result })
+ * Returns { feeds, errors, counts } with counts per result kind.
+ * Throws (code ELOCKED) without recording anything when another ingest is running.
+ */
+export async function syncFeeds({ feedIds, concurrency = 4, onFeed = () => {}, onEntry = () => {} } = {}) {
+  const db = getDb();
+  const feeds = feedIds?.length
+    ? feedIds.map(id => db.prepare('SELECT * FROM feeds WHERE id = ?').get(id)).filter(Boolean)
+    : db.prepare('SELECT * FROM feeds ORDER BY created_at').all();
+
+  const seen = db.prepare('SELECT status, attempts FROM feed_entries WHERE feed_id = ? AND guid = ?');
+  const retryable = db.prepare(`
+    SELECT guid, url, title FROM feed_entries
+    WHERE feed_id = ? AND status = 'failed' AND attempts < ?
+  `);
+  const fetched = [];
+  const items = new Map(); // url → import item shared by every feed listing it
+  const linkless = [];
+  let errors = 0;
+
+  for (const feed of feeds) {
+    try {
+      const res = await fetchFeed(feed.url, { etag: feed.etag, lastModified: feed.last_modified });
+      // An unchanged feed may still have entries that failed last time
+      const fresh = res.notModified
+        ? retryable.all(feed.id, MAX_ATTEMPTS)
+        : res.feed.entries.filter(e => {
+          const prev = seen.get(feed.id, e.guid);
+          return !prev || (prev.status === 'failed' && prev.attempts < MAX_ATTEMPTS);
+        });
+      fetched.push({ feed, res });
+      onFeed({ feed, status: fresh.length ? 'new' : 'unchanged', newEntries: fresh.length });
+
+      const label = { key: 'feed', value: res.feed?.title || feed.title };
+      for (const entry of fresh) {
+        if (!entry.url) { linkless.push({ feed, entry }); continue; }
+        let item = items.get(entry.url);
+        if (!item) {
+          item = { url: entry.url, labels: [], metadata: { feed_url: feed.url }, entries: [] };
+          if (entry.published) item.metadata.published_at = entry.published;
+          items.set(entry.url, item);
+        }
+        if (!item.labels.some(l => l.value === label.value)) item.labels.push(label);
+        item.entries.push({ feed, entry });
+      }
+    } catch (err) {
+      errors++;
+      db.prepare('UPDATE feeds SET last_error = ?, last_checked_at = ? WHERE id = ?')
+        .run(err.message, new Date().toISOString(), feed.id);
+      onFeed({ feed, status: 'error', newEntries: 0, error: err });
+    }
+  }
+
+  const record = db.prepare(`
+    INSERT INTO feed_entries (feed_id, guid, url, title, status, attempts, source_id, message, seen_at)
+    VALUES (@feedId, @guid, @url, @title, @status, 1, @sourceId, @message, @now)
+    ON CONFLICT (feed_id, guid) DO UPDATE SET
+      status = excluded.status, attempts = attempts + 1, source_id = excluded.source_id,
+      message = excluded.message, seen_at = excluded.seen_at
+  `);
+  const counts = { ok: 0, duplicate: 0, invalid: 0, failed: 0 };
+
+  await ingestMany([...items.values()], {
+    concurrency,
+    onResult: (item, result) => {
+      const status = resultKind(result.status);
+      counts[status]++;
+      const now = new Date().toISOString();
+      for (const { feed, entry } of item.entries) {
+        record.run({
+          feedId: feed.id, guid: entry.guid, url: entry.url, title: entry.title || null,
+          status, sourceId: result.sourceId || null, message: result.message || null, now,
+        });
+        onEntry({ feed, entry, result: { ...result, kind: status } });
+      }
+    },
+  });
+
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const { feed, entry } of linkless) {
+      record.run({
+        feedId: feed.id, guid: entry.guid, url: null, title: entry.title || null,
+        status: 'no_link', sourceId: null, message: 'Entry has no link', now,
+      });
+    }
+    const update = db.prepare(`
+      UPDATE feeds SET etag = ?, last_modified = ?, title = COALESCE(?, title),
+        site_url = COALESCE(?, site_url), format = COALESCE(?, format),
+        last_checked_at = ?, last_error = NULL
+      WHERE id = ?
+    `);
+    for (const { feed, res } of fetched) {
+      if (res.notModified) {
+        update.run(feed.etag, feed.last_modified, null, null, null, now, feed.id);
+      } else {
+        update.run(res.etag, res.lastModified, res.feed.title || null, res.feed.siteUrl || null, res.feed.format, now, feed.id);
+      }
+    }
+  })();
+
+  return { feeds: feeds.length, errors, counts };
+}
@@ -0,0 +1,189 @@
+/**
+ * Source filters shared by query, list and bulk commands.
+ *
+ * filters: {
+ *   types:  ['pdf', 'article'],          // sources.source_type, any of
+ *   sites:  ['x.com'],                   // URL host (subdomains included), any of
+ *   createdAfter / createdBefore,        // ISO timestamps, ingest time
+ *   publishedAfter / publishedBefore,    // ISO timestamps, metadata.published_at
+ *   labels: [{ key: 'project', value: 'alpha' }], // all must match; no value = key present
+ * }
+ *
+ * buildSourceFilter() compiles them into a SQL fragment over the sources
+ * table (alias `s`) with named parameters, so filtering happens in SQL
+ * before any scoring.
+ */
+
+export const FILTER_OPTIONS = {
+  type: { type: 'string', multiple: true },
+  site: { type: 'string', multiple: true },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'published-since': { type: 'string' },
+  'published-until': { type: 'string' },
+  label: { type: 'string', multiple: true },
+};
+
+export const FILTER_USAGE = `      --type <t>          Source type (pdf, article, tweet, video, ...); repeatable
+      --site <host>       URL host, subdomains included (e.g. x.com); repeatable
+      --since <date>      Ingested on/after: YYYY-MM-DD, ISO time, or 7d/4w/6m/1y ago
+      --until <date>      Ingested on/before (same formats)
+      --published-since <date> / --published-until <date>
+                          Same, on the source's publish date
+      --label <k=v>       Has this label (k alone: any value); repeatable, all must match`;
+
+const RELATIVE_RE = /^(\d+)\s*([hdwmy])$/i;
+const DATE_ONLY_RE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+/**
+ * Parse a date filter value into an ISO timestamp.
+ * With endOfDay, a bare date means the end of that day (inclusive upper bound).
+ */
+export function parseDate(value, { endOfDay = false, now = new Date() } = {}) {
+  const v = String(value).trim();
+  if (v === 'today' || v === 'yesterday') {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (v === 'yesterday') d.setUTCDate(d.getUTCDate() - 1);
+    if (endOfDay) d.setUTCDate(d.getUTCDate() + 1);
+    return endOfDay ? new Date(d.getTime() - 1).toISOString() : d.toISOString();
+  }
+
+  const rel = v.match(RELATIVE_RE);
+  if (rel) {
+    const n = parseInt(rel[1], 10);
+    const d = new Date(now);
+    switch (rel[2].toLowerCase()) {
+      case 'h': d.setUTCHours(d.getUTCHours() - n); break;
+      case 'd': d.setUTCDate(d.getUTCDate() - n); break;
+      case 'w': d.setUTCDate(d.getUTCDate() - 7 * n); break;
+      case 'm': d.setUTCMonth(d.getUTCMonth() - n); break;
+      case 'y': d.setUTCFullYear(d.getUTCFullYear() - n); break;
+    }
+    return d.toISOString();
+  }
+
+  if (DATE_ONLY_RE.test(v)) {
+    const [y, m, day] = v.split('-').map(Number);
+    const start = new Date(Date.UTC(y, m - 1, day || 1));
+    if (!endOfDay) return start.toISOString();
+    const end = day ? new Date(Date.UTC(y, m - 1, day + 1)) : new Date(Date.UTC(y, m, 1));
+    return new Date(end.getTime() - 1).toISOString();
+  }
+
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD, an ISO timestamp, or e.g. 7d, 4w, 6m, 1y)`);
+  }
+  return new Date(t).toISOString();
+}
+
+/**
+ * Parse "key=value" (or bare "key") into a label filter.
+ */
+export function parseLabel(raw) {
+  const s = String(raw).trim();
+  const eq = s.indexOf('=');
+  const key = (eq === -1 ? s : s.slice(0, eq)).trim();
+  const value = eq === -1 ? undefined : s.slice(eq + 1).trim();
+  if (!key) throw new Error(`Invalid label "${raw}" (expected key=value)`);
+  return value === undefined || value === '' ? { key } : { key, value };
+}
+
+/**
+ * Normalize a --site value to a bare host: "https://www.Twitter.com/foo" → "x.com".
+ */
+export function normalizeSite(raw) {
+  let host = String(raw).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0];
+  host = host.replace(/^www\./, '').replace(/:\d+$/, '');
+  return host === 'twitter.com' ? 'x.com' : host;
+}
+
+/**
+ * Build a filter object from parsed CLI values (see FILTER_OPTIONS).
+ */
+export function filtersFromArgs(values) {
+  const filters = {};
+  if (values.type?.length) filters.types = values.type;
+  if (values.site?.length) filters.sites = values.site.map(normalizeSite);
+  if (values.since) filters.createdAfter = parseDate(values.since);
+  if (values.until) filters.createdBefore = parseDate(values.until, { endOfDay: true });
+  if (values['published-since']) filters.publishedAfter = parseDate(values['published-since']);
+  if (values['published-until']) filters.publishedBefore = parseDate(values['published-until'], { endOfDay: true });
+  if (values.label?.length) filters.labels = values.label.map(parseLabel);
+  return filters;
+}
+
+/**
+ * The filters as a JSON object (API and MCP requests): the CLI flag names,
+ * with published_since / published_until and arrays for the repeatable ones.
+ */
+export const FILTER_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Source types (pdf, article, tweet, video, ...), any of' },
+    site: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'URL hosts, subdomains included, any of' },
+    since: { type: 'string', description: 'Ingested on/after: YYYY-MM-DD, ISO time, or 7d/4w/6m/1y ago' },
+    until: { type: 'string', description: 'Ingested on/before (same formats)' },
+    published_since: { type: 'string', description: 'Published on/after (same formats)' },
+    published_until: { type: 'string', description: 'Published on/before (same formats)' },
+    label: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Labels as key=value (key alone: any value), all must match' },
+  },
+};
+
+// Parsed exactly like the `kb query` flags
+export function filtersFromJson(f = {}) {
+  return filtersFromArgs({
+    type: f.type, site: f.site, since: f.since, until: f.until,
+    'published-since': f.published_since, 'published-until': f.published_until, label: f.label,
+  });
+}
+
+export function hasFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+/**
+ * Compile filters to `{ sql, params }`: sql is '' or a string of
+ * "AND ..." conditions on alias `s`; params are named (@f0, @f1, ...).
+ */
+export function buildSourceFilter(filters = {}, alias = 's') {
+  const conds = [];
+  const params = {};
+  let n = 0;
+  const param = value => {
+    const name = `f${n++}`;
+    params[name] = value;
+    return `@${name}`;
+  };
+
+  if (filters.types?.length) {
+    conds.push(`${alias}.source_type IN (${filters.types.map(param).join(', ')})`);
+  }
+  if (filters.sites?.length) {
+    const ors = filters.sites.map(site => {
+      const p = param(site);
+      return `url_host(${alias}.url) = ${p} OR url_host(${alias}.url) LIKE '%.' || ${p}`;
+    });
+    conds.push(`(${ors.join(' OR ')})`);
+  }
+  if (filters.createdAfter) conds.push(`${alias}.created_at >= ${param(filters.createdAfter)}`);
+  if (filters.createdBefore) conds.push(`${alias}.created_at <= ${param(filters.createdBefore)}`);
+
+  const published = `iso_date(json_extract(${alias}.metadata, '$.published_at'))`;
+  if (filters.publishedAfter) conds.push(`${published} >= ${param(filters.publishedAfter)}`);
+  if (filters.publishedBefore) conds.push(`${published} <= ${param(filters.publishedBefore)}`);
+
+  for (const { key, value } of filters.labels || []) {
+    const valueCond = value === undefined ? '' : ` AND l.label_value = ${param(value)}`;
+    conds.push(`EXISTS (
+      SELECT 1 FROM source_labels l
+      WHERE l.source_id = ${alias}.id AND l.label_key = ${param(key)}${valueCond}
+    )`);
+  }
+
+  return {
+    sql: conds.map(c => `AND ${c}`).join('\n'),
+    params,
+  };
+}
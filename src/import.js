@@ -0,0 +1,302 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, appendFileSync, rmSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { getDataDir } from './db.js';
+import { decodeXmlEntities } from './extract.js';
+import { normalizeUrl } from './normalize.js';
+import { ingestMany } from './ingest.js';
+
+/**
+ * Bulk import of saved links. Parsers turn an export file into items
+ * { url, title, labels }; folders become `folder=<path>` labels and tags
+ * become `tag=<name>` labels.
+ *
+ * Progress is appended to a JSONL report (one line per finished item), which
+ * doubles as the resume state: re-running the same import skips every URL
+ * that already has a final result and retries the ones that failed.
+ */
+
+export const IMPORT_FORMATS = ['urls', 'bookmarks', 'csv', 'opml'];
+
+export const RESULT_KINDS = ['ok', 'duplicate', 'invalid', 'failed'];
+
+// ---------- Parsers ----------
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return m ? decodeXmlEntities(m[2] ?? m[3]) : undefined;
+}
+
+function folderLabel(stack) {
+  const path = stack.filter(Boolean).join('/');
+  return path ? [{ key: 'folder', value: path }] : [];
+}
+
+function tagLabels(tags) {
+  return tags.map(t => t.trim()).filter(Boolean).map(value => ({ key: 'tag', value }));
+}
+
+/**
+ * One URL (or local path) per line; blank lines and # comments are skipped.
+ */
+export function parseUrlList(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(url => ({ url, labels: [] }));
+}
+
+/**
+ * Netscape bookmark file (Chrome, Firefox, Safari, Edge exports).
+ */
+export function parseBookmarks(html) {
+  const items = [];
+  const stack = [];
+  let pendingFolder = null;
+  const re = /<(\/?)(dl|h3|a)\b([^>]*)>([^<]*)/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const [, closing, tag, attrs, text] = m;
+    switch (tag.toLowerCase()) {
+      case 'h3':
+        if (!closing) pendingFolder = decodeXmlEntities(text.trim());
+        break;
+      case 'dl':
+        if (closing) stack.pop();
+        else { stack.push(pendingFolder); pendingFolder = null; }
+        break;
+      case 'a': {
+        if (closing) break;
+        const url = attr(attrs, 'href');
+        if (!url || /^(javascript|place|data):/i.test(url)) break;
+        const tags = attr(attrs, 'tags');
+        items.push({
+          url,
+          title: decodeXmlEntities(text.trim()) || undefined,
+          labels: [...folderLabel(stack), ...tagLabels(tags ? tags.split(',') : [])],
+        });
+        break;
+      }
+    }
+  }
+  return items;
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, CRLF.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function splitTags(raw) {
+  const v = (raw || '').trim();
+  if (!v) return [];
+  if (v.startsWith('[')) {
+    try { return JSON.parse(v).map(String); } catch { /* fall through */ }
+  }
+  return v.split(/[|,]/);
+}
+
+/**
+ * Read-later CSV exports. Pocket: title,url,time_added,tags,status (tags
+ * separated by |). Instapaper: URL,Title,Selection,Folder,Timestamp[,Tags].
+ * Any CSV with a url column works.
+ */
+export function parseReadLaterCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const col = name => header.findIndex(h => h.trim().toLowerCase() === name);
+  const urlCol = col('url');
+  if (urlCol === -1) throw new Error('CSV has no "url" column');
+  const titleCol = col('title');
+  const folderCol = col('folder');
+  const tagsCol = col('tags');
+
+  return rows
+    .filter(r => r[urlCol]?.trim())
+    .map(r => {
+      const folder = folderCol === -1 ? '' : r[folderCol]?.trim();
+      return {
+        url: r[urlCol].trim(),
+        title: titleCol === -1 ? undefined : r[titleCol]?.trim() || undefined,
+        labels: [
+          ...(folder ? [{ key: 'folder', value: folder }] : []),
+          ...tagLabels(tagsCol === -1 ? [] : splitTags(r[tagsCol])),
+        ],
+      };
+    });
+}
+
+/**
+ * OPML outlines. Outlines without a URL are folders; for feed entries the
+ * site link (htmlUrl) is preferred over the feed itself (xmlUrl).
+ */
+export function parseOpml(xml) {
+  const items = [];
+  const stack = [];
+  const re = /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (m[0].startsWith('</')) { stack.pop(); continue; }
+    const [, attrs, selfClosing] = m;
+    const url = attr(attrs, 'htmlUrl') || attr(attrs, 'url') || attr(attrs, 'xmlUrl');
+    const name = attr(attrs, 'title') || attr(attrs, 'text');
+    if (url) {
+      const category = attr(attrs, 'category');
+      items.push({
+        url,
+        title: name,
+        labels: [...folderLabel(stack), ...tagLabels(category ? category.split(',').map(c => c.replace(/^\//, '')) : [])],
+      });
+    }
+    if (!selfClosing) stack.push(url ? null : name);
+  }
+  return items;
+}
+
+/**
+ * Guess the format from the file name, then from the content.
+ */
+export function detectImportFormat(text, fileName = '') {
+  const ext = extname(fileName).toLowerCase();
+  if (ext === '.opml') return 'opml';
+  if (ext === '.csv') return 'csv';
+  if (ext === '.html' || ext === '.htm') return 'bookmarks';
+
+  const head = text.slice(0, 2000);
+  if (/<!DOCTYPE NETSCAPE-Bookmark-file/i.test(head) || /<dt>\s*<a\s/i.test(head)) return 'bookmarks';
+  if (/<opml\b/i.test(head)) return 'opml';
+  const firstLine = head.split(/\r?\n/)[0].toLowerCase();
+  if (firstLine.includes(',') && firstLine.split(',').some(h => h.trim().replace(/"/g, '') === 'url')) return 'csv';
+  return 'urls';
+}
+
+/**
+ * Parse an export into items, merging duplicates (same normalized URL) so
+ * each link is ingested once with the union of its labels.
+ */
+export function parseImport(text, { format, fileName } = {}) {
+  const fmt = format || detectImportFormat(text, fileName);
+  const parsers = { urls: parseUrlList, bookmarks: parseBookmarks, csv: parseReadLaterCsv, opml: parseOpml };
+  if (!parsers[fmt]) throw new Error(`Unknown import format "${fmt}" (use ${IMPORT_FORMATS.join(', ')})`);
+
+  const byUrl = new Map();
+  for (const item of parsers[fmt](text)) {
+    const key = normalizeUrl(item.url);
+    const seen = byUrl.get(key);
+    if (!seen) { byUrl.set(key, item); continue; }
+    for (const label of item.labels) {
+      if (!seen.labels.some(l => l.key === label.key && l.value === label.value)) seen.labels.push(label);
+    }
+  }
+  return { format: fmt, items: [...byUrl.values()] };
+}
+
+// ---------- Runs ----------
+
+/**
+ * Map an ingest() status onto the report's result kinds.
+ */
+export function resultKind(status) {
+  switch (status) {
+    case 'ok':
+    case 'pending_transcript': return 'ok';
+    case 'duplicate_url':
+    case 'duplicate_content': return 'duplicate';
+    case 'invalid': return 'invalid';
+    default: return 'failed';
+  }
+}
+
+/**
+ * Default report location: one file per distinct input, so running the same
+ * export again resumes it.
+ */
+export function defaultReportPath(text) {
+  const digest = createHash('sha256').update(text).digest('hex').slice(0, 12);
+  return join(getDataDir(), 'imports', `${digest}.jsonl`);
+}
+
+/**
+ * Last recorded result per URL from an existing report.
+ */
+export function readReport(path) {
+  const results = new Map();
+  if (!existsSync(path)) return results;
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      results.set(entry.url, entry);
+    } catch { /* torn last line from an interrupted run */ }
+  }
+  return results;
+}
+
+/**
+ * Items still to do: never attempted, or failed last time.
+ */
+export function pendingItems(items, previous) {
+  return items.filter(item => {
+    const prev = previous.get(item.url);
+    return !prev || prev.result === 'failed';
+  });
+}
+
+/**
+ * Run an import; `labels` are added to every item. onProgress({ done, total, counts, item, entry }) fires
+ * after every item. Returns { format, total, skipped, counts, reportPath }.
+ */
+export async function runImport(text, {
+  format, fileName, labels = [], concurrency = 4, reportPath, restart = false, onProgress = () => {},
+} = {}) {
+  const { format: fmt, items } = parseImport(text, { format, fileName });
+  for (const item of items) item.labels.push(...labels);
+  const path = reportPath || defaultReportPath(text);
+  mkdirSync(dirname(path), { recursive: true });
+  if (restart) rmSync(path, { force: true });
+
+  const previous = readReport(path);
+  const todo = pendingItems(items, previous);
+  const counts = Object.fromEntries(RESULT_KINDS.map(k => [k, 0]));
+  let done = 0;
+
+  await ingestMany(todo, {
+    concurrency,
+    onResult: (item, result) => {
+      const entry = {
+        url: item.url,
+        result: resultKind(result.status),
+        status: result.status,
+        source_id: result.sourceId || null,
+        title: result.title || item.title || null,
+        message: result.message || null,
+        labels: item.labels.map(l => `${l.key}=${l.value}`),
+        at: new Date().toISOString(),
+      };
+      appendFileSync(path, JSON.stringify(entry) + '\n');
+      counts[entry.result]++;
+      done++;
+      onProgress({ done, total: todo.length, counts, item, entry });
+    },
+  });
+
+  return { format: fmt, total: items.length, skipped: items.length - todo.length, counts, reportPath: path };
+}
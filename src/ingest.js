@@ -1,40 +1,143 @@
 import { createHash, randomUUID } from 'crypto';
 import { getDb } from './db.js';
 import { detectSourceType } from './detect.js';
-import { normalizeUrl } from './normalize.js';
+import { normalizeUrl, resolveLocalPath } from './normalize.js';
 import { extractContent } from './extract.js';
 import { validateContent, truncateContent } from './validate.js';
-import { chunkText } from './chunk.js';
+import { chunkText, embeddingText } from './chunk.js';
 import { embedTexts, serializeEmbedding } from './embed.js';
-import { acquireLock } from './lock.js';
+import { acquireLock, refreshLock } from './lock.js';
+import { indexChunks } from './vindex.js';
+import { addLabels } from './labels.js';
+import { unattributeUsage } from './usage.js';
+import { loadConfig } from './config.js';
+import { summarizeContent, SUMMARY_CHUNK } from './summarize.js';
 
-export async function ingest(rawUrl) {
+/**
+ * Ingest a URL or local file path. options.labels: [{ key, value }] attached to the new source
+ * (or to the existing one when the URL/content is a duplicate).
+ */
+export async function ingest(rawUrl, options = {}) {
   const release = acquireLock();
   try {
-    return await _ingest(rawUrl);
+    return await _ingest(rawUrl, options);
   } finally {
     release();
   }
 }
 
-async function _ingest(rawUrl) {
+/**
+ * Ingest many URLs under one lock with at most `concurrency` in flight.
+ * items: [{ url, labels, metadata }]; metadata (e.g. a feed's publish date)
+ * fills in what extraction does not provide. onResult(item, result) is called as each one
+ * finishes; errors become { status: 'failed', message } instead of aborting
+ * the batch.
+ */
+export async function ingestMany(items, { concurrency = 4, onResult = () => {} } = {}) {
+  const release = acquireLock();
+  try {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        let result;
+        try {
+          result = await _ingest(item.url, { labels: item.labels || [], metadata: item.metadata, log: () => {} });
+        } catch (err) {
+          result = { status: 'failed', message: err.message.split('\n')[0] };
+        }
+        refreshLock();
+        onResult(item, result);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Ingest free-form text as a 'note' source (no URL). Notes skip the
+ * article length and prose checks. options: { title, labels }
+ */
+export async function ingestNote(text, options = {}) {
+  const release = acquireLock();
+  try {
+    return await _ingestNote(text, options);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Replace a note's text (and optionally title), re-chunking and re-embedding it.
+ */
+export async function updateNote(sourceId, { text, title, log = console.log } = {}) {
+  const release = acquireLock();
+  try {
+    const db = getDb();
+    const source = db.prepare('SELECT id, title, source_type, raw_content FROM sources WHERE id = ?').get(sourceId);
+    if (!source) throw new Error(`Source not found: ${sourceId}`);
+    if (source.source_type !== 'note') throw new Error(`Only notes can be edited (this source is a ${source.source_type})`);
+
+    const content = text === undefined ? source.raw_content : truncateContent(text.trim());
+    const validation = validateContent(content, 'note');
+    if (!validation.valid) return { status: 'invalid', message: validation.reason };
+
+    return await replaceSourceContent(db, source.id, { content, title: title || source.title, log });
+  } finally {
+    release();
+  }
+}
+
+function noteTitle(text) {
+  const firstLine = text.split('\n').find(l => l.trim())?.trim().replace(/^#+\s*/, '') || 'Note';
+  return firstLine.length > 80 ? firstLine.slice(0, 79) + '…' : firstLine;
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+async function _ingestNote(text, { title, labels = [], log = console.log } = {}) {
   const db = getDb();
-  const url = normalizeUrl(rawUrl);
+  const content = truncateContent(String(text || '').trim());
+  const validation = validateContent(content, 'note');
+  if (!validation.valid) return { status: 'invalid', message: validation.reason };
+
+  return storeSource(db, {
+    url: null,
+    title: title || noteTitle(content),
+    sourceType: 'note',
+    content,
+    metadata: {},
+    labels,
+  }, log);
+}
+
+async function _ingest(rawUrl, { labels = [], metadata: knownMetadata = {}, log = console.log } = {}) {
+  const db = getDb();
+  // Local paths become canonical file:// URLs (stable identity for dedup)
+  const url = normalizeUrl(resolveLocalPath(rawUrl));
   const sourceType = detectSourceType(url);
 
-  console.log(`  Type: ${sourceType}`);
-  console.log(`  URL:  ${url}`);
+  log(`  Type: ${sourceType}`);
+  log(`  URL:  ${url}`);
 
   // URL dedup
   const existing = db.prepare('SELECT id, title FROM sources WHERE url = ?').get(url);
   if (existing) {
-    return { status: 'duplicate_url', message: `Already ingested: "${existing.title}" (${existing.id})` };
+    addLabels([existing.id], labels, db);
+    return { status: 'duplicate_url', sourceId: existing.id, message: `Already ingested: "${existing.title}" (${existing.id})` };
   }
 
   // Extract content
-  console.log('  Extracting content...');
-  const { title, content: rawContent, metadata = {} } = await extractContent(url, sourceType);
+  log('  Extracting content...');
+  const extracted = await extractContent(url, sourceType);
+  const { title, content: rawContent } = extracted;
+  const metadata = { ...knownMetadata, ...extracted.metadata };
   const content = truncateContent(rawContent);
+  const markdown = extracted.markdown && truncateContent(extracted.markdown);
 
   // Validate
   const validation = validateContent(content, sourceType, metadata);
@@ -42,71 +145,183 @@ async function _ingest(rawUrl) {
     return { status: 'invalid', message: validation.reason };
   }
 
+  return storeSource(db, { url, title, sourceType, content, markdown, metadata, labels }, log);
+}
+
+/**
+ * Chunk with the source type's chunker (splitting the `markdown` view of
+ * content instead when there is one, see chunkText), summarize (when summary.onIngest is
+ * set, unless a `summary` is given) and embed content, metering the
+ * embedding call as `operation` for `sourceId`.
+ * Returns { chunks: [{ content, heading, start, end }], summary, embeddings, summaryEmbedding, dim, provider, model }.
+ */
+export async function prepareChunks(content, log = console.log, { title, sourceType, markdown, operation, sourceId, summary: given } = {}) {
+  // Chunk (only if content exists)
+  const chunks = content.length > 0 ? chunkText(content, { sourceType, view: markdown }) : [];
+  if (chunks.length > 0) {
+    log('  Chunking...');
+    log(`  ${chunks.length} chunk(s)`);
+  }
+
+  let summary = given ?? null;
+  if (given === undefined && chunks.length > 0 && loadConfig().summary.onIngest) {
+    summary = (await summarizeContent(content, { title, log })).summary;
+    if (summary) log('  Summarized');
+  }
+
+  // Embed (only if chunks exist); the summary gets its own vector
+  let embeddings = [], summaryEmbedding = null, dim = 0, provider = null, model = null;
+  if (chunks.length > 0) {
+    log('  Generating embeddings...');
+    const texts = chunks.map(embeddingText);
+    const result = await embedTexts(summary ? [...texts, summary] : texts, { operation, sourceId });
+    embeddings = result.embeddings.slice(0, chunks.length);
+    if (summary) summaryEmbedding = result.embeddings[chunks.length];
+    dim = result.dim;
+    provider = result.provider;
+    model = result.model;
+    log(`  Provider: ${provider}/${model} (${dim}d)`);
+  }
+
+  return { chunks, summary, embeddings, summaryEmbedding, dim, provider, model };
+}
+
+/**
+ * Insert prepared chunks (and the summary chunk) for a source and add them
+ * to the vector index. Must run inside a transaction.
+ */
+export function insertChunks(db, sourceId, { chunks, summary, embeddings, summaryEmbedding, dim, provider, model }, now) {
+  const insertChunk = db.prepare(`
+    INSERT INTO chunks (id, source_id, chunk_index, content, heading, char_start, char_end, embedding, embedding_dim, embedding_provider, embedding_model, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const rows = chunks.map((chunk, i) => ({ ...chunk, index: i, embedding: embeddings[i] }));
+  if (summary) rows.push({ index: SUMMARY_CHUNK, content: summary, heading: null, start: null, end: null, embedding: summaryEmbedding });
+
+  const stored = [];
+  for (const row of rows) {
+    const chunkId = randomUUID();
+    insertChunk.run(
+      chunkId, sourceId, row.index, row.content, row.heading, row.start ?? null, row.end ?? null,
+      serializeEmbedding(row.embedding), dim, provider, model, now
+    );
+    stored.push({ id: chunkId, embedding: row.embedding, dim });
+  }
+  indexChunks(db, stored);
+}
+
+/**
+ * Content-hash dedup, chunk, embed and store a new source.
+ */
+async function storeSource(db, { url, title, sourceType, content, markdown, metadata, labels }, log = console.log) {
   // Content hash dedup (only if content exists)
   let contentHash = null;
   if (content.length > 0) {
-    contentHash = createHash('sha256').update(content).digest('hex');
+    contentHash = hashContent(content);
     const hashDup = db.prepare('SELECT id, url, title FROM sources WHERE content_hash = ?').get(contentHash);
     if (hashDup) {
+      addLabels([hashDup.id], labels, db);
       return {
         status: 'duplicate_content',
-        message: `Same content exists: "${hashDup.title}" (${hashDup.url})`,
+        sourceId: hashDup.id,
+        message: `Same content exists: "${hashDup.title}" (${hashDup.url || hashDup.id})`,
       };
     }
   }
 
-  // Chunk (only if content exists)
-  const chunks = content.length > 0 ? chunkText(content) : [];
-  if (chunks.length > 0) {
-    console.log('  Chunking...');
-    console.log(`  ${chunks.length} chunk(s)`);
-  }
-
-  // Embed (only if chunks exist)
-  let embeddings = [], dim = 0, provider = null, model = null;
-  if (chunks.length > 0) {
-    console.log('  Generating embeddings...');
-    const result = await embedTexts(chunks);
-    embeddings = result.embeddings;
-    dim = result.dim;
-    provider = result.provider;
-    model = result.model;
-    console.log(`  Provider: ${provider}/${model} (${dim}d)`);
-  }
+  const sourceId = randomUUID();
+  const prepared = await prepareChunks(content, log, { title, sourceType, markdown, operation: 'ingest', sourceId });
 
   // Store in a transaction
-  const sourceId = randomUUID();
   const now = new Date().toISOString();
 
   const insertSource = db.prepare(`
-    INSERT INTO sources (id, url, title, source_type, raw_content, content_hash, metadata, tags, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, '[]', ?, ?)
-  `);
-
-  const insertChunk = db.prepare(`
-    INSERT INTO chunks (id, source_id, chunk_index, content, embedding, embedding_dim, embedding_provider, embedding_model, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO sources (id, url, title, source_type, summary, raw_content, content_hash, metadata, tags, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, '[]', ?, ?)
   `);
 
+  // Re-check both keys inside the transaction: with concurrent ingests
+  // (kb import) another item may have stored the same URL or content while
+  // this one was being embedded.
   const tx = db.transaction(() => {
-    insertSource.run(sourceId, url, title, sourceType, content, contentHash, JSON.stringify(metadata), now, now);
-    for (let i = 0; i < chunks.length; i++) {
-      insertChunk.run(
-        randomUUID(), sourceId, i, chunks[i],
-        serializeEmbedding(embeddings[i]), dim, provider, model, now
-      );
+    const raced = db.prepare('SELECT id, url, title FROM sources WHERE url = ? OR content_hash = ?').get(url, contentHash);
+    if (raced) {
+      addLabels([raced.id], labels, db);
+      unattributeUsage(sourceId, db);
+      return raced;
     }
+    insertSource.run(sourceId, url, title, sourceType, prepared.summary, content, contentHash, JSON.stringify(metadata), now, now);
+    insertChunks(db, sourceId, prepared, now);
+    addLabels([sourceId], labels, db);
+    return null;
   });
 
-  tx();
+  const raced = tx();
+  if (raced) {
+    return raced.url === url
+      ? { status: 'duplicate_url', sourceId: raced.id, message: `Already ingested: "${raced.title}" (${raced.id})` }
+      : { status: 'duplicate_content', sourceId: raced.id, message: `Same content exists: "${raced.title}" (${raced.url || raced.id})` };
+  }
 
   return {
     status: content.length > 0 ? 'ok' : 'pending_transcript',
     sourceId,
     title,
     sourceType,
-    chunks: chunks.length,
-    provider: model ? `${provider}/${model}` : null,
+    chunks: prepared.chunks.length,
+    provider: prepared.model ? `${prepared.provider}/${prepared.model}` : null,
     metadata
   };
 }
+
+/**
+ * Swap a source's content for new text: chunks and embeddings are replaced
+ * in one transaction, so readers never see a half-updated source. When the
+ * content changes, the previous version is kept in source_versions and
+ * updated_at moves to now. `operation` names the embedding call in usage
+ * metering (update for edits, refresh for re-extraction).
+ */
+export async function replaceSourceContent(db, sourceId, { content, markdown, title, metadata, operation = 'update', log = console.log }) {
+  const contentHash = content.length > 0 ? hashContent(content) : null;
+  if (contentHash) {
+    const other = db.prepare('SELECT id, title FROM sources WHERE content_hash = ? AND id != ?').get(contentHash, sourceId);
+    if (other) {
+      return { status: 'duplicate_content', sourceId, message: `Same content exists: "${other.title}" (${other.id})` };
+    }
+  }
+
+  const { source_type: sourceType } = db.prepare('SELECT source_type FROM sources WHERE id = ?').get(sourceId);
+  const prepared = await prepareChunks(content, log, { title, sourceType, markdown, operation, sourceId });
+  const now = new Date().toISOString();
+
+  const tx = db.transaction(() => {
+    const current = db.prepare(`
+      SELECT title, raw_content, content_hash, metadata, created_at, updated_at FROM sources WHERE id = ?
+    `).get(sourceId);
+    if (current.raw_content && current.content_hash !== contentHash) {
+      db.prepare(`
+        INSERT INTO source_versions (source_id, version, title, raw_content, content_hash, metadata, created_at, replaced_at)
+        VALUES (@sourceId, (SELECT COALESCE(MAX(version), 0) + 1 FROM source_versions WHERE source_id = @sourceId),
+                @title, @raw_content, @content_hash, @metadata, @since, @now)
+      `).run({ sourceId, ...current, since: current.updated_at || current.created_at, now });
+    }
+    db.prepare('DELETE FROM chunks WHERE source_id = ?').run(sourceId);
+    db.prepare(`
+      UPDATE sources
+      SET raw_content = ?, content_hash = ?, summary = ?, title = COALESCE(?, title),
+          metadata = COALESCE(?, metadata), updated_at = ?
+      WHERE id = ?
+    `).run(content, contentHash, prepared.summary, title ?? null, metadata ? JSON.stringify(metadata) : null, now, sourceId);
+    insertChunks(db, sourceId, prepared, now);
+  });
+
+  tx();
+
+  return {
+    status: 'ok',
+    sourceId,
+    title,
+    chunks: prepared.chunks.length,
+    provider: prepared.model ? `${prepared.provider}/${prepared.model}` : null,
+  };
+}
@@ -0,0 +1,77 @@
+import { getDb } from './db.js';
+
+/**
+ * Key/value labels on sources (`source_labels`). A label given without a
+ * value (e.g. from parseLabel('project')) matches every value of that key
+ * when removing.
+ */
+
+export function formatLabel({ key, value }) {
+  return value === undefined ? key : `${key}=${value}`;
+}
+
+/**
+ * Attach labels to sources. Returns the number of new label rows.
+ */
+export function addLabels(sourceIds, labels, db = getDb()) {
+  for (const l of labels) {
+    if (l.value === undefined) throw new Error(`Label "${l.key}" needs a value (key=value)`);
+  }
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO source_labels (source_id, label_key, label_value) VALUES (?, ?, ?)
+  `);
+  let added = 0;
+  db.transaction(() => {
+    for (const id of sourceIds) {
+      for (const { key, value } of labels) added += insert.run(id, key, value).changes;
+    }
+  })();
+  return added;
+}
+
+/**
+ * Detach labels from sources. Returns the number of removed label rows.
+ */
+export function removeLabels(sourceIds, labels, db = getDb()) {
+  const byValue = db.prepare('DELETE FROM source_labels WHERE source_id = ? AND label_key = ? AND label_value = ?');
+  const byKey = db.prepare('DELETE FROM source_labels WHERE source_id = ? AND label_key = ?');
+  let removed = 0;
+  db.transaction(() => {
+    for (const id of sourceIds) {
+      for (const { key, value } of labels) {
+        removed += (value === undefined ? byKey.run(id, key) : byValue.run(id, key, value)).changes;
+      }
+    }
+  })();
+  return removed;
+}
+
+/**
+ * Labels per source: Map of source id → [{ key, value }].
+ */
+export function labelsBySource(sourceIds, db = getDb()) {
+  const out = new Map();
+  if (sourceIds.length === 0) return out;
+  const rows = db.prepare(`
+    SELECT source_id, label_key, label_value FROM source_labels
+    WHERE source_id IN (SELECT value FROM json_each(?))
+    ORDER BY label_key, label_value
+  `).all(JSON.stringify(sourceIds));
+  for (const r of rows) {
+    if (!out.has(r.source_id)) out.set(r.source_id, []);
+    out.get(r.source_id).push({ key: r.label_key, value: r.label_value });
+  }
+  return out;
+}
+
+/**
+ * All labels in use with the number of sources carrying each.
+ */
+export function labelCounts(db = getDb()) {
+  return db.prepare(`
+    SELECT label_key AS key, label_value AS value, COUNT(*) AS sources
+    FROM source_labels
+    GROUP BY label_key, label_value
+    ORDER BY label_key, label_value
+  `).all();
+}
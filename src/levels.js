@@ -0,0 +1,207 @@
+import { getDb } from './db.js';
+
+/**
+ * Price levels (support, resistance, targets, stops) called out in trading
+ * commentary, stored in `analysis_levels` under the source's `levels`
+ * analysis. They come either from the LLM `levels` analysis type or from
+ * extractLevels(), an offline regex pass over the raw text.
+ */
+
+export const LEVEL_TYPES = ['support', 'resistance', 'target', 'stop'];
+
+// Values further apart than this (relative) count as a disagreement
+const CONFLICT_TOLERANCE = 0.005;
+
+const KEYWORDS = [
+  { type: 'support', re: /\bsupports?\b/gi },
+  { type: 'resistance', re: /\bresistances?\b/gi },
+  { type: 'target', re: /\b(?:price\s+)?targets?\b/gi },
+  { type: 'target', re: /\bPT\b|\bTP\d?\b/g },
+  { type: 'stop', re: /\bstop(?:[-\s]?loss)?\b|\bSL\b/gi },
+];
+
+const HORIZONS = [
+  { re: /\b(?:intraday|day[-\s]?trad(?:e|ing)|scalp)\b/i, horizon: 'intraday' },
+  { re: /\bswing\b/i, horizon: 'swing' },
+  { re: /\bshort[-\s]?term\b/i, horizon: 'short-term' },
+  { re: /\b(?:medium|mid)[-\s]?term\b/i, horizon: 'medium-term' },
+  { re: /\blong[-\s]?term\b/i, horizon: 'long-term' },
+  { re: /\b(daily|weekly|monthly)\b/i },
+];
+
+// Cashtags ($NVDA, $BTC.X, $ETH-USD) name symbols outright
+const CASHTAG = /\$([A-Z]{1,6}(?:[.-][A-Z]{1,4})?)\b/g;
+
+// A price: 172, 172.5, $1,250, 58k
+const NUM = String.raw`\$?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?[kKmM]?\b`;
+// Right after the keyword: "support at 172", "resistance: $195 / 201", "stop ~168"
+const AFTER = new RegExp(String.raw`^\s*(?:(?:level|zone|area|line)s?\s*)?(?:(?:is|at|around|near|of|sits at|to|@|[:=~-])\s*)*(${NUM}(?:\s*(?:/|-|–|,|and|or|to)\s*${NUM})*)(?!\s*%)`, 'i');
+// Right before it: "172 support", "$195 as resistance"
+const BEFORE = new RegExp(String.raw`(${NUM})\s*(?:is\s+|as\s+)?$`, 'i');
+
+function parseValues(text) {
+  return [...text.matchAll(new RegExp(NUM, 'g'))].map(([m]) => {
+    const value = parseFloat(m.replace(/[$,kKmM]/g, ''));
+    const suffix = m.slice(-1).toLowerCase();
+    return suffix === 'k' ? value * 1_000 : suffix === 'm' ? value * 1_000_000 : value;
+  });
+}
+
+function segments(text) {
+  return text
+    .split(/\n+|(?<=[!?])\s+|\.\s+(?=[A-Z$])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function horizonOf(text) {
+  for (const h of HORIZONS) {
+    const m = text.match(h.re);
+    if (m) return h.horizon || m[1].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Regex extraction of levels. `symbols` adds bare tickers to look for
+ * besides cashtags; a bare ticker also counts once the text has used it
+ * as a cashtag. A sentence without a symbol inherits the previous one (and
+ * its horizon), as in "$NVDA looks strong on the daily. Support 172."
+ * Returns [{ symbol, level_type, value, horizon, notes }].
+ */
+export function extractLevels(text, { symbols = [] } = {}) {
+  const known = new Set(symbols.map(s => s.toUpperCase()));
+  for (const m of text.matchAll(CASHTAG)) known.add(m[1]);
+  if (known.size === 0) return [];
+  const bare = new RegExp(`(?:\\$|\\b)(${[...known].map(s => s.replace(/[.-]/g, '\\$&')).join('|')})\\b`, 'g');
+
+  const levels = [];
+  const seen = new Set();
+  let current = null; // { symbol, horizon } from the last sentence naming a symbol
+
+  for (const segment of segments(text)) {
+    const mentions = [...segment.matchAll(bare)].map(m => ({ symbol: m[1], index: m.index }));
+    const hits = KEYWORDS
+      .flatMap(k => [...segment.matchAll(k.re)].map(m => ({ type: k.type, index: m.index, end: m.index + m[0].length })))
+      .sort((a, b) => a.index - b.index)
+      .filter((h, i, all) => i === 0 || h.index >= all[i - 1].end);
+
+    hits.forEach((hit, i) => {
+      // The symbol mentioned last before the keyword, else the first after it
+      const before = mentions.filter(m => m.index < hit.index).pop();
+      const symbol = before?.symbol || mentions[0]?.symbol || current?.symbol;
+      if (!symbol) return;
+      const horizon = horizonOf(segment) || (mentions.length === 0 ? current.horizon : null);
+
+      // Prices right after the keyword ("support 172 / 165"), else one
+      // right before it ("172 support")
+      const after = segment.slice(hit.end, hits[i + 1]?.index ?? segment.length).match(AFTER);
+      const lead = !after && segment.slice(Math.max(0, (hits[i - 1]?.end ?? 0), hit.index - 20), hit.index).match(BEFORE);
+      const values = after ? parseValues(after[1]) : lead ? parseValues(lead[1]) : [];
+
+      for (const value of values) {
+        const key = `${symbol}|${hit.type}|${value}`;
+        if (!(value > 0) || seen.has(key)) continue;
+        seen.add(key);
+        levels.push({ symbol, level_type: hit.type, value, horizon, notes: segment.length > 160 ? segment.slice(0, 159) + '…' : segment });
+      }
+    });
+    if (mentions.length > 0) current = { symbol: mentions[mentions.length - 1].symbol, horizon: horizonOf(segment) };
+  }
+  return levels;
+}
+
+/**
+ * Replace the levels stored for an analysis (called inside its save
+ * transaction).
+ */
+export function storeLevels(db, analysisId, { levels }) {
+  db.prepare('DELETE FROM analysis_levels WHERE analysis_id = ?').run(analysisId);
+  const insert = db.prepare(`
+    INSERT INTO analysis_levels (analysis_id, symbol, level_type, level_value, horizon, notes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const now = new Date().toISOString();
+  for (const l of levels) {
+    insert.run(analysisId, l.symbol.toUpperCase().replace(/^\$/, ''), l.level_type, l.value, l.horizon || null, l.notes || null, now);
+  }
+}
+
+/**
+ * Who made the call: tweet handle, author, channel, else the site.
+ */
+export function authorOf(source) {
+  const meta = source.metadata || {};
+  if (meta.author) return source.source_type === 'tweet' ? `@${meta.author}` : meta.author;
+  if (meta.channel) return meta.channel;
+  if (source.url) {
+    try { return new URL(source.url).hostname.replace(/^www\./, ''); } catch { /* fall through */ }
+  }
+  return '(unknown)';
+}
+
+/**
+ * Stored levels for a symbol with their source, author and date (publish
+ * date when known), newest first. `since` compares against that date.
+ */
+export function levelsForSymbol(symbol, { since, types } = {}, db = getDb()) {
+  const rows = db.prepare(`
+    SELECT l.id, l.symbol, l.level_type, l.level_value, l.horizon, l.notes, a.model,
+           s.id AS source_id, s.title, s.url, s.source_type, s.metadata, s.created_at
+    FROM analysis_levels l
+    JOIN analyses a ON a.id = l.analysis_id
+    JOIN sources s ON s.id = a.source_id
+    WHERE l.symbol = ?
+  `).all(symbol.toUpperCase().replace(/^\$/, ''));
+
+  return rows
+    .map(r => {
+      const metadata = JSON.parse(r.metadata || '{}');
+      const source = { ...r, metadata };
+      return {
+        ...r,
+        metadata,
+        author: authorOf(source),
+        date: (metadata.published_at && !isNaN(Date.parse(metadata.published_at)))
+          ? new Date(metadata.published_at).toISOString()
+          : r.created_at,
+      };
+    })
+    .filter(r => (!since || r.date >= since) && (!types || types.includes(r.level_type)))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.level_value - b.level_value);
+}
+
+/**
+ * Group levels by type and author for a side-by-side view. A type is in
+ * conflict when two authors name no value within 0.5% of each other.
+ * Returns [{ level_type, authors: Map(author -> [values]), conflict }].
+ */
+export function compareLevels(rows) {
+  return LEVEL_TYPES
+    .map(level_type => {
+      const authors = new Map();
+      for (const r of rows.filter(r => r.level_type === level_type)) {
+        const values = authors.get(r.author) || [];
+        if (!values.includes(r.level_value)) values.push(r.level_value);
+        authors.set(r.author, values);
+      }
+      const close = (a, b) => Math.abs(a - b) <= CONFLICT_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+      const lists = [...authors.values()];
+      // Conflict: two authors without a single value in common
+      const conflict = lists.some((values, i) =>
+        lists.slice(i + 1).some(other => !values.some(v => other.some(o => close(v, o)))));
+      return { level_type, authors, conflict };
+    })
+    .filter(g => g.authors.size > 0);
+}
+
+/**
+ * Symbols with stored levels: how many levels and sources, latest analysis.
+ */
+export function levelSymbols(db = getDb()) {
+  return db.prepare(`
+    SELECT l.symbol, COUNT(*) AS levels, COUNT(DISTINCT a.source_id) AS sources, MAX(a.created_at) AS latest
+    FROM analysis_levels l JOIN analyses a ON a.id = l.analysis_id
+    GROUP BY l.symbol ORDER BY sources DESC, l.symbol
+  `).all();
+}
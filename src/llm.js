@@ -0,0 +1,55 @@
+import { loadConfig } from './config.js';
+
+/**
+ * Chat completions against an OpenAI-compatible endpoint (OpenAI, Ollama,
+ * llama.cpp, vLLM, LM Studio, ...), configured under `llm` in config.json.
+ */
+
+/**
+ * Rough token count for budgeting: ~4 characters per token for English text.
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Effective LLM settings: config `llm` overlaid with per-call overrides.
+ */
+export function llmSettings(overrides = {}, config = loadConfig()) {
+  const settings = { ...config.llm };
+  for (const [k, v] of Object.entries(overrides)) {
+    if (v !== undefined && v !== null) settings[k] = v;
+  }
+  return settings;
+}
+
+/**
+ * Send chat messages; returns { content, model, usage }.
+ * options override the configured llm settings (model, temperature, ...).
+ */
+export async function chatComplete(messages, options = {}) {
+  const { baseUrl, model, apiKeyEnv, temperature, maxTokens, timeoutMs } = llmSettings(options);
+  const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+  if (!apiKey && /api\.openai\.com/.test(baseUrl)) {
+    throw new Error(`${apiKeyEnv} not set (or point llm.baseUrl at a local OpenAI-compatible server)`);
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, messages, temperature, max_tokens: maxTokens }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`LLM API ${res.status} (${baseUrl}): ${body.slice(0, 200)}`);
+  }
+
+  const data = await res.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') throw new Error(`LLM API returned no message content (${baseUrl})`);
+  return { content: content.trim(), model: data.model || model, usage: data.usage || null };
+}
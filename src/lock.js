@@ -20,10 +20,12 @@ export function acquireLock() {
       const data = JSON.parse(readFileSync(lp, 'utf-8'));
       const age = Date.now() - data.ts;
       if (age < STALE_MS && isPidAlive(data.pid)) {
-        throw new Error('Another ingestion is running. Try again later.');
+        const err = new Error('Another ingestion is running. Try again later.');
+        err.code = 'ELOCKED';
+        throw err;
       }
     } catch (err) {
-      if (err.message.includes('Another ingestion')) throw err;
+      if (err.code === 'ELOCKED') throw err;
       // Corrupt lock file — remove it
     }
     unlinkSync(lp);
@@ -35,3 +37,15 @@ export function acquireLock() {
     try { unlinkSync(lp); } catch { /* ignore */ }
   };
 }
+
+/**
+ * Bump the lock's timestamp so long-running jobs (imports, feed syncs) that
+ * hold it for more than STALE_MS are not mistaken for a crashed process.
+ */
+export function refreshLock() {
+  const lp = lockPath();
+  try {
+    const data = JSON.parse(readFileSync(lp, 'utf-8'));
+    if (data.pid === process.pid) writeFileSync(lp, JSON.stringify({ pid: process.pid, ts: Date.now() }));
+  } catch { /* lock gone or unreadable — nothing to refresh */ }
+}
@@ -0,0 +1,247 @@
+import { createInterface } from 'readline';
+import { readFileSync } from 'fs';
+import { ingest, ingestNote } from './ingest.js';
+import { query, SEARCH_MODES } from './retrieve.js';
+import { findSource, listSources, getSourceDetails } from './sources.js';
+import { addLabels, removeLabels, labelsBySource } from './labels.js';
+import { FILTER_SCHEMA, filtersFromJson, parseLabel } from './filters.js';
+import { validateSchema } from './schema.js';
+
+/**
+ * Model Context Protocol server behind `kb mcp`: JSON-RPC 2.0, one message
+ * per line on stdin/stdout. Implements initialize, ping, tools/list and
+ * tools/call with these tools (input schemas in MCP_TOOLS below):
+ *
+ *   search        { query, mode?, top_k?, filters? } → { results }
+ *   get_source    { id, content? }                   → the source (id prefixes work)
+ *   list_sources  { filters?, limit?, offset? }      → { sources }
+ *   ingest        { url } or { text, title? }, labels? → the ingest result
+ *   label         { id, add?, remove? }              → { added, removed, labels }
+ *
+ * Tool results carry the JSON both as text content and as
+ * structuredContent; failures are results with isError set, so the agent
+ * sees the message. Nothing but protocol messages may reach stdout.
+ */
+
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const LABELS_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Labels as key=value' };
+
+// Lock waits for ingests while a CLI command holds the lock
+const LOCK_RETRY_MS = 2000;
+const LOCK_MAX_WAITS = 30;
+
+function sourceOrThrow(id, options) {
+  const source = findSource(id, undefined, options);
+  if (!source) throw new Error(`Source not found: ${id}`);
+  return source;
+}
+
+function parseLabels(raw = [], { needValue = false } = {}) {
+  const labels = raw.map(parseLabel);
+  if (needValue && labels.some(l => l.value === undefined)) throw new Error('Labels to add need a value (key=value)');
+  return labels;
+}
+
+async function waitForLock(task) {
+  for (let waits = 0; ; waits++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (err.code !== 'ELOCKED' || waits >= LOCK_MAX_WAITS) throw err;
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+export const MCP_TOOLS = [
+  {
+    name: 'search',
+    description: 'Search the knowledge base (hybrid keyword + semantic by default). Returns the best passage per source (or several, with per_source) with its title, URL, type and score.',
+    inputSchema: {
+      type: 'object',
+      required: ['query'],
+      additionalProperties: false,
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'What to search for' },
+        mode: { type: 'string', enum: SEARCH_MODES, description: 'vector | keyword | hybrid (default)' },
+        top_k: { type: 'integer', minimum: 1, maximum: 50, description: 'Results to return (default 10)' },
+        expand: { type: 'integer', minimum: 0, maximum: 10, description: 'Also return this many neighbouring chunks either side of each hit' },
+        per_source: { type: 'integer', minimum: 1, maximum: 20, description: 'Passages per source (default 1); above 1 each result lists them under passages' },
+        min_score: { type: 'number', description: 'Drop passages scoring below this (cosine for vector, -BM25 for keyword, RRF for hybrid)' },
+        mmr: { type: 'number', minimum: 0, maximum: 1, description: 'Rerank for diversity with maximal marginal relevance at this lambda; lower favours variety' },
+        filters: FILTER_SCHEMA,
+      },
+    },
+    run: async ({ query: q, mode = 'hybrid', top_k: topK = 10, expand = 0, per_source: perSource = 1, min_score: minScore = null, mmr = null, filters }) => ({
+      results: await query(q, { mode, topK, expand, perSource, minScore, mmr, filters: filtersFromJson(filters) }),
+    }),
+  },
+  {
+    name: 'get_source',
+    description: 'Get one source by ID (or unique ID prefix): title, URL, type, summary, metadata, labels and chunk info; the full text with content: true.',
+    inputSchema: {
+      type: 'object',
+      required: ['id'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Source ID or prefix' },
+        content: { type: 'boolean', description: 'Include the full extracted text' },
+      },
+    },
+    run: ({ id, content = false }) => {
+      const { raw_content, ...source } = getSourceDetails(sourceOrThrow(id).id);
+      return content ? { ...source, content: raw_content } : source;
+    },
+  },
+  {
+    name: 'list_sources',
+    description: 'List sources, newest first, with labels, summary and chunk counts; accepts the same filters as search.',
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        filters: FILTER_SCHEMA,
+        limit: { type: 'integer', minimum: 1, maximum: 500, description: 'Default 50' },
+        offset: { type: 'integer', minimum: 0 },
+      },
+    },
+    run: ({ filters, limit = 50, offset = 0 }) => ({ sources: listSources(filtersFromJson(filters), { limit, offset }), limit, offset }),
+  },
+  {
+    name: 'ingest',
+    description: 'Add an http(s) URL (article, PDF, video, tweet, ...) or a text note. Waits until it is extracted and embedded; status is ok, duplicate_url, duplicate_content, invalid or pending_transcript.',
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        url: { type: 'string', minLength: 1, description: 'http(s) URL to fetch' },
+        text: { type: 'string', minLength: 1, description: 'Note text (instead of url)' },
+        title: { type: 'string', description: 'Note title (default: its first line)' },
+        labels: LABELS_SCHEMA,
+      },
+    },
+    run: async ({ url, text, title, labels: raw }) => {
+      if (Boolean(url) === Boolean(text)) throw new Error('Pass either url or text');
+      // Like the HTTP API, only the web: a local path would hand the agent the user's files
+      if (url && !/^https?:\/\//i.test(url)) throw new Error('url must be http(s)');
+      const labels = parseLabels(raw, { needValue: true });
+      const quiet = () => {};
+      return waitForLock(() => (url ? ingest(url, { labels, log: quiet }) : ingestNote(text, { title, labels, log: quiet })));
+    },
+  },
+  {
+    name: 'label',
+    description: 'Add and/or remove labels (key=value) on a source; removing a bare key removes every value. Returns the resulting labels.',
+    inputSchema: {
+      type: 'object',
+      required: ['id'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Full source ID (as returned by search or list_sources)' },
+        add: LABELS_SCHEMA,
+        remove: { ...LABELS_SCHEMA, description: 'Labels as key=value, or key for every value' },
+      },
+    },
+    run: ({ id, add = [], remove = [] }) => {
+      const source = sourceOrThrow(id, { exact: true });
+      if (add.length === 0 && remove.length === 0) throw new Error('Pass labels to add or remove');
+      const removed = remove.length ? removeLabels([source.id], parseLabels(remove)) : 0;
+      const added = add.length ? addLabels([source.id], parseLabels(add, { needValue: true })) : 0;
+      return { added, removed, labels: labelsBySource([source.id]).get(source.id) || [] };
+    },
+  },
+];
+
+const TOOLS_BY_NAME = new Map(MCP_TOOLS.map(t => [t.name, t]));
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function toolResult(value, isError = false) {
+  const result = { content: [{ type: 'text', text: isError ? value : JSON.stringify(value, null, 2) }] };
+  if (isError) result.isError = true;
+  else result.structuredContent = value;
+  return result;
+}
+
+async function callTool({ name, arguments: args = {} } = {}) {
+  const tool = TOOLS_BY_NAME.get(name);
+  if (!tool) throw new RpcError(-32602, `Unknown tool: ${name}`);
+  const errors = validateSchema(args, tool.inputSchema);
+  if (errors.length > 0) return toolResult(`Invalid arguments: ${errors.join('; ')}`, true);
+  try {
+    return toolResult(await tool.run(args));
+  } catch (err) {
+    return toolResult(err.message.split('\n')[0], true);
+  }
+}
+
+function serverVersion() {
+  return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+}
+
+const METHODS = {
+  initialize: ({ protocolVersion } = {}) => ({
+    protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+    capabilities: { tools: { listChanged: false } },
+    serverInfo: { name: 'knowledge-base', version: serverVersion() },
+    instructions: 'Personal knowledge base: search it before answering from memory, get_source for details, ingest to save links and notes.',
+  }),
+  ping: () => ({}),
+  'tools/list': () => ({
+    tools: MCP_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+  }),
+  'tools/call': callTool,
+};
+
+/**
+ * Handle one parsed JSON-RPC message. Resolves to the response, or null for
+ * notifications (no id), which get none.
+ */
+export async function handleMessage(message) {
+  const isRequest = message && typeof message === 'object' && !Array.isArray(message);
+  const id = isRequest && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+  if (!isRequest || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid request' } };
+  }
+  if (message.id === undefined) return null;
+
+  try {
+    const method = METHODS[message.method];
+    if (!method) throw new RpcError(-32601, `Method not found: ${message.method}`);
+    return { jsonrpc: '2.0', id, result: await method(message.params) };
+  } catch (err) {
+    return { jsonrpc: '2.0', id, error: { code: err instanceof RpcError ? err.code : -32603, message: err.message } };
+  }
+}
+
+/**
+ * Serve MCP over newline-delimited JSON on `input`/`output` until input
+ * ends. Messages are handled in order, one at a time.
+ */
+export function serveMcp({ input = process.stdin, output = process.stdout } = {}) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const send = message => output.write(JSON.stringify(message) + '\n');
+  let pending = Promise.resolve();
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+    pending = pending.then(async () => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        return send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+      const response = await handleMessage(message);
+      if (response) send(response);
+    });
+  });
+
+  return new Promise(resolve => lines.once('close', () => pending.then(resolve)));
+}
@@ -1,3 +1,8 @@
+import { existsSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
 const TRACKING_PARAMS = new Set([
   'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
   'fbclid', 'igshid', 'ref', 's', 't',
@@ -27,3 +32,22 @@ export function normalizeUrl(raw) {
     return raw;
   }
 }
+
+/**
+ * Turn a local file path (or file:// URL) into a canonical file:// URL, so the
+ * same file always has the same identity for URL dedup. Anything that is not
+ * an existing local file is returned unchanged.
+ */
+export function resolveLocalPath(raw) {
+  if (!raw) return raw;
+  let path;
+  if (/^file:\/\//i.test(raw)) {
+    path = fileURLToPath(raw);
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(raw) && !/^[a-z]:[\\/]/i.test(raw)) {
+    return raw; // some other scheme (http:, note:, ...)
+  } else {
+    path = resolve(raw.replace(/^~(?=$|[\\/])/, homedir()));
+    if (!existsSync(path)) return raw;
+  }
+  return pathToFileURL(existsSync(path) ? realpathSync(path) : path).href;
+}
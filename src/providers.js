@@ -0,0 +1,197 @@
+const MAX_INPUT = 8000;
+
+// ---------- Registry ----------
+
+/**
+ * An embedding provider is { name, defaultModel, embed(texts, options) } where
+ * embed resolves to { embeddings: number[][], dim, model, tokens? }, tokens
+ * being the input token count the provider reports for the call, when it
+ * reports one. Options come from the knowledge base config
+ * (embedding.providers.<name>). Providers whose
+ * model name depends on other options may add resolveModel(options).
+ */
+const registry = new Map();
+
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider needs a name and an embed() function');
+  }
+  registry.set(provider.name, provider);
+}
+
+export function getProvider(name) {
+  const provider = registry.get(name);
+  if (!provider) {
+    throw new Error(`Unknown embedding provider "${name}" (available: ${listProviders().join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * The model a provider will use for the given options, known before any call.
+ */
+export function modelFor(provider, options = {}) {
+  if (provider.resolveModel) return provider.resolveModel(options);
+  return options.model || provider.defaultModel;
+}
+
+export function listProviders() {
+  return [...registry.keys()];
+}
+
+// ---------- Retry with backoff ----------
+
+async function retry(fn, attempts = 3, delays = [1000, 2000, 4000]) {
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      // Nothing listening is not going to get better in a few seconds
+      if (i === attempts - 1 || err.cause?.code === 'ECONNREFUSED') throw err;
+      await new Promise(r => setTimeout(r, delays[i]));
+    }
+  }
+}
+
+// ---------- Gemini ----------
+
+async function embedGemini(texts, { model = 'text-embedding-004' } = {}) {
+  const key = process.env.GEMINI_API_KEY;
+  if (!key) throw new Error('GEMINI_API_KEY not set');
+
+  const requests = texts.map(t => ({
+    model: `models/${model}`,
+    content: { parts: [{ text: t.slice(0, MAX_INPUT) }] },
+  }));
+
+  const res = await retry(async () => {
+    const r = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${key}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requests }),
+        signal: AbortSignal.timeout(30_000),
+      }
+    );
+    if (!r.ok) {
+      const body = await r.text().catch(() => '');
+      throw new Error(`Gemini API ${r.status}: ${body.slice(0, 200)}`);
+    }
+    return r.json();
+  });
+
+  return {
+    embeddings: res.embeddings.map(e => e.values),
+    dim: res.embeddings[0].values.length,
+    model,
+  };
+}
+
+// ---------- OpenAI-compatible (/v1/embeddings) ----------
+
+async function embedOpenAICompatible(texts, { baseUrl, model, apiKey, label }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const res = await retry(async () => {
+    const r = await fetch(`${baseUrl.replace(/\/+$/, '')}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        input: texts.map(t => t.slice(0, MAX_INPUT)),
+      }),
+      signal: AbortSignal.timeout(30_000),
+    });
+    if (!r.ok) {
+      const body = await r.text().catch(() => '');
+      throw new Error(`${label} API ${r.status}: ${body.slice(0, 200)}`);
+    }
+    return r.json();
+  });
+
+  if (!Array.isArray(res.data) || res.data.length !== texts.length) {
+    throw new Error(`${label} API returned ${res.data?.length ?? 0} embeddings for ${texts.length} inputs`);
+  }
+  const sorted = res.data.sort((a, b) => a.index - b.index);
+  return {
+    embeddings: sorted.map(d => d.embedding),
+    dim: sorted[0].embedding.length,
+    model,
+    tokens: res.usage?.prompt_tokens ?? res.usage?.total_tokens ?? null,
+  };
+}
+
+async function embedOpenAI(texts, { model = 'text-embedding-3-small', baseUrl = 'https://api.openai.com/v1' } = {}) {
+  const key = process.env.OPENAI_API_KEY;
+  if (!key) throw new Error('OPENAI_API_KEY not set');
+  return embedOpenAICompatible(texts, { baseUrl, model, apiKey: key, label: 'OpenAI' });
+}
+
+// Self-hosted servers (Ollama, llama.cpp, vLLM, LM Studio, ...) that speak the
+// OpenAI embeddings API. No key unless the server wants one.
+async function embedLocal(texts, {
+  model = 'nomic-embed-text',
+  baseUrl = process.env.KB_LOCAL_EMBED_URL || 'http://localhost:11434/v1',
+  apiKeyEnv,
+} = {}) {
+  const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+  return embedOpenAICompatible(texts, { baseUrl, model, apiKey, label: `Local (${baseUrl})` });
+}
+
+// ---------- Hashed n-grams (offline) ----------
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic bag-of-features vector: word unigrams, word bigrams and
+ * character trigrams hashed into `dim` signed buckets, then L2-normalized.
+ * No network, no model files — good enough for air-gapped use and tests.
+ */
+export function hashEmbedding(text, dim = 256) {
+  const vec = new Array(dim).fill(0);
+  const words = String(text).slice(0, MAX_INPUT).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vec[h % dim] += (h & 0x80000000) ? -weight : weight;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    add(`w:${words[i]}`, 1);
+    if (i > 0) add(`b:${words[i - 1]} ${words[i]}`, 0.5);
+    const padded = ` ${words[i]} `;
+    for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`, 0.25);
+  }
+
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vec : vec.map(v => v / norm);
+}
+
+async function embedHash(texts, { dim = 256 } = {}) {
+  return {
+    embeddings: texts.map(t => hashEmbedding(t, dim)),
+    dim,
+    model: `ngram-${dim}`,
+  };
+}
+
+// ---------- Built-ins ----------
+
+registerProvider({ name: 'google', defaultModel: 'text-embedding-004', embed: embedGemini });
+registerProvider({ name: 'openai', defaultModel: 'text-embedding-3-small', embed: embedOpenAI });
+registerProvider({ name: 'local', defaultModel: 'nomic-embed-text', embed: embedLocal });
+registerProvider({
+  name: 'hash',
+  defaultModel: 'ngram-256',
+  resolveModel: ({ dim = 256 } = {}) => `ngram-${dim}`,
+  embed: embedHash,
+});
@@ -0,0 +1,88 @@
+import { getDb } from './db.js';
+import { embedTexts, resolveProviders, pinnedProvider, serializeEmbedding } from './embed.js';
+import { modelFor } from './providers.js';
+import { acquireLock } from './lock.js';
+import { indexChunks } from './vindex.js';
+import { embeddingText } from './chunk.js';
+
+const DEFAULT_BATCH = 50;
+
+/**
+ * Embedding spaces (provider/model/dim) present in the corpus, largest first.
+ */
+export function embeddingSpaces(db = getDb()) {
+  return db.prepare(`
+    SELECT embedding_provider AS provider, embedding_model AS model, embedding_dim AS dim,
+           COUNT(*) AS chunks, COUNT(DISTINCT source_id) AS sources
+    FROM chunks
+    WHERE embedding IS NOT NULL
+    GROUP BY embedding_provider, embedding_model, embedding_dim
+    ORDER BY chunks DESC
+  `).all();
+}
+
+/**
+ * Re-embed every chunk that is not already in the target space.
+ * Target defaults to the first configured provider and its model. Work is
+ * committed batch by batch, so an interrupted run simply continues where it
+ * stopped the next time it is started.
+ */
+export async function reembed({ provider, model, sourceId, batchSize = DEFAULT_BATCH, onProgress = () => {} } = {}) {
+  const release = acquireLock();
+  try {
+    return await _reembed({ provider, model, sourceId, batchSize, onProgress });
+  } finally {
+    release();
+  }
+}
+
+async function _reembed({ provider, model, sourceId, batchSize, onProgress }) {
+  const db = getDb();
+  const target = provider ? pinnedProvider(provider, model) : resolveProviders()[0];
+  if (!provider && model) target.options = { ...target.options, model };
+  const targetProvider = target.provider.name;
+  const targetModel = modelFor(target.provider, target.options);
+
+  const scope = sourceId ? 'AND source_id = @sourceId' : '';
+  const params = { provider: targetProvider, model: targetModel, sourceId };
+  const pending = db.prepare(`
+    SELECT seq, id, source_id, content, heading FROM chunks
+    WHERE (embedding IS NULL OR embedding_provider IS NOT @provider OR embedding_model IS NOT @model)
+      ${scope}
+    ORDER BY seq
+    LIMIT @limit
+  `);
+  const { total } = db.prepare(`
+    SELECT COUNT(*) AS total FROM chunks
+    WHERE (embedding IS NULL OR embedding_provider IS NOT @provider OR embedding_model IS NOT @model)
+      ${scope}
+  `).get(params);
+
+  const update = db.prepare(`
+    UPDATE chunks
+    SET embedding = ?, embedding_dim = ?, embedding_provider = ?, embedding_model = ?
+    WHERE id = ?
+  `);
+
+  let done = 0;
+  while (true) {
+    const batch = pending.all({ ...params, limit: batchSize });
+    if (batch.length === 0) break;
+
+    const result = await embedTexts(batch.map(embeddingText), {
+      provider: targetProvider, model: targetModel, operation: 'reembed', sourceId: batch.map(c => c.source_id),
+    });
+    const tx = db.transaction(() => {
+      for (let i = 0; i < batch.length; i++) {
+        update.run(serializeEmbedding(result.embeddings[i]), result.dim, result.provider, result.model, batch[i].id);
+      }
+      indexChunks(db, batch.map((c, i) => ({ id: c.id, embedding: result.embeddings[i], dim: result.dim })));
+    });
+    tx();
+
+    done += batch.length;
+    onProgress({ done, total });
+  }
+
+  return { provider: targetProvider, model: targetModel, reembedded: done };
+}
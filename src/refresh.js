@@ -0,0 +1,111 @@
+import { createHash } from 'crypto';
+import { getDb } from './db.js';
+import { extractContent } from './extract.js';
+import { validateContent, truncateContent } from './validate.js';
+import { replaceSourceContent } from './ingest.js';
+import { acquireLock, refreshLock } from './lock.js';
+import { buildSourceFilter } from './filters.js';
+
+/**
+ * Re-extract sources from their URL. Unchanged content only bumps
+ * refreshed_at; changed content archives the old version and swaps chunks
+ * and embeddings in one transaction (see replaceSourceContent).
+ */
+
+/**
+ * IDs of refreshable sources (those with a URL) matching `filters`, limited
+ * to ones not refreshed — or, if never refreshed, not ingested — since
+ * `olderThan` (ISO timestamp) when given.
+ */
+export function staleSourceIds({ olderThan, filters = {} } = {}, db = getDb()) {
+  const filter = buildSourceFilter(filters);
+  const age = olderThan ? 'AND COALESCE(s.refreshed_at, s.created_at) < @olderThan' : '';
+  return db.prepare(`
+    SELECT s.id FROM sources s
+    WHERE s.url IS NOT NULL ${age} ${filter.sql}
+    ORDER BY COALESCE(s.refreshed_at, s.created_at)
+  `).all({ ...filter.params, ...(olderThan ? { olderThan } : {}) }).map(r => r.id);
+}
+
+/**
+ * Refresh sources one by one. onResult(source, result) fires after each;
+ * result.status is updated | unchanged | invalid | duplicate_content |
+ * skipped | failed.
+ */
+export async function refreshSources(sourceIds, { onResult = () => {} } = {}) {
+  const release = acquireLock();
+  try {
+    const db = getDb();
+    const counts = {};
+    for (const id of sourceIds) {
+      const source = db.prepare('SELECT id, url, title, source_type, content_hash, metadata FROM sources WHERE id = ?').get(id);
+      if (!source) continue;
+      let result;
+      try {
+        result = await refreshOne(db, source);
+      } catch (err) {
+        result = { status: 'failed', message: err.message.split('\n')[0] };
+      }
+      refreshLock();
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      onResult(source, result);
+    }
+    return counts;
+  } finally {
+    release();
+  }
+}
+
+async function refreshOne(db, source) {
+  if (!source.url) return { status: 'skipped', message: 'No URL to refresh from' };
+
+  const extracted = await extractContent(source.url, source.source_type);
+  const content = truncateContent(extracted.content || '');
+  const metadata = { ...JSON.parse(source.metadata || '{}'), ...extracted.metadata };
+  const validation = validateContent(content, source.source_type, metadata);
+  if (!validation.valid) return { status: 'invalid', message: `${validation.reason}; kept the current version` };
+
+  const now = new Date().toISOString();
+  const contentHash = createHash('sha256').update(content).digest('hex');
+  if (contentHash === source.content_hash) {
+    db.prepare('UPDATE sources SET refreshed_at = ? WHERE id = ?').run(now, source.id);
+    return { status: 'unchanged' };
+  }
+
+  const result = await replaceSourceContent(db, source.id, {
+    content,
+    markdown: extracted.markdown && truncateContent(extracted.markdown),
+    title: extracted.title || source.title,
+    metadata,
+    operation: 'refresh',
+    log: () => {},
+  });
+  db.prepare('UPDATE sources SET refreshed_at = ? WHERE id = ?').run(now, source.id);
+  if (result.status !== 'ok') return result;
+  return { status: 'updated', chunks: result.chunks, title: result.title };
+}
+
+/**
+ * All versions of a source, oldest first; the last entry is the current
+ * content. Each: { version, title, raw_content, content_hash, created_at,
+ * replaced_at, current }.
+ */
+export function sourceVersions(sourceId, db = getDb()) {
+  const archived = db.prepare(`
+    SELECT version, title, raw_content, content_hash, created_at, replaced_at
+    FROM source_versions WHERE source_id = ? ORDER BY version
+  `).all(sourceId).map(v => ({ ...v, current: false }));
+  const source = db.prepare(`
+    SELECT title, raw_content, content_hash, created_at, updated_at FROM sources WHERE id = ?
+  `).get(sourceId);
+  if (!source) return [];
+  return [...archived, {
+    version: archived.length ? archived[archived.length - 1].version + 1 : 1,
+    title: source.title,
+    raw_content: source.raw_content,
+    content_hash: source.content_hash,
+    created_at: archived.length ? source.updated_at : source.created_at,
+    replaced_at: null,
+    current: true,
+  }];
+}
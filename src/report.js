@@ -0,0 +1,247 @@
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { parseDate } from './filters.js';
+import { labelsBySource, formatLabel } from './labels.js';
+import { chatComplete, estimateTokens } from './llm.js';
+import { contentWords } from './summarize.js';
+
+/**
+ * Periodic digests of what was ingested in a time window, saved to
+ * `consolidated_reports`. The offline `template` backend renders the
+ * gathered material (sources by type, labels, topics, summaries and
+ * highlights) as Markdown deterministically; the `llm` backend has the
+ * configured chat model write the digest from the same material.
+ */
+
+export const REPORT_TYPES = { daily: 1, weekly: 7 };
+
+export const REPORT_BACKENDS = ['template', 'llm'];
+
+// Recorded as prompt_version; bump when the template or prompt changes
+const TEMPLATE_VERSION = 'template-v1';
+const LLM_VERSION = 'llm-v1';
+
+const DEFAULT_PROMPT = `You write a digest of what was added to a personal knowledge base in a time window.
+Use only the material given. Start with 3-5 bullet highlights, then group related sources under short topic headings
+with one or two sentences each. Mention sources by title. Write Markdown, no preamble.`;
+
+/**
+ * The window a report covers: `window` "start..end" (dates as accepted by
+ * the query filters; a bare end date includes that day), else the
+ * `days` of the report type up to now.
+ */
+export function reportWindow(type, { window, now = new Date() } = {}) {
+  if (!REPORT_TYPES[type]) throw new Error(`Unknown report type "${type}" (expected ${Object.keys(REPORT_TYPES).join('|')})`);
+  if (window) {
+    const [start, end] = window.split('..');
+    if (!start || end === undefined) throw new Error(`Invalid window "${window}" (expected start..end)`);
+    return { start: parseDate(start, { now }), end: end ? parseDate(end, { endOfDay: true, now }) : now.toISOString() };
+  }
+  return { start: new Date(now.getTime() - REPORT_TYPES[type] * 86_400_000).toISOString(), end: now.toISOString() };
+}
+
+/**
+ * Topics: content words shared by at least two sources' titles and
+ * summaries, most common first, each with the sources that mention it.
+ * A source is listed under at most one topic.
+ */
+export function findTopics(sources, max = 8) {
+  const termsOf = new Map(sources.map(s => [s.id, new Set(contentWords(`${s.title || ''} ${s.summary || ''}`))]));
+  const df = new Map();
+  for (const terms of termsOf.values()) for (const t of terms) df.set(t, (df.get(t) || 0) + 1);
+
+  const topics = [];
+  const placed = new Set();
+  const candidates = [...df.entries()].filter(([, n]) => n >= 2).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  for (const [term] of candidates) {
+    if (topics.length >= max) break;
+    const members = sources.filter(s => !placed.has(s.id) && termsOf.get(s.id).has(term));
+    if (members.length < 2) continue;
+    members.forEach(s => placed.add(s.id));
+    topics.push({ topic: term, sources: members.map(s => s.id) });
+  }
+  return topics;
+}
+
+/**
+ * Everything a report is made from, as plain data (stored as output_json).
+ */
+export function gatherReport(type, { start, end }, { topics: maxTopics = loadConfig().report.topics } = {}, db = getDb()) {
+  const rows = db.prepare(`
+    SELECT id, url, title, source_type, summary, metadata, created_at FROM sources
+    WHERE created_at >= ? AND created_at <= ? ORDER BY created_at
+  `).all(start, end);
+  const labels = labelsBySource(rows.map(r => r.id), db);
+  const takeaways = db.prepare(`SELECT output_json FROM analyses WHERE source_id = ? AND analysis_type = 'takeaways'`);
+
+  const sources = rows.map(r => ({
+    id: r.id,
+    title: r.title,
+    url: r.url,
+    type: r.source_type,
+    created_at: r.created_at,
+    published_at: JSON.parse(r.metadata || '{}').published_at || null,
+    summary: r.summary,
+    labels: (labels.get(r.id) || []).map(formatLabel),
+    takeaways: JSON.parse(takeaways.get(r.id)?.output_json || '{"takeaways":[]}').takeaways.map(t => t.point),
+  }));
+
+  const byType = {};
+  for (const s of sources) (byType[s.type] ||= []).push(s.id);
+  const byLabel = {};
+  for (const s of sources) for (const l of s.labels) (byLabel[l] ||= []).push(s.id);
+
+  const highlights = [
+    ...db.prepare(`
+      SELECT message FROM price_alert_events WHERE triggered_at >= ? AND triggered_at <= ? ORDER BY triggered_at
+    `).all(start, end).map(r => ({ kind: 'alert', text: r.message })),
+    ...sources.flatMap(s => s.takeaways.slice(0, 2).map(t => ({ kind: 'takeaway', source: s.id, text: t }))),
+  ];
+
+  return {
+    type,
+    window: { start, end },
+    count: sources.length,
+    byType,
+    byLabel,
+    topics: findTopics(sources, maxTopics),
+    highlights,
+    sources,
+  };
+}
+
+function day(iso) {
+  return iso.slice(0, 10);
+}
+
+function link(s) {
+  const title = (s.title || '(untitled)').replace(/[[\]]/g, '');
+  return s.url ? `[${title}](${s.url})` : title;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * Deterministic Markdown for gathered report data.
+ */
+export function renderTemplate(data) {
+  const { type, window, count, byType, byLabel, topics, highlights, sources } = data;
+  const byId = new Map(sources.map(s => [s.id, s]));
+  const heading = `# ${type[0].toUpperCase()}${type.slice(1)} report: ${day(window.start)} – ${day(window.end)}`;
+  if (count === 0) return `${heading}\n\nNothing was ingested in this window.\n`;
+
+  const types = Object.entries(byType).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  const out = [heading, '', `${plural(count, 'source')} ingested: ${types.map(([t, ids]) => `${ids.length} ${t}`).join(', ')}.`];
+
+  if (highlights.length > 0) {
+    out.push('', '## Highlights', '');
+    for (const h of highlights) {
+      out.push(h.kind === 'alert' ? `- 🔔 ${h.text}` : `- ${h.text} (${link(byId.get(h.source))})`);
+    }
+  }
+
+  if (topics.length > 0) {
+    out.push('', '## Topics', '');
+    for (const t of topics) out.push(`- **${t.topic}** (${t.sources.length}): ${t.sources.map(id => link(byId.get(id))).join(', ')}`);
+  }
+
+  for (const [t, ids] of types) {
+    out.push('', `## ${t} (${ids.length})`, '');
+    for (const id of ids) {
+      const s = byId.get(id);
+      out.push(`- ${link(s)}${s.labels.length ? ` — ${s.labels.join(', ')}` : ''}`);
+      if (s.summary) out.push(`  > ${s.summary.replace(/\s*\n\s*/g, ' ')}`);
+    }
+  }
+
+  const labels = Object.entries(byLabel).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  if (labels.length > 0) {
+    out.push('', '## Labels', '');
+    for (const [label, ids] of labels) out.push(`- ${label} (${ids.length})`);
+  }
+  return out.join('\n') + '\n';
+}
+
+async function renderLlm(data, settings) {
+  // The model sees each source's metadata and summary, within the token budget
+  const lines = [];
+  let used = 0;
+  for (const s of data.sources) {
+    const line = `- ${s.title || '(untitled)'} [${s.type}]${s.labels.length ? ` (${s.labels.join(', ')})` : ''}`
+      + `${s.summary ? `: ${s.summary}` : ''}${s.takeaways.length ? ` Takeaways: ${s.takeaways.join('; ')}` : ''}`;
+    if (used + estimateTokens(line) > settings.inputTokens) break;
+    lines.push(line);
+    used += estimateTokens(line);
+  }
+  const alerts = data.highlights.filter(h => h.kind === 'alert').map(h => `- ${h.text}`);
+  const { content, model } = await chatComplete([
+    { role: 'system', content: settings.prompt || DEFAULT_PROMPT },
+    {
+      role: 'user',
+      content: `Window: ${data.window.start} to ${data.window.end}\n\nSources (${data.count}):\n${lines.join('\n')}`
+        + (alerts.length ? `\n\nPrice alerts:\n${alerts.join('\n')}` : ''),
+    },
+  ], { model: settings.model });
+
+  const heading = `# ${data.type[0].toUpperCase()}${data.type.slice(1)} report: ${day(data.window.start)} – ${day(data.window.end)}`;
+  const sources = data.sources.map(s => `- ${link(s)}`);
+  return { markdown: `${heading}\n\n${content}\n\n## Sources\n\n${sources.join('\n')}\n`, model };
+}
+
+/**
+ * Build (and by default save) a report. Returns { id, type, window,
+ * markdown, data, backend, model }. With the llm backend, a failed request
+ * falls back to the template.
+ */
+export async function createReport(type, { window, now, backend, model, save = true, log = console.log } = {}) {
+  const settings = { ...loadConfig().report };
+  if (backend) settings.backend = backend;
+  if (model) settings.model = model;
+  if (!REPORT_BACKENDS.includes(settings.backend)) {
+    throw new Error(`Unknown report backend "${settings.backend}" (expected ${REPORT_BACKENDS.join('|')})`);
+  }
+
+  const span = reportWindow(type, { window, now });
+  const data = gatherReport(type, span, settings);
+  let report = { markdown: renderTemplate(data), model: null, backend: 'template', version: TEMPLATE_VERSION };
+  if (settings.backend === 'llm' && data.count > 0) {
+    try {
+      const { markdown, model: used } = await renderLlm(data, settings);
+      report = { markdown, model: used, backend: 'llm', version: LLM_VERSION };
+    } catch (err) {
+      log(`Warning: LLM report failed, using the template (${err.message.split('\n')[0]})`);
+    }
+  }
+
+  let id = null;
+  if (save) {
+    id = getDb().prepare(`
+      INSERT INTO consolidated_reports (report_type, window_start, window_end, model, prompt_version, output_markdown, output_json, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(type, span.start, span.end, report.model, report.version, report.markdown, JSON.stringify(data), new Date().toISOString())
+      .lastInsertRowid;
+  }
+  return { id: id === null ? null : Number(id), type, window: span, markdown: report.markdown, data, backend: report.backend, model: report.model };
+}
+
+export function listReports({ type, limit = 20 } = {}, db = getDb()) {
+  return db.prepare(`
+    SELECT id, report_type, window_start, window_end, model, prompt_version, created_at,
+           json_extract(output_json, '$.count') AS source_count
+    FROM consolidated_reports ${type ? 'WHERE report_type = ?' : ''}
+    ORDER BY created_at DESC, id DESC LIMIT ?
+  `).all(...(type ? [type, limit] : [limit]));
+}
+
+/**
+ * A saved report by ID ('latest' for the newest), output_json parsed.
+ */
+export function getReport(id, db = getDb()) {
+  const row = id === 'latest'
+    ? db.prepare('SELECT * FROM consolidated_reports ORDER BY created_at DESC, id DESC LIMIT 1').get()
+    : db.prepare('SELECT * FROM consolidated_reports WHERE id = ?').get(Number(id));
+  if (!row) return undefined;
+  return { ...row, data: JSON.parse(row.output_json || 'null') };
+}
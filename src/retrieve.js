@@ -1,71 +1,252 @@
 import { getDb } from './db.js';
-import { embedQuery, deserializeEmbedding } from './embed.js';
-
-function cosineSimilarity(a, b) {
-  let dot = 0, magA = 0, magB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot  += a[i] * b[i];
-    magA += a[i] * a[i];
-    magB += b[i] * b[i];
+import { embedQuery } from './embed.js';
+import { searchVectors, cosineSimilarity, toFloat32 } from './vindex.js';
+import { buildSourceFilter } from './filters.js';
+import { chunkWindow } from './sources.js';
+import { embeddingSpaces } from './reembed.js';
+
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+const RRF_K = 60;
+const MIN_CANDIDATES = 50;
+const MAX_EXCERPT_CHARS = 2500;
+
+/**
+ * Turn free text into an FTS5 MATCH expression.
+ * Each whitespace-separated word becomes a quoted phrase (so "E_CONN-42" or
+ * "$AAPL" never hit FTS5 syntax errors) and the phrases are OR'ed together;
+ * BM25 rewards chunks that match more and rarer terms.
+ */
+export function buildFtsQuery(text) {
+  const seen = new Set();
+  const phrases = [];
+  for (const word of String(text || '').split(/\s+/)) {
+    if (!/[\p{L}\p{N}]/u.test(word)) continue;
+    const key = word.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    phrases.push(`"${word.replace(/"/g, '""')}"`);
   }
-  const denom = Math.sqrt(magA) * Math.sqrt(magB);
-  return denom === 0 ? 0 : dot / denom;
+  return phrases.join(' OR ');
 }
 
 /**
- * Search the knowledge base.
- * Returns top results with source info, deduped per source.
+ * Reciprocal rank fusion: merge several ranked lists of chunks (best first)
+ * into one, scoring each chunk by sum(1 / (k + rank)).
  */
-export async function query(question, topK = 10) {
-  const db = getDb();
+export function fuseRankings(lists, k = RRF_K) {
+  const merged = new Map();
+  for (const list of lists) {
+    list.forEach((item, rank) => {
+      const entry = merged.get(item.id);
+      const contribution = 1 / (k + rank + 1);
+      if (entry) entry.score += contribution;
+      else merged.set(item.id, { ...item, score: contribution });
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+// ---------- Retrievers ----------
+
+async function vectorSearch(db, question, limit, filter) {
+  // Embed the query; only chunks from the same provider/model are comparable
+  const { embedding: qEmb, dim, provider, model } = await embedQuery(question);
+  const results = searchVectors(db, qEmb, { dim, provider, model }, limit, { filter });
+  if (results.length === 0) {
+    const spaces = embeddingSpaces(db);
+    if (spaces.length > 0 && !spaces.some(sp => sp.provider === provider && sp.model === model && sp.dim === dim)) {
+      console.warn(`Warning: no chunks are embedded with ${provider}/${model} (${dim}d), the model queries use now; `
+        + `found ${spaces.map(sp => `${sp.provider}/${sp.model}`).join(', ')}. Run \`kb reembed\` to move them to it.`);
+    }
+  }
+  return results;
+}
 
-  // Embed the query
-  const { embedding: qEmb, dim: qDim } = await embedQuery(question);
+function keywordSearch(db, question, limit, filter) {
+  const match = buildFtsQuery(question);
+  if (!match) return [];
 
-  // Load all chunks with matching dimensions
   const rows = db.prepare(`
-    SELECT c.id, c.source_id, c.chunk_index, c.content, c.embedding, c.embedding_dim,
-           s.url, s.title, s.source_type, s.metadata
-    FROM chunks c
+    SELECT c.id, c.source_id, c.chunk_index, c.content, c.heading, c.char_start, c.char_end,
+           s.url, s.title, s.source_type, s.metadata,
+           bm25(chunks_fts) AS rank
+    FROM chunks_fts
+    JOIN chunks c ON c.seq = chunks_fts.rowid
     JOIN sources s ON c.source_id = s.id
-    WHERE c.embedding_dim = ?
-  `).all(qDim);
+    WHERE chunks_fts MATCH @match
+    ${filter.sql}
+    ORDER BY rank
+    LIMIT @limit
+  `).all({ ...filter.params, match, limit });
 
-  if (rows.length === 0) return [];
+  // bm25() is lower-is-better; flip it so every mode sorts by score descending
+  return rows.map(({ rank, ...row }) => ({ ...row, score: -rank }));
+}
+
+// ---------- Diversity ----------
+
+function wordSet(text) {
+  return new Set((text || '').toLowerCase().match(/[\p{L}\p{N}$]+/gu) || []);
+}
 
-  // Score each chunk
-  const scored = rows.map(row => {
-    const chunkEmb = deserializeEmbedding(row.embedding);
-    const score = cosineSimilarity(qEmb, chunkEmb);
-    return { ...row, score, embedding: undefined };
+/**
+ * How alike two candidate chunks are, 0..1: cosine of their stored vectors
+ * when both are in one embedding space, else the overlap of their words
+ * (Jaccard).
+ */
+export function chunkSimilarity(a, b) {
+  if (a.vector && b.vector && a.space === b.space) return Math.max(0, cosineSimilarity(a.vector, b.vector));
+  a.words ||= wordSet(a.content);
+  b.words ||= wordSet(b.content);
+  let shared = 0;
+  for (const w of a.words) if (b.words.has(w)) shared++;
+  const union = a.words.size + b.words.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Maximal marginal relevance: repeatedly take the candidate with the best
+ * lambda × relevance − (1 − lambda) × its similarity to the closest one
+ * already taken. Relevance is the score scaled to 0..1 over the candidates;
+ * lambda 1 keeps the score order, lower values favour variety.
+ */
+export function mmrRerank(candidates, lambda, similarity = chunkSimilarity) {
+  if (candidates.length < 2) return candidates;
+  const scores = candidates.map(c => c.score);
+  const max = Math.max(...scores);
+  const range = max - Math.min(...scores);
+  const relevance = candidates.map(c => (range === 0 ? 1 : (c.score - (max - range)) / range));
+  const closest = candidates.map(() => 0);
+  const remaining = new Set(candidates.keys());
+  const ranked = [];
+
+  while (remaining.size > 0) {
+    let best = -1, bestValue = -Infinity;
+    for (const i of remaining) {
+      const value = lambda * relevance[i] - (1 - lambda) * closest[i];
+      if (value > bestValue) { best = i; bestValue = value; }
+    }
+    remaining.delete(best);
+    ranked.push(candidates[best]);
+    for (const i of remaining) {
+      closest[i] = Math.max(closest[i], similarity(candidates[i], candidates[best]));
+    }
+  }
+  return ranked;
+}
+
+// Stored vectors of candidate chunks, for chunkSimilarity
+function withVectors(db, candidates) {
+  const get = db.prepare('SELECT embedding, embedding_provider, embedding_model, embedding_dim FROM chunks WHERE id = ?');
+  return candidates.map(c => {
+    const row = get.get(c.id);
+    if (!row?.embedding) return { ...c, vector: null };
+    return {
+      ...c,
+      vector: toFloat32(row.embedding),
+      space: `${row.embedding_provider}/${row.embedding_model}/${row.embedding_dim}`,
+    };
   });
+}
 
-  // Sort by score descending
-  scored.sort((a, b) => b.score - a.score);
+/**
+ * Group ranked chunks by source, in order of each source's first chunk:
+ * up to topK sources with up to perSource chunks each.
+ */
+export function groupBySource(ranked, { topK, perSource = 1 }) {
+  const groups = new Map();
+  for (const item of ranked) {
+    const group = groups.get(item.source_id);
+    if (group) {
+      if (group.length < perSource) group.push(item);
+    } else if (groups.size < topK) {
+      groups.set(item.source_id, [item]);
+    } else if (perSource === 1) {
+      break;
+    }
+  }
+  return [...groups.values()];
+}
 
-  // Per-source dedup: keep best chunk per source
-  const seen = new Set();
-  const results = [];
-  for (const item of scored) {
-    if (seen.has(item.source_id)) continue;
-    seen.add(item.source_id);
-    // Sanitize content (max 2500 chars)
-    const excerpt = item.content.length > 2500
-      ? item.content.slice(0, 2500) + '…'
-      : item.content;
-    results.push({
-      source_id: item.source_id,
-      chunk_id: item.id,
-      chunk_index: item.chunk_index,
-      score: item.score,
-      excerpt,
-      url: item.url,
-      title: item.title,
-      source_type: item.source_type,
-      metadata: item.metadata ? JSON.parse(item.metadata) : {},
-    });
-    if (results.length >= topK) break;
+function excerptOf(content) {
+  return content.length > MAX_EXCERPT_CHARS ? content.slice(0, MAX_EXCERPT_CHARS) + '…' : content;
+}
+
+/**
+ * Search the knowledge base.
+ * mode: 'vector' (cosine similarity against chunks embedded with the query's
+ * provider and model), 'keyword' (FTS5 BM25) or 'hybrid'
+ * (both, merged with reciprocal rank fusion). Keyword mode never calls an
+ * embedding provider.
+ * filters: see filters.js (types, sites, created/published ranges, labels);
+ * applied in SQL before scoring.
+ * Returns the top `topK` sources, each as its best chunk with source info.
+ * Options:
+ *   perSource  up to this many passages per source (default 1); above 1
+ *              each result also has `passages`, best first
+ *   minScore   drop chunks scoring below this (the mode's scale: cosine for
+ *              vector, -BM25 for keyword, RRF for hybrid)
+ *   mmr        rerank with maximal marginal relevance at this lambda (0..1)
+ *              so near-duplicate passages and sources don't crowd the top
+ *   expand     give each passage `context`: it and up to `expand` chunks
+ *              either side (see chunkWindow)
+ */
+export async function query(question, {
+  topK = 10, mode = 'hybrid', filters = {}, expand = 0, perSource = 1, minScore = null, mmr = null,
+} = {}) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode "${mode}" (expected ${SEARCH_MODES.join('|')})`);
   }
+  const db = getDb();
+  const limit = Math.max(topK * 5, MIN_CANDIDATES);
+  const filter = buildSourceFilter(filters);
 
-  return results;
+  if (mmr !== null && !(mmr >= 0 && mmr <= 1)) throw new Error(`mmr must be between 0 and 1 (got ${mmr})`);
+  if (!(perSource >= 1)) throw new Error(`perSource must be at least 1 (got ${perSource})`);
+
+  let scored;
+  if (mode === 'keyword') {
+    scored = keywordSearch(db, question, limit, filter);
+  } else if (mode === 'vector') {
+    scored = await vectorSearch(db, question, limit, filter);
+  } else {
+    const lexical = keywordSearch(db, question, limit, filter);
+    let semantic = [];
+    try {
+      semantic = await vectorSearch(db, question, limit, filter);
+    } catch (err) {
+      if (lexical.length === 0) throw err;
+      console.warn(`Warning: vector search unavailable, using keyword results only (${err.message.split('\n')[0]})`);
+    }
+    scored = fuseRankings([semantic, lexical]);
+  }
+
+  if (minScore !== null) scored = scored.filter(item => item.score >= minScore);
+  if (scored.length === 0) return [];
+  if (mmr !== null) scored = mmrRerank(withVectors(db, scored), mmr);
+
+  const passage = item => ({
+    chunk_id: item.id,
+    chunk_index: item.chunk_index,
+    heading: item.heading ?? null,
+    char_start: item.char_start ?? null,
+    char_end: item.char_end ?? null,
+    score: item.score,
+    excerpt: excerptOf(item.content),
+    ...(expand > 0 ? { context: chunkWindow(item.source_id, item.chunk_index, expand, db) } : {}),
+  });
+
+  return groupBySource(scored, { topK, perSource }).map(([best, ...rest]) => {
+    const top = passage(best);
+    return {
+      source_id: best.source_id,
+      ...top,
+      url: best.url,
+      title: best.title,
+      source_type: best.source_type,
+      metadata: best.metadata ? JSON.parse(best.metadata) : {},
+      ...(perSource > 1 ? { passages: [top, ...rest.map(passage)] } : {}),
+    };
+  });
 }
@@ -0,0 +1,399 @@
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { ingest, ingestNote } from './ingest.js';
+import { query, SEARCH_MODES } from './retrieve.js';
+import { findSource, listSources, getSourceDetails, deleteSource } from './sources.js';
+import { addLabels, removeLabels, labelsBySource, labelCounts } from './labels.js';
+import { FILTER_SCHEMA, filtersFromJson, parseLabel } from './filters.js';
+import { validateSchema } from './schema.js';
+
+/**
+ * JSON REST API behind `kb serve`, plus a small built-in web page.
+ *
+ *   GET    /api/health
+ *   GET    /api/sources                   ?type&site&since&until&published_since&published_until&label&limit&offset
+ *   GET    /api/sources/:id               ?content=1 includes the full text
+ *   DELETE /api/sources/:id               full ID only
+ *   GET    /api/sources/:id/labels
+ *   POST   /api/sources/:id/labels        { labels: ["k=v", ...] }
+ *   DELETE /api/sources/:id/labels        ?label=k=v (bare k: every value); repeatable; full ID only
+ *   GET    /api/labels
+ *   POST   /api/query                     { q, mode, topK, expand, perSource, minScore, mmr, filters: { type, site, since, until, published_since, published_until, label } }
+ *   POST   /api/ingest                    { url } or { text, title }, optional labels → 202 { job }
+ *   GET    /api/jobs, /api/jobs/:id
+ *
+ * Ingests run one at a time in the background (they take the same lock as
+ * the CLI and wait for it); poll the job for the result. A source :id may
+ * be a unique ID prefix except where a full ID is required; a prefix shared
+ * by several sources is a 409. With a token configured every /api request
+ * needs `Authorization: Bearer <token>`; without one, requests must name
+ * the bound host or localhost in Host (no DNS rebinding). POST bodies must
+ * be application/json, which browsers cannot send cross-site without a
+ * CORS preflight.
+ * Errors are { error, details? } with a 4xx/5xx status.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// Finished jobs kept for polling
+const MAX_JOBS = 200;
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const LABELS_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const SCHEMAS = {
+  query: {
+    type: 'object',
+    required: ['q'],
+    additionalProperties: false,
+    properties: {
+      q: { type: 'string', minLength: 1 },
+      mode: { enum: SEARCH_MODES },
+      topK: { type: 'integer', minimum: 1, maximum: 100 },
+      expand: { type: 'integer', minimum: 0, maximum: 10 },
+      perSource: { type: 'integer', minimum: 1, maximum: 20 },
+      minScore: { type: 'number' },
+      mmr: { type: 'number', minimum: 0, maximum: 1 },
+      filters: FILTER_SCHEMA,
+    },
+  },
+  ingest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      url: { type: 'string', minLength: 1 },
+      text: { type: 'string', minLength: 1 },
+      title: { type: 'string' },
+      labels: LABELS_SCHEMA,
+    },
+  },
+  labels: {
+    type: 'object',
+    required: ['labels'],
+    additionalProperties: false,
+    properties: { labels: { ...LABELS_SCHEMA, minItems: 1 } },
+  },
+};
+
+function validate(body, schema) {
+  const errors = validateSchema(body, schema);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid request body', errors);
+  return body;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed URL escape in ${segment}`);
+  }
+}
+
+function parseFilters(f) {
+  try {
+    return filtersFromJson(f);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+function parseLabels(raw) {
+  try {
+    return raw.map(parseLabel);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+// Destructive routes pass { exact: true }: a full ID, never a prefix
+function sourceOr404(id, options) {
+  let source;
+  try {
+    source = findSource(id, undefined, options);
+  } catch (err) {
+    if (err.code === 'EAMBIGUOUS') throw new HttpError(409, err.message);
+    throw err;
+  }
+  if (!source) throw new HttpError(404, `Source not found: ${id}`);
+  return source;
+}
+
+/**
+ * Background job runner: one ingest at a time, waiting out the ingest lock
+ * when a CLI command holds it.
+ */
+export function createJobQueue({ retryMs = 2000, maxWaits = 150 } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let running = false;
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (queue.length > 0) {
+      const { job, task } = queue.shift();
+      job.status = 'running';
+      job.started_at = new Date().toISOString();
+      for (let waits = 0; ; waits++) {
+        try {
+          job.result = await task();
+          job.status = 'done';
+        } catch (err) {
+          if (err.code === 'ELOCKED' && waits < maxWaits) {
+            await new Promise(resolve => setTimeout(resolve, retryMs));
+            continue;
+          }
+          job.status = 'failed';
+          job.error = err.message.split('\n')[0];
+        }
+        break;
+      }
+      job.finished_at = new Date().toISOString();
+    }
+    running = false;
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(j => j.status === 'done' || j.status === 'failed');
+    for (const j of finished.slice(0, Math.max(0, finished.length - MAX_JOBS))) jobs.delete(j.id);
+  }
+
+  return {
+    submit(task, description) {
+      const job = { id: randomUUID(), status: 'queued', ...description, result: null, error: null, created_at: new Date().toISOString() };
+      jobs.set(job.id, job);
+      queue.push({ job, task });
+      prune();
+      drain();
+      return job;
+    },
+    get: id => jobs.get(id),
+    list: () => [...jobs.values()].reverse(),
+    idle: () => !running && queue.length === 0,
+  };
+}
+
+const ROUTES = [
+  ['GET', /^\/api\/health$/, ({ db }) => ({ ok: true, sources: db.prepare('SELECT COUNT(*) AS n FROM sources').get().n })],
+
+  ['GET', /^\/api\/sources$/, ({ params }) => {
+    const limit = Math.min(parseInt(params.get('limit') || '50', 10) || 50, 500);
+    const offset = Math.max(parseInt(params.get('offset') || '0', 10) || 0, 0);
+    const filters = parseFilters({
+      type: params.getAll('type'), site: params.getAll('site'), since: params.get('since') || undefined,
+      until: params.get('until') || undefined, published_since: params.get('published_since') || undefined,
+      published_until: params.get('published_until') || undefined, label: params.getAll('label'),
+    });
+    return { sources: listSources(filters, { limit, offset }), limit, offset };
+  }],
+
+  ['GET', /^\/api\/sources\/([^/]+)$/, ({ match, params }) => {
+    const { raw_content, ...source } = getSourceDetails(sourceOr404(match[1]).id);
+    return params.get('content') === '1' ? { ...source, content: raw_content } : source;
+  }],
+
+  ['DELETE', /^\/api\/sources\/([^/]+)$/, ({ match }) => {
+    const { id } = sourceOr404(match[1], { exact: true });
+    deleteSource(id);
+    return { deleted: id };
+  }],
+
+  ['GET', /^\/api\/sources\/([^/]+)\/labels$/, ({ match }) => {
+    const { id } = sourceOr404(match[1]);
+    return { labels: labelsBySource([id]).get(id) || [] };
+  }],
+
+  ['POST', /^\/api\/sources\/([^/]+)\/labels$/, ({ match, body }) => {
+    const { id } = sourceOr404(match[1]);
+    const labels = parseLabels(validate(body, SCHEMAS.labels).labels);
+    if (labels.some(l => l.value === undefined)) throw new HttpError(400, 'Labels to add need a value (key=value)');
+    const added = addLabels([id], labels);
+    return { added, labels: labelsBySource([id]).get(id) || [] };
+  }],
+
+  ['DELETE', /^\/api\/sources\/([^/]+)\/labels$/, ({ match, params }) => {
+    const { id } = sourceOr404(match[1], { exact: true });
+    const labels = parseLabels(params.getAll('label'));
+    if (labels.length === 0) throw new HttpError(400, 'Pass the labels to remove as ?label=key=value');
+    const removed = removeLabels([id], labels);
+    return { removed, labels: labelsBySource([id]).get(id) || [] };
+  }],
+
+  ['GET', /^\/api\/labels$/, () => ({ labels: labelCounts() })],
+
+  ['POST', /^\/api\/query$/, async ({ body }) => {
+    const { q, mode = 'hybrid', topK = 10, expand = 0, perSource = 1, minScore = null, mmr = null, filters } = validate(body, SCHEMAS.query);
+    return { results: await query(q, { mode, topK, expand, perSource, minScore, mmr, filters: parseFilters(filters) }) };
+  }],
+
+  ['POST', /^\/api\/ingest$/, ({ body, jobs }) => {
+    const { url, text, title, labels: rawLabels = [] } = validate(body, SCHEMAS.ingest);
+    if (Boolean(url) === Boolean(text)) throw new HttpError(400, 'Pass either url or text');
+    // The API only fetches the web: local paths would expose the server's files
+    if (url && !/^https?:\/\//i.test(url)) throw new HttpError(400, 'url must be http(s)');
+    const labels = parseLabels(rawLabels);
+    if (labels.some(l => l.value === undefined)) throw new HttpError(400, 'Labels need a value (key=value)');
+
+    const quiet = () => {};
+    const job = url
+      ? jobs.submit(() => ingest(url, { labels, log: quiet }), { kind: 'url', url })
+      : jobs.submit(() => ingestNote(text, { title, labels, log: quiet }), { kind: 'note', title: title || null });
+    return { status: 202, headers: { Location: `/api/jobs/${job.id}` }, body: { job } };
+  }],
+
+  ['GET', /^\/api\/jobs$/, ({ jobs }) => ({ jobs: jobs.list() })],
+
+  ['GET', /^\/api\/jobs\/([^/]+)$/, ({ match, jobs }) => {
+    const job = jobs.get(match[1]);
+    if (!job) throw new HttpError(404, `Job not found: ${match[1]}`);
+    return job;
+  }],
+];
+
+// Paths that serve the web page (the ClawPanel route included)
+const PAGE_PATHS = new Set(['/', '/index.html', '/use-cases/knowledge-base']);
+
+/**
+ * Effective server settings: config `server` overlaid with options; the
+ * token comes from options, config server.token or the tokenEnv variable.
+ */
+export function serverSettings(options = {}, config = loadConfig()) {
+  const settings = { ...config.server };
+  for (const [k, v] of Object.entries(options)) {
+    if (v !== undefined && v !== null) settings[k] = v;
+  }
+  if (!settings.token && settings.tokenEnv) settings.token = process.env[settings.tokenEnv] || null;
+  return settings;
+}
+
+function tokenMatches(header, token) {
+  const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function corsHeaders(origin, origins) {
+  if (!origin || origins.length === 0) return {};
+  if (origins.includes('*')) return { 'Access-Control-Allow-Origin': '*' };
+  if (!origins.includes(origin)) return {};
+  return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+}
+
+async function readJson(req) {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') throw new HttpError(415, 'Request body must be application/json');
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, `Request body over ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf-8');
+  if (!raw.trim()) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', 'localhost']);
+
+// Host header names this server: loopback or the host it is bound to
+function hostAllowed(header, boundHost) {
+  const name = String(header || '').toLowerCase().replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+  return LOOPBACK.has(name) || name === String(boundHost || '').toLowerCase();
+}
+
+/**
+ * The HTTP server (not yet listening). options override config `server`
+ * ({ token, corsOrigins, ... }). server.jobs is the ingest job queue.
+ */
+export function createApiServer(options = {}) {
+  const settings = serverSettings(options);
+  const jobs = createJobQueue();
+  const page = readFileSync(new URL('./web/index.html', import.meta.url));
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const cors = corsHeaders(req.headers.origin, settings.corsOrigins || []);
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...cors, ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (!settings.token && !hostAllowed(req.headers.host, settings.host)) {
+        throw new HttpError(403, `Unexpected Host ${req.headers.host || '(none)'}: serve with a token to allow other names`);
+      }
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          ...cors,
+          'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+          'Access-Control-Max-Age': '600',
+        });
+        return res.end();
+      }
+      if (req.method === 'GET' && PAGE_PATHS.has(url.pathname)) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(page);
+      }
+      if (!url.pathname.startsWith('/api/')) throw new HttpError(404, 'Not found');
+      if (settings.token && !tokenMatches(req.headers.authorization, settings.token)) {
+        throw new HttpError(401, 'Missing or invalid bearer token');
+      }
+
+      const candidates = ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+      if (candidates.length === 0) throw new HttpError(404, 'Not found');
+      const route = candidates.find(([method]) => method === req.method);
+      if (!route) throw new HttpError(405, `Method ${req.method} not allowed`);
+
+      const [, pattern, handler] = route;
+      const body = req.method === 'POST' ? await readJson(req) : undefined;
+      const out = await handler({
+        match: url.pathname.match(pattern).map(decodeSegment),
+        params: url.searchParams,
+        body,
+        jobs,
+        db: getDb(),
+      });
+      if (out && out.status && out.body) send(out.status, out.body, out.headers);
+      else send(200, out);
+    } catch (err) {
+      if (err instanceof HttpError) send(err.status, { error: err.message, ...(err.details ? { details: err.details } : {}) });
+      else send(500, { error: err.message.split('\n')[0] });
+    }
+  });
+  server.jobs = jobs;
+  return server;
+}
+
+/**
+ * Create the server and listen on settings host/port. Refuses to listen
+ * beyond loopback without a token. Resolves to { server, url, settings }.
+ */
+export async function startServer(options = {}) {
+  const settings = serverSettings(options);
+  if (!LOOPBACK.has(settings.host) && !settings.token) {
+    throw new Error(`Refusing to serve on ${settings.host} without a token: set ${settings.tokenEnv} (or server.token)`);
+  }
+  const server = createApiServer(settings);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(settings.port, settings.host, resolve);
+  });
+  const { port } = server.address();
+  const host = settings.host.includes(':') ? `[${settings.host}]` : settings.host;
+  return { server, url: `http://${host}:${port}`, settings };
+}
@@ -0,0 +1,106 @@
+import { getDb } from './db.js';
+import { buildSourceFilter } from './filters.js';
+import { labelsBySource } from './labels.js';
+
+/**
+ * Find a source by full ID or unique-enough ID prefix (as printed by `kb list`).
+ * `%` and `_` in a prefix are literal. A prefix shared by several sources
+ * throws (code EAMBIGUOUS) rather than picking one; { exact: true } takes a
+ * full ID only.
+ */
+export function findSource(idOrPrefix, db = getDb(), { exact = false } = {}) {
+  if (!idOrPrefix) return undefined;
+  const byId = db.prepare('SELECT id, title, url, source_type FROM sources WHERE id = ?').get(idOrPrefix);
+  if (byId || exact) return byId;
+  const matches = db.prepare(`
+    SELECT id, title, url, source_type FROM sources WHERE id LIKE ? ESCAPE '\\' LIMIT 2
+  `).all(idOrPrefix.replace(/[\\%_]/g, '\\$&') + '%');
+  if (matches.length > 1) {
+    const err = new Error(`ID prefix "${idOrPrefix}" matches more than one source; use more characters`);
+    err.code = 'EAMBIGUOUS';
+    throw err;
+  }
+  return matches[0];
+}
+
+/**
+ * Sources matching `filters` (see filters.js), newest first, with chunk
+ * counts and labels.
+ */
+export function listSources(filters = {}, { limit, offset = 0 } = {}, db = getDb()) {
+  const filter = buildSourceFilter(filters);
+  const sources = db.prepare(`
+    SELECT s.id, s.url, s.title, s.source_type, s.summary, s.created_at,
+           (SELECT COUNT(*) FROM chunks c WHERE c.source_id = s.id AND c.chunk_index >= 0) as chunk_count
+    FROM sources s
+    WHERE 1 = 1
+    ${filter.sql}
+    ORDER BY s.created_at DESC
+    ${limit ? 'LIMIT @limit OFFSET @offset' : ''}
+  `).all({ ...filter.params, ...(limit ? { limit, offset } : {}) });
+
+  const labels = labelsBySource(sources.map(s => s.id), db);
+  return sources.map(s => ({ ...s, labels: labels.get(s.id) || [] }));
+}
+
+/**
+ * IDs of all sources matching `filters`.
+ */
+export function matchSourceIds(filters = {}, db = getDb()) {
+  const filter = buildSourceFilter(filters);
+  return db.prepare(`SELECT s.id FROM sources s WHERE 1 = 1 ${filter.sql}`)
+    .all(filter.params)
+    .map(r => r.id);
+}
+
+/**
+ * Delete a source; its chunks, labels, analyses and index entries go with it
+ * (ON DELETE CASCADE). Returns whether it existed.
+ */
+export function deleteSource(id, db = getDb()) {
+  return db.prepare('DELETE FROM sources WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Everything `kb show` prints about one source: row, labels, chunk count
+ * and embedding space.
+ */
+export function getSourceDetails(id, db = getDb()) {
+  const source = db.prepare(`
+    SELECT id, url, title, source_type, summary, raw_content, metadata, created_at, updated_at, refreshed_at
+    FROM sources WHERE id = ?
+  `).get(id);
+  if (!source) return undefined;
+  const chunks = db.prepare(`
+    SELECT COUNT(*) AS count, MAX(embedding_provider) AS provider, MAX(embedding_model) AS model, MAX(embedding_dim) AS dim
+    FROM chunks WHERE source_id = ? AND chunk_index >= 0
+  `).get(id);
+  return {
+    ...source,
+    metadata: JSON.parse(source.metadata || '{}'),
+    labels: labelsBySource([id], db).get(id) || [],
+    chunks,
+  };
+}
+
+/**
+ * Chunks `chunkIndex - context` to `chunkIndex + context` of a source, in
+ * order. Each has `text`: its own span of raw_content when its offsets are
+ * known, so neighbours read on without repeating their overlap, else its
+ * content. The summary chunk has no neighbours.
+ */
+export function chunkWindow(sourceId, chunkIndex, context = 0, db = getDb()) {
+  if (chunkIndex < 0) return [];
+  const rows = db.prepare(`
+    SELECT id, chunk_index, heading, content, char_start, char_end
+    FROM chunks WHERE source_id = ? AND chunk_index BETWEEN ? AND ?
+    ORDER BY chunk_index
+  `).all(sourceId, Math.max(0, chunkIndex - context), chunkIndex + context);
+  const raw = rows.some(r => r.char_start !== null)
+    ? db.prepare('SELECT raw_content FROM sources WHERE id = ?').get(sourceId)?.raw_content
+    : null;
+  return rows.map(({ content, ...r }) => ({
+    ...r,
+    text: raw && r.char_start !== null ? raw.slice(r.char_start, r.char_end) : content,
+  }));
+}
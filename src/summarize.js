@@ -0,0 +1,186 @@
+import { randomUUID } from 'crypto';
+import { getDb } from './db.js';
+import { loadConfig } from './config.js';
+import { chatComplete, estimateTokens } from './llm.js';
+import { embedTexts, serializeEmbedding } from './embed.js';
+import { acquireLock, refreshLock } from './lock.js';
+import { indexChunks } from './vindex.js';
+
+/**
+ * Per-source summaries, stored in sources.summary and also as an extra chunk
+ * (chunk_index SUMMARY_CHUNK) so they are keyword- and vector-searchable like
+ * any other text and get re-embedded with the rest by `kb reembed`.
+ *
+ * The default backend is extractive and offline: sentences are scored by the
+ * frequency of their content words across the whole source, with a bonus for
+ * early sentences and title words. The `llm` backend asks the configured chat
+ * endpoint instead and falls back to extractive if that fails.
+ */
+
+export const SUMMARY_CHUNK = -1;
+
+export const SUMMARY_BACKENDS = ['extractive', 'llm'];
+
+const DEFAULT_PROMPT = 'Summarize the following document in 2-3 plain sentences. State its main points; no preamble.';
+
+const STOPWORDS = new Set(`a about above after again against all also am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from further had
+has have having he her here hers him his how i if in into is it its itself just me more most my no nor not now
+of off on once only or other our ours out over own same she should so some such than that the their theirs them
+then there these they this those through to too under until up very was we were what when where which while who
+whom why will with would you your yours one two new like get got may might must much many well even still way
+make made use used using said says`.split(/\s+/));
+
+/**
+ * Lowercased words of three or more characters, stopwords removed.
+ */
+export function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(w => w.length > 2 && !STOPWORDS.has(w));
+}
+
+/**
+ * Split text into sentences, treating paragraph breaks as boundaries.
+ */
+export function splitSentences(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(p => p.split(/(?<=[.!?]["”’)]?)\s+(?=["“‘(]?[\p{Lu}\p{N}])/u))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function overlap(a, b) {
+  const sa = new Set(a), sb = new Set(b);
+  let common = 0;
+  for (const w of sa) if (sb.has(w)) common++;
+  return common / Math.max(1, Math.min(sa.size, sb.size));
+}
+
+/**
+ * Pick the highest-scoring sentences (in document order) up to `sentences`
+ * sentences and `maxChars` characters.
+ */
+export function extractiveSummary(text, { sentences = 3, maxChars = 600, title = '' } = {}) {
+  const all = splitSentences(text)
+    .map((s, position) => ({ s, position, words: contentWords(s) }))
+    .filter(x => x.s.length >= 40 && x.s.length <= 500 && x.words.length >= 4);
+  if (all.length === 0) return '';
+
+  const freq = new Map();
+  for (const x of all) for (const w of new Set(x.words)) freq.set(w, (freq.get(w) || 0) + 1);
+  const maxFreq = Math.max(...freq.values());
+  const titleWords = new Set(contentWords(title));
+
+  for (const x of all) {
+    const unique = [...new Set(x.words)];
+    const weight = unique.reduce((sum, w) => sum + freq.get(w) / maxFreq, 0) / Math.sqrt(x.words.length);
+    const titleBonus = 1 + 0.5 * unique.filter(w => titleWords.has(w)).length / Math.max(1, titleWords.size);
+    const leadBonus = x.position < 3 ? 1.25 : 1;
+    x.score = weight * titleBonus * leadBonus;
+  }
+
+  const picked = [];
+  let length = 0;
+  for (const x of [...all].sort((a, b) => b.score - a.score || a.position - b.position)) {
+    if (picked.length >= sentences) break;
+    if (length + x.s.length > maxChars && picked.length > 0) continue;
+    if (picked.some(p => overlap(p.words, x.words) > 0.6)) continue;
+    picked.push(x);
+    length += x.s.length + 1;
+  }
+
+  const summary = picked.sort((a, b) => a.position - b.position).map(x => x.s).join(' ');
+  return summary.length > maxChars ? summary.slice(0, maxChars - 1).replace(/\s+\S*$/, '') + '…' : summary;
+}
+
+async function llmSummary(text, title, settings) {
+  const budget = settings.inputTokens;
+  const input = estimateTokens(text) > budget ? text.slice(0, budget * 4) : text;
+  const { content } = await chatComplete([
+    { role: 'system', content: settings.prompt || DEFAULT_PROMPT },
+    { role: 'user', content: `${title ? `Title: ${title}\n\n` : ''}${input}` },
+  ], { model: settings.model });
+  return content;
+}
+
+/**
+ * Summarize content with the configured (or given) backend.
+ * Returns { summary, backend } — summary is null for content shorter than
+ * summary.minChars, which is already its own summary.
+ */
+export async function summarizeContent(content, { title, backend, log = console.log } = {}) {
+  const settings = { ...loadConfig().summary };
+  if (backend) settings.backend = backend;
+  if (!SUMMARY_BACKENDS.includes(settings.backend)) {
+    throw new Error(`Unknown summary backend "${settings.backend}" (expected ${SUMMARY_BACKENDS.join('|')})`);
+  }
+  if (!content || content.length < settings.minChars) return { summary: null, backend: null };
+
+  if (settings.backend === 'llm') {
+    try {
+      return { summary: await llmSummary(content, title, settings), backend: 'llm' };
+    } catch (err) {
+      log(`  Warning: LLM summary failed, using extractive (${err.message.split('\n')[0]})`);
+    }
+  }
+  const summary = extractiveSummary(content, { sentences: settings.sentences, maxChars: settings.maxChars, title });
+  return { summary: summary || null, backend: 'extractive' };
+}
+
+/**
+ * (Re)generate summaries for sources. Skips sources that already have one
+ * unless `force`. onResult(source, { status, summary, message }) per source.
+ */
+export async function summarizeSources(sourceIds, { force = false, backend, onResult = () => {} } = {}) {
+  const release = acquireLock();
+  try {
+    const db = getDb();
+    const counts = {};
+    for (const id of sourceIds) {
+      const source = db.prepare('SELECT id, title, raw_content, summary FROM sources WHERE id = ?').get(id);
+      if (!source) continue;
+      let result;
+      try {
+        result = source.summary && !force
+          ? { status: 'skipped', message: 'Already summarized (use --force)' }
+          : await summarizeOne(db, source, backend);
+      } catch (err) {
+        result = { status: 'failed', message: err.message.split('\n')[0] };
+      }
+      refreshLock();
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      onResult(source, result);
+    }
+    return counts;
+  } finally {
+    release();
+  }
+}
+
+async function summarizeOne(db, source, backend) {
+  const { summary, backend: used } = await summarizeContent(source.raw_content, { title: source.title, backend, log: () => {} });
+  if (!summary) return { status: 'too_short', message: 'Content is short enough to be its own summary' };
+
+  // Embed in the same space as the source's chunks so the vector is comparable
+  const space = db.prepare(`
+    SELECT embedding_provider AS provider, embedding_model AS model FROM chunks
+    WHERE source_id = ? AND chunk_index >= 0 AND embedding IS NOT NULL LIMIT 1
+  `).get(source.id);
+  const { embeddings, dim, provider, model } = await embedTexts([summary], { ...space, operation: 'summarize', sourceId: source.id });
+
+  const chunkId = randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare('DELETE FROM chunks WHERE source_id = ? AND chunk_index = ?').run(source.id, SUMMARY_CHUNK);
+    db.prepare(`
+      INSERT INTO chunks (id, source_id, chunk_index, content, embedding, embedding_dim, embedding_provider, embedding_model, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(chunkId, source.id, SUMMARY_CHUNK, summary, serializeEmbedding(embeddings[0]), dim, provider, model, now);
+    db.prepare('UPDATE sources SET summary = ? WHERE id = ?').run(summary, source.id);
+    indexChunks(db, [{ id: chunkId, embedding: embeddings[0], dim }]);
+  })();
+
+  return { status: 'ok', summary, backend: used };
+}
@@ -0,0 +1,150 @@
+import { readFileSync } from 'fs';
+import { getDb } from './db.js';
+
+/**
+ * Embedding usage metering. embedTexts records one embedding_usage row per
+ * call (and source) that reached a provider, with the provider's own token
+ * count when its response has one and an estimate (chars / 4) otherwise.
+ * Cost uses manifest.json billing.metering.embedding_tokens, a price per
+ * input token, as the meter's name says. Only the remote providers
+ * (BILLABLE_PROVIDERS) are billed: hash and self-hosted local embeddings are
+ * reported but cost nothing and are left out of the export.
+ */
+
+export const USAGE_GROUPS = ['provider', 'day', 'source', 'operation'];
+
+export const BILLABLE_PROVIDERS = ['google', 'openai'];
+
+const BILLABLE = `u.provider IN (${BILLABLE_PROVIDERS.map(p => `'${p}'`).join(', ')})`;
+
+let _manifest = null;
+
+function manifest() {
+  _manifest ||= JSON.parse(readFileSync(new URL('../manifest.json', import.meta.url), 'utf-8'));
+  return _manifest;
+}
+
+/**
+ * The embedding token rate: { rate, currency } (rate per input token).
+ */
+export function embeddingRate() {
+  const billing = manifest().billing || {};
+  return { rate: billing.metering?.embedding_tokens ?? 0, currency: billing.currency || 'USD' };
+}
+
+export function usageCost(tokens, { rate } = embeddingRate()) {
+  return Math.round(tokens * rate * 1e8) / 1e8;
+}
+
+/**
+ * rows: [{ provider, model, operation, sourceId, texts, chars, tokens, estimated }]
+ */
+export function recordUsage(rows, db = getDb()) {
+  if (rows.length === 0) return;
+  const insert = db.prepare(`
+    INSERT INTO embedding_usage (provider, model, operation, source_id, texts, chars, input_tokens, estimated, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const r of rows) {
+      insert.run(r.provider, r.model, r.operation, r.sourceId ?? null, r.texts, r.chars, r.tokens, r.estimated ? 1 : 0, now);
+    }
+  })();
+}
+
+/**
+ * Stop attributing usage to a source ID that never got a row (its ingest
+ * lost a race with a duplicate); the calls stay metered under no source.
+ */
+export function unattributeUsage(sourceId, db = getDb()) {
+  db.prepare('UPDATE embedding_usage SET source_id = NULL WHERE source_id = ?').run(sourceId);
+}
+
+function windowClause({ since, until }, extra = []) {
+  const conds = [...extra];
+  const params = [];
+  if (since) { conds.push('u.created_at >= ?'); params.push(since); }
+  if (until) { conds.push('u.created_at <= ?'); params.push(until); }
+  return { where: conds.length ? `WHERE ${conds.join(' AND ')}` : '', params };
+}
+
+const GROUP_KEYS = {
+  provider: "u.provider || '/' || u.model",
+  day: 'substr(u.created_at, 1, 10)',
+  source: "COALESCE(u.source_id, '')",
+  operation: 'u.operation',
+};
+
+/**
+ * Usage totals grouped `by` provider (provider/model), day, source or
+ * operation, between `since` and `until` (ISO timestamps). Returns
+ * { groups: [{ key, title?, calls, texts, chars, tokens, estimated_tokens,
+ * billed_tokens, cost }], total, rate }. Calls not tied to a source
+ * (queries) have key ''.
+ */
+export function usageReport({ since, until, by = 'provider' } = {}, db = getDb()) {
+  if (!GROUP_KEYS[by]) throw new Error(`Unknown usage grouping "${by}" (expected ${USAGE_GROUPS.join('|')})`);
+  const { where, params } = windowClause({ since, until });
+  const rate = embeddingRate();
+  const rows = db.prepare(`
+    SELECT ${GROUP_KEYS[by]} AS key, ${by === 'source' ? 'MAX(s.title)' : 'NULL'} AS title,
+           COUNT(*) AS calls, SUM(u.texts) AS texts, SUM(u.chars) AS chars, SUM(u.input_tokens) AS tokens,
+           SUM(CASE WHEN u.estimated THEN u.input_tokens ELSE 0 END) AS estimated_tokens,
+           SUM(CASE WHEN ${BILLABLE} THEN u.input_tokens ELSE 0 END) AS billed_tokens
+    FROM embedding_usage u
+    ${by === 'source' ? 'LEFT JOIN sources s ON s.id = u.source_id' : ''}
+    ${where}
+    GROUP BY key
+    ORDER BY ${by === 'day' ? 'key' : 'tokens DESC, key'}
+  `).all(...params);
+
+  const groups = rows.map(r => ({ ...r, cost: usageCost(r.billed_tokens, rate) }));
+  const total = { calls: 0, texts: 0, chars: 0, tokens: 0, estimated_tokens: 0, billed_tokens: 0 };
+  for (const g of groups) for (const k of Object.keys(total)) total[k] += g[k];
+  total.cost = usageCost(total.billed_tokens, rate);
+  return { groups, total, rate };
+}
+
+/**
+ * Usage as a metering document for the ClawPanel host: the use case's id
+ * and version from the manifest, the period, one summary line per meter
+ * and every billable usage record, each with a stable id the host can
+ * deduplicate on when the same period is exported twice. The meter's amount
+ * is its quantity (tokens) times its unit_price.
+ */
+export function exportUsage({ since, until, now = new Date() } = {}, db = getDb()) {
+  const { where, params } = windowClause({ since, until }, [BILLABLE]);
+  const { id, version } = manifest();
+  const rate = embeddingRate();
+  const rows = db.prepare(`SELECT * FROM embedding_usage u ${where} ORDER BY u.id`).all(...params);
+
+  const quantity = rows.reduce((sum, r) => sum + r.input_tokens, 0);
+  return {
+    use_case: id,
+    version,
+    generated_at: now.toISOString(),
+    period: { start: since || rows[0]?.created_at || null, end: until || now.toISOString() },
+    currency: rate.currency,
+    meters: [{
+      meter: 'embedding_tokens',
+      unit: 'token',
+      quantity,
+      unit_price: rate.rate,
+      amount: usageCost(quantity, rate),
+    }],
+    records: rows.map(r => ({
+      id: `${id}:embedding_usage:${r.id}`,
+      meter: 'embedding_tokens',
+      quantity: r.input_tokens,
+      estimated: r.estimated === 1,
+      timestamp: r.created_at,
+      provider: r.provider,
+      model: r.model,
+      operation: r.operation,
+      source_id: r.source_id,
+      texts: r.texts,
+      chars: r.chars,
+    })),
+  };
+}
@@ -4,6 +4,17 @@ const ERROR_SIGNALS = [
 ];
 
 export function validateContent(content, sourceType, metadata = {}) {
+  // Notes are the user's own text: any non-empty note is kept as-is
+  if (sourceType === 'note') {
+    return content && content.trim() ? { valid: true } : { valid: false, reason: 'Note is empty' };
+  }
+
+  // So are local files (extractFile sets file_path): the scrape checks below
+  // are for web pages that came back as error or login pages
+  if (metadata?.file_path) {
+    return content && content.trim() ? { valid: true } : { valid: false, reason: 'File has no text' };
+  }
+
   if (!content || content.length < 20) {
     return { valid: false, reason: 'Content too short (< 20 chars)' };
   }
@@ -0,0 +1,452 @@
+import { loadConfig } from './config.js';
+
+/**
+ * Persistent IVF (inverted file) vector index.
+ *
+ * For each embedding dimension, k-means centroids partition the chunk
+ * vectors into `nlist` posting lists stored in `vector_postings`, optionally
+ * quantized to float16 or int8. A query scores the centroids, scans only the
+ * `nprobe` closest lists, then re-ranks the best candidates exactly against
+ * the float32 vectors in `chunks`. Without an index we fall back to a full
+ * scan, which is exact but linear in corpus size.
+ */
+
+export const QUANTIZATIONS = ['none', 'float16', 'int8'];
+
+const KMEANS_ITERATIONS = 10;
+const TRAIN_PER_LIST = 40;
+const MIN_NPROBE = 8;
+// Filtered searches over at most this many chunks skip the index: an exact
+// scan of a small subset is fast and never misses matches in unprobed lists.
+const EXACT_FILTERED_MAX = 20_000;
+
+// ---------- Vector math ----------
+
+/**
+ * View a stored embedding BLOB as a Float32Array (copying when the Buffer is
+ * not 4-byte aligned, which Float32Array requires).
+ */
+export function toFloat32(buf) {
+  if (buf.byteOffset % 4 === 0) {
+    return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+  }
+  return new Float32Array(new Uint8Array(buf).buffer);
+}
+
+function normalizeInto(src, dest, offset = 0) {
+  let mag = 0;
+  for (let i = 0; i < src.length; i++) mag += src[i] * src[i];
+  const inv = mag === 0 ? 0 : 1 / Math.sqrt(mag);
+  for (let i = 0; i < src.length; i++) dest[offset + i] = src[i] * inv;
+  return dest;
+}
+
+function normalize(vec) {
+  return normalizeInto(vec, new Float32Array(vec.length));
+}
+
+function dotAt(a, data, offset, dim) {
+  let s = 0;
+  for (let i = 0; i < dim; i++) s += a[i] * data[offset + i];
+  return s;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0, magA = 0, magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot  += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  const denom = Math.sqrt(magA) * Math.sqrt(magB);
+  return denom === 0 ? 0 : dot / denom;
+}
+
+// ---------- Quantization ----------
+
+const f32Scratch = new Float32Array(1);
+const u32Scratch = new Uint32Array(f32Scratch.buffer);
+let halfTable;
+
+function toHalf(value) {
+  f32Scratch[0] = value;
+  const x = u32Scratch[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xff) - 127 + 15;
+  let mant = x & 0x7fffff;
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    mant = (mant | 0x800000) >> (1 - exp);
+    return sign | ((mant + 0x1000) >> 13);
+  }
+  if (exp >= 31) return sign | 0x7c00;
+  return sign | ((exp << 10) + ((mant + 0x1000) >> 13));
+}
+
+function fromHalfTable() {
+  if (halfTable) return halfTable;
+  halfTable = new Float32Array(65536);
+  for (let h = 0; h < 65536; h++) {
+    const sign = h & 0x8000 ? -1 : 1;
+    const exp = (h >> 10) & 0x1f;
+    const mant = h & 0x3ff;
+    if (exp === 0) halfTable[h] = sign * mant * 2 ** -24;
+    else if (exp === 31) halfTable[h] = mant ? NaN : sign * Infinity;
+    else halfTable[h] = sign * (1 + mant / 1024) * 2 ** (exp - 15);
+  }
+  return halfTable;
+}
+
+/**
+ * Encode a (normalized) vector for a posting list.
+ * none: float32 · float16: IEEE half floats · int8: float32 scale + int8 values
+ */
+export function quantize(vec, kind) {
+  switch (kind) {
+    case 'none':
+      return Buffer.from(Float32Array.from(vec).buffer);
+    case 'float16': {
+      const out = new Uint16Array(vec.length);
+      for (let i = 0; i < vec.length; i++) out[i] = toHalf(vec[i]);
+      return Buffer.from(out.buffer);
+    }
+    case 'int8': {
+      let max = 0;
+      for (let i = 0; i < vec.length; i++) max = Math.max(max, Math.abs(vec[i]));
+      const scale = max === 0 ? 1 : max / 127;
+      const out = Buffer.alloc(4 + vec.length);
+      out.writeFloatLE(scale, 0);
+      for (let i = 0; i < vec.length; i++) out.writeInt8(Math.round(vec[i] / scale), 4 + i);
+      return out;
+    }
+    default:
+      throw new Error(`Unknown quantization "${kind}" (expected ${QUANTIZATIONS.join('|')})`);
+  }
+}
+
+/**
+ * Dot product of a float query against a quantized posting vector.
+ */
+export function quantizedDot(query, buf, kind) {
+  const dim = query.length;
+  let s = 0;
+  if (kind === 'int8') {
+    const scale = buf.readFloatLE(0);
+    const q8 = new Int8Array(buf.buffer, buf.byteOffset + 4, dim);
+    for (let i = 0; i < dim; i++) s += query[i] * q8[i];
+    return s * scale;
+  }
+  if (kind === 'float16') {
+    const table = fromHalfTable();
+    const h = buf.byteOffset % 2 === 0
+      ? new Uint16Array(buf.buffer, buf.byteOffset, dim)
+      : new Uint16Array(new Uint8Array(buf).buffer);
+    for (let i = 0; i < dim; i++) s += query[i] * table[h[i]];
+    return s;
+  }
+  const f = toFloat32(buf);
+  for (let i = 0; i < dim; i++) s += query[i] * f[i];
+  return s;
+}
+
+// ---------- k-means ----------
+
+// Small seeded PRNG so rebuilds of the same corpus are reproducible
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function nearest(data, offset, centroids, nlist, dim) {
+  let best = 0, bestScore = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    let s = 0;
+    const co = c * dim;
+    for (let i = 0; i < dim; i++) s += data[offset + i] * centroids[co + i];
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  return best;
+}
+
+/**
+ * Spherical k-means over normalized rows of `data` (n × dim).
+ * Returns nlist × dim normalized centroids.
+ */
+export function trainCentroids(data, n, dim, nlist, { iterations = KMEANS_ITERATIONS, seed = 42 } = {}) {
+  const rand = mulberry32(seed);
+  const sampleSize = Math.min(n, nlist * TRAIN_PER_LIST);
+
+  // Partial Fisher-Yates for a random training sample
+  const order = new Int32Array(n);
+  for (let i = 0; i < n; i++) order[i] = i;
+  for (let i = 0; i < sampleSize; i++) {
+    const j = i + Math.floor(rand() * (n - i));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const centroids = new Float32Array(nlist * dim);
+  for (let c = 0; c < nlist; c++) {
+    centroids.set(data.subarray(order[c % sampleSize] * dim, order[c % sampleSize] * dim + dim), c * dim);
+  }
+
+  const sums = new Float64Array(nlist * dim);
+  const counts = new Int32Array(nlist);
+  for (let it = 0; it < iterations; it++) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let s = 0; s < sampleSize; s++) {
+      const off = order[s] * dim;
+      const c = nearest(data, off, centroids, nlist, dim);
+      counts[c]++;
+      const co = c * dim;
+      for (let i = 0; i < dim; i++) sums[co + i] += data[off + i];
+    }
+    for (let c = 0; c < nlist; c++) {
+      const co = c * dim;
+      if (counts[c] === 0) {
+        // Reseed empty lists from a random sample point
+        const off = order[Math.floor(rand() * sampleSize)] * dim;
+        centroids.set(data.subarray(off, off + dim), co);
+        continue;
+      }
+      normalizeInto(sums.subarray(co, co + dim), centroids, co);
+    }
+  }
+  return centroids;
+}
+
+// ---------- Index metadata ----------
+
+// Centroids are immutable per build; cache them per process by index id + build time
+const centroidCache = new Map();
+
+function loadIndex(db, dim) {
+  const meta = db.prepare(`
+    SELECT id, embedding_dim, nlist, quantization, built_at
+    FROM vector_indexes WHERE embedding_dim = ?
+  `).get(dim);
+  if (!meta) return null;
+  const key = `${meta.id}@${meta.built_at}`;
+  let centroids = centroidCache.get(key);
+  if (!centroids) {
+    const row = db.prepare('SELECT centroids FROM vector_indexes WHERE id = ?').get(meta.id);
+    centroids = Float32Array.from(toFloat32(row.centroids));
+    centroidCache.set(key, centroids);
+  }
+  return { ...meta, centroids };
+}
+
+function defaultNlist(n) {
+  return Math.max(1, Math.min(4096, Math.round(Math.sqrt(n))));
+}
+
+/**
+ * (Re)build the IVF index for every embedding dimension present in `chunks`
+ * (or just `dim`). Replaces any previous index for that dimension.
+ */
+export function buildIndex(db, { dim, quantization, lists, onProgress = () => {} } = {}) {
+  const config = loadConfig().index;
+  quantization = quantization || config.quantization;
+  if (!QUANTIZATIONS.includes(quantization)) {
+    throw new Error(`Unknown quantization "${quantization}" (expected ${QUANTIZATIONS.join('|')})`);
+  }
+
+  const groups = db.prepare(`
+    SELECT embedding_dim AS dim, COUNT(*) AS n FROM chunks
+    WHERE embedding IS NOT NULL AND embedding_dim > 0 ${dim ? 'AND embedding_dim = ?' : ''}
+    GROUP BY embedding_dim
+  `).all(...(dim ? [dim] : []));
+
+  const built = [];
+  for (const group of groups) {
+    const started = Date.now();
+    const { dim: d } = group;
+
+    // Stream vectors into one normalized matrix
+    const ids = [];
+    const data = new Float32Array(group.n * d);
+    const rows = db.prepare(`
+      SELECT id, embedding FROM chunks WHERE embedding IS NOT NULL AND embedding_dim = ?
+    `).iterate(d);
+    for (const row of rows) {
+      if (ids.length === group.n) break;
+      normalizeInto(toFloat32(row.embedding), data, ids.length * d);
+      ids.push(row.id);
+    }
+    const n = ids.length;
+
+    const nlist = Math.min(n, lists || config.lists || defaultNlist(n));
+    onProgress(`${d}d: training ${nlist} lists on ${Math.min(n, nlist * TRAIN_PER_LIST)} of ${n} vectors`);
+    const centroids = trainCentroids(data, n, d, nlist);
+
+    onProgress(`${d}d: assigning ${n} vectors (${quantization})`);
+    const builtAt = new Date().toISOString();
+    const tx = db.transaction(() => {
+      db.prepare('DELETE FROM vector_indexes WHERE embedding_dim = ?').run(d);
+      const { lastInsertRowid: indexId } = db.prepare(`
+        INSERT INTO vector_indexes (embedding_dim, nlist, quantization, centroids, built_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(d, nlist, quantization, Buffer.from(centroids.buffer), builtAt);
+      const insert = db.prepare(`
+        INSERT INTO vector_postings (index_id, list_no, chunk_id, vector) VALUES (?, ?, ?, ?)
+      `);
+      for (let i = 0; i < n; i++) {
+        const off = i * d;
+        const listNo = nearest(data, off, centroids, nlist, d);
+        insert.run(indexId, listNo, ids[i], quantize(data.subarray(off, off + d), quantization));
+      }
+    });
+    tx();
+
+    built.push({ dim: d, chunks: n, nlist, quantization, ms: Date.now() - started });
+  }
+  return built;
+}
+
+/**
+ * Add freshly embedded chunks to the index of their dimension, if one exists.
+ * chunks: [{ id, embedding: number[], dim }]
+ */
+export function indexChunks(db, chunks) {
+  const byDim = new Map();
+  for (const c of chunks) {
+    if (!c.dim || !c.embedding) continue;
+    if (!byDim.has(c.dim)) byDim.set(c.dim, []);
+    byDim.get(c.dim).push(c);
+  }
+  const insert = db.prepare(`
+    INSERT INTO vector_postings (index_id, list_no, chunk_id, vector) VALUES (?, ?, ?, ?)
+  `);
+  const remove = db.prepare('DELETE FROM vector_postings WHERE chunk_id = ?');
+  for (const [dim, group] of byDim) {
+    // Re-embedded chunks may move between dimensions; drop stale postings first
+    for (const c of group) remove.run(c.id);
+    const index = loadIndex(db, dim);
+    if (!index) continue;
+    for (const c of group) {
+      const vec = normalize(c.embedding);
+      insert.run(index.id, nearest(vec, 0, index.centroids, index.nlist, dim), c.id, quantize(vec, index.quantization));
+    }
+  }
+}
+
+/**
+ * Per-dimension overview of chunks vs. indexed postings.
+ */
+export function indexStatus(db) {
+  return db.prepare(`
+    SELECT c.embedding_dim AS dim, COUNT(*) AS chunks,
+           v.nlist, v.quantization, v.built_at,
+           (SELECT COUNT(*) FROM vector_postings p WHERE p.index_id = v.id) AS indexed
+    FROM chunks c
+    LEFT JOIN vector_indexes v ON v.embedding_dim = c.embedding_dim
+    WHERE c.embedding IS NOT NULL AND c.embedding_dim > 0
+    GROUP BY c.embedding_dim
+  `).all();
+}
+
+// ---------- Search ----------
+
+const CHUNK_COLUMNS = `
+  c.id, c.source_id, c.chunk_index, c.content, c.heading, c.char_start, c.char_end, c.embedding,
+  s.url, s.title, s.source_type, s.metadata
+`;
+
+// Vectors are only comparable within one embedding space: same provider,
+// same model, same dimension.
+const SAME_SPACE = `
+  c.embedding_dim = @dim AND c.embedding_provider = @provider AND c.embedding_model = @model
+`;
+
+function exactSearch(db, qEmb, space, limit, filter) {
+  // Load all chunks from the query's embedding space
+  const rows = db.prepare(`
+    SELECT ${CHUNK_COLUMNS}
+    FROM chunks c
+    JOIN sources s ON c.source_id = s.id
+    WHERE ${SAME_SPACE}
+    ${filter.sql}
+  `).all({ ...space, ...filter.params });
+
+  // Score each chunk
+  const scored = rows.map(row => {
+    const score = cosineSimilarity(qEmb, toFloat32(row.embedding));
+    return { ...row, score, embedding: undefined };
+  });
+
+  // Sort by score descending
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit);
+}
+
+function indexedSearch(db, index, qEmb, space, limit, nprobe, filter) {
+  const q = normalize(qEmb);
+  const dim = q.length;
+
+  // Closest lists first
+  const lists = [];
+  for (let c = 0; c < index.nlist; c++) lists.push([c, dotAt(q, index.centroids, c * dim, dim)]);
+  lists.sort((a, b) => b[1] - a[1]);
+  const probe = lists.slice(0, Math.min(index.nlist, nprobe)).map(([c]) => c);
+
+  // Approximate scores from the quantized postings
+  const candidates = [];
+  const scan = db.prepare(`
+    SELECT p.chunk_id, p.vector
+    FROM vector_postings p
+    JOIN chunks c ON c.id = p.chunk_id
+    ${filter.sql ? 'JOIN sources s ON c.source_id = s.id' : ''}
+    WHERE p.index_id = @indexId AND p.list_no = @listNo AND ${SAME_SPACE}
+    ${filter.sql}
+  `);
+  for (const listNo of probe) {
+    for (const row of scan.iterate({ ...space, ...filter.params, indexId: index.id, listNo })) {
+      candidates.push([row.chunk_id, quantizedDot(q, row.vector, index.quantization)]);
+    }
+  }
+  candidates.sort((a, b) => b[1] - a[1]);
+  const shortlist = candidates.slice(0, limit * 2).map(([id]) => id);
+  if (shortlist.length === 0) return [];
+
+  // Exact re-rank of the shortlist
+  const rows = db.prepare(`
+    SELECT ${CHUNK_COLUMNS}
+    FROM chunks c
+    JOIN sources s ON c.source_id = s.id
+    WHERE c.id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(shortlist));
+
+  return rows
+    .map(row => ({ ...row, score: cosineSimilarity(qEmb, toFloat32(row.embedding)), embedding: undefined }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function countFiltered(db, space, filter) {
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM chunks c
+    JOIN sources s ON c.source_id = s.id
+    WHERE ${SAME_SPACE}
+    ${filter.sql}
+  `).get({ ...space, ...filter.params }).n;
+}
+
+/**
+ * Top `limit` chunks by cosine similarity to the query vector, among chunks
+ * embedded in the same space ({ dim, provider, model }) as the query.
+ * `filter` is a compiled source filter ({ sql, params } from filters.js).
+ * Uses the IVF index for this dimension when one exists (set exact: true to
+ * force a full scan).
+ */
+export function searchVectors(db, qEmb, space, limit, { exact = false, nprobe, filter = { sql: '', params: {} } } = {}) {
+  let index = exact ? null : loadIndex(db, space.dim);
+  if (index && filter.sql && countFiltered(db, space, filter) <= EXACT_FILTERED_MAX) index = null;
+  if (!index) return exactSearch(db, qEmb, space, limit, filter);
+  const probes = nprobe || loadConfig().index.nprobe || Math.max(MIN_NPROBE, Math.ceil(index.nlist / 10));
+  return indexedSearch(db, index, qEmb, space, limit, probes, filter);
+}
@@ -0,0 +1,50 @@
+import { inflateRawSync } from 'zlib';
+
+// Minimal ZIP reader for DOCX/EPUB containers: stored and deflated entries,
+// no ZIP64, no encryption.
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  // The EOCD record is 22 bytes plus an optional comment of up to 64 KiB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a ZIP archive (no end of central directory)');
+}
+
+/**
+ * Parse a ZIP archive. Returns a Map of entry name → () => Buffer.
+ */
+export function readZip(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIG) throw new Error('Corrupt ZIP central directory');
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf-8', offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    entries.set(name, () => {
+      if (buf.readUInt32LE(localOffset) !== LOCAL_SIG) throw new Error(`Corrupt ZIP entry: ${name}`);
+      const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+      const data = buf.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return inflateRawSync(data);
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    });
+  }
+  return entries;
+}
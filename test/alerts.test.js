@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('alerts');
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { analyzeSources } = await import('../src/analyze.js');
+const { parsePrices, priceSourceSettings, fetchPrices, checkAlerts, listAlertEvents } = await import('../src/alerts.js');
+
+after(() => kb.remove());
+
+describe('parsePrices', () => {
+  it('reads CSV with or without a header', () => {
+    assert.deepStrictEqual(parsePrices('NVDA,181.5\n$btc,"64,000"\n'), [
+      { symbol: 'NVDA', price: 181.5, time: null },
+      { symbol: 'BTC', price: 64000, time: null },
+    ]);
+    assert.deepStrictEqual(parsePrices('time,ticker,last\n2026-10-19T14:00:00Z,SPX,5800\n'), [
+      { symbol: 'SPX', price: 5800, time: '2026-10-19T14:00:00.000Z' },
+    ]);
+  });
+
+  it('reads JSON maps, arrays and nested documents', () => {
+    assert.deepStrictEqual(parsePrices('{"NVDA": 181.5, "ETH": {"price": "3100"}}').map(p => [p.symbol, p.price]), [['NVDA', 181.5], ['ETH', 3100]]);
+    assert.deepStrictEqual(parsePrices('[{"symbol": "aapl", "close": 230}]').map(p => [p.symbol, p.price]), [['AAPL', 230]]);
+    assert.deepStrictEqual(parsePrices('{"data": {"quotes": {"NVDA": 1}}}', { field: 'data.quotes' }).length, 1);
+  });
+
+  it('keeps rows with an unreadable time, without the time', () => {
+    assert.deepStrictEqual(parsePrices('symbol,price,time\nNVDA,181.5,yesterday-ish\nSPX,5800,2026-10-19T14:00:00Z\n'), [
+      { symbol: 'NVDA', price: 181.5, time: null },
+      { symbol: 'SPX', price: 5800, time: '2026-10-19T14:00:00.000Z' },
+    ]);
+    assert.strictEqual(parsePrices('[{"symbol": "ETH", "price": 3100, "timestamp": "not a date"}]')[0].time, null);
+  });
+});
+
+describe('price sources', () => {
+  let server;
+  before(async () => {
+    server = createServer((req, res) => {
+      res.writeHead(req.url === '/prices' ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ prices: [{ symbol: 'NVDA', price: 190 }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+  after(() => server.close());
+
+  it('fetches HTTP JSON and reads files', async () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const http = priceSourceSettings(`${base}/prices`, { alerts: { source: { type: null, field: 'prices' } } });
+    assert.deepStrictEqual(await fetchPrices(http), [{ symbol: 'NVDA', price: 190, time: null }]);
+    await assert.rejects(fetchPrices({ ...http, url: `${base}/missing` }), /HTTP 404/);
+
+    const file = join(kb.dir, 'prices.csv');
+    writeFileSync(file, 'symbol,price\nNVDA,181\n');
+    assert.deepStrictEqual(await fetchPrices(priceSourceSettings(file, { alerts: { source: { type: null } } })), [
+      { symbol: 'NVDA', price: 181, time: null },
+    ]);
+    assert.throws(() => priceSourceSettings(undefined, { alerts: { source: { type: null } } }), /No price source/);
+  });
+});
+
+describe('checkAlerts', () => {
+  const at = (day, hour) => ({ now: new Date(`2026-10-${day}T${hour}:00:00Z`), maxAgeDays: null });
+  const nvda = (price) => [{ symbol: 'NVDA', price, time: null }];
+
+  before(async () => {
+    const quiet = { log: () => {} };
+    const { sourceId: a } = await ingestNote('$NVDA support 172.5, resistance 195.', quiet);
+    const { sourceId: b } = await ingestNote('$NVDA resistance 195 then target 210.', quiet);
+    getDb().prepare('UPDATE sources SET metadata = ? WHERE id = ?').run(JSON.stringify({ author: 'bob' }), b);
+    await analyzeSources([a, b], ['levels'], { backend: 'regex' });
+  });
+
+  it('sets a baseline on the first price', () => {
+    const { events, baseline } = checkAlerts(nvda(190), at(19, 10));
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(baseline, ['NVDA']);
+  });
+
+  it('records crosses in both directions once per day', () => {
+    const up = checkAlerts(nvda(196), at(19, 11)).events;
+    assert.deepStrictEqual(up.map(e => [e.level_type, e.level_value, e.direction, e.recorded]), [['resistance', 195, 'up', true]]);
+    assert.strictEqual(up[0].message, 'NVDA crossed above resistance 195 (196, was 190) — called by (unknown), bob');
+
+    // Down through two levels, then back up through 195 the same day
+    const down = checkAlerts(nvda(170), at(19, 12)).events;
+    assert.deepStrictEqual(down.map(e => [e.level_value, e.direction]), [[172.5, 'down'], [195, 'down']]);
+    const again = checkAlerts(nvda(200), at(19, 13)).events;
+    assert.deepStrictEqual(again.map(e => [e.level_value, e.recorded]), [[172.5, true], [195, false]]);
+
+    // No move across a level: nothing
+    assert.deepStrictEqual(checkAlerts(nvda(201), at(19, 14)).events, []);
+
+    // A new day records the same cross again
+    checkAlerts(nvda(194), at(20, 10));
+    assert.strictEqual(checkAlerts(nvda(196), at(20, 11)).events[0].recorded, true);
+  });
+
+  it('ignores quotes older than the last one seen', () => {
+    const { events } = checkAlerts([{ symbol: 'NVDA', price: 100, time: '2026-10-01T00:00:00Z' }], at(20, 12));
+    assert.deepStrictEqual(events, []);
+  });
+
+  it('lists recorded events, newest first', () => {
+    const all = listAlertEvents();
+    assert.strictEqual(all.length, 6);
+    assert.strictEqual(all[0].trigger_day, '2026-10-20');
+    assert.strictEqual(listAlertEvents({ since: '2026-10-20', symbol: '$nvda' }).length, 2);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('analyze');
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { ANALYSIS_TYPES, analyzeSources, listAnalyses, parseJsonReply, analysisTypeStats } = await import('../src/analyze.js');
+
+describe('parseJsonReply', () => {
+  it('finds the object inside fences and chatter', () => {
+    assert.deepStrictEqual(parseJsonReply('```json\n{"a": [1]}\n```'), { a: [1] });
+    assert.deepStrictEqual(parseJsonReply('Sure! {"a": 1} Hope that helps.'), { a: 1 });
+    assert.throws(() => parseJsonReply('no json here'), /no JSON object/);
+  });
+});
+
+describe('analyzeSources', () => {
+  let server;
+  const requests = [];
+  let replies = [];
+  let sourceId;
+
+  const takeaways = { takeaways: [{ point: 'Descaling is weekly', detail: 'Every Friday' }], confidence: 0.9 };
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        const content = replies.shift() ?? '{}';
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ model: 'fake-chat', choices: [{ message: { role: 'assistant', content } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    kb.writeConfig({
+      embedding: { order: ['hash'] },
+      llm: { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'fake-chat' },
+    });
+    ({ sourceId } = await ingestNote('The office espresso machine is descaled every Friday by facilities.', { log: () => {} }));
+  });
+
+  after(() => {
+    server.close();
+    return kb.remove();
+  });
+
+  it('stores validated output with Markdown, model, prompt version and confidence', async () => {
+    replies = [JSON.stringify(takeaways)];
+    assert.deepStrictEqual(await analyzeSources([sourceId], ['takeaways']), { ok: 1 });
+
+    const { messages, temperature } = requests[requests.length - 1];
+    assert.strictEqual(temperature, 0);
+    assert.match(messages[0].content, /JSON Schema/);
+    assert.match(messages[1].content, /espresso machine/);
+
+    const [row] = listAnalyses(sourceId);
+    assert.strictEqual(row.analysis_type, 'takeaways');
+    assert.strictEqual(row.model, 'fake-chat');
+    assert.strictEqual(row.prompt_version, ANALYSIS_TYPES.takeaways.version);
+    assert.strictEqual(row.confidence, 0.9);
+    assert.strictEqual(row.output_markdown, '- **Descaling is weekly** — Every Friday');
+    assert.deepStrictEqual(row.output, takeaways);
+  });
+
+  it('skips current results and redoes them when the prompt version changes', async () => {
+    const before = requests.length;
+    assert.deepStrictEqual(await analyzeSources([sourceId], ['takeaways']), { current: 1 });
+    assert.strictEqual(requests.length, before);
+
+    getDb().prepare("UPDATE analyses SET prompt_version = 'v0'").run();
+    assert.deepStrictEqual(analysisTypeStats().find(t => t.name === 'takeaways'), {
+      name: 'takeaways', title: 'Key takeaways', version: ANALYSIS_TYPES.takeaways.version, current: 0, outdated: 1,
+    });
+    replies = [JSON.stringify(takeaways)];
+    const results = [];
+    await analyzeSources([sourceId], ['takeaways'], { onResult: (s, t, r) => results.push(r) });
+    assert.strictEqual(results[0].previous, 'v0');
+    assert.strictEqual(listAnalyses(sourceId).length, 1);
+    assert.strictEqual(listAnalyses(sourceId)[0].outdated, false);
+  });
+
+  it('sends invalid output back once, then fails', async () => {
+    replies = ['{"overall": "great", "score": 3}', JSON.stringify({ overall: 'positive', score: 0.4, rationale: 'Reliable coffee.', confidence: 0.7 })];
+    assert.deepStrictEqual(await analyzeSources([sourceId], ['sentiment']), { ok: 1 });
+    assert.match(requests[requests.length - 1].messages.at(-1).content, /\$\.overall: must be one of/);
+    assert.strictEqual(listAnalyses(sourceId, { type: 'sentiment' })[0].output_markdown.split('\n')[0], '**Overall:** positive (+0.40)');
+
+    replies = ['not json', '{"items": "none"}'];
+    const results = [];
+    assert.deepStrictEqual(await analyzeSources([sourceId], ['action_items'], { onResult: (s, t, r) => results.push(r) }), { failed: 1 });
+    assert.match(results[0].message, /Invalid action_items output: .*\$\.items: expected array/);
+    assert.strictEqual(listAnalyses(sourceId, { type: 'action_items' }).length, 0);
+  });
+
+  it('rejects unknown types', async () => {
+    await assert.rejects(analyzeSources([sourceId], ['vibes']), /Unknown analysis type "vibes"/);
+  });
+});
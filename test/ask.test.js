@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('ask');
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { ask, buildContext, citedNumbers, getAnswer, listAnswers, NO_MATERIAL } = await import('../src/ask.js');
+const { estimateTokens } = await import('../src/llm.js');
+
+const result = (n, excerpt) => ({
+  source_id: `src-${n}`, chunk_id: `chunk-${n}`, chunk_index: n, title: `Doc ${n}`, url: `https://d.example/${n}`, excerpt,
+});
+
+describe('buildContext', () => {
+  it('numbers excerpts and records where each came from', () => {
+    const { context, citations } = buildContext([result(1, 'alpha'), result(2, 'beta')], 1000);
+    assert.match(context, /^\[1\] Doc 1 — https:\/\/d\.example\/1\nalpha\n\n\[2\] Doc 2/);
+    assert.deepStrictEqual(citations[1], {
+      n: 2, source_id: 'src-2', chunk_id: 'chunk-2', chunk_index: 2, heading: null, title: 'Doc 2', url: 'https://d.example/2',
+    });
+  });
+
+  it('stays within the token budget, truncating the last excerpt', () => {
+    const long = 'word '.repeat(400); // ~500 tokens
+    const { citations, tokens, context } = buildContext([result(1, long), result(2, long), result(3, long)], 800);
+    assert.strictEqual(citations.length, 2);
+    assert.ok(tokens <= 800);
+    assert.ok(estimateTokens(context) <= 810);
+    assert.ok(context.endsWith('…'));
+  });
+});
+
+describe('citedNumbers', () => {
+  it('collects [n], [n][m] and [n, m] markers in order', () => {
+    assert.deepStrictEqual(citedNumbers('A [2]. B [1][3], C [3, 4]. D [2024-01] no.'), [2, 1, 3, 4]);
+  });
+});
+
+describe('ask', () => {
+  let server;
+  const requests = [];
+  let reply = '';
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ model: 'fake-chat', choices: [{ message: { role: 'assistant', content: reply } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    kb.writeConfig({
+      embedding: { order: ['hash'] },
+      llm: { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'fake-chat' },
+    });
+    const quiet = { log: () => {} };
+    await ingestNote('The office espresso machine is descaled every Friday by facilities.', quiet);
+    await ingestNote('Quarterly planning happens in the second week of January.', quiet);
+  });
+
+  after(() => {
+    server.close();
+    return kb.remove();
+  });
+
+  it('answers from retrieved excerpts with citations', async () => {
+    reply = 'Facilities descale it every Friday [1].';
+    const res = await ask('When is the espresso machine descaled?', { mode: 'keyword' });
+    assert.strictEqual(res.status, 'answered');
+    assert.strictEqual(res.answer, reply);
+    assert.strictEqual(res.citations.length, 1);
+    assert.strictEqual(res.citations[0].chunk_index, 0);
+
+    const { url, body } = requests[requests.length - 1];
+    assert.strictEqual(url, '/v1/chat/completions');
+    assert.strictEqual(body.model, 'fake-chat');
+    assert.strictEqual(body.messages[0].role, 'system');
+    assert.match(body.messages[1].content, /\[1\] .*\n.*espresso machine is descaled/);
+  });
+
+  it('reports when the model finds nothing relevant', async () => {
+    reply = NO_MATERIAL;
+    const res = await ask('espresso budget?', { mode: 'keyword' });
+    assert.strictEqual(res.status, 'no_material');
+    assert.deepStrictEqual(res.citations, []);
+  });
+
+  it('does not call the model when retrieval finds nothing', async () => {
+    const before = requests.length;
+    const res = await ask('zeppelin', { mode: 'keyword' });
+    assert.strictEqual(res.status, 'no_material');
+    assert.strictEqual(requests.length, before);
+  });
+
+  it('uses a configured prompt and saves answers on request', async () => {
+    reply = 'Second week of January [1].';
+    const res = await ask('When is quarterly planning?', { mode: 'keyword', systemPrompt: 'Be terse.', save: true });
+    assert.strictEqual(requests[requests.length - 1].body.messages[0].content, 'Be terse.');
+    const saved = getAnswer(res.id.slice(0, 8));
+    assert.strictEqual(saved.question, 'When is quarterly planning?');
+    assert.deepStrictEqual(saved.citations, res.citations);
+    assert.strictEqual(listAnswers().length, 1);
+  });
+
+  it('refuses an answer ID prefix shared by several answers', () => {
+    const insert = getDb().prepare("INSERT INTO answers (id, question, answer, status) VALUES (?, 'q', 'a', 'answered')");
+    insert.run('dup-1');
+    insert.run('dup-2');
+    assert.throws(() => getAnswer('dup-'), err => err.code === 'EAMBIGUOUS' && /more than one answer/.test(err.message));
+    assert.strictEqual(getAnswer('dup-1').id, 'dup-1');
+    getDb().prepare("DELETE FROM answers WHERE id LIKE 'dup-%'").run();
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { chunkText, chunkerFor, parseBlocks, embeddingText } from '../src/chunk.js';
+import { cleanVtt, htmlToMarkdown } from '../src/extract.js';
+import { estimateTokens } from '../src/llm.js';
+
+const SETTINGS = {
+  default: 'paragraph',
+  byType: { markdown: 'markdown', html: 'markdown', video: 'transcript' },
+  maxTokens: 60,
+  overlapTokens: 15,
+  minTokens: 5,
+  windowSeconds: 60,
+};
+const config = { chunking: SETTINGS };
+
+const sentence = n => `Sentence number ${n} talks about the topic at some length.`;
+const paragraph = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join(' ');
+
+describe('markdown chunking', () => {
+  it('labels chunks with their heading breadcrumb and never mixes sections', () => {
+    const text = `# Guide\n\nIntro text.\n\n## Install\n\n${paragraph(1, 2)}\n\n### Linux\n\nUse the package.\n\n## Usage\n\nRun it.`;
+    const chunks = chunkText(text, { sourceType: 'markdown', config });
+    assert.deepStrictEqual(chunks.map(c => c.heading), ['Guide', 'Guide › Install', 'Guide › Install › Linux', 'Guide › Usage']);
+    assert.strictEqual(chunks[3].content, 'Run it.');
+    assert.strictEqual(embeddingText(chunks[3]), 'Guide › Usage\n\nRun it.');
+  });
+
+  it('keeps a code fence in one block, headings inside it included', () => {
+    const blocks = parseBlocks('# A\n\n```sh\n# not a heading\n\nmake\n```\n\nAfter.');
+    assert.deepStrictEqual(blocks.map(b => [b.kind, b.heading]), [['code', 'A'], ['paragraph', 'A']]);
+    assert.ok(blocks[0].text.includes('# not a heading\n\nmake'));
+  });
+
+  it('splits long sections within maxTokens, overlapping on whole sentences', () => {
+    const chunks = chunkText(`## Long\n\n${paragraph(1, 12)}`, { sourceType: 'markdown', config });
+    assert.ok(chunks.length > 1);
+    for (const c of chunks) assert.ok(estimateTokens(c.content) <= SETTINGS.maxTokens, c.content);
+    for (let i = 1; i < chunks.length; i++) {
+      assert.match(chunks[i].content, /^Sentence number \d+ /);
+      const first = chunks[i].content.match(/^Sentence number (\d+)/)[1];
+      assert.ok(chunks[i - 1].content.includes(sentence(Number(first))), 'starts with the end of the previous chunk');
+    }
+  });
+
+  it('splits long lists between items', () => {
+    const list = Array.from({ length: 20 }, (_, i) => `- item ${i} with a few words`).join('\n');
+    const chunks = chunkText(`# List\n\n${list}`, { sourceType: 'markdown', config });
+    assert.ok(chunks.length > 1);
+    for (const c of chunks) assert.ok(c.content.split(/\n+/).every(l => /^- item \d+ with a few words$/.test(l)), c.content);
+  });
+});
+
+describe('chunk offsets', () => {
+  it('point at each chunk\'s own text, overlap excluded', () => {
+    const text = `# Guide\n\n## Long\n\n${paragraph(1, 12)}\n\n## Short\n\n- one\n- two\n`;
+    const chunks = chunkText(text, { sourceType: 'markdown', config });
+    assert.ok(chunks.length > 2);
+    for (let i = 0; i < chunks.length; i++) {
+      const own = text.slice(chunks[i].start, chunks[i].end);
+      assert.ok(chunks[i].content.endsWith(own), own);
+      if (i > 0) assert.ok(chunks[i].start >= chunks[i - 1].end);
+    }
+    assert.strictEqual(text.slice(chunks.at(-1).start, chunks.at(-1).end), '- one\n- two');
+  });
+
+  it('point into the plain text when a Markdown view is chunked', () => {
+    const html = `<h2>Install</h2><p>${paragraph(1, 12)}</p><ul><li>first step</li><li>second step</li></ul>`;
+    const text = `Install\n${paragraph(1, 12)}\nfirst step second step`;
+    const chunks = chunkText(text, { sourceType: 'html', config, view: htmlToMarkdown(html) });
+    assert.ok(chunks.length > 2);
+    assert.ok(chunks.every(c => c.heading === 'Install'));
+    assert.strictEqual(text.slice(chunks.at(-1).start, chunks.at(-1).end), 'first step second step');
+    for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].start >= chunks[i - 1].end);
+  });
+});
+
+describe('chunker choice', () => {
+  it('picks a chunker by source type, falling back to the default', () => {
+    assert.strictEqual(chunkerFor('markdown', config).name, 'markdown');
+    assert.strictEqual(chunkerFor('pdf', config).name, 'paragraph');
+    assert.throws(() => chunkerFor('pdf', { chunking: { ...SETTINGS, default: 'nope' } }), /Unknown chunker "nope"/);
+  });
+
+  it('leaves headings as text for the paragraph chunker', () => {
+    const chunks = chunkText('# Title\n\nBody.', { sourceType: 'pdf', config });
+    assert.deepStrictEqual(chunks, [{ content: '# Title\n\nBody.', heading: null, start: 0, end: 14 }]);
+  });
+});
+
+describe('transcript chunking', () => {
+  it('groups timestamped lines into windows headed by their time range', () => {
+    const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:04.000\nhello <c>there</c>\n\n00:00:04.000 --> 00:00:08.000\nhello there\nwelcome back\n\n00:01:30.000 --> 00:01:33.000\nsecond part';
+    const transcript = cleanVtt(vtt);
+    assert.strictEqual(transcript, '[00:00:01] hello there\n[00:00:04] welcome back\n[00:01:30] second part');
+    assert.deepStrictEqual(chunkText(transcript, { sourceType: 'video', config }).map(({ content, heading }) => ({ content, heading })), [
+      { content: 'hello there welcome back', heading: '00:00:01–00:00:04' },
+      { content: 'second part', heading: '00:01:30–00:01:30' },
+    ]);
+  });
+
+  it('embeds the words without the time range', () => {
+    assert.strictEqual(embeddingText({ content: 'second part', heading: '00:01:30–00:01:30' }), 'second part');
+  });
+
+  it('chunks untimed transcripts by paragraph', () => {
+    assert.deepStrictEqual(chunkText('just words', { sourceType: 'video', config }), [{ content: 'just words', heading: null, start: 0, end: 10 }]);
+  });
+});
+
+describe('htmlToMarkdown', () => {
+  it('keeps headings, lists, code and tables on their own lines', () => {
+    const md = htmlToMarkdown('<div><h2>Install</h2><p>Run   the <b>tool</b>.</p><ol><li>one</li><li>two</li></ol><pre><code>make\nmake install</code></pre><table><tr><td>a</td><td>b</td></tr></table></div>');
+    assert.strictEqual(md, '## Install\n\nRun the tool.\n\n1. one\n2. two\n\n```\nmake\nmake install\n```\n\n| a | b |');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('db');
+
+// A knowledge base from before chunks had a seq key: chunks_fts on the
+// implicit rowid, with a gap where a chunk was deleted
+const old = new Database(join(kb.dir, 'kb.db'));
+old.exec(`
+  CREATE TABLE sources (id TEXT PRIMARY KEY, url TEXT, title TEXT, source_type TEXT, summary TEXT, raw_content TEXT,
+    content_hash TEXT UNIQUE, metadata TEXT, tags TEXT, created_at TEXT, updated_at TEXT);
+  CREATE TABLE chunks (id TEXT PRIMARY KEY, source_id TEXT REFERENCES sources(id) ON DELETE CASCADE, chunk_index INTEGER,
+    content TEXT, embedding BLOB, embedding_dim INTEGER, embedding_provider TEXT, embedding_model TEXT, created_at TEXT);
+  CREATE VIRTUAL TABLE chunks_fts USING fts5(content, content = 'chunks', tokenize = 'porter unicode61 remove_diacritics 2');
+  CREATE TRIGGER chunks_fts_ai AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts(rowid, content) VALUES (new.rowid, new.content);
+  END;
+  CREATE TRIGGER chunks_fts_ad AFTER DELETE ON chunks BEGIN
+    INSERT INTO chunks_fts(chunks_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  END;
+  INSERT INTO sources (id, title, source_type, created_at) VALUES ('s1', 'Fruit', 'note', '2026-01-01'), ('s2', 'Desserts', 'note', '2026-01-01');
+  INSERT INTO chunks (id, source_id, chunk_index, content) VALUES
+    ('c1', 's1', 0, 'apples grow in orchards'),
+    ('c2', 's1', 1, 'bananas ripen on the counter'),
+    ('c3', 's2', 0, 'cherry tart needs sour cherries');
+  DELETE FROM chunks WHERE id = 'c1';
+`);
+old.close();
+
+const { getDb } = await import('../src/db.js');
+const { query } = await import('../src/retrieve.js');
+
+after(() => kb.remove());
+
+const keywordHits = async q => (await query(q, { mode: 'keyword' })).map(r => r.chunk_id);
+
+describe('chunk keys', () => {
+  it('moves an old database to seq keys, keeping rowids and keyword search', async () => {
+    const db = getDb();
+    const seq = db.prepare('PRAGMA table_info(chunks)').all().find(c => c.name === 'seq');
+    assert.strictEqual(seq.pk, 1);
+    assert.deepStrictEqual(db.prepare('SELECT seq, id FROM chunks ORDER BY seq').all(), [{ seq: 2, id: 'c2' }, { seq: 3, id: 'c3' }]);
+    assert.deepStrictEqual(await keywordHits('cherry'), ['c3']);
+    assert.deepStrictEqual(await keywordHits('apples'), []);
+  });
+
+  it('keeps keyword hits on the right chunks across deletes and VACUUM', async () => {
+    const db = getDb();
+    db.prepare("DELETE FROM sources WHERE id = 's1'").run();
+    db.prepare("INSERT INTO chunks (id, source_id, chunk_index, content) VALUES ('c4', 's2', 1, 'whipped cream on top')").run();
+    db.exec('VACUUM');
+    assert.deepStrictEqual(await keywordHits('cherry'), ['c3']);
+    assert.deepStrictEqual(await keywordHits('cream'), ['c4']);
+    assert.deepStrictEqual(await keywordHits('bananas'), []);
+  });
+});
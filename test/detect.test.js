@@ -110,7 +110,20 @@ describe('detectSourceType', () => {
   it('returns other for non-HTTP URLs', () => {
     assert.strictEqual(detectSourceType('/local/path/file.txt'), 'other');
     assert.strictEqual(detectSourceType('ftp://example.com/file.txt'), 'other');
-    assert.strictEqual(detectSourceType('file:///home/user/doc.txt'), 'other');
+  });
+
+  it('detects local files by extension', () => {
+    assert.strictEqual(detectSourceType('file:///home/user/doc.txt'), 'text');
+    assert.strictEqual(detectSourceType('file:///home/user/paper.PDF'), 'pdf');
+    assert.strictEqual(detectSourceType('file:///notes/README.md'), 'markdown');
+    assert.strictEqual(detectSourceType('file:///saved/page.htm'), 'html');
+    assert.strictEqual(detectSourceType('file:///docs/report.docx'), 'docx');
+    assert.strictEqual(detectSourceType('file:///books/novel.epub'), 'epub');
+  });
+
+  it('returns other for unsupported local files', () => {
+    assert.strictEqual(detectSourceType('file:///home/user/archive.zip'), 'other');
+    assert.strictEqual(detectSourceType('file:///home/user/Makefile'), 'other');
   });
 
   it('returns text for empty string (falsy check)', () => {
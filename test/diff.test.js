@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { diffLines, diffStats, formatDiff } from '../src/diff.js';
+
+describe('diffLines', () => {
+  it('marks every line unchanged for identical texts', () => {
+    const ops = diffLines('a\nb', 'a\nb');
+    assert.deepStrictEqual(ops.map(o => o.op), [' ', ' ']);
+    assert.strictEqual(formatDiff(ops), '');
+  });
+
+  it('finds replaced, inserted and deleted lines', () => {
+    const ops = diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+    assert.deepStrictEqual(ops, [
+      { op: ' ', line: 'a' },
+      { op: '-', line: 'b' },
+      { op: '+', line: 'B' },
+      { op: ' ', line: 'c' },
+      { op: ' ', line: 'd' },
+      { op: '+', line: 'e' },
+    ]);
+    assert.deepStrictEqual(diffStats(ops), { added: 2, removed: 1 });
+  });
+
+  it('keeps common lines between changes', () => {
+    const ops = diffLines('x\n1\n2\ny', '1\nz\n2');
+    assert.deepStrictEqual(ops.filter(o => o.op === ' ').map(o => o.line), ['1', '2']);
+  });
+});
+
+describe('formatDiff', () => {
+  const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+
+  it('prints unified hunks with line numbers and context', () => {
+    const after = before.replace('line 5', 'line five');
+    assert.strictEqual(formatDiff(diffLines(before, after), { context: 1 }), [
+      '@@ -4,3 +4,3 @@',
+      ' line 4',
+      '-line 5',
+      '+line five',
+      ' line 6',
+    ].join('\n'));
+  });
+
+  it('splits distant changes into separate hunks', () => {
+    const after = before.replace('line 2\n', '').replace('line 18', 'line 18\nnew');
+    const hunks = formatDiff(diffLines(before, after), { context: 2 }).split('\n').filter(l => l.startsWith('@@'));
+    assert.deepStrictEqual(hunks, ['@@ -1,4 +1,3 @@', '@@ -17,4 +16,5 @@']);
+  });
+});
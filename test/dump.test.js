@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync, readFileSync, readdirSync, createWriteStream } from 'fs';
+import { once } from 'events';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('dump');
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { addLabels } = await import('../src/labels.js');
+const { analyzeSources } = await import('../src/analyze.js');
+const { query } = await import('../src/retrieve.js');
+const { dumpRecords, exportJsonl, exportMarkdown, importDump, toYaml } = await import('../src/dump.js');
+
+const NOTES = [
+  'Tidal energy uses the rise and fall of ocean tides to turn turbines and generate electricity near coasts.',
+  '$NVDA support at 170 and resistance at 195 this month; a break below 165 is my stop.',
+];
+
+after(() => kb.remove());
+
+async function writeDump(path, options) {
+  const stream = createWriteStream(path);
+  const count = await exportJsonl(stream, options);
+  stream.end();
+  await once(stream, 'finish');
+  return count;
+}
+
+function deleteAll() {
+  getDb().prepare('DELETE FROM sources').run();
+}
+
+describe('export and import', () => {
+  const ids = [];
+  const withVectors = join(kb.dir, 'full.jsonl');
+  const withoutVectors = join(kb.dir, 'light.jsonl');
+  let levels;
+
+  before(async () => {
+    for (const text of NOTES) ids.push((await ingestNote(text)).sourceId);
+    addLabels([ids[0]], [{ key: 'topic', value: 'energy' }]);
+    await analyzeSources([ids[1]], ['levels'], { backend: 'regex' });
+    levels = getDb().prepare('SELECT COUNT(*) AS n FROM analysis_levels').get().n;
+    assert.strictEqual(await writeDump(withVectors, { chunks: true }), 2);
+    assert.strictEqual(await writeDump(withoutVectors), 2);
+  });
+
+  it('dumps a header and one record per source', () => {
+    const [header, ...records] = [...dumpRecords({ chunks: true })];
+    assert.strictEqual(header.kind, 'kb-dump');
+    assert.deepStrictEqual(records.map(r => r.id), ids);
+    assert.deepStrictEqual(records[0].labels, [{ key: 'topic', value: 'energy' }]);
+    assert.strictEqual(records[1].analyses[0].analysis_type, 'levels');
+    assert.strictEqual(records[0].chunks[0].provider, 'hash');
+    assert.ok(records[0].chunks[0].embedding.length > 0);
+    assert.deepStrictEqual([records[0].chunks[0].char_start, records[0].chunks[0].char_end], [0, NOTES[0].length]);
+  });
+
+  it('restores an emptied KB from its vectors without re-embedding', async () => {
+    deleteAll();
+    const counts = await importDump(withVectors);
+    assert.deepStrictEqual([counts.added, counts.merged, counts.failed, counts.embedded, counts.analyses], [2, 0, 0, 0, 1]);
+
+    const db = getDb();
+    assert.deepStrictEqual(db.prepare('SELECT id FROM sources ORDER BY created_at').all().map(r => r.id), ids);
+    assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM embedding_usage WHERE operation = 'import'").get().n, 0);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM analysis_levels').get().n, levels);
+    assert.ok(levels > 0);
+    const chunk = db.prepare('SELECT char_start, char_end FROM chunks WHERE source_id = ? AND chunk_index = 0').get(ids[0]);
+    assert.deepStrictEqual(chunk, { char_start: 0, char_end: NOTES[0].length });
+    const [hit] = await query('ocean tides turbines', { mode: 'vector', topK: 1 });
+    assert.strictEqual(hit.source_id, ids[0]);
+  });
+
+  it('embeds sources when the export has no vectors', async () => {
+    deleteAll();
+    const counts = await importDump(withoutVectors);
+    assert.strictEqual(counts.added, 2);
+    assert.strictEqual(counts.embedded, 2);
+    const chunks = getDb().prepare('SELECT COUNT(*) AS n FROM chunks WHERE source_id = ?').get(ids[0]).n;
+    assert.ok(chunks > 0);
+  });
+
+  it('merges into sources with the same content', async () => {
+    deleteAll();
+    const { sourceId } = await ingestNote(NOTES[0]);
+    const counts = await importDump(withVectors);
+    assert.deepStrictEqual([counts.added, counts.merged], [1, 1]);
+    const labels = getDb().prepare('SELECT label_key, label_value FROM source_labels WHERE source_id = ?').all(sourceId);
+    assert.deepStrictEqual(labels, [{ label_key: 'topic', label_value: 'energy' }]);
+    assert.strictEqual(getDb().prepare('SELECT COUNT(*) AS n FROM sources').get().n, 2);
+  });
+
+  it('rejects files that are not exports', async () => {
+    const bogus = join(kb.dir, 'bogus.jsonl');
+    writeFileSync(bogus, '{"url": "https://example.com"}\n');
+    await assert.rejects(importDump(bogus), /not a kb export/);
+  });
+});
+
+describe('markdown export', () => {
+  it('writes YAML that quotes strings and nests maps', () => {
+    assert.strictEqual(
+      toYaml({ title: 'A: "quoted" title', labels: ['topic=energy'], metadata: { author: 'x', 'og:type': 'article' }, tags: [] }),
+      'title: "A: \\"quoted\\" title"\nlabels:\n  - "topic=energy"\nmetadata:\n  author: "x"\n  "og:type": "article"\ntags: []'
+    );
+  });
+
+  it('writes one note per source with front matter', () => {
+    const vault = join(kb.dir, 'vault');
+    assert.strictEqual(exportMarkdown(vault), 2);
+    const files = readdirSync(vault).sort();
+    assert.strictEqual(files.length, 2);
+    const note = readFileSync(join(vault, files.find(f => f.startsWith('Tidal'))), 'utf-8');
+    assert.match(note, /^---\nid: "[\w-]+"\n/);
+    assert.match(note, /\ntype: "note"\n/);
+    assert.match(note, /\ntags:\n {2}- "topic\/energy"\n/);
+    assert.match(note, /\n---\n\n# Tidal energy/);
+    assert.ok(note.includes(NOTES[0]));
+  });
+});
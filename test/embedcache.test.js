@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('cache', { embedding: { cache: { maxEntries: 3 } } });
+
+const { getDb } = await import('../src/db.js');
+const { textHash, cacheGet, cachePut, cacheStats, cacheClear } = await import('../src/embedcache.js');
+
+describe('embedding cache', () => {
+  before(() => cacheClear());
+  after(() => kb.remove());
+
+  it('hashes text with sha256', () => {
+    assert.strictEqual(textHash('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('round-trips vectors per provider and model', () => {
+    cachePut([{ hash: textHash('x'), embedding: [0.5, -1], dim: 2 }], 'p', 'm1');
+    const hit = cacheGet([textHash('x')], 'p', 'm1');
+    assert.deepStrictEqual(hit.get(textHash('x')), { embedding: [0.5, -1], dim: 2 });
+    assert.strictEqual(cacheGet([textHash('x')], 'p', 'm2').size, 0);
+  });
+
+  it('counts hits', () => {
+    cacheGet([textHash('x')], 'p', 'm1');
+    assert.ok(cacheStats().hits >= 2);
+  });
+
+  it('evicts down to maxEntries', () => {
+    const entries = ['a', 'b', 'c', 'd'].map(t => ({ hash: textHash(t), embedding: [1, 0], dim: 2 }));
+    cachePut(entries, 'p', 'm1');
+    assert.strictEqual(cacheStats().entries, 3);
+  });
+
+  it('keeps the running totals in step with the table', () => {
+    const totals = () => getDb().prepare('SELECT entries, bytes FROM embedding_cache_totals').get();
+    const actual = () => getDb().prepare('SELECT COUNT(*) AS entries, SUM(length(embedding)) AS bytes FROM embedding_cache').get();
+    cachePut([{ hash: textHash('a'), embedding: [1, 0, 0, 0], dim: 4 }, { hash: textHash('e'), embedding: [1], dim: 1 }], 'p', 'm1');
+    assert.deepStrictEqual(totals(), actual());
+    assert.strictEqual(totals().entries, 3);
+  });
+
+  it('clears by provider', () => {
+    cachePut([{ hash: textHash('y'), embedding: [1], dim: 1 }], 'other', 'm');
+    cacheClear({ provider: 'p' });
+    const st = cacheStats();
+    assert.strictEqual(st.entries, 1);
+    assert.strictEqual(st.byModel[0].provider, 'other');
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { deflateRawSync } from 'zlib';
+import { extractContent } from '../src/extract.js';
+import { detectSourceType } from '../src/detect.js';
+import { readZip } from '../src/zip.js';
+import { resolveLocalPath } from '../src/normalize.js';
+
+// Build a ZIP archive (deflated entries, CRCs left at zero — readZip ignores them)
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(text), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(text), 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+const PARA = 'This paragraph is long enough to look like real prose for the extractor and validator to accept.';
+
+let dir;
+const file = name => pathToFileURL(join(dir, name)).href;
+
+async function extract(name) {
+  const url = file(name);
+  return extractContent(url, detectSourceType(url));
+}
+
+describe('local file extraction', () => {
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'kb-files-'));
+    writeFileSync(join(dir, 'notes.txt'), `﻿${PARA}\n\n${PARA}\n`);
+    writeFileSync(join(dir, 'guide.md'), `---\ntitle: "Front Matter Title"\ntags: [a]\n---\n# Heading\n\n${PARA}\n`);
+    writeFileSync(join(dir, 'plain.md'), `Intro line\n\n# The Heading\n\n${PARA}\n`);
+    writeFileSync(join(dir, 'page.html'), `<html><head><title>Saved Page</title></head><body><article><h1>Saved Page</h1><p>${PARA}</p><p>${PARA}</p></article></body></html>`);
+    writeFileSync(join(dir, 'report.docx'), makeZip({
+      'word/document.xml': `<w:document><w:body><w:p><w:r><w:t>First &amp; foremost</w:t></w:r><w:r><w:t xml:space="preserve"> part</w:t></w:r></w:p><w:p><w:pPr/><w:r><w:t>Second</w:t><w:tab/><w:t>para</w:t></w:r></w:p></w:body></w:document>`,
+      'docProps/core.xml': '<cp:coreProperties><dc:title>Quarterly Report</dc:title></cp:coreProperties>',
+    }));
+    writeFileSync(join(dir, 'book.epub'), makeZip({
+      'mimetype': 'application/epub+zip',
+      'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+      'OEBPS/content.opf': `<package><metadata><dc:title>A Small Book</dc:title><dc:creator>Jane Doe</dc:creator></metadata>
+        <manifest><item id="c2" href="ch2.xhtml"/><item id="c1" href="text/ch1.xhtml"/></manifest>
+        <spine><itemref idref="c1"/><itemref idref="c2"/></spine></package>`,
+      'OEBPS/text/ch1.xhtml': '<html><body><h1>Chapter One</h1><p>It begins.</p></body></html>',
+      'OEBPS/ch2.xhtml': '<html><body><h1>Chapter Two</h1><p>It ends.</p></body></html>',
+    }));
+    writeFileSync(join(dir, 'data.bin'), 'x');
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('reads plain text and records file metadata', async () => {
+    const r = await extract('notes.txt');
+    assert.strictEqual(r.title, 'notes');
+    assert.strictEqual(r.content, `${PARA}\n\n${PARA}`);
+    assert.strictEqual(r.metadata.file_name, 'notes.txt');
+    assert.strictEqual(r.metadata.file_size, Buffer.byteLength(`﻿${PARA}\n\n${PARA}\n`));
+    assert.match(r.metadata.file_mtime, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it('takes markdown titles from front matter, then the first heading', async () => {
+    const fm = await extract('guide.md');
+    assert.strictEqual(fm.title, 'Front Matter Title');
+    assert.ok(fm.content.startsWith('# Heading'));
+    assert.strictEqual((await extract('plain.md')).title, 'The Heading');
+  });
+
+  it('runs saved HTML through Readability', async () => {
+    const r = await extract('page.html');
+    assert.strictEqual(r.title, 'Saved Page');
+    assert.ok(r.content.includes(PARA));
+    assert.ok(!r.content.includes('<p>'));
+  });
+
+  it('extracts DOCX paragraphs and title', async () => {
+    const r = await extract('report.docx');
+    assert.strictEqual(r.title, 'Quarterly Report');
+    assert.strictEqual(r.content, 'First & foremost part\n\nSecond\tpara');
+  });
+
+  it('extracts EPUB chapters in spine order', async () => {
+    const r = await extract('book.epub');
+    assert.strictEqual(r.title, 'A Small Book');
+    assert.strictEqual(r.metadata.author, 'Jane Doe');
+    assert.ok(r.content.indexOf('Chapter One') < r.content.indexOf('Chapter Two'));
+  });
+
+  it('rejects unsupported and missing files', async () => {
+    await assert.rejects(extract('data.bin'), /Unsupported file type/);
+    await assert.rejects(extract('missing.txt'), /File not found/);
+  });
+});
+
+describe('readZip', () => {
+  it('lists and inflates entries', () => {
+    const zip = readZip(makeZip({ 'a.txt': 'hello', 'dir/b.txt': 'world' }));
+    assert.deepStrictEqual([...zip.keys()], ['a.txt', 'dir/b.txt']);
+    assert.strictEqual(zip.get('dir/b.txt')().toString(), 'world');
+  });
+
+  it('rejects non-zip data', () => {
+    assert.throws(() => readZip(Buffer.alloc(64)), /Not a ZIP archive/);
+  });
+});
+
+describe('resolveLocalPath', () => {
+  it('turns existing paths into canonical file URLs', () => {
+    const url = resolveLocalPath('package.json');
+    assert.match(url, /^file:\/\/\/.*\/package\.json$/);
+    assert.strictEqual(resolveLocalPath('./package.json'), url);
+    assert.strictEqual(resolveLocalPath(url), url);
+  });
+
+  it('leaves URLs and missing paths alone', () => {
+    assert.strictEqual(resolveLocalPath('https://example.com/a.pdf'), 'https://example.com/a.pdf');
+    assert.strictEqual(resolveLocalPath('./no/such/file.txt'), './no/such/file.txt');
+    assert.strictEqual(resolveLocalPath(''), '');
+  });
+});
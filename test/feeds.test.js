@@ -0,0 +1,200 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('feed');
+
+const { getDb } = await import('../src/db.js');
+const { parseFeed, addFeed, listFeeds, findFeed, removeFeed, syncFeeds } = await import('../src/feeds.js');
+const { labelsBySource } = await import('../src/labels.js');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Example &amp; Co</title>
+    <link>https://example.com/</link>
+    <atom:link href="https://example.com/feed.xml" rel="self"/>
+    <item>
+      <title><![CDATA[First <b>post</b>]]></title>
+      <link>https://example.com/1</link>
+      <guid isPermaLink="false">post-1</guid>
+      <pubDate>Mon, 02 Jan 2023 10:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>No guid</title>
+      <link>/2</link>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Blog</title>
+  <link href="https://atom.example/feed" rel="self"/>
+  <link href="https://atom.example/"/>
+  <entry>
+    <title>Entry</title>
+    <id>urn:uuid:1234</id>
+    <link rel="alternate" href="https://atom.example/entry"/>
+    <link rel="enclosure" href="https://atom.example/audio.mp3"/>
+    <updated>2023-05-01T00:00:00Z</updated>
+  </entry>
+</feed>`;
+
+describe('parseFeed', () => {
+  it('parses RSS 2.0 with CDATA, entities and relative links', () => {
+    const feed = parseFeed(RSS, 'https://example.com/feed.xml');
+    assert.strictEqual(feed.format, 'rss');
+    assert.strictEqual(feed.title, 'Example & Co');
+    assert.strictEqual(feed.siteUrl, 'https://example.com/');
+    assert.deepStrictEqual(feed.entries[0], {
+      guid: 'post-1', url: 'https://example.com/1', title: 'First post', published: '2023-01-02T10:00:00.000Z',
+    });
+    assert.strictEqual(feed.entries[1].url, 'https://example.com/2');
+    assert.strictEqual(feed.entries[1].guid, 'https://example.com/2');
+  });
+
+  it('parses Atom, preferring the alternate link', () => {
+    const feed = parseFeed(ATOM, 'https://atom.example/feed');
+    assert.strictEqual(feed.format, 'atom');
+    assert.strictEqual(feed.title, 'Atom Blog');
+    assert.strictEqual(feed.siteUrl, 'https://atom.example/');
+    assert.deepStrictEqual(feed.entries, [{
+      guid: 'urn:uuid:1234', url: 'https://atom.example/entry', title: 'Entry', published: '2023-05-01T00:00:00.000Z',
+    }]);
+  });
+
+  it('parses JSON Feed', () => {
+    const feed = parseFeed(JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'JSON Blog',
+      items: [{ id: 7, url: 'https://j.example/7', title: 'Seven', date_published: '2024-02-03T04:05:06Z' }],
+    }), 'https://j.example/feed.json');
+    assert.strictEqual(feed.format, 'json');
+    assert.deepStrictEqual(feed.entries[0], {
+      guid: '7', url: 'https://j.example/7', title: 'Seven', published: '2024-02-03T04:05:06.000Z',
+    });
+  });
+
+  it('rejects documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body>hi</body></html>'), /Not an RSS/);
+  });
+});
+
+describe('feed sync', () => {
+  const posts = new Map();
+  let version = 1;
+  let feedItems = [];
+  const requests = [];
+  let server, base;
+
+  const article = n => `<html><head><title>Post ${n}</title></head><body><article>
+    <h1>Post ${n}</h1>
+    ${`<p>Post number ${n} talks at length about feeds, syncing and incremental ingestion so that it reads like a real article.</p>`.repeat(8)}
+  </article></body></html>`;
+
+  const rss = () => `<?xml version="1.0"?><rss version="2.0"><channel><title>Fixture Feed</title><link>${base}/</link>
+    ${feedItems.map(n => `<item><title>Post ${n}</title><link>${base}/post/${n}</link><guid>g${n}</guid>
+      <pubDate>Tue, 0${n} Jan 2024 00:00:00 GMT</pubDate></item>`).join('\n')}
+  </channel></rss>`;
+
+  before(async () => {
+    for (const n of [1, 2, 3]) posts.set(`/post/${n}`, article(n));
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, inm: req.headers['if-none-match'] });
+      if (req.url === '/feed.xml') {
+        const etag = `"v${version}"`;
+        if (req.headers['if-none-match'] === etag) { res.writeHead(304); res.end(); return; }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag });
+        res.end(rss());
+      } else if (posts.has(req.url)) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(posts.get(req.url));
+      } else {
+        res.writeHead(404); res.end('not found');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    return kb.remove();
+  });
+
+  it('subscribes and takes the feed title', async () => {
+    feedItems = [1, 2];
+    const result = await addFeed(`${base}/feed.xml`);
+    assert.strictEqual(result.status, 'ok');
+    assert.strictEqual(result.feed.title, 'Fixture Feed');
+    assert.strictEqual(result.entries, 2);
+    assert.strictEqual((await addFeed(`${base}/feed.xml`)).status, 'exists');
+  });
+
+  it('ingests new entries with a feed label and publish date', async () => {
+    const result = await syncFeeds();
+    assert.deepStrictEqual(result.counts, { ok: 2, duplicate: 0, invalid: 0, failed: 0 });
+
+    const db = getDb();
+    const sources = db.prepare('SELECT id, url, metadata FROM sources ORDER BY url').all();
+    assert.deepStrictEqual(sources.map(s => s.url), [`${base}/post/1`, `${base}/post/2`]);
+    assert.strictEqual(JSON.parse(sources[0].metadata).published_at, '2024-01-01T00:00:00.000Z');
+    const labels = labelsBySource([sources[0].id]).get(sources[0].id);
+    assert.deepStrictEqual(labels, [{ key: 'feed', value: 'Fixture Feed' }]);
+
+    const [feed] = listFeeds();
+    assert.strictEqual(feed.etag, '"v1"');
+    assert.strictEqual(feed.source_count, 2);
+  });
+
+  it('sends the stored ETag and does nothing on 304', async () => {
+    requests.length = 0;
+    const result = await syncFeeds();
+    assert.strictEqual(result.counts.ok, 0);
+    assert.deepStrictEqual(requests, [{ url: '/feed.xml', inm: '"v1"' }]);
+  });
+
+  it('only ingests entries it has not seen', async () => {
+    version = 2;
+    feedItems = [1, 2, 3];
+    requests.length = 0;
+    const result = await syncFeeds();
+    assert.strictEqual(result.counts.ok, 1);
+    assert.deepStrictEqual(requests.filter(r => r.url.startsWith('/post/')).map(r => r.url), ['/post/3']);
+  });
+
+  it('retries failed entries on the next sync', async () => {
+    version = 3;
+    feedItems = [1, 2, 3, 4];
+    const first = await syncFeeds();
+    assert.strictEqual(first.counts.failed, 1);
+
+    posts.set('/post/4', article(4));
+    const second = await syncFeeds();
+    assert.strictEqual(second.counts.ok, 1);
+  });
+
+  it('records feed errors without failing other feeds', async () => {
+    await assert.rejects(addFeed(`${base}/missing.xml`), /HTTP 404/);
+    const db = getDb();
+    db.prepare("INSERT INTO feeds (id, url, title) VALUES ('broken', ?, 'Broken')").run(`${base}/missing.xml`);
+    const result = await syncFeeds();
+    assert.strictEqual(result.errors, 1);
+    assert.match(findFeed('broken').last_error, /HTTP 404/);
+    assert.ok(removeFeed('broken'));
+  });
+
+  it('refuses an ID prefix shared by several feeds', () => {
+    const insert = getDb().prepare("INSERT INTO feeds (id, url, title) VALUES (?, ?, 'Dup')");
+    insert.run('dup-1', 'https://one.example/feed');
+    insert.run('dup-2', 'https://two.example/feed');
+    assert.throws(() => findFeed('dup-'), err => err.code === 'EAMBIGUOUS' && /more than one feed/.test(err.message));
+    assert.strictEqual(findFeed('dup-2').id, 'dup-2');
+    assert.strictEqual(findFeed('https://one.example/feed').id, 'dup-1');
+    assert.strictEqual(findFeed('dup_'), undefined);
+    assert.ok(removeFeed('dup-1') && removeFeed('dup-2'));
+  });
+});
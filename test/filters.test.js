@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseDate, parseLabel, normalizeSite, filtersFromArgs, buildSourceFilter, hasFilters,
+} from '../src/filters.js';
+
+const now = new Date('2026-03-15T12:00:00.000Z');
+
+describe('parseDate', () => {
+  it('parses bare dates as start of day', () => {
+    assert.strictEqual(parseDate('2026-01-31'), '2026-01-31T00:00:00.000Z');
+  });
+
+  it('parses bare dates as end of day for upper bounds', () => {
+    assert.strictEqual(parseDate('2026-01-31', { endOfDay: true }), '2026-01-31T23:59:59.999Z');
+  });
+
+  it('treats a bare month as the whole month', () => {
+    assert.strictEqual(parseDate('2026-02'), '2026-02-01T00:00:00.000Z');
+    assert.strictEqual(parseDate('2026-02', { endOfDay: true }), '2026-02-28T23:59:59.999Z');
+  });
+
+  it('parses relative durations', () => {
+    assert.strictEqual(parseDate('7d', { now }), '2026-03-08T12:00:00.000Z');
+    assert.strictEqual(parseDate('2w', { now }), '2026-03-01T12:00:00.000Z');
+    assert.strictEqual(parseDate('1m', { now }), '2026-02-15T12:00:00.000Z');
+    assert.strictEqual(parseDate('1y', { now }), '2025-03-15T12:00:00.000Z');
+    assert.strictEqual(parseDate('3h', { now }), '2026-03-15T09:00:00.000Z');
+  });
+
+  it('parses today and yesterday', () => {
+    assert.strictEqual(parseDate('today', { now }), '2026-03-15T00:00:00.000Z');
+    assert.strictEqual(parseDate('yesterday', { now, endOfDay: true }), '2026-03-14T23:59:59.999Z');
+  });
+
+  it('parses ISO timestamps', () => {
+    assert.strictEqual(parseDate('2026-01-02T03:04:05+02:00'), '2026-01-02T01:04:05.000Z');
+  });
+
+  it('rejects garbage', () => {
+    assert.throws(() => parseDate('last tuesday'), /Invalid date/);
+  });
+});
+
+describe('parseLabel', () => {
+  it('splits key=value', () => {
+    assert.deepStrictEqual(parseLabel('project=alpha'), { key: 'project', value: 'alpha' });
+  });
+
+  it('keeps "=" inside values', () => {
+    assert.deepStrictEqual(parseLabel('q=a=b'), { key: 'q', value: 'a=b' });
+  });
+
+  it('accepts a bare key', () => {
+    assert.deepStrictEqual(parseLabel('project'), { key: 'project' });
+    assert.deepStrictEqual(parseLabel('project='), { key: 'project' });
+  });
+
+  it('rejects an empty key', () => {
+    assert.throws(() => parseLabel('=x'), /Invalid label/);
+  });
+});
+
+describe('normalizeSite', () => {
+  it('reduces URLs to bare hosts', () => {
+    assert.strictEqual(normalizeSite('https://www.Example.com/path?q=1'), 'example.com');
+    assert.strictEqual(normalizeSite('example.com:8080'), 'example.com');
+  });
+
+  it('maps twitter.com to x.com', () => {
+    assert.strictEqual(normalizeSite('twitter.com'), 'x.com');
+  });
+});
+
+describe('filtersFromArgs', () => {
+  it('returns an empty object without flags', () => {
+    assert.deepStrictEqual(filtersFromArgs({}), {});
+    assert.strictEqual(hasFilters({}), false);
+  });
+
+  it('maps every flag', () => {
+    const f = filtersFromArgs({
+      type: ['pdf'], site: ['www.x.com'], since: '2026-01-01', until: '2026-01-31',
+      'published-since': '2025-01-01', label: ['project=alpha', 'todo'],
+    });
+    assert.deepStrictEqual(f, {
+      types: ['pdf'],
+      sites: ['x.com'],
+      createdAfter: '2026-01-01T00:00:00.000Z',
+      createdBefore: '2026-01-31T23:59:59.999Z',
+      publishedAfter: '2025-01-01T00:00:00.000Z',
+      labels: [{ key: 'project', value: 'alpha' }, { key: 'todo' }],
+    });
+    assert.strictEqual(hasFilters(f), true);
+  });
+});
+
+describe('buildSourceFilter', () => {
+  it('is empty without filters', () => {
+    assert.deepStrictEqual(buildSourceFilter({}), { sql: '', params: {} });
+  });
+
+  it('uses named parameters', () => {
+    const { sql, params } = buildSourceFilter({ types: ['pdf', 'article'], createdAfter: 'X' });
+    assert.match(sql, /s\.source_type IN \(@f0, @f1\)/);
+    assert.match(sql, /s\.created_at >= @f2/);
+    assert.deepStrictEqual(params, { f0: 'pdf', f1: 'article', f2: 'X' });
+  });
+
+  it('matches subdomains for sites', () => {
+    const { sql } = buildSourceFilter({ sites: ['example.com'] });
+    assert.match(sql, /url_host\(s\.url\) = @f0 OR url_host\(s\.url\) LIKE '%\.' \|\| @f0/);
+  });
+
+  it('requires every label', () => {
+    const { sql, params } = buildSourceFilter({ labels: [{ key: 'a', value: '1' }, { key: 'b' }] });
+    assert.strictEqual((sql.match(/EXISTS/g) || []).length, 2);
+    assert.deepStrictEqual(params, { f0: '1', f1: 'a', f2: 'b' });
+  });
+
+  it('honours a custom alias', () => {
+    assert.match(buildSourceFilter({ types: ['pdf'] }, 'src').sql, /src\.source_type/);
+  });
+});
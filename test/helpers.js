@@ -0,0 +1,24 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Point KB_DATA_DIR at a fresh temp directory holding `config` as its
+ * config.json. src modules read the data dir when first loaded, so import
+ * them (dynamically) after calling this. Call remove() from an after hook.
+ */
+export function tempKb(name, config = { embedding: { order: ['hash'] } }) {
+  const dir = mkdtempSync(join(tmpdir(), `kb-${name}-test-`));
+  process.env.KB_DATA_DIR = dir;
+  const writeConfig = value => writeFileSync(join(dir, 'config.json'), JSON.stringify(value));
+  writeConfig(config);
+  return {
+    dir,
+    writeConfig,
+    async remove() {
+      const { closeDb } = await import('../src/db.js');
+      closeDb();
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseUrlList, parseBookmarks, parseCsv, parseReadLaterCsv, parseOpml,
+  detectImportFormat, parseImport, resultKind, readReport, pendingItems,
+} from '../src/import.js';
+
+const BOOKMARKS = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Reading &amp; Research</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/a" ADD_DATE="1700000001" TAGS="ml,papers">Article A</A>
+        <DT><H3>Deep</H3>
+        <DL><p>
+            <DT><A HREF="https://example.com/b">Article B</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://example.com/c">Top level</A>
+    <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+</DL><p>`;
+
+const OPML = `<?xml version="1.0"?>
+<opml version="2.0">
+  <body>
+    <outline text="Tech">
+      <outline type="rss" text="Blog" xmlUrl="https://blog.example/feed" htmlUrl="https://blog.example/"/>
+      <outline type="rss" text="Feed only" xmlUrl="https://other.example/rss"/>
+    </outline>
+    <outline type="link" text="Loose" url="https://loose.example/page" category="/news,/daily"/>
+  </body>
+</opml>`;
+
+describe('parseUrlList', () => {
+  it('skips blank lines and comments', () => {
+    const items = parseUrlList('https://a.com\n\n# saved later\n  https://b.com  \r\n');
+    assert.deepStrictEqual(items.map(i => i.url), ['https://a.com', 'https://b.com']);
+  });
+});
+
+describe('parseBookmarks', () => {
+  it('reads links with nested folder paths and tags as labels', () => {
+    const items = parseBookmarks(BOOKMARKS);
+    assert.strictEqual(items.length, 3);
+    assert.deepStrictEqual(items[0], {
+      url: 'https://example.com/a',
+      title: 'Article A',
+      labels: [
+        { key: 'folder', value: 'Reading & Research' },
+        { key: 'tag', value: 'ml' },
+        { key: 'tag', value: 'papers' },
+      ],
+    });
+    assert.deepStrictEqual(items[1].labels, [{ key: 'folder', value: 'Reading & Research/Deep' }]);
+    assert.deepStrictEqual(items[2].labels, []);
+  });
+
+  it('ignores bookmarklets', () => {
+    assert.ok(!parseBookmarks(BOOKMARKS).some(i => i.url.startsWith('javascript:')));
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes, commas and CRLF', () => {
+    const rows = parseCsv('a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",z\n');
+    assert.deepStrictEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', 'z']]);
+  });
+});
+
+describe('parseReadLaterCsv', () => {
+  it('reads a Pocket export with pipe-separated tags', () => {
+    const csv = 'title,url,time_added,tags,status\n"Hello, world",https://p.com/1,1700000000,ai|tools,unread\n';
+    const [item] = parseReadLaterCsv(csv);
+    assert.strictEqual(item.url, 'https://p.com/1');
+    assert.strictEqual(item.title, 'Hello, world');
+    assert.deepStrictEqual(item.labels, [{ key: 'tag', value: 'ai' }, { key: 'tag', value: 'tools' }]);
+  });
+
+  it('reads an Instapaper export with folders and JSON tags', () => {
+    const csv = 'URL,Title,Selection,Folder,Timestamp,Tags\nhttps://i.com/x,X,,Archive,1700000000,"[""one"",""two""]"\n';
+    const [item] = parseReadLaterCsv(csv);
+    assert.deepStrictEqual(item.labels, [
+      { key: 'folder', value: 'Archive' },
+      { key: 'tag', value: 'one' },
+      { key: 'tag', value: 'two' },
+    ]);
+  });
+
+  it('requires a url column', () => {
+    assert.throws(() => parseReadLaterCsv('title,link\na,b\n'), /url/);
+  });
+});
+
+describe('parseOpml', () => {
+  it('prefers site links, falls back to feed URLs, and maps folders and categories', () => {
+    const items = parseOpml(OPML);
+    assert.deepStrictEqual(items.map(i => i.url), [
+      'https://blog.example/', 'https://other.example/rss', 'https://loose.example/page',
+    ]);
+    assert.deepStrictEqual(items[0].labels, [{ key: 'folder', value: 'Tech' }]);
+    assert.deepStrictEqual(items[2].labels, [{ key: 'tag', value: 'news' }, { key: 'tag', value: 'daily' }]);
+  });
+});
+
+describe('detectImportFormat', () => {
+  it('uses the file extension first', () => {
+    assert.strictEqual(detectImportFormat('', 'export.csv'), 'csv');
+    assert.strictEqual(detectImportFormat('', 'feeds.opml'), 'opml');
+    assert.strictEqual(detectImportFormat('', 'bookmarks.html'), 'bookmarks');
+  });
+
+  it('sniffs the content otherwise', () => {
+    assert.strictEqual(detectImportFormat(BOOKMARKS), 'bookmarks');
+    assert.strictEqual(detectImportFormat(OPML), 'opml');
+    assert.strictEqual(detectImportFormat('title,url,tags\n'), 'csv');
+    assert.strictEqual(detectImportFormat('https://a.com\nhttps://b.com'), 'urls');
+  });
+});
+
+describe('parseImport', () => {
+  it('merges duplicate links and their labels', () => {
+    const csv = 'url,folder\nhttps://a.com/x?utm_source=t,One\nhttps://www.a.com/x,Two\n';
+    const { format, items } = parseImport(csv);
+    assert.strictEqual(format, 'csv');
+    assert.strictEqual(items.length, 1);
+    assert.deepStrictEqual(items[0].labels.map(l => l.value), ['One', 'Two']);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseImport('x', { format: 'xml' }), /Unknown import format/);
+  });
+});
+
+describe('resume state', () => {
+  it('maps ingest statuses to report results', () => {
+    assert.strictEqual(resultKind('pending_transcript'), 'ok');
+    assert.strictEqual(resultKind('duplicate_content'), 'duplicate');
+    assert.strictEqual(resultKind('invalid'), 'invalid');
+    assert.strictEqual(resultKind('failed'), 'failed');
+  });
+
+  it('skips finished links and retries failed ones, last entry winning', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'kb-import-'));
+    try {
+      const path = join(dir, 'report.jsonl');
+      writeFileSync(path, [
+        JSON.stringify({ url: 'https://a.com', result: 'ok' }),
+        JSON.stringify({ url: 'https://b.com', result: 'failed' }),
+        JSON.stringify({ url: 'https://c.com', result: 'failed' }),
+        JSON.stringify({ url: 'https://c.com', result: 'duplicate' }),
+        '{"url":"https://d.com","res', // torn write from an interrupted run
+      ].join('\n'));
+      const items = ['a', 'b', 'c', 'd'].map(x => ({ url: `https://${x}.com`, labels: [] }));
+      const todo = pendingItems(items, readReport(path));
+      assert.deepStrictEqual(todo.map(i => i.url), ['https://b.com', 'https://d.com']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
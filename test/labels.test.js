@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('labels');
+
+const { getDb } = await import('../src/db.js');
+const { ingest, ingestNote } = await import('../src/ingest.js');
+const { addLabels, removeLabels, labelsBySource, labelCounts } = await import('../src/labels.js');
+const { matchSourceIds } = await import('../src/sources.js');
+const { parseLabel, normalizeSite } = await import('../src/filters.js');
+
+const quiet = { log: () => {} };
+const labelsOf = id => (labelsBySource([id]).get(id) || []).map(l => `${l.key}=${l.value}`);
+
+after(() => kb.remove());
+
+describe('labels', () => {
+  let a, b;
+
+  before(async () => {
+    a = (await ingestNote('Quarterly planning happens in the second week of January.', quiet)).sourceId;
+    b = (await ingestNote('The office espresso machine is descaled every Friday.', quiet)).sourceId;
+  });
+
+  it('adds labels once, ignoring duplicates', () => {
+    assert.strictEqual(addLabels([a, b], ['project=alpha', 'team=ops'].map(parseLabel)), 4);
+    assert.strictEqual(addLabels([a], [parseLabel('project=alpha'), parseLabel('project=beta')]), 1);
+    assert.deepStrictEqual(labelsOf(a), ['project=alpha', 'project=beta', 'team=ops']);
+  });
+
+  it('rejects a label without a value', () => {
+    assert.throws(() => addLabels([a], [parseLabel('project')]), /Label "project" needs a value/);
+    assert.deepStrictEqual(labelsOf(a), ['project=alpha', 'project=beta', 'team=ops']);
+  });
+
+  it('counts the sources carrying each label', () => {
+    assert.deepStrictEqual(labelCounts(), [
+      { key: 'project', value: 'alpha', sources: 2 },
+      { key: 'project', value: 'beta', sources: 1 },
+      { key: 'team', value: 'ops', sources: 2 },
+    ]);
+  });
+
+  it('removes one value, or every value of a bare key', () => {
+    assert.strictEqual(removeLabels([a], [parseLabel('project=beta')]), 1);
+    assert.strictEqual(removeLabels([a, b], [parseLabel('project')]), 2);
+    assert.strictEqual(removeLabels([a], [parseLabel('project')]), 0);
+    assert.deepStrictEqual(labelsOf(a), ['team=ops']);
+    assert.deepStrictEqual(labelsOf(b), ['team=ops']);
+  });
+});
+
+describe('bulk labeling', () => {
+  it('labels every source matching a site filter', () => {
+    const insert = getDb().prepare("INSERT INTO sources (id, url, title, source_type, created_at) VALUES (?, ?, 'post', 'article', '2026-01-01')");
+    insert.run('site-1', 'https://blog.example.com/one');
+    insert.run('site-2', 'https://example.com/two');
+    insert.run('site-3', 'https://other.example.org/three');
+
+    const ids = matchSourceIds({ sites: [normalizeSite('https://www.example.com/')] }).sort();
+    assert.deepStrictEqual(ids, ['site-1', 'site-2']);
+    assert.strictEqual(addLabels(ids, [parseLabel('via=blog')]), 2);
+    assert.deepStrictEqual(matchSourceIds({ labels: [parseLabel('via')] }).sort(), ['site-1', 'site-2']);
+  });
+});
+
+describe('labels at ingest', () => {
+  it('attaches --label values to new sources and to duplicates', async () => {
+    const file = join(kb.dir, 'runbook.md');
+    writeFileSync(file, '# Runbook\n\nRestart the worker when the queue backs up.\n');
+    const first = await ingest(file, { labels: [parseLabel('project=alpha')], ...quiet });
+    assert.strictEqual(first.status, 'ok');
+    assert.deepStrictEqual(labelsOf(first.sourceId), ['project=alpha']);
+
+    const again = await ingest(file, { labels: [parseLabel('team=ops')], ...quiet });
+    assert.strictEqual(again.status, 'duplicate_url');
+    assert.deepStrictEqual(labelsOf(first.sourceId), ['project=alpha', 'team=ops']);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('levels');
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { analyzeSources, listAnalyses } = await import('../src/analyze.js');
+const { extractLevels, levelsForSymbol, compareLevels, levelSymbols } = await import('../src/levels.js');
+
+after(() => kb.remove());
+
+const brief = (levels) => levels.map(l => `${l.symbol} ${l.level_type} ${l.value}${l.horizon ? ` ${l.horizon}` : ''}`);
+
+describe('extractLevels', () => {
+  it('reads levels after and before keywords, carrying the symbol across sentences', () => {
+    const text = '$NVDA looks strong on the daily. Support at 172.5 / 165, resistance $195. PT 210 by March 2026.\n'
+      + 'Stop loss 168. $BTC: 58k support, target 72,000 long-term. Up 5% today.';
+    assert.deepStrictEqual(brief(extractLevels(text)), [
+      'NVDA support 172.5 daily',
+      'NVDA support 165 daily',
+      'NVDA resistance 195 daily',
+      'NVDA target 210 daily',
+      'NVDA stop 168 daily',
+      'BTC support 58000 long-term',
+      'BTC target 72000 long-term',
+    ]);
+  });
+
+  it('only takes bare tickers it was told about or saw as cashtags', () => {
+    assert.deepStrictEqual(extractLevels('AAPL support 180. The CEO targets 20% growth.'), []);
+    assert.deepStrictEqual(brief(extractLevels('Swing idea on AAPL: support 180', { symbols: ['aapl'] })), ['AAPL support 180 swing']);
+  });
+});
+
+describe('compareLevels', () => {
+  const row = (author, level_type, level_value) => ({ author, level_type, level_value });
+
+  it('flags types where two authors share no value', () => {
+    const groups = compareLevels([
+      row('alice', 'support', 172.5), row('alice', 'support', 165), row('bob', 'support', 172.6),
+      row('alice', 'target', 210), row('bob', 'target', 240),
+    ]);
+    assert.deepStrictEqual(groups.map(g => [g.level_type, g.conflict]), [['support', false], ['target', true]]);
+    assert.deepStrictEqual(groups[0].authors.get('alice'), [172.5, 165]);
+  });
+});
+
+describe('levels analysis', () => {
+  it('stores regex levels under a levels analysis and lists them per symbol', async () => {
+    const quiet = { log: () => {} };
+    const { sourceId: a } = await ingestNote('$ETH support 3,100 and resistance 3,450.', quiet);
+    const { sourceId: b } = await ingestNote('Long-term $ETH target 5k, stop 2900.', quiet);
+    getDb().prepare('UPDATE sources SET metadata = ? WHERE id = ?')
+      .run(JSON.stringify({ author: 'carol', published_at: '2026-01-02' }), b);
+
+    assert.deepStrictEqual(await analyzeSources([a, b], ['levels'], { backend: 'regex' }), { ok: 2 });
+    const [analysis] = listAnalyses(a);
+    assert.strictEqual(analysis.model, 'regex');
+    assert.strictEqual(analysis.prompt_version, 'regex-v1');
+    assert.strictEqual(analysis.outdated, false);
+
+    const rows = levelsForSymbol('$eth');
+    assert.deepStrictEqual(rows.map(r => [r.level_type, r.level_value, r.author]), [
+      ['support', 3100, '(unknown)'],
+      ['resistance', 3450, '(unknown)'],
+      ['stop', 2900, 'carol'],
+      ['target', 5000, 'carol'],
+    ]);
+    assert.strictEqual(rows[3].date, '2026-01-02T00:00:00.000Z');
+    assert.strictEqual(levelsForSymbol('ETH', { since: '2026-06-01' }).length, 2);
+    assert.deepStrictEqual(levelSymbols().map(s => [s.symbol, s.levels, s.sources]), [['ETH', 4, 2]]);
+
+    // Re-running replaces a source's levels rather than adding to them
+    await analyzeSources([a], ['levels'], { backend: 'regex', force: true });
+    assert.strictEqual(levelsForSymbol('ETH').length, 4);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import { tempKb } from './helpers.js';
+
+// Drives `kb mcp` as an agent would: a child process spoken to over stdio
+const kb = tempKb('mcp');
+
+const NOTE = 'Solar panels convert sunlight into electricity using photovoltaic cells made of silicon.';
+
+let child;
+let nextId = 1;
+const waiting = new Map();
+const stdout = [];
+
+function request(method, params) {
+  const id = nextId++;
+  child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  return new Promise(resolve => waiting.set(id, resolve));
+}
+
+function notify(method, params) {
+  child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+}
+
+async function call(name, args) {
+  const { result } = await request('tools/call', { name, arguments: args });
+  return result;
+}
+
+before(() => {
+  child = spawn(process.execPath, [fileURLToPath(new URL('../src/cli.js', import.meta.url)), 'mcp'], {
+    env: { ...process.env, KB_DATA_DIR: kb.dir },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  createInterface({ input: child.stdout }).on('line', line => {
+    stdout.push(line);
+    const message = JSON.parse(line);
+    waiting.get(message.id)?.(message);
+    waiting.delete(message.id);
+  });
+});
+
+after(async () => {
+  child.stdin.end();
+  await new Promise(resolve => child.once('exit', resolve));
+  await kb.remove();
+});
+
+describe('kb mcp', () => {
+  let sourceId;
+
+  it('initializes and answers pings', async () => {
+    const { result } = await request('initialize', {
+      protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' },
+    });
+    assert.strictEqual(result.protocolVersion, '2025-03-26');
+    assert.strictEqual(result.serverInfo.name, 'knowledge-base');
+    assert.ok(result.capabilities.tools);
+    notify('notifications/initialized');
+    assert.deepStrictEqual((await request('ping')).result, {});
+  });
+
+  it('lists the tools with their input schemas', async () => {
+    const { result } = await request('tools/list');
+    assert.deepStrictEqual(result.tools.map(t => t.name), ['search', 'get_source', 'list_sources', 'ingest', 'label']);
+    const search = result.tools.find(t => t.name === 'search');
+    assert.deepStrictEqual(search.inputSchema.required, ['query']);
+    assert.ok(search.inputSchema.properties.filters.properties.label);
+  });
+
+  it('ingests a note and finds it again', async () => {
+    const ingested = await call('ingest', { text: NOTE, labels: ['topic=energy'] });
+    assert.ok(!ingested.isError, ingested.content[0].text);
+    assert.strictEqual(ingested.structuredContent.status, 'ok');
+    sourceId = ingested.structuredContent.sourceId;
+
+    const found = await call('search', { query: 'photovoltaic electricity', filters: { label: ['topic=energy'] } });
+    assert.strictEqual(found.structuredContent.results[0].source_id, sourceId);
+    assert.deepStrictEqual(JSON.parse(found.content[0].text), found.structuredContent);
+
+    const none = await call('search', { query: 'photovoltaic', mode: 'keyword', filters: { type: ['pdf'] } });
+    assert.deepStrictEqual(none.structuredContent.results, []);
+  });
+
+  it('gets and lists sources', async () => {
+    const source = (await call('get_source', { id: sourceId.slice(0, 8), content: true })).structuredContent;
+    assert.strictEqual(source.id, sourceId);
+    assert.strictEqual(source.content, NOTE);
+    const { sources } = (await call('list_sources', { limit: 5 })).structuredContent;
+    assert.deepStrictEqual(sources.map(s => s.id), [sourceId]);
+  });
+
+  it('adds and removes labels', async () => {
+    const result = (await call('label', { id: sourceId, add: ['status=read'], remove: ['topic'] })).structuredContent;
+    assert.deepStrictEqual(result.labels.map(l => `${l.key}=${l.value}`), ['status=read']);
+    assert.strictEqual(result.removed, 1);
+  });
+
+  it('reports tool failures as error results', async () => {
+    const missing = await call('get_source', { id: 'nope' });
+    assert.strictEqual(missing.isError, true);
+    assert.match(missing.content[0].text, /Source not found/);
+    assert.match((await call('search', { query: '' })).content[0].text, /Invalid arguments: \$\.query/);
+    assert.match((await call('ingest', { url: '/etc/passwd' })).content[0].text, /http\(s\)/);
+  });
+
+  it('returns JSON-RPC errors for unknown methods and tools', async () => {
+    assert.strictEqual((await request('resources/list')).error.code, -32601);
+    assert.strictEqual((await request('tools/call', { name: 'drop_tables' })).error.code, -32602);
+  });
+
+  it('keeps stdout to protocol messages', () => {
+    for (const line of stdout) assert.strictEqual(JSON.parse(line).jsonrpc, '2.0');
+  });
+});
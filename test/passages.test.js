@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('passages', {
+  embedding: { order: ['hash'] },
+  chunking: { default: 'markdown', maxTokens: 40, overlapTokens: 10 },
+});
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { chunkWindow } = await import('../src/sources.js');
+const { query } = await import('../src/retrieve.js');
+
+const GUIDE = `# Guide
+
+Intro about the guide. It covers setup and the things to know before starting.
+
+## Install
+
+Download the archive from the site. Unpack it into a folder of your choice. Then run the installer script as admin. It will ask about the target path. Pick the default unless you know better. Restart your shell so the PATH change applies.
+
+## Usage
+
+Run kb with a question.`;
+
+let sourceId;
+
+before(async () => {
+  sourceId = (await ingestNote(GUIDE, { log: () => {} })).sourceId;
+});
+
+after(() => kb.remove());
+
+describe('chunk offsets', () => {
+  it('stores where each chunk sits in the source text', () => {
+    const chunks = getDb().prepare(`
+      SELECT chunk_index, content, char_start, char_end FROM chunks
+      WHERE source_id = ? AND chunk_index >= 0 ORDER BY chunk_index
+    `).all(sourceId);
+    assert.ok(chunks.length > 3);
+    const words = text => text.split(/\s+/).join(' ');
+    for (const c of chunks) {
+      assert.ok(words(c.content).endsWith(words(GUIDE.slice(c.char_start, c.char_end))), `chunk ${c.chunk_index}`);
+      if (c.chunk_index > 0) assert.ok(c.char_start > chunks[c.chunk_index - 1].char_start);
+    }
+  });
+});
+
+describe('chunkWindow', () => {
+  it('returns the chunk and its neighbours as source text', () => {
+    const window = chunkWindow(sourceId, 2, 1);
+    assert.deepStrictEqual(window.map(c => c.chunk_index), [1, 2, 3]);
+    for (const c of window) assert.strictEqual(c.text, GUIDE.slice(c.char_start, c.char_end));
+    assert.deepStrictEqual(window.map(c => c.heading), ['Guide › Install', 'Guide › Install', 'Guide › Usage']);
+  });
+
+  it('stops at the ends of the source', () => {
+    assert.deepStrictEqual(chunkWindow(sourceId, 0, 2).map(c => c.chunk_index), [0, 1, 2]);
+    assert.deepStrictEqual(chunkWindow(sourceId, 99, 1), []);
+    assert.deepStrictEqual(chunkWindow(sourceId, -1, 1), []);
+  });
+});
+
+describe('query expand', () => {
+  it('adds the neighbouring chunks of each hit', async () => {
+    const [hit] = await query('installer script', { mode: 'keyword', expand: 1 });
+    assert.strictEqual(hit.source_id, sourceId);
+    assert.ok(hit.context.some(c => c.chunk_index === hit.chunk_index));
+    assert.ok(hit.context.length > 1);
+    assert.strictEqual((await query('installer script', { mode: 'keyword' }))[0].context, undefined);
+  });
+});
+
+describe('passages and diversity', () => {
+  const ids = {};
+
+  before(async () => {
+    const note = async (key, text) => { ids[key] = (await ingestNote(text, { log: () => {} })).sourceId; };
+    await note('copy1', 'The installer script needs admin rights on every machine.');
+    await note('copy2', 'The installer script needs admin rights on each machine.');
+    await note('other', 'A portable build skips the installer script entirely.');
+  });
+
+  it('groups several passages under each source', async () => {
+    const results = await query('installer script admin', { mode: 'keyword', perSource: 3 });
+    const guide = results.find(r => r.source_id === sourceId);
+    assert.ok(guide.passages.length > 1);
+    assert.strictEqual(guide.passages[0].chunk_id, guide.chunk_id);
+    assert.ok(guide.passages.every((p, i) => i === 0 || p.score <= guide.passages[i - 1].score));
+    assert.strictEqual((await query('installer script admin', { mode: 'keyword' }))[0].passages, undefined);
+  });
+
+  it('drops passages below minScore', async () => {
+    const all = await query('installer script admin', { mode: 'keyword' });
+    const cut = (all[0].score + all.at(-1).score) / 2;
+    const kept = await query('installer script admin', { mode: 'keyword', minScore: cut });
+    assert.ok(kept.length > 0 && kept.length < all.length);
+    assert.ok(kept.every(r => r.score >= cut));
+  });
+
+  it('pushes near-duplicate sources down with mmr', async () => {
+    const plain = (await query('installer script admin', { mode: 'keyword', topK: 2 })).map(r => r.source_id);
+    assert.deepStrictEqual(new Set(plain), new Set([ids.copy1, ids.copy2]));
+    const diverse = (await query('installer script admin', { mode: 'keyword', topK: 2, mmr: 0.3 })).map(r => r.source_id);
+    assert.strictEqual(diverse.filter(id => id === ids.copy1 || id === ids.copy2).length, 1);
+  });
+
+  it('rejects an mmr lambda outside 0..1', async () => {
+    await assert.rejects(query('installer', { mmr: 2 }), /mmr must be between 0 and 1/);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  hashEmbedding, getProvider, registerProvider, listProviders, modelFor,
+} from '../src/providers.js';
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+describe('hashEmbedding', () => {
+  it('is deterministic', () => {
+    assert.deepStrictEqual(hashEmbedding('hello world'), hashEmbedding('hello world'));
+  });
+
+  it('honours the requested dimension', () => {
+    assert.strictEqual(hashEmbedding('hello', 64).length, 64);
+    assert.strictEqual(hashEmbedding('hello').length, 256);
+  });
+
+  it('returns unit-length vectors', () => {
+    const v = hashEmbedding('The quick brown fox jumps over the lazy dog');
+    assert.ok(Math.abs(cosine(v, v) - 1) < 1e-9);
+  });
+
+  it('returns a zero vector for text without words', () => {
+    assert.ok(hashEmbedding('?!', 16).every(x => x === 0));
+  });
+
+  it('scores related text above unrelated text', () => {
+    const q = hashEmbedding('interest rate decision by the central bank');
+    const related = hashEmbedding('the central bank raised interest rates again');
+    const unrelated = hashEmbedding('a recipe for sourdough bread with rye flour');
+    assert.ok(cosine(q, related) > cosine(q, unrelated));
+  });
+});
+
+describe('provider registry', () => {
+  it('ships the built-in providers', () => {
+    for (const name of ['google', 'openai', 'local', 'hash']) {
+      assert.ok(listProviders().includes(name), name);
+    }
+  });
+
+  it('throws for unknown providers', () => {
+    assert.throws(() => getProvider('nope'), /Unknown embedding provider "nope"/);
+  });
+
+  it('rejects providers without an embed function', () => {
+    assert.throws(() => registerProvider({ name: 'broken' }), /embed\(\)/);
+  });
+
+  it('registers custom providers', async () => {
+    registerProvider({
+      name: 'test-const',
+      defaultModel: 'const-1',
+      embed: async texts => ({ embeddings: texts.map(() => [1, 0]), dim: 2, model: 'const-1' }),
+    });
+    const provider = getProvider('test-const');
+    const res = await provider.embed(['a', 'b']);
+    assert.strictEqual(res.embeddings.length, 2);
+    assert.strictEqual(modelFor(provider), 'const-1');
+    assert.strictEqual(modelFor(provider, { model: 'const-2' }), 'const-2');
+  });
+
+  it('resolves the hash model from its dimension', async () => {
+    const hash = getProvider('hash');
+    assert.strictEqual(modelFor(hash), 'ngram-256');
+    assert.strictEqual(modelFor(hash, { dim: 64 }), 'ngram-64');
+    const res = await hash.embed(['some text'], { dim: 64 });
+    assert.strictEqual(res.dim, 64);
+    assert.strictEqual(res.model, 'ngram-64');
+  });
+});
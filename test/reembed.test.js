@@ -0,0 +1,73 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('reembed');
+
+const { getDb } = await import('../src/db.js');
+const { registerProvider, hashEmbedding } = await import('../src/providers.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { reembed, embeddingSpaces } = await import('../src/reembed.js');
+const { query } = await import('../src/retrieve.js');
+
+// Same vectors and dimension as the hash provider, but another model: its
+// vectors must still never be compared with hash ones
+registerProvider({
+  name: 'twin',
+  defaultModel: 'twin-256',
+  embed: async texts => ({ embeddings: texts.map(t => hashEmbedding(t, 256)), dim: 256, model: 'twin-256' }),
+});
+
+const quiet = { log: () => {} };
+const spaceOf = sourceId => getDb().prepare('SELECT DISTINCT embedding_model AS model FROM chunks WHERE source_id = ?').all(sourceId).map(r => r.model);
+
+after(() => kb.remove());
+
+describe('reembed', () => {
+  const ids = {};
+
+  before(async () => {
+    const note = async (key, text) => { ids[key] = (await ingestNote(text, quiet)).sourceId; };
+    await note('tide', 'Tide tables list high and low water for each harbour.');
+    await note('moon', 'The moon pulls the oceans into two tidal bulges.');
+    await note('wind', 'Wind drives surface currents across the open sea.');
+  });
+
+  it('moves only the given source with sourceId', async () => {
+    const result = await reembed({ provider: 'twin', sourceId: ids.tide });
+    assert.deepStrictEqual(result, { provider: 'twin', model: 'twin-256', reembedded: 1 });
+    assert.deepStrictEqual(spaceOf(ids.tide), ['twin-256']);
+    assert.deepStrictEqual(spaceOf(ids.moon), ['ngram-256']);
+  });
+
+  it('never compares vectors of another model, even of the same dimension', async () => {
+    const found = (await query('Tide tables list high and low water for each harbour.', { mode: 'vector' })).map(r => r.source_id);
+    assert.ok(found.length > 0);
+    assert.ok(!found.includes(ids.tide));
+  });
+
+  it('picks up where an interrupted run stopped', async () => {
+    const progress = [];
+    await assert.rejects(reembed({
+      provider: 'twin',
+      batchSize: 1,
+      onProgress: p => { progress.push(p); throw new Error('interrupted'); },
+    }), /interrupted/);
+    assert.deepStrictEqual(progress, [{ done: 1, total: 2 }]);
+    assert.strictEqual(embeddingSpaces().find(sp => sp.model === 'twin-256').chunks, 2);
+
+    assert.strictEqual((await reembed({ provider: 'twin' })).reembedded, 1);
+    assert.deepStrictEqual(embeddingSpaces().map(sp => sp.model), ['twin-256']);
+  });
+
+  it('warns when no chunks are in the query model\'s space', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      assert.deepStrictEqual(await query('tides', { mode: 'vector' }), []);
+      assert.strictEqual(warn.mock.callCount(), 1);
+      assert.match(warn.mock.calls[0].arguments[0], /hash\/ngram-256.*twin\/twin-256.*kb reembed/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
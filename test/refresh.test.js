@@ -0,0 +1,95 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('refresh');
+
+const { getDb } = await import('../src/db.js');
+const { ingest, ingestNote, updateNote } = await import('../src/ingest.js');
+const { refreshSources, staleSourceIds, sourceVersions } = await import('../src/refresh.js');
+
+const file = join(kb.dir, 'doc.md');
+const doc = words => `# Doc\n\n${Array.from({ length: 8 }, (_, i) =>
+  `Paragraph ${i} is about ${words} and runs long enough to read as prose for the validator.`).join('\n\n')}`;
+const quiet = { log: () => {} };
+
+describe('refresh and version history', () => {
+  let sourceId;
+
+  after(() => kb.remove());
+
+  it('leaves unchanged content alone but records the check', async () => {
+    writeFileSync(file, doc('apples'));
+    sourceId = (await ingest(file, quiet)).sourceId;
+
+    const counts = await refreshSources([sourceId]);
+    assert.deepStrictEqual(counts, { unchanged: 1 });
+    assert.strictEqual(sourceVersions(sourceId).length, 1);
+    assert.ok(getDb().prepare('SELECT refreshed_at FROM sources WHERE id = ?').get(sourceId).refreshed_at);
+  });
+
+  it('archives the old version and replaces chunks when content changes', async () => {
+    const db = getDb();
+    const oldChunks = db.prepare('SELECT id FROM chunks WHERE source_id = ?').all(sourceId).map(c => c.id);
+    const { updated_at: before } = db.prepare('SELECT updated_at FROM sources WHERE id = ?').get(sourceId);
+
+    writeFileSync(file, doc('pears'));
+    assert.deepStrictEqual(await refreshSources([sourceId]), { updated: 1 });
+
+    const versions = sourceVersions(sourceId);
+    assert.deepStrictEqual(versions.map(v => [v.version, v.current]), [[1, false], [2, true]]);
+    assert.match(versions[0].raw_content, /apples/);
+    assert.match(versions[1].raw_content, /pears/);
+
+    const chunks = db.prepare('SELECT id, content FROM chunks WHERE source_id = ?').all(sourceId);
+    assert.ok(chunks.length > 0);
+    assert.ok(chunks.every(c => !oldChunks.includes(c.id) && c.content.includes('pears')));
+    const fts = db.prepare("SELECT COUNT(*) AS n FROM chunks_fts WHERE chunks_fts MATCH 'apples'").get();
+    assert.strictEqual(fts.n, 0);
+    assert.ok(db.prepare('SELECT updated_at FROM sources WHERE id = ?').get(sourceId).updated_at > before);
+  });
+
+  it('keeps the current version when the new content is invalid', async () => {
+    writeFileSync(file, '\n\n');
+    assert.deepStrictEqual(await refreshSources([sourceId]), { invalid: 1 });
+    assert.strictEqual(sourceVersions(sourceId).length, 2);
+  });
+
+  it('selects sources by last refresh time and skips notes', async () => {
+    const { sourceId: noteId } = await ingestNote('a quick note', quiet);
+    assert.deepStrictEqual(staleSourceIds(), [sourceId]);
+    assert.deepStrictEqual(staleSourceIds({ olderThan: '2000-01-01T00:00:00.000Z' }), []);
+    assert.deepStrictEqual(await refreshSources([noteId]), { skipped: 1 });
+  });
+
+  it('versions note edits too', async () => {
+    const { sourceId: noteId } = await ingestNote('first draft of an idea', quiet);
+    await updateNote(noteId, { text: 'second draft of an idea', ...quiet });
+    const versions = sourceVersions(noteId);
+    assert.deepStrictEqual(versions.map(v => v.raw_content), ['first draft of an idea', 'second draft of an idea']);
+  });
+
+  it('ingests short local files the web checks would reject', async () => {
+    const short = join(kb.dir, 'todo.md');
+    writeFileSync(short, '# Todo\n\n- Retry on 404 and rate limit errors\n- Sign in again when the token expires\n');
+    const md = await ingest(short, quiet);
+    assert.strictEqual(md.status, 'ok', md.message);
+    const txt = join(kb.dir, 'short.txt');
+    writeFileSync(txt, 'Call the plumber on Monday.');
+    assert.strictEqual((await ingest(txt, quiet)).status, 'ok');
+  });
+
+  it('stores HTML pages as plain text and chunks them by section', async () => {
+    const page = join(kb.dir, 'page.html');
+    const section = name => `<h2>${name}</h2><p>${name} ${doc('plums').split('\n\n').slice(1, 3).join(' ')}</p>`;
+    writeFileSync(page, `<html><head><title>Plums</title></head><body><article>${section('Picking')}${section('Storing')}</article></body></html>`);
+    const { sourceId: pageId } = await ingest(page, quiet);
+    const { raw_content: raw } = getDb().prepare('SELECT raw_content FROM sources WHERE id = ?').get(pageId);
+    assert.doesNotMatch(raw, /##/);
+    const headings = getDb().prepare('SELECT DISTINCT heading FROM chunks WHERE source_id = ? AND chunk_index >= 0').all(pageId);
+    assert.deepStrictEqual(headings.map(h => h.heading), ['Picking', 'Storing']);
+    assert.deepStrictEqual(await refreshSources([pageId]), { unchanged: 1 });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('report', {
+  embedding: { order: ['hash'] },
+  // Nothing listens here: the llm backend must fall back to the template
+  llm: { baseUrl: 'http://127.0.0.1:9/v1', timeoutMs: 2000 },
+});
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { addLabels } = await import('../src/labels.js');
+const { reportWindow, findTopics, renderTemplate, createReport, listReports, getReport } = await import('../src/report.js');
+
+after(() => kb.remove());
+
+describe('reportWindow', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('covers the last day or week by default', () => {
+    assert.deepStrictEqual(reportWindow('weekly', { now }), { start: '2026-10-12T12:00:00.000Z', end: '2026-10-19T12:00:00.000Z' });
+  });
+
+  it('takes an explicit window with an inclusive end date', () => {
+    assert.deepStrictEqual(reportWindow('daily', { window: '2026-10-01..2026-10-07', now }), {
+      start: '2026-10-01T00:00:00.000Z', end: '2026-10-07T23:59:59.999Z',
+    });
+    assert.throws(() => reportWindow('daily', { window: '2026-10-01' }), /expected start\.\.end/);
+    assert.throws(() => reportWindow('monthly'), /Unknown report type/);
+  });
+});
+
+describe('findTopics', () => {
+  it('groups sources sharing a term, each source once', () => {
+    const s = (id, title) => ({ id, title, summary: null });
+    const topics = findTopics([s('a', 'Tidal power in Wales'), s('b', 'Tidal turbines'), s('c', 'Solar panel prices'), s('d', 'Knitting')]);
+    assert.deepStrictEqual(topics, [{ topic: 'tidal', sources: ['a', 'b'] }]);
+  });
+});
+
+describe('createReport', () => {
+  before(async () => {
+    const quiet = { log: () => {} };
+    const { sourceId } = await ingestNote('# Tidal power\nTurbines in estuaries.', quiet);
+    await ingestNote('# Tidal barrages\nEffects on wildlife.', quiet);
+    const { sourceId: old } = await ingestNote('# Knitting\nAn old note.', quiet);
+    addLabels([sourceId], [{ key: 'topic', value: 'energy' }]);
+    const db = getDb();
+    db.prepare("UPDATE sources SET created_at = '2026-01-01T00:00:00.000Z' WHERE id = ?").run(old);
+    db.prepare(`
+      INSERT INTO analyses (source_id, analysis_type, output_json) VALUES (?, 'takeaways', ?)
+    `).run(sourceId, JSON.stringify({ takeaways: [{ point: 'Tides are predictable' }] }));
+  });
+
+  it('renders the window\'s sources deterministically and saves the report', async () => {
+    const report = await createReport('weekly');
+    assert.strictEqual(report.data.count, 2);
+    assert.strictEqual(report.backend, 'template');
+    const md = report.markdown;
+    assert.match(md, /^# Weekly report: \d{4}-\d{2}-\d{2} – \d{4}-\d{2}-\d{2}\n\n2 sources ingested: 2 note\./);
+    assert.match(md, /## Highlights\n\n- Tides are predictable \(Tidal power\)/);
+    assert.match(md, /## Topics\n\n- \*\*tidal\*\* \(2\): Tidal power, Tidal barrages/);
+    assert.match(md, /## note \(2\)\n\n- Tidal power — topic=energy\n- Tidal barrages/);
+    assert.match(md, /## Labels\n\n- topic=energy \(1\)/);
+    assert.ok(!md.includes('Knitting'));
+    assert.strictEqual(renderTemplate(report.data), md);
+
+    const saved = getReport(report.id);
+    assert.strictEqual(saved.report_type, 'weekly');
+    assert.strictEqual(saved.prompt_version, 'template-v1');
+    assert.strictEqual(saved.output_markdown, md);
+    assert.strictEqual(saved.data.sources.length, 2);
+  });
+
+  it('reports an empty window and falls back to the template when the LLM fails', async () => {
+    const empty = await createReport('daily', { window: '2025-01-01..2025-01-02' });
+    assert.match(empty.markdown, /Nothing was ingested in this window/);
+
+    const warnings = [];
+    const report = await createReport('daily', { backend: 'llm', log: m => warnings.push(m) });
+    assert.strictEqual(report.backend, 'template');
+    assert.match(warnings[0], /LLM report failed/);
+
+    assert.deepStrictEqual(listReports().map(r => [r.report_type, r.source_count]), [['daily', 2], ['daily', 0], ['weekly', 2]]);
+    assert.strictEqual(getReport('latest').id, report.id);
+    assert.strictEqual((await createReport('daily', { save: false })).id, null);
+    assert.strictEqual(listReports().length, 3);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildFtsQuery, fuseRankings, groupBySource, mmrRerank, chunkSimilarity } from '../src/retrieve.js';
+
+describe('buildFtsQuery', () => {
+  it('quotes each word and joins them with OR', () => {
+    assert.strictEqual(buildFtsQuery('vector search'), '"vector" OR "search"');
+  });
+
+  it('keeps symbols and error codes as single phrases', () => {
+    assert.strictEqual(buildFtsQuery('$AAPL E_CONN-42'), '"$AAPL" OR "E_CONN-42"');
+  });
+
+  it('escapes embedded double quotes', () => {
+    assert.strictEqual(buildFtsQuery('say "hi"'), '"say" OR """hi"""');
+  });
+
+  it('drops punctuation-only words and duplicates', () => {
+    assert.strictEqual(buildFtsQuery('what ? What - is'), '"what" OR "is"');
+  });
+
+  it('returns an empty string when nothing is searchable', () => {
+    assert.strictEqual(buildFtsQuery(''), '');
+    assert.strictEqual(buildFtsQuery('?? --'), '');
+    assert.strictEqual(buildFtsQuery(null), '');
+  });
+});
+
+describe('fuseRankings', () => {
+  it('ranks items found by both retrievers first', () => {
+    const vector = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const keyword = [{ id: 'c' }, { id: 'd' }];
+    const fused = fuseRankings([vector, keyword]);
+    assert.deepStrictEqual(fused.map(r => r.id), ['c', 'a', 'b', 'd']);
+  });
+
+  it('scores with 1 / (k + rank)', () => {
+    const fused = fuseRankings([[{ id: 'a' }], [{ id: 'a' }]], 60);
+    assert.ok(Math.abs(fused[0].score - 2 / 61) < 1e-12);
+  });
+
+  it('keeps the fields of the first occurrence', () => {
+    const fused = fuseRankings([[{ id: 'a', content: 'x', score: 0.9 }], [{ id: 'a', content: 'y', score: 12 }]]);
+    assert.strictEqual(fused[0].content, 'x');
+    assert.ok(fused[0].score < 1);
+  });
+
+  it('handles empty lists', () => {
+    assert.deepStrictEqual(fuseRankings([[], []]), []);
+    assert.deepStrictEqual(fuseRankings([]), []);
+  });
+});
+
+describe('groupBySource', () => {
+  const ranked = [
+    { id: 'a1', source_id: 'a' }, { id: 'b1', source_id: 'b' }, { id: 'a2', source_id: 'a' },
+    { id: 'c1', source_id: 'c' }, { id: 'a3', source_id: 'a' }, { id: 'b2', source_id: 'b' },
+  ];
+
+  it('keeps the best chunk per source by default', () => {
+    assert.deepStrictEqual(groupBySource(ranked, { topK: 2 }).map(g => g.map(c => c.id)), [['a1'], ['b1']]);
+  });
+
+  it('collects up to perSource chunks under each of the top sources', () => {
+    assert.deepStrictEqual(
+      groupBySource(ranked, { topK: 2, perSource: 2 }).map(g => g.map(c => c.id)),
+      [['a1', 'a2'], ['b1', 'b2']]
+    );
+  });
+});
+
+describe('mmrRerank', () => {
+  // Similarity by shared topic; a and a' are near-duplicates
+  const items = [
+    { id: 'a', score: 1.0, topic: 'x' },
+    { id: "a'", score: 0.95, topic: 'x' },
+    { id: 'b', score: 0.8, topic: 'y' },
+    { id: 'c', score: 0.5, topic: 'z' },
+  ];
+  const similarity = (p, q) => (p.topic === q.topic ? 1 : 0);
+
+  it('keeps the score order at lambda 1', () => {
+    assert.deepStrictEqual(mmrRerank(items, 1, similarity).map(i => i.id), ['a', "a'", 'b', 'c']);
+  });
+
+  it('moves near-duplicates down at lower lambda', () => {
+    assert.deepStrictEqual(mmrRerank(items, 0.5, similarity).map(i => i.id), ['a', 'b', 'c', "a'"]);
+  });
+});
+
+describe('chunkSimilarity', () => {
+  it('uses word overlap without vectors of one space', () => {
+    assert.strictEqual(chunkSimilarity({ content: 'solar power now' }, { content: 'Solar power later' }), 0.5);
+    const v = new Float32Array([1, 0]);
+    assert.strictEqual(chunkSimilarity({ vector: v, space: 's' }, { vector: v, space: 's' }), 1);
+  });
+});
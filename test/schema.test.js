@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { validateSchema } from '../src/schema.js';
+
+const schema = {
+  type: 'object',
+  required: ['items', 'score'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: -1, maximum: 1 },
+    count: { type: 'integer' },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1 }, level: { enum: ['low', 'high', null] }, note: { type: ['string', 'null'] } },
+      },
+    },
+  },
+};
+
+describe('validateSchema', () => {
+  it('accepts a matching value', () => {
+    assert.deepStrictEqual(validateSchema({ score: 0.5, count: 2, items: [{ name: 'a', level: null, note: null }] }, schema), []);
+  });
+
+  it('reports every problem with its path', () => {
+    assert.deepStrictEqual(validateSchema({ score: 2, count: 1.5, items: [{ name: '', level: 'mid' }, 'x'], extra: 1 }, schema), [
+      '$.score: must be <= 1',
+      '$.count: expected integer, got number',
+      '$.items[0].name: must be at least 1 characters',
+      '$.items[0].level: must be one of low, high, ',
+      '$.items[1]: expected object, got string',
+      '$.extra: is not allowed',
+    ]);
+  });
+
+  it('reports missing required keys and wrong root types', () => {
+    assert.deepStrictEqual(validateSchema({ items: [] }, schema), ['$.score: is required', '$.items: needs at least 1 item(s)']);
+    assert.deepStrictEqual(validateSchema([], schema), ['$: expected object, got array']);
+  });
+});
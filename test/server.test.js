@@ -0,0 +1,174 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { request } from 'http';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('server');
+delete process.env.KB_API_TOKEN;
+
+const { getDb } = await import('../src/db.js');
+const { createApiServer, startServer } = await import('../src/server.js');
+
+after(() => kb.remove());
+
+describe('kb serve API', () => {
+  let server, base;
+  const TOKEN = 'test-token';
+
+  const api = async (path, { method = 'GET', body, token = TOKEN, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: res.headers.get('content-type')?.includes('json') ? await res.json() : await res.text() };
+  };
+
+  const waitFor = async (jobId) => {
+    for (;;) {
+      const { body } = await api(`/api/jobs/${jobId}`);
+      if (body.status === 'done' || body.status === 'failed') return body;
+      await new Promise(r => setTimeout(r, 20));
+    }
+  };
+
+  before(async () => {
+    server = createApiServer({ token: TOKEN, corsOrigins: ['https://panel.example'] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('requires the bearer token on /api but serves the page without it', async () => {
+    assert.strictEqual((await api('/api/health', { token: null })).status, 401);
+    assert.strictEqual((await api('/api/health', { token: 'wrong' })).status, 401);
+    assert.deepStrictEqual((await api('/api/health')).body, { ok: true, sources: 0 });
+    const page = await api('/use-cases/knowledge-base', { token: null });
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /<title>Knowledge Base<\/title>/);
+  });
+
+  it('answers CORS preflights for configured origins only', async () => {
+    const ok = await api('/api/query', { method: 'OPTIONS', token: null, headers: { Origin: 'https://panel.example' } });
+    assert.strictEqual(ok.status, 204);
+    assert.strictEqual(ok.headers.get('access-control-allow-origin'), 'https://panel.example');
+    assert.match(ok.headers.get('access-control-allow-headers'), /Authorization/);
+    const other = await api('/api/health', { headers: { Origin: 'https://evil.example' } });
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('ingests notes as background jobs and serves them back', async () => {
+    const res = await api('/api/ingest', { method: 'POST', body: { text: 'Espresso machine descaled on Fridays.', title: 'Coffee', labels: ['team=ops'] } });
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual(res.headers.get('location'), `/api/jobs/${res.body.job.id}`);
+    const job = await waitFor(res.body.job.id);
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.result.status, 'ok');
+    const id = job.result.sourceId;
+
+    const list = await api('/api/sources?label=team=ops');
+    assert.deepStrictEqual(list.body.sources.map(s => s.title), ['Coffee']);
+    assert.deepStrictEqual((await api('/api/sources?type=pdf')).body.sources, []);
+
+    const source = await api(`/api/sources/${id.slice(0, 8)}?content=1`);
+    assert.strictEqual(source.body.id, id);
+    assert.strictEqual(source.body.content, 'Espresso machine descaled on Fridays.');
+    assert.strictEqual((await api(`/api/sources/${id}`)).body.content, undefined);
+
+    const found = await api('/api/query', { method: 'POST', body: { q: 'espresso', mode: 'keyword', filters: { label: ['team=ops'] } } });
+    assert.strictEqual(found.body.results[0].source_id, id);
+  });
+
+  it('adds, lists and removes labels', async () => {
+    const { body: { sources: [{ id }] } } = await api('/api/sources');
+    const added = await api(`/api/sources/${id}/labels`, { method: 'POST', body: { labels: ['topic=coffee', 'topic=office'] } });
+    assert.strictEqual(added.body.added, 2);
+    const removed = await api(`/api/sources/${id}/labels?label=topic`, { method: 'DELETE' });
+    assert.deepStrictEqual(removed.body, { removed: 2, labels: [{ key: 'team', value: 'ops' }] });
+    assert.deepStrictEqual((await api('/api/labels')).body.labels, [{ key: 'team', value: 'ops', sources: 1 }]);
+  });
+
+  it('validates requests', async () => {
+    const bad = await api('/api/query', { method: 'POST', body: { q: '', topK: 0, extra: 1 } });
+    assert.strictEqual(bad.status, 400);
+    assert.deepStrictEqual(bad.body.details, ['$.q: must be at least 1 characters', '$.topK: must be >= 1', '$.extra: is not allowed']);
+    assert.match((await api('/api/query', { method: 'POST', body: '{oops' })).body.error, /not valid JSON/);
+    assert.match((await api('/api/query', { method: 'POST', body: { q: 'x', filters: { since: 'someday' } } })).body.error, /Invalid date/);
+    assert.match((await api('/api/ingest', { method: 'POST', body: { url: 'file:///etc/passwd' } })).body.error, /must be http/);
+    assert.match((await api('/api/ingest', { method: 'POST', body: {} })).body.error, /either url or text/);
+    assert.strictEqual((await api('/api/sources/nope')).status, 404);
+    assert.strictEqual((await api('/api/labels', { method: 'POST', body: {} })).status, 405);
+    assert.strictEqual((await api('/api/nothing')).status, 404);
+  });
+
+  it('refuses POST bodies that are not JSON', async () => {
+    const plain = await api('/api/query', { method: 'POST', body: '{"q":"espresso"}', headers: { 'Content-Type': 'text/plain' } });
+    assert.strictEqual(plain.status, 415);
+    const form = await api('/api/ingest', { method: 'POST', body: 'text=hi', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    assert.strictEqual(form.status, 415);
+    const charset = await api('/api/query', { method: 'POST', body: '{"q":"espresso"}', headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    assert.strictEqual(charset.status, 200);
+  });
+
+  it('deletes only by full ID', async () => {
+    const count = async () => (await api('/api/sources')).body.sources.length;
+    const before = await count();
+    const { body: { sources: [{ id }] } } = await api('/api/sources');
+    assert.strictEqual((await api('/api/sources/%25', { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await api('/api/sources/_', { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await api(`/api/sources/${id.slice(0, 8)}`, { method: 'DELETE' })).status, 404);
+    assert.strictEqual(await count(), before);
+    assert.strictEqual((await api('/api/sources/%E0')).status, 400);
+  });
+
+  it('rejects ID prefixes shared by several sources', async () => {
+    const db = getDb();
+    const insert = db.prepare("INSERT INTO sources (id, title, source_type, created_at) VALUES (?, 'dup', 'note', '2026-01-01')");
+    insert.run('dup-1');
+    insert.run('dup-2');
+    assert.strictEqual((await api('/api/sources/dup-')).status, 409);
+    assert.strictEqual((await api('/api/sources/dup-1')).body.id, 'dup-1');
+    db.prepare("DELETE FROM sources WHERE id LIKE 'dup-%'").run();
+  });
+
+  it('deletes sources', async () => {
+    const { body: { sources: [{ id }] } } = await api('/api/sources');
+    assert.deepStrictEqual((await api(`/api/sources/${id}`, { method: 'DELETE' })).body, { deleted: id });
+    assert.strictEqual((await api(`/api/sources/${id}`)).status, 404);
+  });
+
+  it('refuses to listen beyond loopback without a token', async () => {
+    await assert.rejects(startServer({ host: '0.0.0.0', port: 0 }), /without a token/);
+  });
+});
+
+describe('kb serve without a token', () => {
+  let server, port;
+
+  // fetch() won't let a test set Host, so speak plain http
+  const get = (path, host) => new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, path, headers: { Host: host } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  before(async () => {
+    server = createApiServer({ token: null, tokenEnv: null, host: '127.0.0.1' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('answers only to loopback and bound host names', async () => {
+    assert.strictEqual(await get('/api/health', `127.0.0.1:${port}`), 200);
+    assert.strictEqual(await get('/api/health', `localhost:${port}`), 200);
+    assert.strictEqual(await get('/api/health', `[::1]:${port}`), 200);
+    assert.strictEqual(await get('/api/health', `attacker.example:${port}`), 403);
+    assert.strictEqual(await get('/', 'attacker.example'), 403);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('summarize', { embedding: { order: ['hash'] }, summary: { minChars: 300 } });
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote } = await import('../src/ingest.js');
+const { splitSentences, extractiveSummary, summarizeSources, SUMMARY_CHUNK } = await import('../src/summarize.js');
+const { listSources } = await import('../src/sources.js');
+
+const ARTICLE = [
+  'Tidal power plants convert the rise and fall of ocean tides into electricity using turbines.',
+  'Unlike wind and solar, tidal power is predictable years in advance because tides follow the moon.',
+  'The weather on the day of our visit was cold and nobody brought a proper coat.',
+  'The largest tidal power plants sit in estuaries where tides are high and turbines face strong currents.',
+  '',
+  'Critics point to the cost of tidal turbines and the effect of barrages on estuary wildlife.',
+  'Lunch was sandwiches from a small cafe near the harbour, which closed early.',
+].join('\n');
+
+after(() => kb.remove());
+
+describe('splitSentences', () => {
+  it('splits on sentence punctuation and paragraph breaks', () => {
+    assert.deepStrictEqual(splitSentences('One thing. Two "things." Three\n\nFour e.g. five'), [
+      'One thing.', 'Two "things."', 'Three', 'Four e.g. five',
+    ]);
+  });
+});
+
+describe('extractiveSummary', () => {
+  it('picks central sentences in document order', () => {
+    const summary = extractiveSummary(ARTICLE, { sentences: 2, title: 'Tidal power' });
+    const picked = splitSentences(summary);
+    assert.strictEqual(picked.length, 2);
+    assert.ok(picked.every(s => /tid/i.test(s)), summary);
+    assert.ok(ARTICLE.indexOf(picked[0]) < ARTICLE.indexOf(picked[1]));
+  });
+
+  it('respects maxChars', () => {
+    assert.ok(extractiveSummary(ARTICLE, { sentences: 5, maxChars: 200 }).length <= 200);
+  });
+
+  it('returns an empty string when no sentence qualifies', () => {
+    assert.strictEqual(extractiveSummary('Too short. Really.'), '');
+  });
+});
+
+describe('summaries at ingest', () => {
+  const quiet = { log: () => {} };
+
+  it('stores a summary and a searchable summary chunk for long content', async () => {
+    const { sourceId } = await ingestNote(ARTICLE, { title: 'Tidal power', ...quiet });
+    const db = getDb();
+    const { summary } = db.prepare('SELECT summary FROM sources WHERE id = ?').get(sourceId);
+    assert.match(summary, /tid/i);
+    const chunk = db.prepare('SELECT content FROM chunks WHERE source_id = ? AND chunk_index = ?').get(sourceId, SUMMARY_CHUNK);
+    assert.strictEqual(chunk.content, summary);
+    // The summary chunk is not counted as content
+    const listed = listSources().find(s => s.id === sourceId);
+    assert.strictEqual(listed.chunk_count, 1);
+    assert.strictEqual(listed.summary, summary);
+  });
+
+  it('leaves short content unsummarized', async () => {
+    const { sourceId } = await ingestNote('A short note about tidal power.', quiet);
+    const db = getDb();
+    assert.strictEqual(db.prepare('SELECT summary FROM sources WHERE id = ?').get(sourceId).summary, null);
+    const results = [];
+    const counts = await summarizeSources([sourceId], { force: true, onResult: (_, r) => results.push(r) });
+    assert.deepStrictEqual(counts, { too_short: 1 });
+  });
+
+  it('regenerates summaries on demand, replacing the summary chunk', async () => {
+    const { sourceId } = await ingestNote(ARTICLE + '\n\nTidal turbines need maintenance every few years.', quiet);
+    const db = getDb();
+    db.prepare('UPDATE sources SET summary = NULL WHERE id = ?').run(sourceId);
+    assert.deepStrictEqual(await summarizeSources([sourceId]), { ok: 1 });
+    assert.deepStrictEqual(await summarizeSources([sourceId]), { skipped: 1 });
+    assert.deepStrictEqual(await summarizeSources([sourceId], { force: true }), { ok: 1 });
+    const rows = db.prepare('SELECT COUNT(*) AS n FROM chunks WHERE source_id = ? AND chunk_index = ?').get(sourceId, SUMMARY_CHUNK);
+    assert.strictEqual(rows.n, 1);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { tempKb } from './helpers.js';
+
+const kb = tempKb('usage');
+
+process.env.OPENAI_API_KEY = 'test-key';
+
+// A fake OpenAI-compatible embeddings server that reports 7 tokens per input
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    const { input } = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      data: input.map((_, index) => ({ index, embedding: [1, 0, 0] })),
+      usage: { prompt_tokens: 7 * input.length, total_tokens: 7 * input.length },
+    }));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+kb.writeConfig({
+  embedding: {
+    order: ['hash'],
+    providers: {
+      local: { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'fake' },
+      openai: { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'fake-remote' },
+    },
+  },
+});
+
+const { getDb } = await import('../src/db.js');
+const { ingestNote, ingestMany } = await import('../src/ingest.js');
+const { embedTexts, embedQuery } = await import('../src/embed.js');
+const { embeddingRate, usageCost, usageReport, exportUsage } = await import('../src/usage.js');
+
+const billable = r => r.provider === 'openai';
+const NOTE = 'Usage metering records every embedding call that reaches a provider, with its token count and cost.';
+
+after(() => {
+  delete process.env.OPENAI_API_KEY;
+  server.close();
+  return kb.remove();
+});
+
+function usageRows() {
+  return getDb().prepare('SELECT * FROM embedding_usage ORDER BY id').all();
+}
+
+describe('embedding usage', () => {
+  let sourceId;
+
+  before(async () => {
+    sourceId = (await ingestNote(NOTE)).sourceId;
+  });
+
+  it('meters ingests per source, estimating tokens when the provider reports none', () => {
+    const [row] = usageRows();
+    assert.strictEqual(row.operation, 'ingest');
+    assert.strictEqual(row.source_id, sourceId);
+    assert.strictEqual(row.provider, 'hash');
+    assert.strictEqual(row.chars, NOTE.length);
+    assert.strictEqual(row.input_tokens, Math.ceil(NOTE.length / 4));
+    assert.strictEqual(row.estimated, 1);
+  });
+
+  it('meters queries once; cached texts are free', async () => {
+    await embedQuery('how is usage metered');
+    await embedQuery('how is usage metered');
+    const queries = usageRows().filter(r => r.operation === 'query');
+    assert.strictEqual(queries.length, 1);
+    assert.strictEqual(queries[0].source_id, null);
+  });
+
+  it('uses provider token counts and shares a batch out by source', async () => {
+    await embedTexts(['aaaa', 'bbbbbbbbbbbb', 'cccc'], { provider: 'local', operation: 'reembed', sourceId: ['s1', 's2', 's1'] });
+    const rows = usageRows().filter(r => r.provider === 'local');
+    assert.deepStrictEqual(
+      rows.map(r => [r.source_id, r.texts, r.chars, r.input_tokens, r.estimated]),
+      [['s1', 2, 8, 8, 0], ['s2', 1, 12, 13, 0]]
+    );
+    await embedTexts(['dddd'], { provider: 'openai', operation: 'reembed', sourceId: 's3' });
+  });
+
+  it('leaves no usage pointing at a source that lost an ingest race', async () => {
+    // Same content under two paths, embedded side by side: one insert loses
+    const files = ['race-a.md', 'race-b.md'].map(name => join(kb.dir, name));
+    for (const file of files) writeFileSync(file, '# Race\n\nTwo imports of the same file race; only one of them stores a source.\n');
+    const before = usageRows().length;
+    const results = [];
+    await ingestMany(files.map(url => ({ url })), { onResult: (_, result) => results.push(result) });
+    const stored = results.find(r => r.status === 'ok').sourceId;
+    assert.deepStrictEqual(results.map(r => r.sourceId), [stored, stored]);
+    const ingests = usageRows().slice(before);
+    assert.strictEqual(ingests.length, 2);
+    assert.deepStrictEqual(ingests.map(r => r.source_id).sort(), [null, stored].sort());
+  });
+
+  it('reports totals and cost at the manifest rate per token, only remote providers billed', () => {
+    const rate = embeddingRate();
+    assert.deepStrictEqual(rate, { rate: 0.0001, currency: 'USD' });
+    assert.strictEqual(usageCost(2500, rate), 0.25);
+
+    const { groups, total } = usageReport({ by: 'provider' });
+    assert.deepStrictEqual(groups.map(g => g.key).sort(), ['hash/ngram-256', 'local/fake', 'openai/fake-remote']);
+    assert.strictEqual(total.tokens, usageRows().reduce((sum, r) => sum + r.input_tokens, 0));
+    for (const key of ['hash/ngram-256', 'local/fake']) {
+      const group = groups.find(g => g.key === key);
+      assert.ok(group.tokens > 0);
+      assert.strictEqual(group.cost, 0);
+    }
+    assert.strictEqual(groups.find(g => g.key === 'openai/fake-remote').cost, usageCost(7, rate));
+    const billed = usageRows().filter(billable).reduce((sum, r) => sum + r.input_tokens, 0);
+    assert.strictEqual(total.billed_tokens, billed);
+    assert.strictEqual(total.cost, usageCost(billed, rate));
+
+    const bySource = usageReport({ by: 'source' }).groups;
+    assert.strictEqual(bySource.find(g => g.key === sourceId).title, NOTE.slice(0, 80).replace(/.$/, '…'));
+    assert.deepStrictEqual(usageReport({ by: 'operation' }).groups.map(g => g.key).sort(), ['ingest', 'query', 'reembed']);
+    assert.strictEqual(usageReport({ since: '2999-01-01T00:00:00Z' }).groups.length, 0);
+    assert.throws(() => usageReport({ by: 'week' }), /Unknown usage grouping/);
+  });
+
+  it('exports a metering document with one record per billable usage row', () => {
+    const now = new Date('2030-01-01T00:00:00Z');
+    const doc = exportUsage({ now });
+    const rows = usageRows().filter(billable);
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(doc.use_case, 'knowledge-base');
+    assert.strictEqual(doc.currency, 'USD');
+    assert.strictEqual(doc.period.end, now.toISOString());
+    assert.strictEqual(doc.records.length, rows.length);
+    assert.strictEqual(doc.records[0].id, `knowledge-base:embedding_usage:${rows[0].id}`);
+    const quantity = rows.reduce((sum, r) => sum + r.input_tokens, 0);
+    assert.deepStrictEqual(doc.meters, [{
+      meter: 'embedding_tokens',
+      unit: 'token',
+      quantity,
+      unit_price: 0.0001,
+      amount: Math.round(quantity * 0.0001 * 1e8) / 1e8,
+    }]);
+  });
+});
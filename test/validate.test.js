@@ -208,6 +208,42 @@ Second line of paragraph two.` + 'a'.repeat(500);
       assert.strictEqual(result.valid, true);
     });
   });
+
+  describe('notes', () => {
+    it('accepts short notes', () => {
+      assert.strictEqual(validateContent('Buy milk', 'note').valid, true);
+    });
+
+    it('accepts notes without prose paragraphs', () => {
+      const list = '- one\n- two\n\n- three\n- four';
+      assert.strictEqual(validateContent(list, 'note').valid, true);
+    });
+
+    it('rejects empty or whitespace-only notes', () => {
+      assert.strictEqual(validateContent('', 'note').valid, false);
+      const result = validateContent('  \n ', 'note');
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.reason.includes('empty'));
+    });
+  });
+
+  describe('local files', () => {
+    const file = { file_path: '/home/me/notes/todo.md' };
+
+    it('accepts short files without prose paragraphs', () => {
+      assert.strictEqual(validateContent('# Todo\n\n- fix the build', 'markdown', file).valid, true);
+      assert.strictEqual(validateContent('ok', 'text', file).valid, true);
+    });
+
+    it('does not mistake notes about errors for error pages', () => {
+      const text = 'The API returns 404 when the token expires and 429 on rate limit; sign in again.';
+      assert.strictEqual(validateContent(text, 'text', file).valid, true);
+    });
+
+    it('rejects files without text', () => {
+      assert.strictEqual(validateContent(' \n', 'text', file).valid, false);
+    });
+  });
 });
 
 // Helper functions
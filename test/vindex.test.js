@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { quantize, quantizedDot, trainCentroids, toFloat32, cosineSimilarity } from '../src/vindex.js';
+
+function unit(vec) {
+  const mag = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return vec.map(v => v / mag);
+}
+
+function dot(a, b) {
+  return a.reduce((s, v, i) => s + v * b[i], 0);
+}
+
+const a = unit([0.9, -0.1, 0.3, 0.05, -0.6, 0.2, 0.0, 0.4]);
+const b = unit([0.2, 0.7, -0.3, 0.1, 0.0, -0.5, 0.6, 0.1]);
+
+describe('quantize / quantizedDot', () => {
+  it('is exact without quantization', () => {
+    assert.ok(Math.abs(quantizedDot(a, quantize(b, 'none'), 'none') - dot(a, b)) < 1e-6);
+  });
+
+  it('stays close with float16', () => {
+    assert.ok(Math.abs(quantizedDot(a, quantize(b, 'float16'), 'float16') - dot(a, b)) < 1e-3);
+  });
+
+  it('stays close with int8', () => {
+    const buf = quantize(b, 'int8');
+    assert.strictEqual(buf.length, 4 + b.length);
+    assert.ok(Math.abs(quantizedDot(a, buf, 'int8') - dot(a, b)) < 2e-2);
+  });
+
+  it('handles zero vectors', () => {
+    const zero = new Array(8).fill(0);
+    assert.strictEqual(quantizedDot(a, quantize(zero, 'int8'), 'int8'), 0);
+  });
+
+  it('rejects unknown quantizations', () => {
+    assert.throws(() => quantize(a, 'int4'), /Unknown quantization/);
+  });
+});
+
+describe('toFloat32', () => {
+  it('reads misaligned buffers', () => {
+    const src = Buffer.from(new Float32Array([1.5, -2]).buffer);
+    const padded = Buffer.alloc(src.length + 1);
+    src.copy(padded, 1);
+    assert.deepStrictEqual(Array.from(toFloat32(padded.subarray(1))), [1.5, -2]);
+  });
+});
+
+describe('trainCentroids', () => {
+  it('finds well-separated clusters', () => {
+    const dim = 4;
+    const centers = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+    const rows = [];
+    for (let i = 0; i < 90; i++) {
+      const c = centers[i % 3];
+      rows.push(unit(c.map(v => v + (((i * 7919) % 13) / 100))));
+    }
+    const data = Float32Array.from(rows.flat());
+    const centroids = trainCentroids(data, rows.length, dim, 3);
+    for (const c of centers) {
+      const best = Math.max(...[0, 1, 2].map(k => cosineSimilarity(c, centroids.subarray(k * dim, k * dim + dim))));
+      assert.ok(best > 0.95, `no centroid near ${c}`);
+    }
+  });
+
+  it('is reproducible for the same seed', () => {
+    const data = Float32Array.from(Array.from({ length: 40 }, (_, i) => Math.sin(i)));
+    assert.deepStrictEqual(trainCentroids(data, 10, 4, 3), trainCentroids(data, 10, 4, 3));
+  });
+});